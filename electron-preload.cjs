@@ -103,7 +103,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
         console.log(`📁 Created directory: ${dirPath}`);
       }
       
-      fs.writeFileSync(filePath, data, 'utf8');
+      // Strings are written as UTF-8 text, Uint8Arrays (binary saves) as raw bytes
+      if (typeof data === 'string') {
+        fs.writeFileSync(filePath, data, 'utf8');
+      } else {
+        fs.writeFileSync(filePath, Buffer.from(data));
+      }
       console.log(`💾 Saved file: ${filePath} (${(data.length / 1024).toFixed(2)} KB)`);
       return { success: true, path: filePath };
     } catch (error) {
@@ -135,6 +140,29 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  // 📂 SAVE SYSTEM: Read save file as raw bytes (binary save format)
+  readSaveFileBinary: async (relativePath) => {
+    try {
+      const path = require('path');
+      
+      // Get proper user data path from main process
+      const userDataPath = await ipcRenderer.invoke('save-system:get-user-data-path');
+      const filePath = path.join(userDataPath, relativePath);
+      
+      if (!fs.existsSync(filePath)) {
+        console.log(`📂 Save file not found: ${filePath}`);
+        return null;
+      }
+      
+      const buffer = fs.readFileSync(filePath);
+      console.log(`📂 Loaded save file: ${filePath} (${(buffer.length / 1024).toFixed(2)} KB)`);
+      return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    } catch (error) {
+      console.error(`❌ Error reading save file ${relativePath}:`, error);
+      throw error;
+    }
+  },
+
   // 🗑️ SAVE SYSTEM: Delete save file
   deleteSaveFile: async (relativePath) => {
     try {
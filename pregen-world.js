@@ -0,0 +1,221 @@
+/**
+ * 🗺️ Headless world pre-generation
+ *
+ * Bakes the terrain and LOD chunks around spawn into a world's save folder, so
+ * the game loads them from disk instead of generating them while you play.
+ * Dev-only: runs under Node from a source checkout (packaged builds don't ship it).
+ *
+ * Usage:
+ *   npm run pregen -- --seed=12345 --radius=32
+ *   node pregen-world.js --seed=12345 --radius=32 [options]
+ *
+ * Options:
+ *   --seed=N          World seed (required)
+ *   --radius=N        Terrain radius in chunks around the center (required, 8 blocks per chunk)
+ *   --lod-margin=N    LOD chunks past the terrain radius (default 2)
+ *   --center=X,Z      Center chunk (default 0,0 = spawn)
+ *   --size=NAME       World size the world was created with: infinite (default), continent, small_island
+ *   --edge=EDGE       Border edge of a finite world: ocean (size default) or cliff
+ *   --preset=NAME     Terrain preset: default, superflat, archipelago, amplified
+ *   --layers=LIST     Superflat layers bottom to top (default bedrock,stone*2,dirt*2,grass)
+ *   --force           Regenerate chunks that are already saved
+ *   --verbose         Keep the per-chunk logging of the game's generation/save code
+ *   --user-data=DIR   Game data folder. Defaults to where the Electron app keeps it on this platform.
+ *
+ * Chunks are written to {user-data}/The Long Nights/saves/{seed}/chunks/ - the
+ * same place the game reads them from.
+ */
+
+import os from 'node:os';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { BiomeWorldGen } from './src/BiomeWorldGen.js';
+import { BiomeDefinitions } from './src/worldgen/BiomeDefinitions.js';
+import { ChunkPersistence } from './src/serialization/ChunkPersistence.js';
+import { WorldBorder } from './src/worldgen/WorldBorder.js';
+import { WorldPreset } from './src/worldgen/WorldPreset.js';
+import { WorldPregenerator } from './src/worldgen/WorldPregenerator.js';
+
+const APP_NAME = 'the-long-nights'; // package.json "name" - Electron names the userData folder after it
+
+/**
+ * Parse --key=value / --key value / --flag arguments (shared with verify-worldgen.js)
+ */
+export function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const [key, inlineValue] = arg.slice(2).split('=');
+        if (inlineValue !== undefined) {
+            args[key] = inlineValue;
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            args[key] = argv[++i];
+        } else {
+            args[key] = true;
+        }
+    }
+    return args;
+}
+
+function parseInteger(value, name) {
+    const number = Number(value);
+    if (value === undefined || value === true || !Number.isInteger(number)) {
+        throw new Error(`--${name} must be a whole number (got ${value === undefined ? 'nothing' : value})`);
+    }
+    return number;
+}
+
+/**
+ * Electron's default userData folder for this app (so Node runs land where the game looks)
+ */
+function getDefaultUserDataPath() {
+    const home = os.homedir();
+    switch (process.platform) {
+        case 'win32':
+            return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), APP_NAME);
+        case 'darwin':
+            return path.join(home, 'Library', 'Application Support', APP_NAME);
+        default:
+            return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), APP_NAME);
+    }
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Progress reporter: redraws one line on a terminal, prints every 10% otherwise (logs, CI)
+ */
+function createProgressPrinter(print) {
+    const interactive = process.stdout.isTTY;
+    let lastPercent = -1;
+    let lastDraw = 0;
+
+    return progress => {
+        const { done, total, percent, eta } = progress;
+        const finished = done === total;
+        const now = Date.now();
+
+        if (interactive) {
+            if (!finished && now - lastDraw < 100) return;
+            lastDraw = now;
+
+            const width = 30;
+            const filled = Math.round(width * percent / 100);
+            const bar = '█'.repeat(filled) + '░'.repeat(width - filled);
+            const etaText = eta !== null && !finished ? ` - ETA ${formatDuration(eta)}` : '';
+            process.stdout.write(`\r⏳ [${bar}] ${percent}% (${done}/${total})${etaText}   `);
+            if (finished) process.stdout.write('\n');
+        } else if (finished || percent >= lastPercent + 10) {
+            lastPercent = percent;
+            print(`⏳ ${percent}% (${done}/${total})`);
+        }
+    };
+}
+
+/**
+ * 🚀 Run the pre-generation command
+ *
+ * @param {string[]} argv - Command-line arguments (without the executable/script)
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runPregenCommand(argv) {
+    const args = parseArgs(argv);
+
+    // The serializer and workers log every chunk - too much next to a progress bar
+    const print = console.log.bind(console);
+    const consoleLog = console.log;
+    if (!args.verbose) console.log = () => {};
+
+    try {
+        return await pregenerate(args, print);
+    } finally {
+        console.log = consoleLog;
+    }
+}
+
+async function pregenerate(args, print) {
+    let seed, radius, lodMargin, border, preset, centerChunkX = 0, centerChunkZ = 0;
+    try {
+        seed = parseInteger(args.seed, 'seed');
+        radius = parseInteger(args.radius, 'radius');
+        lodMargin = args['lod-margin'] !== undefined ? parseInteger(args['lod-margin'], 'lod-margin') : 2;
+        if (radius < 0 || lodMargin < 0) {
+            throw new Error('--radius and --lod-margin cannot be negative');
+        }
+        if (args.center !== undefined) {
+            [centerChunkX, centerChunkZ] = String(args.center).split(',').map((value, i) => parseInteger(value, i === 0 ? 'center X' : 'center Z'));
+        }
+        border = new WorldBorder({
+            size: args.size !== undefined ? String(args.size) : 'infinite',
+            edge: args.edge !== undefined ? String(args.edge) : undefined
+        });
+        preset = new WorldPreset({
+            id: args.preset !== undefined ? String(args.preset) : 'default',
+            layers: args.layers !== undefined ? WorldPreset.parseLayers(args.layers) : undefined
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('Usage: pregen-world.js --seed=N --radius=N [--lod-margin=N] [--center=X,Z] [--size=NAME] [--edge=EDGE] [--preset=NAME] [--layers=LIST] [--force] [--verbose] [--user-data=DIR]');
+        return 1;
+    }
+
+    // Biome and noise tables the game hands WorkerManager (no VoxelWorld needed to read them)
+    await BiomeDefinitions.load();
+    const biomeWorldGen = new BiomeWorldGen({});
+
+    const userDataPath = args['user-data'] || getDefaultUserDataPath();
+    const persistence = new ChunkPersistence(seed, true, { userDataPath });
+    await persistence.initPromise;
+
+    const side = radius * 2 + 1;
+    print(`🗺️ Pre-generating world ${seed}: ${side}x${side} chunks around (${centerChunkX}, ${centerChunkZ}) + ${lodMargin} LOD rings`);
+    if (border.isFinite) {
+        print(`🧱 ${WorldBorder.SIZES[border.size].name} world: border at ±${border.radius} blocks (${border.edge} edge) - chunks past it are skipped`);
+    }
+    if (preset.id !== 'default') {
+        print(`🌐 ${WorldPreset.PRESETS[preset.id].name} terrain`);
+    }
+    print(`📁 ${persistence.chunksDir}`);
+
+    const pregenerator = new WorldPregenerator({
+        seed,
+        radius,
+        lodMargin,
+        centerChunkX,
+        centerChunkZ,
+        force: args.force === true,
+        verbose: args.verbose === true,
+        persistence,
+        biomeConfig: biomeWorldGen.biomes,
+        noiseConfig: biomeWorldGen.noiseParams,
+        worldSettings: { border: border.toJSON(), preset: preset.toJSON() }
+    });
+
+    try {
+        const summary = await pregenerator.run(createProgressPrinter(print));
+        const { chunks, lod, trees, elapsed } = summary;
+        const stats = persistence.getCompressionStats();
+
+        print(`✅ Done in ${formatDuration(elapsed)}`);
+        print(`   🏔️ Chunks: ${chunks.generated} generated, ${chunks.skipped} already saved (${trees} trees will grow on load)`);
+        print(`   🎨 LOD chunks: ${lod.generated} generated, ${lod.skipped} already saved`);
+        if (stats.chunksSaved > 0) {
+            print(`   💾 ${(stats.bytesWritten / 1024).toFixed(1)} KB written`);
+        }
+        return 0;
+    } catch (error) {
+        console.error('\n❌ Pre-generation failed:', error);
+        return 1;
+    }
+}
+
+// Run directly: node pregen-world.js ...
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+    runPregenCommand(process.argv.slice(2)).then(code => process.exit(code));
+}
@@ -12,6 +12,7 @@
 import * as THREE from 'three';
 import { Animal } from './animals/Animal.js';
 import { animalConfigs } from './animals/configs.js';
+import { BiomeDefinitions } from './worldgen/BiomeDefinitions.js';
 
 export class AnimalSystem {
     constructor(voxelWorld) {
@@ -138,18 +139,24 @@ export class AnimalSystem {
             return; // Already at limit
         }
         
-        // Apply seasonal multiplier to spawn chance
+        // Find valid spawn position in chunk
+        const worldX = chunkX * 8 + Math.floor(Math.random() * 8);
+        const worldZ = chunkZ * 8 + Math.floor(Math.random() * 8);
+        
+        // Check biome spawn table (biomes.json "spawns") - weight 0 = not in this biome
+        const biomeWeight = this.getBiomeSpawnWeight(config.id, worldX, worldZ);
+        if (biomeWeight <= 0) {
+            return;
+        }
+        
+        // Apply seasonal and biome multipliers to spawn chance
         const seasonalMult = config.seasonalMultiplier[currentSeason] || 1.0;
-        const spawnChance = 0.1 * seasonalMult; // 10% base chance * seasonal
+        const spawnChance = 0.1 * seasonalMult * biomeWeight; // 10% base chance * seasonal * biome
         
         if (Math.random() > spawnChance) {
             return; // Failed spawn roll
         }
         
-        // Find valid spawn position in chunk
-        const worldX = chunkX * 8 + Math.floor(Math.random() * 8);
-        const worldZ = chunkZ * 8 + Math.floor(Math.random() * 8);
-        
         // Get ground height
         const groundY = this.voxelWorld.getGroundHeight(worldX, worldZ);
         
@@ -157,14 +164,24 @@ export class AnimalSystem {
             return; // Invalid spawn location
         }
         
-        // Check biome (simplified - you may want to add biome detection)
-        // For now, assume all biomes are valid
-        
         // Spawn the animal!
         this.spawnAnimal(config.id, new THREE.Vector3(worldX, groundY, worldZ), chunkKey);
     }
     
     /**
+     * Spawn weight of an animal at a world position (from the biome's spawn table)
+     */
+    getBiomeSpawnWeight(animalId, worldX, worldZ) {
+        const biomeWorldGen = this.voxelWorld.biomeWorldGen;
+        if (!biomeWorldGen) {
+            return 1; // No world generator (e.g. test scenes) - spawn anywhere
+        }
+        
+        const biome = biomeWorldGen.getBiomeAt(worldX, worldZ, this.voxelWorld.worldSeed);
+        return BiomeDefinitions.getSpawnWeight(biome, animalId);
+    }
+    
+        /**
      * Spawn an animal at a specific position
      */
     spawnAnimal(type, position, chunkKey = null) {
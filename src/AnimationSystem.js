@@ -54,6 +54,8 @@ export class AnimationSystem {
      * @param {function} onComplete - Callback when animation completes
      */
     animateGrapplingHook(startPos, endPos, duration = 0.8, onComplete = null) {
+        this.clipToWorldBorder(startPos, endPos, 0.3); // Half the player's width
+
         // Calculate apex (highest point of arc)
         const distance = Math.sqrt(
             Math.pow(endPos.x - startPos.x, 2) + 
@@ -175,6 +177,8 @@ export class AnimationSystem {
      * @param {function} onComplete - Callback when animation completes
      */
     animateProjectile(startPos, endPos, duration = 0.6, onUpdate = null, onComplete = null) {
+        this.clipToWorldBorder(startPos, endPos, 0.5); // Lands inside the last block column
+
         // Calculate apex (highest point of arc)
         const distance = Math.sqrt(
             Math.pow(endPos.x - startPos.x, 2) + 
@@ -236,6 +240,22 @@ export class AnimationSystem {
         return animId;
     }
 
+    /**
+     * 🧱 Stop a flight at the world border of a finite world
+     * endPos is moved in place, so callers that land something at their own
+     * target object (spears, charges) stay inside the world too
+     * @param {Object} startPos - Starting position {x, y, z}
+     * @param {Object} endPos - Target position {x, y, z} (modified)
+     * @param {number} margin - Distance to keep from the border
+     */
+    clipToWorldBorder(startPos, endPos, margin = 0) {
+        const border = this.voxelWorld.worldBorder;
+        if (!border || !border.isFinite) return;
+
+        Object.assign(endPos, border.clipSegment(startPos, endPos));
+        border.clampPosition(endPos, margin);
+    }
+
     /**
      * Cancel a specific animation
      * @param {number} animationId - Animation ID to cancel
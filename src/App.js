@@ -6,6 +6,7 @@ import { SplashScreen } from './SplashScreen.js';
 import { GameIntroOverlay } from './ui/GameIntroOverlay.js';
 import { ChatOverlay } from './ui/Chat.js';
 import { MainMenu } from './ui/MainMenu.js';
+import { RecoveryJournal } from './RecoveryJournal.js';
 // import { initWorkbench } from './ShapeForgeWorkbench.js'; // To be created
 
 window.addEventListener('DOMContentLoaded', () => {
@@ -87,9 +88,11 @@ window.addEventListener('DOMContentLoaded', () => {
     // === MAIN MENU SYSTEM ===
     // Show main menu with New Game / Load Game / Dev Mode options
     const mainMenu = new MainMenu(
-      () => startNewGame(app),      // NEW GAME callback
+      (worldOptions) => startNewGame(app, worldOptions), // NEW GAME callback (world size / edge / preset / seed / spawn)
       () => loadExistingGame(app),  // LOAD GAME callback
-      () => startDevMode(app)        // DEV MODE callback
+      () => startDevMode(app),       // DEV MODE callback
+      () => recoverLastSession(app), // RECOVER SESSION callback (only shown after a crash)
+      app.biomeWorldGen             // Biome tables for the seed preview map
     );
     
     mainMenu.show();
@@ -98,14 +101,35 @@ window.addEventListener('DOMContentLoaded', () => {
     // === GAME MODE FUNCTIONS ===
 
     /**
-     * 🆕 NEW GAME: Clear saves and start personality quiz
+     * 🆕 NEW GAME: Clear saves, build the chosen world and start personality quiz
+     * @param {Object} worldOptions - { worldSize, worldEdge, worldPreset, superflatLayers, seed, spawnPoint } from the main menu
      */
-    function startNewGame(app) {
+    async function startNewGame(app, worldOptions = {}) {
       console.log('🆕 Starting new game - loading personality quiz...');
       
       // Clear any existing save data
       localStorage.removeItem('NebulaWorld_playerData');
       localStorage.removeItem('NebulaWorld_devMode');
+      RecoveryJournal.discardPendingRecovery();
+
+      // 🌍 The world behind the menu is the stored one - regenerate it if the
+      // player picked a finite size or another terrain preset, or typed a seed
+      const worldSize = worldOptions.worldSize || 'infinite';
+      const worldPreset = worldOptions.worldPreset || 'default';
+      const seed = worldOptions.seed || '';
+      if (worldSize !== 'infinite' || worldPreset !== 'default' || seed.trim() ||
+          app.worldBorder.isFinite || app.worldPreset.id !== 'default') {
+        await app.newGame(seed, {
+          worldSize,
+          worldEdge: worldOptions.worldEdge,
+          worldPreset,
+          superflatLayers: worldOptions.superflatLayers,
+          spawnPoint: worldOptions.spawnPoint
+        });
+      }
+
+      // 🔄 Autosave + crash recovery journal for this session
+      app.saveSystem.startAutosave();
 
       // Load personality quiz data
       fetch('data/personalityQuiz.json')
@@ -221,6 +245,9 @@ window.addEventListener('DOMContentLoaded', () => {
         
         // 🎵 Start music now that the game is loaded
         app.startMusic();
+
+        // 🔄 Autosave + crash recovery journal for this session
+        app.saveSystem.startAutosave();
         
         // TODO: Load world state, inventory, quest progress, etc.
         console.log('🌍 Game loaded - ready to play!');
@@ -229,6 +256,37 @@ window.addEventListener('DOMContentLoaded', () => {
       }
     }
 
+    /**
+     * 🩹 RECOVER: Restore the crashed session from its base save + recovery journal
+     */
+    async function recoverLastSession(app) {
+      console.log('🩹 Recovering last session...');
+
+      // Character data lives outside the world save, same as LOAD GAME
+      const playerData = JSON.parse(localStorage.getItem('NebulaWorld_playerData') || '{}');
+      if (playerData.character) {
+        app.playerCharacter.load(playerData.character);
+        if (app.playerCompanionUI) {
+          app.playerCompanionUI.update().then(() => app.playerCompanionUI.show());
+        }
+      }
+
+      try {
+        await app.saveSystem.recoverLastSession();
+        app.updateChunks();
+        app.updateStatus('🩹 Last session recovered!', 'success');
+      } catch (error) {
+        console.error('❌ Session recovery failed:', error);
+        app.updateStatus(`❌ Recovery failed: ${error.message}`, 'error');
+        if (error.name === 'SaveVersionError') {
+          app.showSaveVersionError(error);
+        }
+      }
+
+      app.startMusic();
+      app.saveSystem.startAutosave();
+    }
+
     /**
      * 🔧 DEV MODE: Skip setup for testing
      */
@@ -240,6 +298,9 @@ window.addEventListener('DOMContentLoaded', () => {
       
       // 🎵 Start music in dev mode too
       app.startMusic();
+
+      // 🔄 Autosave + crash recovery journal for this session
+      app.saveSystem.startAutosave();
       
       // Call unlockUI() to set up test environment
       if (window.unlockUI) {
@@ -64,7 +64,7 @@ export class BattleArena {
         this.targetingEnabled = false;
 
         // 👻 Arena transparency (blocks in arena become see-through during battle)
-        this.transparentBlocks = []; // Store original materials/opacity
+        this.arenaBlocksFaded = false;
 
         console.log('⚔️ BattleArena initialized');
     }
@@ -917,40 +917,13 @@ export class BattleArena {
         const maxX = Math.ceil(this.arenaCenter.x + halfArena);
         const minZ = Math.floor(this.arenaCenter.z - halfArena);
         const maxZ = Math.ceil(this.arenaCenter.z + halfArena);
-        const minY = Math.floor(this.arenaCenter.y - 2);
-        const maxY = Math.ceil(this.arenaCenter.y + 10); // Check up to 10 blocks high
-
-        let count = 0;
-
-        // Scan arena volume for blocks
-        for (let x = minX; x <= maxX; x++) {
-            for (let z = minZ; z <= maxZ; z++) {
-                for (let y = minY; y <= maxY; y++) {
-                    const key = `${x},${y},${z}`;
-                    const block = this.voxelWorld.world[key];
-                    
-                    if (block && block.mesh && block.mesh.material) {
-                        const material = block.mesh.material;
-                        
-                        // Store original opacity and transparency state
-                        this.transparentBlocks.push({
-                            mesh: block.mesh,
-                            originalOpacity: material.opacity !== undefined ? material.opacity : 1.0,
-                            originalTransparent: material.transparent || false
-                        });
-                        
-                        // Make transparent
-                        material.transparent = true;
-                        material.opacity = 0.05; // Very see-through
-                        material.needsUpdate = true;
-                        
-                        count++;
-                    }
-                }
-            }
-        }
 
-        console.log(`👻 Made ${count} blocks transparent in arena`);
+        // Blocks are drawn by merged chunk meshes - the arena's chunk meshes get their own
+        // faded materials (the shared per-type materials stay solid elsewhere)
+        const count = this.voxelWorld.chunkMeshManager.fadeArea(minX, maxX, minZ, maxZ, 0.05); // Very see-through
+        this.arenaBlocksFaded = true;
+
+        console.log(`👻 Made ${count} chunk meshes transparent in arena`);
     }
 
     /**
@@ -959,16 +932,11 @@ export class BattleArena {
     restoreArenaBlocksOpacity() {
         console.log('👻 Restoring arena blocks to normal...');
         
-        for (const blockData of this.transparentBlocks) {
-            if (blockData.mesh && blockData.mesh.material) {
-                const material = blockData.mesh.material;
-                material.transparent = blockData.originalTransparent;
-                material.opacity = blockData.originalOpacity;
-                material.needsUpdate = true;
-            }
-        }
+        if (!this.arenaBlocksFaded) return;
+
+        this.voxelWorld.chunkMeshManager.clearFade();
+        this.arenaBlocksFaded = false;
 
-        console.log(`👻 Restored ${this.transparentBlocks.length} blocks to normal opacity`);
-        this.transparentBlocks = []; // Clear array
+        console.log('👻 Restored arena chunk meshes to normal opacity');
     }
 }
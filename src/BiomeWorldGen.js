@@ -1,6 +1,14 @@
 import * as THREE from 'three';
 import { StructureGenerator } from './StructureGenerator.js';
 import { TutorialRuinGenerator } from './TutorialRuinGenerator.js';
+import { VillageGenerator } from './VillageGenerator.js';
+import { BiomeDefinitions } from './worldgen/BiomeDefinitions.js';
+import { CaveGenerator } from './worldgen/CaveGenerator.js';
+import { OreGenerator } from './worldgen/OreGenerator.js';
+import { Hydrology } from './worldgen/Hydrology.js';
+import { WorldBorder } from './worldgen/WorldBorder.js';
+import { WorldPreset } from './worldgen/WorldPreset.js';
+import { SeasonCalendar } from './SeasonCalendar.js';
 
 /**
  * 🌍 BiomeWorldGen - Advanced Multi-Layer Biome Generation System
@@ -34,13 +42,7 @@ export class BiomeWorldGen {
 
         // 🎯 CHUNK-BASED TREE COUNTER - Guarantees minimum tree density
         this.chunkTreeCounter = new Map(); // Map<biomeType, counter>
-        this.CHUNK_TREE_INTERVALS = {
-            'Forest': 1,        // 1 guaranteed tree per 1 chunk (every chunk)
-            'Plains': 3,        // 1 guaranteed tree per 3 chunks (every 3rd chunk)
-            'Mountain': 2,      // 1 guaranteed tree per 2 chunks
-            'Desert': 5,        // 1 guaranteed tree per 5 chunks (sparse)
-            'Tundra': 4         // 1 guaranteed tree per 4 chunks
-        };
+        // Interval per biome: treeInterval in biomes.json (1 = every chunk, 3 = every 3rd chunk)
 
         // 🏛️ STRUCTURE GENERATOR - Ruins and structures
         this.structureGenerator = new StructureGenerator(this.worldSeed, voxelWorld.BILLBOARD_ITEMS, voxelWorld);
@@ -48,104 +50,35 @@ export class BiomeWorldGen {
         // 🎓 TUTORIAL RUIN GENERATOR - Starter dungeon at (0, 100)
         this.tutorialRuinGenerator = new TutorialRuinGenerator(voxelWorld);
 
-        this.initializeBiomes();
-        this.initializeNoiseGenerators();
-    }
+        // 🕳️ CAVE GENERATOR - Same 3D noise caves as ChunkWorker
+        this.caveGenerator = new CaveGenerator(this.worldSeed);
 
-    // 🌍 Enhanced Biome Definitions with Variants
-    initializeBiomes() {
-        this.biomes = {
-            forest: {
-                name: 'Forest',
-                color: 0x228B22,
-                minHeight: 4,  // 🏔️ STEP 2.1: Bigger hills
-                maxHeight: 10, // 🏔️ More dramatic forest terrain
-                surfaceBlock: 'grass',
-                subBlock: 'dirt',
-                mapColor: '#228B22',
-                heightColorRange: { min: 0.6, max: 1.2 },
-                shrubChance: 0.35,
-
-                // NEW: Enhanced properties
-                variants: ['dense_forest', 'sparse_forest', 'old_growth'],
-                transitionZone: 'forest_edge',
-                specialFeatures: ['clearings', 'streams'],
-                treeDistribution: { min: 0.15, max: 0.25, clusters: true },
-                treeChance: 0.20 // Reduced for better performance
-            },
+        // ⛏️ ORE GENERATOR - Same ore veins as ChunkWorker
+        this.oreGenerator = new OreGenerator(this.worldSeed);
 
-            desert: {
-                name: 'Desert',
-                color: 0xDEB887,
-                minHeight: 3,  // 🏜️ STEP 2.1: Bigger dunes
-                maxHeight: 8,  // 🏜️ Dramatic sand dunes
-                surfaceBlock: 'sand',
-                subBlock: 'sandstone', // 🏛️ Sandstone underground (for ruins!)
-                mapColor: '#DEB887',
-                heightColorRange: { min: 0.7, max: 1.1 },
-                shrubChance: 0.03,
-
-                variants: ['sandy_desert', 'rocky_desert', 'oasis'],
-                transitionZone: 'desert_edge',
-                specialFeatures: ['dunes', 'oases', 'mesas'],
-                treeDistribution: { min: 0.005, max: 0.015, clusters: false },
-                treeChance: 0.01 // Reduced for better performance
-            },
+        // 🌊 HYDROLOGY - Same rivers and lakes as ChunkWorker
+        this.hydrology = new Hydrology(this.worldSeed);
 
-            mountain: {
-                name: 'Mountain',
-                color: 0x696969,
-                minHeight: 15,  // 🏔️ STEP 2.1: TALL mountains!
-                maxHeight: 30,  // 🏔️ Proper mountain peaks (will be hollowed in Step 3)
-                surfaceBlock: 'grass',  // 🌿 Grass on mountains (snow added by height check)
-                subBlock: 'stone',      // 🪨 Stone underground
-                mapColor: '#696969',
-                heightColorRange: { min: 0.8, max: 1.4 },
-                shrubChance: 0.08,
-
-                variants: ['rocky_peaks', 'alpine_meadows', 'mountain_forest'],
-                transitionZone: 'foothills',
-                specialFeatures: ['peaks', 'valleys', 'caves'],
-                treeDistribution: { min: 0.10, max: 0.20, clusters: true },
-                treeChance: 0.15 // Reduced for better performance
-            },
+        // 🧱 WORLD BORDER - Finite worlds sink into ocean near the edge (infinite by default)
+        this.worldBorder = new WorldBorder();
 
-            plains: {
-                name: 'Plains',
-                color: 0x90EE90,
-                minHeight: 3,  // 🌾 STEP 2.1: More rolling
-                maxHeight: 6,  // 🌾 Gentle hills
-                surfaceBlock: 'grass',
-                subBlock: 'dirt',
-                mapColor: '#90EE90',
-                heightColorRange: { min: 0.65, max: 1.15 },
-                shrubChance: 0.20,
-
-                variants: ['grasslands', 'meadows', 'prairie'],
-                transitionZone: 'plains_edge',
-                specialFeatures: ['rivers', 'hills', 'groves'],
-                treeDistribution: { min: 0.03, max: 0.07, clusters: true },
-                treeChance: 0.05 // Reduced for better performance
-            },
+        // 🌐 WORLD PRESET - Superflat / archipelago / amplified terrain (default pipeline by default)
+        this.worldPreset = new WorldPreset();
 
-            tundra: {
-                name: 'Tundra',
-                color: 0xF0F8FF,
-                minHeight: 4,  // ❄️ STEP 2.1: Bigger icy hills
-                maxHeight: 10, // ❄️ Dramatic frozen terrain
-                surfaceBlock: 'grass',  // 🌿 Grass (will be covered by snow)
-                subBlock: 'dirt',       // 🪨 Dirt underground
-                mapColor: '#F0F8FF',
-                heightColorRange: { min: 0.5, max: 1.0 },
-                shrubChance: 0.01,
-
-                variants: ['frozen_tundra', 'taiga_edge', 'permafrost'],
-                transitionZone: 'tundra_border',
-                specialFeatures: ['ice_formations', 'frozen_lakes'],
-                treeDistribution: { min: 0.01, max: 0.03, clusters: false },
-                treeChance: 0.02 // Reduced for better performance
-            }
-        };
+        // 🍂 SEASON - Tints grass colors (null = untinted, as the workers generate them)
+        this.season = null;
+
+        this.initializeBiomes();
+        this.initializeNoiseGenerators();
+
+        // 🏘️ VILLAGE GENERATOR - Roads, houses and residents (plans from the worker terrain)
+        this.villageGenerator = new VillageGenerator(this);
+    }
+
+    // 🌍 Biome Definitions (assets/data/biomes.json - shared with the chunk/tree workers)
+    initializeBiomes() {
+        this.biomeDefinitions = BiomeDefinitions.get();
+        this.biomes = this.biomeDefinitions.biomes;
     }
 
     // 🌊 Wave Noise (Sinusoidal patterns)
@@ -774,56 +707,17 @@ export class BiomeWorldGen {
 
     // 🗺️ Select Biome from Temperature + Moisture Grid
     selectBiomeFromClimate(temperature, moisture) {
-        // Climate-based biome selection
         // Temperature: -1 = cold (north), 0 = temperate, +1 = hot (south)
         // Moisture: -1 = dry, 0 = moderate, +1 = wet
-
-        // COLD regions (temperature < -0.3)
-        if (temperature < -0.3) {
-            if (moisture < -0.2) return this.biomes.tundra;      // Cold + Dry = Tundra
-            if (moisture > 0.3) return this.biomes.forest;       // Cold + Wet = Forest (snowy forest)
-            return this.biomes.mountain;                          // Cold + Moderate = Mountain (will be icy peaks in Step 2)
-        }
-
-        // HOT regions (temperature > 0.3)
-        if (temperature > 0.3) {
-            if (moisture < 0) return this.biomes.desert;          // Hot + Dry = Desert
-            if (moisture > 0.4) return this.biomes.forest;        // Hot + Wet = Forest (jungle-like)
-            return this.biomes.plains;                            // Hot + Moderate = Plains (savanna-like)
-        }
-
-        // TEMPERATE regions (temperature between -0.3 and 0.3)
-        if (moisture < -0.3) return this.biomes.plains;           // Temperate + Dry = Plains
-        if (moisture > 0.5) return this.biomes.forest;            // Temperate + Very Wet = Forest
-        if (moisture > 0.1) return this.biomes.mountain;          // Temperate + Moderate-Wet = Mountain
-        return this.biomes.plains;                                // Temperate + Moderate = Plains
+        // Climate ranges per biome live in biomes.json (first match wins, else fallbackBiome)
+        return BiomeDefinitions.selectBiome(this.biomeDefinitions, temperature, moisture);
     }
 
-    // 🏔️ Super Mountain Detection - Only in mountain biomes
+    // 🏔️ Super Mountain Detection - Only in mountain biomes (every biome in amplified worlds)
     // Returns height modifier: 0 = normal, 1.0 = super mountain (y=25-30)
+    // Threshold 0.7 means only ~15% of mountain biome will have super peaks (see WorldPreset)
     getSuperMountainModifier(x, z, biome, seed) {
-        // Only apply to mountain biomes
-        if (biome.name !== 'Mountain') return 0;
-
-        // Use very large-scale noise to create sparse super mountains
-        // Larger scale = fewer super mountains
-        const superMountainNoise = this.multiOctaveNoise(
-            x * 0.1,  // Very large scale
-            z * 0.1,
-            { scale: 0.001, octaves: 2, persistence: 0.4 },
-            seed + 9000
-        );
-
-        // Only create super mountain if noise is very high (rare)
-        // Threshold: 0.7 means only ~15% of mountain biome will have super peaks
-        if (superMountainNoise > 0.7) {
-            // Return smooth gradient from edge to center
-            // 0.7-0.8 = transition zone
-            // 0.8+ = full super mountain
-            return Math.min(1.0, (superMountainNoise - 0.7) / 0.3);
-        }
-
-        return 0;
+        return this.worldPreset.getSuperMountainModifier(x, z, biome, seed);
     }
 
     // 🗺️ Legacy: Keep old biome generation for compatibility
@@ -920,46 +814,16 @@ export class BiomeWorldGen {
         const variantNoise = this.multiOctaveNoise(x, z, this.noiseParams.microDetail, seed + 10000);
 
         // Select variant based on noise
-        const variants = baseBiome.variants || ['default'];
+        const variants = baseBiome.variants || [];
         const variantIndex = Math.floor((variantNoise + 1) * 0.5 * variants.length);
         const selectedVariant = variants[Math.min(variantIndex, variants.length - 1)];
 
-        // Apply variant modifications
-        const variantBiome = { ...baseBiome };
-        variantBiome.variant = selectedVariant;
-
-        // Modify properties based on variant
-        switch (selectedVariant) {
-            case 'dense_forest':
-                variantBiome.shrubChance *= 1.5;
-                variantBiome.treeDistribution.min *= 1.3;
-                variantBiome.treeDistribution.max *= 1.2;
-                variantBiome.treeChance *= 1.25; // Increase tree spawn rate
-                break;
-            case 'sparse_forest':
-                variantBiome.shrubChance *= 0.6;
-                variantBiome.treeDistribution.min *= 0.7;
-                variantBiome.treeDistribution.max *= 0.8;
-                variantBiome.treeChance *= 0.75; // Decrease tree spawn rate
-                break;
-            case 'rocky_desert':
-                variantBiome.surfaceBlock = 'stone';
-                // 🛡️ SAFE HEIGHT MODIFICATION: Ensure reasonable bounds
-                variantBiome.minHeight = Math.max(-2, variantBiome.minHeight + 1); // Never below -2
-                variantBiome.maxHeight = Math.min(10, variantBiome.maxHeight + 2); // Never above 10
-                break;
-            case 'oasis':
-                variantBiome.surfaceBlock = 'grass';
-                variantBiome.shrubChance = 0.8;
-                variantBiome.treeDistribution.min = 0.3;
-                variantBiome.treeDistribution.max = 0.5;
-                variantBiome.treeChance = 0.4; // High tree density in oasis
-                break;
-        }
+        // Apply variant modifications (set/add/multiply from biomes.json) to a copy
+        const variantBiome = BiomeDefinitions.applyVariant(baseBiome, selectedVariant);
 
         // 🛡️ FINAL VALIDATION: Ensure variant biome has safe height ranges
         if (variantBiome.minHeight >= variantBiome.maxHeight) {
-            console.error(`🚨 INVALID HEIGHT RANGE for ${selectedVariant}:`, variantBiome.minHeight, '>=', variantBiome.maxHeight);
+            console.error(`🚨 INVALID HEIGHT RANGE for ${variantBiome.variant}:`, variantBiome.minHeight, '>=', variantBiome.maxHeight);
             // Fix by resetting to safe defaults
             variantBiome.minHeight = -1;
             variantBiome.maxHeight = 2;
@@ -1009,8 +873,31 @@ export class BiomeWorldGen {
         const brightnessRange = biome.heightColorRange.max - biome.heightColorRange.min;
         const brightness = biome.heightColorRange.min + (normalizedHeight * brightnessRange);
 
-        const baseColor = new THREE.Color(biome.color);
-        return baseColor.multiplyScalar(brightness);
+        const baseColor = new THREE.Color(biome.color).multiplyScalar(brightness);
+
+        // 🍂 Seasonal tint for grassy biomes
+        if (this.season && biome.surfaceBlock === 'grass') {
+            return baseColor.setHex(this.getSeasonColor('grass', baseColor.getHex()));
+        }
+        return baseColor;
+    }
+
+    // 🍂 Set the season used for grass colors (SeasonCalendar.SEASONS entry or null)
+    setSeason(season) {
+        this.season = season;
+    }
+
+    // 🍂 Tint a block color for the current season (grass and leaves only)
+    getSeasonColor(blockType, color) {
+        if (!this.season) return color;
+
+        if (blockType === 'grass') {
+            return SeasonCalendar.tintColor(color, this.season.grassTint);
+        }
+        if (blockType.endsWith('leaves')) {
+            return SeasonCalendar.tintColor(color, this.season.leafTint);
+        }
+        return color;
     }
 
     // 🗺️ Enhanced Chunk Generation with Biome Transitions
@@ -1021,6 +908,15 @@ export class BiomeWorldGen {
         if (loadedChunks.has(chunkKey)) return;
 
         this.STATS.chunksGenerated++;
+
+        // 🧱 Superflat worlds: the preset's layer stack (no noise, rivers, caves or trees)
+        if (this.worldPreset.isSuperflat) {
+            this.generateFlatChunk(chunkX, chunkZ, addBlockFn, chunkSize);
+            this.generateChunkStructures(chunkX, chunkZ, addBlockFn, null);
+            loadedChunks.add(chunkKey);
+            return;
+        }
+
         if (this.DEBUG_MODE && this.STATS.chunksGenerated % 50 === 0) {
             console.log(`🌍 Generated ${this.STATS.chunksGenerated} chunks - Latest: ${chunkKey}`);
         }
@@ -1037,7 +933,7 @@ export class BiomeWorldGen {
             this.chunkTreeCounter.set(biomeName, 0);
         }
         const counter = this.chunkTreeCounter.get(biomeName);
-        const interval = this.CHUNK_TREE_INTERVALS[biomeName] || 3; // Default: every 3 chunks
+        const interval = chunkBiome.treeInterval || 3; // Default: every 3 chunks
 
         // Check if this chunk should get a guaranteed tree
         const needsGuaranteedTree = (counter % interval === 0);
@@ -1098,21 +994,21 @@ export class BiomeWorldGen {
 
                 // Apply generator height with biome constraints
                 const generatorHeight = terrainData.height * biomeHeightRange;
-                let rawHeight = biomeHeightCenter + generatorHeight;
+                // 🌐 Archipelago / amplified presets reshape the surface (default: unchanged)
+                let rawHeight = this.worldPreset.shapeHeight(biomeHeightCenter + generatorHeight, biome, worldX, worldZ, worldSeed);
 
-                // 🏔️ STEP 2.1: Check for super mountain modifier (mountain biomes only)
+                // 🏔️ STEP 2.1: Check for super mountain modifier (mountain biomes only, every biome when amplified)
+                // Interpolates between the biome's max height (30 for mountains) and the MEGA mountain height (60!)
                 const superMountainMod = this.getSuperMountainModifier(worldX, worldZ, biome, worldSeed);
-                if (superMountainMod > 0) {
-                    // Interpolate between normal mountain (maxHeight=30) and MEGA mountain (60!)
-                    const megaMountainHeight = 60;
-                    const normalMaxHeight = biome.maxHeight; // 30 for mountains
-                    const extraHeight = (megaMountainHeight - normalMaxHeight) * superMountainMod;
-                    rawHeight = Math.max(rawHeight, normalMaxHeight + extraHeight);
-                }
+                rawHeight = this.worldPreset.raisePeak(rawHeight, biome, superMountainMod);
+
+                // Ensure height is a safe integer within world bounds (amplified worlds reach higher)
+                const safeHeight = Math.floor(Math.max(0, Math.min(this.worldPreset.config.maxHeight ?? 64, rawHeight)));
 
-                // Ensure height is a safe integer within world bounds
-                const safeHeight = Math.floor(Math.max(0, Math.min(64, rawHeight)));
-                const height = safeHeight;
+                // 🌊 Rivers and lakes carve their beds and banks (same rivers as ChunkWorker)
+                // 🧱 then finite worlds slope into the ocean near the border
+                const hydro = this.hydrology.getColumn(worldX, worldZ);
+                const height = this.worldBorder.applyToHeight(Hydrology.applyToHeight(safeHeight, hydro), worldX, worldZ);
 
                 // Enhanced debugging for problematic heights
                 if (Math.abs(terrainData.height) > 1.5) {
@@ -1147,23 +1043,35 @@ export class BiomeWorldGen {
 
                 // Enhanced snow generation
                 const snowNoise = this.multiOctaveNoise(worldX + 2000, worldZ + 2000, this.noiseParams.microDetail, worldSeed + 2000);
-                const hasSnow = (biome.name.includes('Mountain') || biome.name.includes('Tundra') || biome.name.includes('Forest')) &&
+                const hasSnow = biome.snowCaps &&
                                height >= biome.maxHeight - 1 &&
                                snowNoise > -0.2;
 
-                const surfaceBlock = hasSnow ? 'snow' : biome.surfaceBlock;
-                const surfaceBlockColor = hasSnow ? new THREE.Color(0xFFFFFF) : surfaceColor;
+                const surfaceBlock = Hydrology.getSurfaceBlock(hydro, hasSnow ? 'snow' : biome.surfaceBlock);
+                let surfaceBlockColor = hasSnow ? new THREE.Color(0xFFFFFF) : surfaceColor;
+                if (hydro && !hasSnow) surfaceBlockColor = new THREE.Color(Hydrology.tintBankColor(surfaceColor.getHex(), hydro));
 
                 // 🛡️ SAFETY: Ensure minimum ground level to prevent fall-through
                 const MINIMUM_GROUND_LEVEL = -1; // Never generate terrain below this
                 const finalHeight = Math.max(height, MINIMUM_GROUND_LEVEL);
 
                 // Place terrain blocks with safety height - add validation
+                // 🕳️ Cave blocks stay empty (surface only opens at cave entrances)
+                const addTerrainBlock = (y, type, color) => {
+                    if (!this.isCaveAt(worldX, y, worldZ, finalHeight)) {
+                        addBlockFn(worldX, y, worldZ, type, false, color);
+                    }
+                };
                 try {
-                    addBlockFn(worldX, finalHeight, worldZ, surfaceBlock, false, surfaceBlockColor);
-                    addBlockFn(worldX, finalHeight - 1, worldZ, biome.subBlock, false, subSurfaceColor);
-                    addBlockFn(worldX, finalHeight - 2, worldZ, biome.subBlock, false, deepColor);
-                    addBlockFn(worldX, finalHeight - 3, worldZ, "iron", false);
+                    addTerrainBlock(finalHeight, surfaceBlock, surfaceBlockColor);
+                    addTerrainBlock(finalHeight - 1, biome.subBlock, subSurfaceColor);
+                    addTerrainBlock(finalHeight - 2, biome.subBlock, deepColor);
+                    addTerrainBlock(finalHeight - 3, this.getOreAt(worldX, finalHeight - 3, worldZ, biome.id) || "stone");
+
+                    // River/lake water above the bed
+                    for (let waterY = finalHeight + 1; waterY <= Hydrology.getWaterTop(hydro); waterY++) {
+                        addBlockFn(worldX, waterY, worldZ, 'water', false);
+                    }
 
                     // Validation: Ensure blocks are actually placed
                     if (this.DEBUG_MODE && (worldX + worldZ) % 512 === 0) {
@@ -1227,19 +1135,21 @@ export class BiomeWorldGen {
 
                     this.STATS.treesPlaced++;
 
-                    // 🌳 ACTUALLY GENERATE THE TREE based on biome type
+                    // 🌳 ACTUALLY GENERATE THE TREE from the biome's tree mix
+                    const treeRoll = (this.multiOctaveNoise(worldX + 6000, worldZ + 6000, this.noiseParams.microDetail, worldSeed + 6000) + 1) / 2;
+                    const woodType = BiomeDefinitions.pickTreeType(biome, treeRoll);
                     let treeType = 'Oak';
-                    if (biome.name === 'Mountain' || biome.name.includes('mountain')) {
+                    if (woodType === 'pine_wood') {
                         this.voxelWorld.generatePineTree(worldX, actualGroundHeight, worldZ);
                         treeType = 'Pine';
-                    } else if (biome.name === 'Tundra' || biome.name.includes('tundra')) {
+                    } else if (woodType === 'birch_wood') {
                         this.voxelWorld.generateBirchTree(worldX, actualGroundHeight, worldZ);
                         treeType = 'Birch';
-                    } else if (biome.name === 'Desert' || biome.name.includes('desert')) {
+                    } else if (woodType === 'palm_wood') {
                         this.voxelWorld.generatePalmTree(worldX, actualGroundHeight, worldZ);
                         treeType = 'Palm';
                     } else {
-                        // Forest, Plains, and other biomes get Oak trees
+                        // oak_wood and anything without its own generator
                         this.voxelWorld.generateOakTree(worldX, actualGroundHeight, worldZ);
                         treeType = 'Oak';
                     }
@@ -1308,8 +1218,20 @@ export class BiomeWorldGen {
         }
 
         // 🏛️ GENERATE STRUCTURES (ruins, chambers, etc.) - Called after all terrain & decorations
-        // Reuse chunkBiome from earlier (already calculated at line 1027)
+        this.generateChunkStructures(chunkX, chunkZ, addBlockFn, chunkBiome);
+
+        loadedChunks.add(chunkKey);
+        // console.log(`✅ CHUNK (${chunkX}, ${chunkZ}) - COMPLETED`); // Removed for performance
+
+        // 📊 Log statistics summary every 10 chunks
+        if (this.DEBUG_MODE && this.STATS.chunksGenerated % 10 === 0) {
+            const treesPerChunk = (this.STATS.treesPlaced / this.STATS.chunksGenerated).toFixed(2);
+            console.log(`📊 BiomeWorldGen Stats: ${this.STATS.chunksGenerated} chunks generated | ${this.STATS.treesPlaced} trees placed (${treesPerChunk} trees/chunk avg) | ${this.STATS.lowHeights} low heights | ${this.STATS.emergencyFills} emergency fills`);
+        }
+    }
 
+    // 🏛️ Structures for a generated chunk: tutorial ruin, ruins/templates and villages
+    generateChunkStructures(chunkX, chunkZ, addBlockFn, chunkBiome) {
         // 🎓 TUTORIAL RUIN: Check if this chunk should contain the tutorial dungeon
         if (this.tutorialRuinGenerator && this.tutorialRuinGenerator.shouldGenerateTutorialRuin(chunkX, chunkZ)) {
             // Only generate tutorial ruin once (on first relevant chunk generation)
@@ -1324,6 +1246,9 @@ export class BiomeWorldGen {
             }
         }
 
+        // 🧱 Superflat worlds stay empty for building (the tutorial ruin still appears)
+        if (this.worldPreset.isSuperflat) return;
+
         // 🏛️ Generate structures (ruins) for this chunk
         if (this.structureGenerator) {
             this.structureGenerator.generateStructuresForChunk(
@@ -1331,19 +1256,15 @@ export class BiomeWorldGen {
                 chunkZ,
                 addBlockFn,
                 (x, z) => this.findGroundHeight(x, z),
-                chunkBiome.name // Pass biome for future biome-specific ruins
+                chunkBiome // Biome decides ruin palette and structure weights
             );
         } else {
             console.error('⚠️ StructureGenerator not initialized!');
         }
 
-        loadedChunks.add(chunkKey);
-        // console.log(`✅ CHUNK (${chunkX}, ${chunkZ}) - COMPLETED`); // Removed for performance
-
-        // 📊 Log statistics summary every 10 chunks
-        if (this.DEBUG_MODE && this.STATS.chunksGenerated % 10 === 0) {
-            const treesPerChunk = (this.STATS.treesPlaced / this.STATS.chunksGenerated).toFixed(2);
-            console.log(`📊 BiomeWorldGen Stats: ${this.STATS.chunksGenerated} chunks generated | ${this.STATS.treesPlaced} trees placed (${treesPerChunk} trees/chunk avg) | ${this.STATS.lowHeights} low heights | ${this.STATS.emergencyFills} emergency fills`);
+        // 🏘️ Village blocks inside this chunk (planned once per village cell)
+        if (this.villageGenerator) {
+            this.villageGenerator.generateForChunk(chunkX, chunkZ, addBlockFn);
         }
     }
 
@@ -1354,39 +1275,8 @@ export class BiomeWorldGen {
             return false;
         }
 
-        // 🌲 BIOME-SPECIFIC TREE DENSITY SYSTEM (2x increased for better coverage)
-        // const biomeDensityMultipliers = {
-        //     'Forest': 16,           // Moderate tree density (2x from 8)
-        //     'dense_forest': 24,     // Dense forests (2x from 12)
-        //     'sparse_forest': 12,    // Light forest areas (2x from 6)
-        //     'Plains': 20,           // Scattered but visible trees (2x from 10)
-        //     'Mountain': 20,         // Moderate density (2x from 10)
-        //     'mountain_forest': 24,  // Forested mountains (2x from 12)
-        //     'Desert': 4,            // Very rare (2x from 2)
-        //     'oasis': 16,            // More trees in oasis (2x from 8)
-        //     'Tundra': 6             // Sparse, hardy trees (2x from 3)
-        // };
-
-                const biomeDensityMultipliers = {
-            'Forest': 8,             // Good forest coverage without crowding
-            'dense_forest': 12,      // Dense forests
-            'sparse_forest': 6,      // Light forest coverage
-            'Plains': 10,            // Scattered trees across plains
-            'Mountain': 10,          // Moderate mountain tree coverage
-            'mountain_forest': 14,   // Forested mountains
-            'Desert': 2,             // Very rare desert trees
-            'oasis': 8,              // More trees in oasis areas
-            'Tundra': 3              // Sparse hardy tundra trees
-        };
-
-        // Check for transition biomes (e.g., "Mountain-Plains Transition")
-        let multiplier = 5; // Default multiplier for unlisted biomes
-        for (const [biomeName, mult] of Object.entries(biomeDensityMultipliers)) {
-            if (biome.name.includes(biomeName)) {
-                multiplier = mult;
-                break;
-            }
-        }
+        // 🌲 BIOME-SPECIFIC TREE DENSITY (treeDensity in biomes.json)
+        const multiplier = biome.treeDensity || 5; // Default multiplier for transition/unlisted biomes
 
         const treeNoise = this.multiOctaveNoise(worldX + 4000, worldZ + 4000, this.noiseParams.microDetail, worldSeed + 4000);
         const baseChance = (biome.treeDistribution.min + biome.treeDistribution.max) / 2;
@@ -1491,11 +1381,49 @@ export class BiomeWorldGen {
     // 🎲 Seed Management
     setWorldSeed(seed) {
         this.worldSeed = seed;
+        this.caveGenerator = new CaveGenerator(seed);
+        this.oreGenerator = new OreGenerator(seed);
+        this.hydrology = new Hydrology(seed);
+        this.villageGenerator.setSeed(seed); // Forgets the old seed's villages
+        this.structureGenerator.setSeed(seed); // Ruins of the new seed (as shown by the seed preview)
         this.chunkCache.clear(); // Clear cache when seed changes
         this.treePositionsByChunk.clear(); // Clear tree positions for new seed
         this.chunkTreeCounter.clear(); // Clear chunk tree counter for new seed
     }
 
+    // 🧱 Set the world border (also used by the village/template terrain planners)
+    setWorldBorder(border) {
+        this.worldBorder = border;
+        this.villageGenerator.setSeed(this.villageGenerator.getWorldSeed()); // Re-plans on the new terrain
+        this.chunkCache.clear();
+    }
+
+    // 🌐 Set the world preset (also used by the village/template terrain planners)
+    setWorldPreset(preset) {
+        this.worldPreset = preset;
+        this.villageGenerator.setSeed(this.villageGenerator.getWorldSeed()); // Re-plans on the new terrain
+        this.chunkCache.clear();
+    }
+
+    // 🧱 Superflat chunk: every column is the preset's layer stack (same blocks as ChunkWorker)
+    generateFlatChunk(chunkX, chunkZ, addBlockFn, chunkSize) {
+        const biome = this.biomes.plains;
+        const height = this.worldPreset.getFlatHeight();
+
+        for (let x = 0; x < chunkSize; x++) {
+            for (let z = 0; z < chunkSize; z++) {
+                const worldX = chunkX * chunkSize + x;
+                const worldZ = chunkZ * chunkSize + z;
+
+                for (let y = 0; y <= height; y++) {
+                    const blockType = this.worldPreset.getLayerBlock(y);
+                    const color = blockType === 'grass' ? this.getHeightBasedColor(biome, height) : undefined;
+                    addBlockFn(worldX, y, worldZ, blockType, false, color);
+                }
+            }
+        }
+    }
+
     // 🧹 Cache Management
     clearCache() {
         this.chunkCache.clear();
@@ -1512,8 +1440,31 @@ export class BiomeWorldGen {
         console.log('🐛 BiomeWorldGen debug mode DISABLED - Production logging');
     }
 
+    // 🕳️ Is (x, y, z) inside a cave? surfaceHeight = top of the uncarved terrain column
+    isCaveAt(worldX, y, worldZ, surfaceHeight) {
+        return this.caveGenerator.isCave(worldX, y, worldZ, surfaceHeight);
+    }
+
+    // ⛏️ Ore block at (x, y, z) in the deep stone layer, or null for plain stone
+    getOreAt(worldX, y, worldZ, biomeId) {
+        return this.oreGenerator.getOreAt(worldX, y, worldZ, biomeId);
+    }
+
     // 🔮 ON-DEMAND TERRAIN GENERATION - For generating single blocks underground
     generateTerrainAt(worldX, worldZ) {
+        if (this.worldPreset.isSuperflat) {
+            const biome = this.biomes.plains;
+            const height = this.worldPreset.getFlatHeight();
+            return {
+                biome,
+                height,
+                hydro: null,
+                waterTop: -1,
+                surfaceColor: new THREE.Color(this.getHeightBasedColor(biome, height)),
+                subSurfaceColor: new THREE.Color(this.getHeightBasedColor(biome, height - 1))
+            };
+        }
+
         const biome = this.getBiomeAt(worldX, worldZ, this.worldSeed);
         const terrainData = this.generateMultiNoiseTerrain(worldX, worldZ, this.worldSeed);
 
@@ -1521,8 +1472,13 @@ export class BiomeWorldGen {
         const biomeHeightCenter = (biome.maxHeight + biome.minHeight) / 2;
         const biomeHeightRange = (biome.maxHeight - biome.minHeight) / 2;
         const generatorHeight = terrainData.height * biomeHeightRange;
-        const rawHeight = biomeHeightCenter + generatorHeight;
-        const height = Math.floor(Math.max(0, Math.min(12, rawHeight + 2)));
+        const rawHeight = this.worldPreset.shapeHeight(biomeHeightCenter + generatorHeight, biome, worldX, worldZ, this.worldSeed);
+        const maxHeight = this.worldPreset.config.maxHeight ?? 12;
+
+        // 🌊 Rivers and lakes carve the column exactly like ChunkWorker (🧱 and the border falloff)
+        const hydro = this.hydrology.getColumn(worldX, worldZ);
+        const carvedHeight = Hydrology.applyToHeight(Math.floor(Math.max(0, Math.min(maxHeight, rawHeight + 2))), hydro);
+        const height = this.worldBorder.applyToHeight(carvedHeight, worldX, worldZ);
 
         // Get colors for layers
         const surfaceColor = this.getHeightBasedColor(biome, height);
@@ -1531,7 +1487,9 @@ export class BiomeWorldGen {
         return {
             biome,
             height,
-            surfaceColor: new THREE.Color(surfaceColor),
+            hydro,
+            waterTop: Hydrology.getWaterTop(hydro),
+            surfaceColor: new THREE.Color(hydro ? Hydrology.tintBankColor(surfaceColor.getHex(), hydro) : surfaceColor),
             subSurfaceColor: new THREE.Color(subSurfaceColor)
         };
     }
@@ -464,6 +464,9 @@ export class BloodMoonSystem {
                 
                 enemy.sprite.position.x += moveX;
                 enemy.sprite.position.z += moveZ;
+
+                // 🧱 Stay inside a finite world
+                this.voxelWorld.worldBorder?.clampPosition(enemy.sprite.position, 0.5);
                 
                 // Update Y to follow terrain
                 enemy.sprite.position.y = this.voxelWorld.getGroundHeight(
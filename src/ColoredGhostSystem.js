@@ -549,6 +549,9 @@ export class ColoredGhostSystem {
                 }
         }
         
+        // 🧱 Stay inside a finite world
+        this.voxelWorld.worldBorder?.clampPosition(ghost.sprite.position, 0.5);
+
         // Update hitbox position
         ghost.hitbox.position.x = ghost.sprite.position.x;
         ghost.hitbox.position.z = ghost.sprite.position.z;
@@ -695,6 +698,7 @@ export class ColoredGhostSystem {
                 
                 ghost.sprite.position.x += Math.cos(ghost.wanderAngle) * this.config.idleWanderSpeed;
                 ghost.sprite.position.z += Math.sin(ghost.wanderAngle) * this.config.idleWanderSpeed;
+                this.voxelWorld.worldBorder?.clampPosition(ghost.sprite.position, 0.5); // 🧱 Finite world edge
                 ghost.hitbox.position.x = ghost.sprite.position.x;
                 ghost.hitbox.position.z = ghost.sprite.position.z;
                 
@@ -546,41 +546,43 @@ export class CraftedTools {
             }
         }
 
-        // Scan all blocks in spherical radius
-        for (let x = -radius; x <= radius; x++) {
-            for (let y = -radius; y <= radius; y++) {
-                for (let z = -radius; z <= radius; z++) {
-                    const blockX = centerX + x;
-                    const blockY = centerY + y;
-                    const blockZ = centerZ + z;
-
-                    // Check if within spherical radius (not cube)
-                    const distance = Math.sqrt(x * x + y * y + z * z);
-                    if (distance <= radius) {
-                        const blockData = this.voxelWorld.getBlock(blockX, blockY, blockZ);
-                        const blockType = blockData?.type || blockData;
-
-                        // 🎄 PROTECT MEGA DOUGLAS FIR (CHRISTMAS TREE) - magical and indestructible!
-                        const isMegaFir = this.voxelWorld.christmasSystem &&
-                                         this.voxelWorld.christmasSystem.isMegaFirBlock(blockX, blockY, blockZ);
-
-                        // 🪨 PROTECT BEDROCK LAYER (Y = 0)
-                        const isBedrockLayer = blockY === 0;
-
-                        // Skip bedrock layer, bedrock blocks, empty blocks, and Christmas tree
-                        if (blockType && blockType !== 'bedrock' && !isMegaFir && !isBedrockLayer) {
-                            blocksDestroyed.push({ x: blockX, y: blockY, z: blockZ, type: blockType });
-
-                            // Give resource to player's inventory FIRST
-                            this.voxelWorld.inventory.addToInventory(blockType, 1);
-
-                            // Remove block visually (don't give items again, we already did)
-                            this.voxelWorld.removeBlock(blockX, blockY, blockZ, false);
+        // Scan all blocks in spherical radius - the whole blast is one undoable action
+        this.voxelWorld.editHistory.record('Explosion', () => {
+            for (let x = -radius; x <= radius; x++) {
+                for (let y = -radius; y <= radius; y++) {
+                    for (let z = -radius; z <= radius; z++) {
+                        const blockX = centerX + x;
+                        const blockY = centerY + y;
+                        const blockZ = centerZ + z;
+
+                        // Check if within spherical radius (not cube)
+                        const distance = Math.sqrt(x * x + y * y + z * z);
+                        if (distance <= radius) {
+                            const blockData = this.voxelWorld.getBlock(blockX, blockY, blockZ);
+                            const blockType = blockData?.type || blockData;
+
+                            // 🎄 PROTECT MEGA DOUGLAS FIR (CHRISTMAS TREE) - magical and indestructible!
+                            const isMegaFir = this.voxelWorld.christmasSystem &&
+                                             this.voxelWorld.christmasSystem.isMegaFirBlock(blockX, blockY, blockZ);
+
+                            // 🪨 PROTECT BEDROCK LAYER (Y = 0)
+                            const isBedrockLayer = blockY === 0;
+
+                            // Skip bedrock layer, bedrock blocks, empty blocks, and Christmas tree
+                            if (blockType && blockType !== 'bedrock' && !isMegaFir && !isBedrockLayer) {
+                                blocksDestroyed.push({ x: blockX, y: blockY, z: blockZ, type: blockType });
+
+                                // Give resource to player's inventory FIRST
+                                this.voxelWorld.inventory.addToInventory(blockType, 1);
+
+                                // Remove block visually (don't give items again, we already did)
+                                this.voxelWorld.removeBlock(blockX, blockY, blockZ, false);
+                            }
                         }
                     }
                 }
             }
-        }
+        });
 
         console.log(`💥 Destroyed ${blocksDestroyed.length} blocks`);
 
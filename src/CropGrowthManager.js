@@ -4,8 +4,10 @@
  * Manages:
  * - Crop growth timers and stage progression
  * - Watering mechanics (2x growth speed when watered)
+ * - Seasonal growth speed (SeasonCalendar cropGrowth: fast in spring, slow in winter)
  * - Tilled soil reversion (unused soil turns back to dirt)
  * - Growth tick updates based on in-game day cycle
+ * - Crop/soil state saved as block state, so it comes back with its chunk
  */
 
 import { farmingBlockTypes, getCropMetadata } from './FarmingBlockTypes.js';
@@ -27,6 +29,9 @@ export class CropGrowthManager {
         
         // Track last update day
         this.lastUpdateDay = 0;
+
+        // 🧩 Restore crops and tilled soil when their chunk loads
+        this.voxelWorld.registerBlockStateHandler((x, y, z, state) => this.restoreBlockState(x, y, z, state));
         
         console.log('🌱 CropGrowthManager initialized');
     }
@@ -54,6 +59,7 @@ export class CropGrowthManager {
 
         // Remove from tilled soil tracker since it's now planted
         this.tilledSoil.delete(key);
+        this.saveBlockState(x, y, z);
 
         // 🌱 Create 3D crop model for stage 1
         if (this.voxelWorld.farmingSystem) {
@@ -100,6 +106,7 @@ export class CropGrowthManager {
         const currentDay = this.voxelWorld.getCurrentDay();
         crop.lastWateredDay = currentDay;
         crop.watered = true;
+        this.saveBlockState(x, y, z);
 
         // Update soil color to darker brown (watered appearance)
         this.updateSoilColor(x, y, z, true);
@@ -119,7 +126,7 @@ export class CropGrowthManager {
         const key = `${x},${y},${z}`;
         const blockData = this.voxelWorld.world[key];
 
-        if (!blockData || !blockData.mesh) return;
+        if (!blockData) return;
 
         // Color values
         const dryColor = 0x6B4423;  // Normal tilled soil brown
@@ -127,9 +134,7 @@ export class CropGrowthManager {
 
         const targetColor = watered ? wetColor : dryColor;
 
-        if (blockData.mesh.material && blockData.mesh.material.color) {
-            blockData.mesh.material.color.setHex(targetColor);
-        }
+        this.voxelWorld.setBlockColor(x, y, z, targetColor);
     }
 
     /**
@@ -142,6 +147,7 @@ export class CropGrowthManager {
         this.tilledSoil.set(key, {
             tilledDay: currentDay
         });
+        this.saveBlockState(x, y, z);
 
         console.log(`🟫 Tilled soil registered at (${x},${y},${z}) on day ${currentDay}`);
     }
@@ -184,10 +190,11 @@ export class CropGrowthManager {
                 crop.watered = false;
                 // Reset soil color to dry when water expires
                 this.updateSoilColor(x, y, z, false);
+                this.saveBlockState(x, y, z);
             }
 
-            // Calculate effective growth rate
-            const growthRate = crop.watered ? this.wateredSpeedMultiplier : 1;
+            // Calculate effective growth rate (watering and the current season)
+            const growthRate = (crop.watered ? this.wateredSpeedMultiplier : 1) * this.getSeasonGrowthMultiplier();
             const daysPerStageAdjusted = this.daysPerStage / growthRate;
 
             // Determine which stage the crop should be at
@@ -200,6 +207,7 @@ export class CropGrowthManager {
 
                 // Update the block in the world
                 this.voxelWorld.setBlock(x, y, z, newBlockType);
+                this.saveBlockState(x, y, z);
 
                 // 🌱 Create/update 3D crop model
                 if (this.voxelWorld.farmingSystem) {
@@ -216,6 +224,14 @@ export class CropGrowthManager {
         }
     }
 
+    /**
+     * 🍂 Growth speed multiplier for the current season (1 if the world has no seasons)
+     */
+    getSeasonGrowthMultiplier() {
+        const season = this.voxelWorld.getCurrentSeason ? this.voxelWorld.getCurrentSeason() : null;
+        return season ? season.cropGrowth : 1;
+    }
+
     /**
      * Update tilled soil (revert to dirt if unused)
      */
@@ -235,6 +251,7 @@ export class CropGrowthManager {
             const [x, y, z] = posKey.split(',').map(Number);
             this.voxelWorld.setBlock(x, y, z, 'dirt');
             this.tilledSoil.delete(posKey);
+            this.saveBlockState(x, y, z);
             console.log(`🟫 Tilled soil reverted to dirt at (${x},${y},${z})`);
         }
     }
@@ -261,6 +278,7 @@ export class CropGrowthManager {
 
         // Remove crop from tracking
         this.crops.delete(key);
+        this.saveBlockState(x, y, z);
 
         // Return harvest yield (modified by watering bonus)
         const yieldMultiplier = crop.watered ? 2 : 1;
@@ -281,6 +299,7 @@ export class CropGrowthManager {
         const key = `${x},${y},${z}`;
         this.crops.delete(key);
         this.tilledSoil.delete(key);
+        this.saveBlockState(x, y, z);
 
         // 🗑️ Remove 3D crop model
         if (this.voxelWorld.farmingSystem) {
@@ -288,6 +307,44 @@ export class CropGrowthManager {
         }
     }
 
+    /**
+     * 🧩 Persist the crop/soil at a position as its block state (cleared if neither)
+     */
+    saveBlockState(x, y, z) {
+        const key = `${x},${y},${z}`;
+        const crop = this.crops.get(key);
+        const soil = this.tilledSoil.get(key);
+
+        if (crop) {
+            this.voxelWorld.setBlockState(x, y, z, { growthStage: crop.stage, data: { crop } });
+        } else if (soil) {
+            this.voxelWorld.setBlockState(x, y, z, { data: { soil } });
+        } else {
+            this.voxelWorld.setBlockState(x, y, z, null);
+        }
+    }
+
+    /**
+     * 🧩 Block state handler: bring back a crop or tilled soil when its chunk loads
+     */
+    restoreBlockState(x, y, z, state) {
+        const key = `${x},${y},${z}`;
+        const { crop, soil } = state.data || {};
+
+        if (crop) {
+            this.crops.set(key, { ...crop, stage: state.growthStage || crop.stage });
+
+            if (this.voxelWorld.farmingSystem) {
+                this.voxelWorld.farmingSystem.create3DCropModel(x, y, z, crop.cropType, state.growthStage || crop.stage);
+            }
+            if (this.isWatered(x, y, z)) {
+                this.updateSoilColor(x, y, z, true);
+            }
+        } else if (soil) {
+            this.tilledSoil.set(key, soil);
+        }
+    }
+
     /**
      * Helper: Get crop type from seed item
      */
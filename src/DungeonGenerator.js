@@ -1,122 +1,103 @@
+import { DungeonLayout } from './worldgen/DungeonLayout.js';
+
 /**
  * DungeonGenerator.js
- * Procedurally generates dungeon layouts with rooms and corridors
+ * Builds dungeons from DungeonLayout room graphs: rooms, corridors, stairs between
+ * floors, locked doors with their keys, secret rooms and the boss room
  */
 
 export class DungeonGenerator {
     constructor(voxelWorld) {
         this.voxelWorld = voxelWorld;
         
-        // Room templates
+        // Room templates (DungeonLayout room types)
         this.roomTypes = [
             'entrance',
             'chamber',
-            'corridor',
             'monster_room',
             'treasure_room',
-            'boss_room',
-            'exit'
+            'key_room',
+            'secret_room',
+            'boss_room'
         ];
         
         // Block types for dungeons
         this.blocks = {
-            floor: 1,    // Stone
-            wall: 1,     // Stone
-            ceiling: 1,  // Stone
-            air: 0,      // Air
-            torch: 2     // Placeholder for light source
+            floor: 'ruin_floor_all',
+            wall: 'ruin_stone_all',
+            ceiling: 'ruin_ceiling_all',
+            door: 'ruin_door',       // Locked doors (removed by unlockDoor)
+            stairs: 'ruin_stone_all',
+            key: 'pedestal',         // Key spot in key rooms
+            torch: 'torch'
         };
         
+        // Corridor opening (blocks)
+        this.corridorWidth = 3;
+        this.corridorHeight = 4;
+        
         console.log('🏗️ DungeonGenerator initialized');
     }
     
     /**
      * Generate a complete dungeon
-     * @param {object} mapData - Map data from MapManager
+     * @param {object} mapData - Map data from MapManager (tier + seed pick the layout)
      */
     generate(mapData) {
-        console.log(`🏔️ Generating dungeon: ${mapData.id} (Tier ${mapData.tier})`);
+        console.log(`🏔️ Generating dungeon: ${mapData.id} (Tier ${mapData.tier}, seed ${mapData.seed})`);
         
         // Clear existing chunks
         this.voxelWorld.chunks.clear();
         
-        // Determine dungeon size based on tier
-        const roomCount = 5 + (mapData.tier * 3); // Tier 1: 8 rooms, Tier 5: 20 rooms
-        
         // Generate layout
-        const layout = this.generateLayout(roomCount, mapData.tier);
+        const layout = this.generateLayout(mapData.tier, mapData.seed);
         
-        // Build rooms
-        layout.forEach((room) => {
+        // Build rooms, then carve the passages between them
+        layout.rooms.forEach((room) => {
             this.buildRoom(room, mapData);
         });
+        mapData.locks = [];
+        layout.edges.forEach((edge) => {
+            if (edge.type === 'stairs') {
+                this.buildStairs(layout, edge);
+            } else {
+                this.buildCorridor(layout, edge, mapData);
+            }
+        });
+        mapData.keys = layout.keys.map((key) => this.placeKey(layout, key));
         
         // Spawn enemies
         this.spawnEnemies(layout, mapData);
         
         // Place entrance portal (to return to overworld)
-        this.placeExitPortal(layout[0], mapData);
-        
-        mapData.rooms = layout;
+        const entrance = DungeonLayout.getRoom(layout, layout.entrance);
+        this.placeExitPortal(entrance, mapData);
+        
+        mapData.layout = layout;
+        mapData.rooms = layout.rooms;
+        mapData.bounds = {
+            minX: 0,
+            minZ: 0,
+            maxX: DungeonLayout.GRID_SIZE * DungeonLayout.CELL_SIZE - 1,
+            maxZ: DungeonLayout.GRID_SIZE * DungeonLayout.CELL_SIZE - 1
+        };
+        mapData.playerSpawn = {
+            x: entrance.position.x + Math.floor(entrance.size.w / 2),
+            y: entrance.position.y + 1,
+            z: entrance.position.z + Math.floor(entrance.size.d / 2)
+        };
         
-        console.log(`✅ Dungeon generated: ${roomCount} rooms`);
+        const { rooms, locks, secrets, loops, deadEnds } = layout.stats;
+        console.log(`✅ Dungeon generated: ${rooms} rooms on ${layout.floors} floors, ${locks} locks, ${secrets} secret rooms, ${loops} loops, ${deadEnds} dead ends`);
     }
     
     /**
-     * Generate dungeon layout (room positions and connections)
+     * Generate dungeon layout (room graph, validated for solvability)
+     * @param {number} tier - Difficulty 1-5 (floors, rooms, locks, enemies)
+     * @param {number} seed - Same seed + tier = same dungeon
      */
-    generateLayout(roomCount, tier) {
-        const layout = [];
-        const roomSize = 16; // Blocks per room
-        const spacing = 4;   // Blocks between rooms
-        
-        // Start with entrance room at origin
-        layout.push({
-            id: 'entrance',
-            type: 'entrance',
-            position: { x: 0, y: 10, z: 0 },
-            size: { w: roomSize, h: 8, d: roomSize },
-            connections: []
-        });
-        
-        // Generate additional rooms in a branching pattern
-        let currentX = 0;
-        let currentZ = 0;
-        
-        for (let i = 1; i < roomCount; i++) {
-            // Random direction (north, south, east, west)
-            const direction = Math.floor(Math.random() * 4);
-            
-            switch (direction) {
-                case 0: currentZ += roomSize + spacing; break; // North
-                case 1: currentZ -= roomSize + spacing; break; // South
-                case 2: currentX += roomSize + spacing; break; // East
-                case 3: currentX -= roomSize + spacing; break; // West
-            }
-            
-            // Determine room type
-            let roomType = 'chamber';
-            if (i === roomCount - 1) {
-                roomType = 'boss_room'; // Last room is boss
-            } else if (Math.random() < 0.3) {
-                roomType = 'monster_room';
-            } else if (Math.random() < 0.1) {
-                roomType = 'treasure_room';
-            }
-            
-            layout.push({
-                id: `room_${i}`,
-                type: roomType,
-                position: { x: currentX, y: 10, z: currentZ },
-                size: { w: roomSize, h: 8, d: roomSize },
-                connections: [layout[i - 1].id] // Connect to previous room
-            });
-            
-            // Connect previous room to this one
-            layout[i - 1].connections.push(`room_${i}`);
-        }
-        
-        return layout;
+    generateLayout(tier, seed) {
+        return DungeonLayout.generate({ seed, tier });
     }
     
     /**
@@ -162,51 +143,141 @@ export class DungeonGenerator {
             }
         }
         
-        // Clear interior (air blocks)
-        for (let by = 0; by < h; by++) {
-            for (let bx = 1; bx < w - 1; bx++) {
-                for (let bz = 1; bz < d - 1; bz++) {
-                    this.voxelWorld.setBlock(
-                        x + bx, y + by, z + bz,
-                        this.blocks.air
-                    );
+        // Add torches for lighting (secret rooms stay dark)
+        if (!room.secret) {
+            this.placeTorches(room);
+        }
+        
+        console.log(`🚪 Built room: ${room.id} (${room.type}, floor ${room.floor})`);
+    }
+    
+    /**
+     * Build the corridor of a door/locked/secret edge and open it into both rooms
+     * A secret corridor stays walled off on the ordinary room's side.
+     */
+    buildCorridor(layout, edge, mapData) {
+        const from = DungeonLayout.getRoom(layout, edge.from);
+        const to = DungeonLayout.getRoom(layout, edge.to);
+        
+        // "along" runs from the first room to the second, "across" is the corridor width
+        const alongX = from.cell.x !== to.cell.x;
+        const [first, second] = (alongX ? from.cell.x < to.cell.x : from.cell.z < to.cell.z) ? [from, to] : [to, from];
+        const toWorld = (along, across) => (alongX ? { x: along, z: across } : { x: across, z: along });
+        
+        const start = alongX ? first.position.x + first.size.w - 1 : first.position.z + first.size.d - 1; // First room's wall
+        const end = alongX ? second.position.x : second.position.z;                                       // Second room's wall
+        const center = (alongX ? first.cell.z : first.cell.x) * DungeonLayout.CELL_SIZE + Math.floor(DungeonLayout.CELL_SIZE / 2);
+        const halfWidth = Math.floor(this.corridorWidth / 2);
+        const y = first.position.y;
+        
+        // Floor, ceiling and side walls between the two rooms
+        for (let along = start + 1; along < end; along++) {
+            for (let across = center - halfWidth - 1; across <= center + halfWidth + 1; across++) {
+                const { x, z } = toWorld(along, across);
+                this.voxelWorld.setBlock(x, y - 1, z, this.blocks.floor);
+                this.voxelWorld.setBlock(x, y + this.corridorHeight, z, this.blocks.ceiling);
+                if (Math.abs(across - center) > halfWidth) {
+                    for (let dy = 0; dy < this.corridorHeight; dy++) {
+                        this.voxelWorld.setBlock(x, y + dy, z, this.blocks.wall);
+                    }
                 }
             }
         }
         
-        // Add doorways to connected rooms
-        this.createDoorways(room, mapData);
-        
-        // Add torches for lighting
-        this.placeTorches(room);
+        // Doorways (a secret room is only open on its own side)
+        const hiddenSide = edge.type === 'secret' ? (first.secret ? second : first) : null;
+        for (const [room, along] of [[first, start], [second, end]]) {
+            if (room === hiddenSide) continue;
+            this.fillOpening(toWorld, along, center, y, null);
+        }
         
-        console.log(`🚪 Built room: ${room.id} (${room.type})`);
+        // 🔒 Locked door halfway down the corridor
+        if (edge.type === 'locked') {
+            const blocks = this.fillOpening(toWorld, Math.floor((start + end) / 2), center, y, this.blocks.door);
+            mapData.locks.push({ id: edge.id, key: edge.key, open: false, blocks });
+        }
+    }
+    
+    /**
+     * Clear (blockType = null) or fill one corridor-sized opening
+     * @returns {Array} Positions changed
+     */
+    fillOpening(toWorld, along, center, y, blockType) {
+        const halfWidth = Math.floor(this.corridorWidth / 2);
+        const positions = [];
+        for (let across = center - halfWidth; across <= center + halfWidth; across++) {
+            for (let dy = 0; dy < this.corridorHeight; dy++) {
+                const { x, z } = toWorld(along, across);
+                if (blockType) {
+                    this.voxelWorld.setBlock(x, y + dy, z, blockType);
+                } else {
+                    this.voxelWorld.removeBlock(x, y + dy, z, false);
+                }
+                positions.push({ x, y: y + dy, z });
+            }
+        }
+        return positions;
     }
     
     /**
-     * Create doorways between connected rooms
+     * Build a flight of stairs from a room down to the room below it
+     * Both rooms are DungeonLayout.STAIRS_ROOM_SIZE wide, so the flight runs along
+     * their shared north side, through the upper floor and the lower ceiling.
      */
-    createDoorways(room, mapData) {
-        // TODO: Calculate doorway positions based on room connections
-        // For now, create a simple doorway in the center of each wall
+    buildStairs(layout, edge) {
+        const a = DungeonLayout.getRoom(layout, edge.from);
+        const b = DungeonLayout.getRoom(layout, edge.to);
+        const upper = a.position.y > b.position.y ? a : b;
+        const lower = upper === a ? b : a;
+        const drop = upper.position.y - lower.position.y;
+        const { x, z } = upper.position;
+        
+        for (let step = 1; step < drop; step++) {
+            const stepX = x + 1 + step;
+            const stepY = upper.position.y - 1 - step;
+            for (const stepZ of [z + 3, z + 4]) {
+                this.voxelWorld.setBlock(stepX, stepY, stepZ, this.blocks.stairs);
+                for (let dy = 1; dy <= 4; dy++) {
+                    this.voxelWorld.removeBlock(stepX, stepY + dy, stepZ, false);
+                }
+            }
+        }
         
-        const { x, y, z } = room.position;
-        const { w, h, d } = room.size;
+        console.log(`🪜 Stairs: ${upper.id} (floor ${upper.floor}) → ${lower.id} (floor ${lower.floor})`);
+    }
+    
+    /**
+     * Put a key in its room
+     * @returns {object} { id, room, lock, position, collected }
+     */
+    placeKey(layout, key) {
+        const room = DungeonLayout.getRoom(layout, key.room);
+        const position = {
+            x: room.position.x + Math.floor(room.size.w / 2),
+            y: room.position.y,
+            z: room.position.z + Math.floor(room.size.d / 2)
+        };
+        this.voxelWorld.setBlock(position.x, position.y, position.z, this.blocks.key);
         
-        const doorWidth = 3;
-        const doorHeight = 4;
+        console.log(`🗝️ ${key.id} in ${room.id} opens ${key.lock}`);
+        return { ...key, position, collected: false };
+    }
+    
+    /**
+     * 🔓 Open the door a key belongs to (called when the player picks the key up)
+     * @returns {boolean} True if a closed door was opened
+     */
+    unlockDoor(mapData, keyId) {
+        const key = (mapData.keys || []).find((candidate) => candidate.id === keyId);
+        const lock = (mapData.locks || []).find((candidate) => candidate.key === keyId);
+        if (!key || !lock || lock.open) return false;
         
-        // Center doorway on north wall
-        const doorX = Math.floor(w / 2) - Math.floor(doorWidth / 2);
+        key.collected = true;
+        lock.open = true;
+        lock.blocks.forEach(({ x, y, z }) => this.voxelWorld.removeBlock(x, y, z, false));
         
-        for (let dy = 0; dy < doorHeight; dy++) {
-            for (let dx = 0; dx < doorWidth; dx++) {
-                this.voxelWorld.setBlock(
-                    x + doorX + dx, y + dy, z,
-                    this.blocks.air
-                );
-            }
-        }
+        console.log(`🔓 ${keyId} opened ${lock.id}`);
+        return true;
     }
     
     /**
@@ -226,7 +297,7 @@ export class DungeonGenerator {
     }
     
     /**
-     * Spawn enemies in rooms
+     * Spawn enemies in rooms (counts come from the layout; deeper floors are harder)
      */
     spawnEnemies(layout, mapData) {
         if (!this.voxelWorld.roamingEnemySystem) {
@@ -234,21 +305,10 @@ export class DungeonGenerator {
             return;
         }
         
-        layout.forEach((room) => {
-            if (room.type === 'monster_room' || room.type === 'chamber') {
-                const enemyCount = Math.floor(Math.random() * 3) + 1; // 1-3 enemies
-                
-                for (let i = 0; i < enemyCount; i++) {
-                    const enemyType = this.selectRandomEnemy(mapData.tier);
-                    const spawnPos = {
-                        x: room.position.x + Math.random() * (room.size.w - 4) + 2,
-                        y: room.position.y + 1,
-                        z: room.position.z + Math.random() * (room.size.d - 4) + 2
-                    };
-                    
-                    this.voxelWorld.roamingEnemySystem.spawnEnemy(enemyType, spawnPos);
-                }
-            } else if (room.type === 'boss_room') {
+        // Own random stream (planning used streams 0..MAX_ATTEMPTS-1)
+        const random = DungeonLayout.createRandom(layout.seed, DungeonLayout.MAX_ATTEMPTS + layout.attempt);
+        layout.rooms.forEach((room) => {
+            if (room.type === 'boss_room') {
                 // Spawn boss
                 const bossType = this.selectBoss(mapData.tier);
                 const spawnPos = {
@@ -258,6 +318,19 @@ export class DungeonGenerator {
                 };
                 
                 this.voxelWorld.roamingEnemySystem.spawnEnemy(bossType, spawnPos);
+                return;
+            }
+            
+            const enemyTier = Math.min(DungeonLayout.MAX_TIER, mapData.tier + Math.floor(room.floor / 2));
+            for (let i = 0; i < room.enemyCount; i++) {
+                const enemyType = this.selectRandomEnemy(enemyTier, random);
+                const spawnPos = {
+                    x: room.position.x + random() * (room.size.w - 4) + 2,
+                    y: room.position.y + 1,
+                    z: room.position.z + random() * (room.size.d - 4) + 2
+                };
+                
+                this.voxelWorld.roamingEnemySystem.spawnEnemy(enemyType, spawnPos);
             }
         });
     }
@@ -265,7 +338,7 @@ export class DungeonGenerator {
     /**
      * Select random enemy based on tier
      */
-    selectRandomEnemy(tier) {
+    selectRandomEnemy(tier, random = Math.random) {
         const tierEnemies = {
             1: ['rat', 'goblin_grunt', 'troglodyte'],
             2: ['angry_ghost', 'vine_creeper', 'goblin_engineer', 'zombie_crawler', 'skeleton_archer'],
@@ -275,7 +348,7 @@ export class DungeonGenerator {
         };
         
         const enemies = tierEnemies[tier] || tierEnemies[1];
-        return enemies[Math.floor(Math.random() * enemies.length)];
+        return enemies[Math.floor(random() * enemies.length)];
     }
     
     /**
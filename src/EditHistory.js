@@ -0,0 +1,262 @@
+/**
+ * ↩️ EditHistory - Undo/redo for player world edits
+ *
+ * Features:
+ * - Block edits are grouped into actions (one placement, one harvest, one
+ *   explosion, one structure stamp = one action)
+ * - Each action remembers the inventory it moved (items spent or received),
+ *   so undo refunds what a placement cost and takes back what a harvest gave
+ * - Bounded undo stack; any new action clears the redo stack
+ * - Replays go through VoxelWorld.applyBlockEdit so chunk persistence and the
+ *   recovery journal always match what is on screen
+ *
+ * Recording:
+ *   record(label, fn)  → runs fn as one action (nested calls join the outer one)
+ *   recordEdit()       → called by addBlock/removeBlock while an action is open
+ *   recordItems()      → called by InventorySystem while an action is open
+ */
+
+export class EditHistory {
+    static MAX_ACTIONS = 50;
+
+    constructor(voxelWorld, maxActions = EditHistory.MAX_ACTIONS) {
+        this.voxelWorld = voxelWorld;
+        this.maxActions = maxActions;
+
+        this.undoStack = []; // [{ label, edits, items }] - oldest first
+        this.redoStack = [];
+
+        this.currentAction = null;
+        this.depth = 0; // Nesting depth of record() calls
+    }
+
+    /**
+     * 🎬 Run fn as a single undoable action
+     * @param {string} label - Shown in status messages ("Undid Explosion")
+     * @param {Function} fn - Performs the edits
+     * @returns {*} Whatever fn returns
+     */
+    record(label, fn) {
+        this.beginAction(label);
+        try {
+            return fn();
+        } finally {
+            this.endAction();
+        }
+    }
+
+    beginAction(label) {
+        if (this.depth === 0) {
+            this.currentAction = { label, edits: [], editIndex: new Map(), items: {} };
+        }
+        this.depth++;
+    }
+
+    endAction() {
+        if (this.depth === 0) return;
+        this.depth--;
+        if (this.depth > 0) return;
+
+        const action = this.currentAction;
+        this.currentAction = null;
+
+        // Blocks placed and removed again within the action cancel out
+        action.edits = action.edits.filter(edit =>
+            (edit.before && edit.before.type) !== (edit.after && edit.after.type));
+        delete action.editIndex;
+
+        // Actions that never touched a block (eating, crafted meshes, teleport pads) aren't undoable
+        if (action.edits.length === 0) return;
+
+        this.undoStack.push(action);
+        if (this.undoStack.length > this.maxActions) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * @returns {boolean} True while an action is open
+     */
+    isRecording() {
+        return this.currentAction !== null;
+    }
+
+    /**
+     * 🧱 Record a block change inside the open action
+     * @param {Object|null} before - World entry before the edit (null = air)
+     * @param {Object|null} after - World entry after the edit (null = air)
+     */
+    recordEdit(x, y, z, before, after) {
+        if (!this.currentAction) return;
+
+        const key = `${x},${y},${z}`;
+        const existing = this.currentAction.editIndex.get(key);
+        if (existing) {
+            // Same block touched twice in one action - keep the original "before"
+            existing.after = EditHistory.snapshot(after);
+            return;
+        }
+
+        const edit = { x, y, z, before: EditHistory.snapshot(before), after: EditHistory.snapshot(after) };
+        this.currentAction.editIndex.set(key, edit);
+        this.currentAction.edits.push(edit);
+    }
+
+    /**
+     * 🙈 Drop a block from the open action (terrain generated on demand mid-action)
+     */
+    forgetEdit(x, y, z) {
+        if (!this.currentAction) return;
+
+        const key = `${x},${y},${z}`;
+        const edit = this.currentAction.editIndex.get(key);
+        if (!edit) return;
+
+        this.currentAction.editIndex.delete(key);
+        this.currentAction.edits.splice(this.currentAction.edits.indexOf(edit), 1);
+    }
+
+    /**
+     * 🎒 Record inventory movement inside the open action
+     * @param {string} itemType
+     * @param {number} quantity - Positive = player received, negative = player spent
+     */
+    recordItems(itemType, quantity) {
+        if (!this.currentAction || !itemType || !quantity) return;
+
+        const items = this.currentAction.items;
+        items[itemType] = (items[itemType] || 0) + quantity;
+        if (items[itemType] === 0) {
+            delete items[itemType];
+        }
+    }
+
+    /**
+     * ⏪ Undo the most recent action
+     * @returns {boolean} True if the action was undone
+     */
+    undo() {
+        const action = this.undoStack[this.undoStack.length - 1];
+        if (!action) {
+            this.voxelWorld.updateStatus('↩️ Nothing to undo', 'warning');
+            return false;
+        }
+
+        if (!this.apply(action, true)) return false;
+
+        this.undoStack.pop();
+        this.redoStack.push(action);
+        return true;
+    }
+
+    /**
+     * ⏩ Redo the most recently undone action
+     * @returns {boolean} True if the action was redone
+     */
+    redo() {
+        const action = this.redoStack[this.redoStack.length - 1];
+        if (!action) {
+            this.voxelWorld.updateStatus('↪️ Nothing to redo', 'warning');
+            return false;
+        }
+
+        if (!this.apply(action, false)) return false;
+
+        this.redoStack.pop();
+        this.undoStack.push(action);
+        return true;
+    }
+
+    /**
+     * Apply an action backwards (undo) or forwards (redo)
+     * Nothing is touched unless the chunks are loaded, every block is still as the action
+     * left it and the inventory can cover it (items aren't tracked per block, so a partial
+     * replay would move the whole action's items for only some of its blocks)
+     */
+    apply(action, reverse) {
+        const vw = this.voxelWorld;
+        const verb = reverse ? 'undo' : 'redo';
+
+        // 🗺️ Every edit must be in a loaded chunk (otherwise the chunk would reload over it)
+        const unloaded = action.edits.some(edit => {
+            const chunkX = Math.floor(edit.x / vw.chunkSize);
+            const chunkZ = Math.floor(edit.z / vw.chunkSize);
+            return !vw.loadedChunks.has(`${chunkX},${chunkZ}`);
+        });
+        if (unloaded) {
+            vw.updateStatus(`🗺️ Too far away to ${verb} ${action.label}`, 'warning');
+            return false;
+        }
+
+        // 🌱 Something else changed a block since (another edit, a growing crop...) - leave the action alone
+        const changed = action.edits.filter(edit => {
+            const expected = reverse ? edit.after : edit.before;
+            const current = EditHistory.snapshot(vw.world[`${edit.x},${edit.y},${edit.z}`]);
+            return (current && current.type) !== (expected && expected.type);
+        });
+        if (changed.length > 0) {
+            vw.updateStatus(`🌱 Can't ${verb} ${action.label} - ${changed.length} of its blocks changed since`, 'warning');
+            return false;
+        }
+
+        // 🎒 Items flow the opposite way on undo: received items are taken back, spent items refunded
+        const sign = reverse ? -1 : 1;
+        for (const [itemType, quantity] of Object.entries(action.items)) {
+            const needed = -quantity * sign;
+            if (needed > 0 && vw.inventory.countItemInSlots(itemType) < needed) {
+                vw.updateStatus(`🎒 Need ${needed} ${itemType} to ${verb} ${action.label}`, 'warning');
+                return false;
+            }
+        }
+
+        const edits = reverse ? [...action.edits].reverse() : action.edits;
+        for (const edit of edits) {
+            vw.applyBlockEdit(edit.x, edit.y, edit.z, reverse ? edit.before : edit.after);
+        }
+
+        for (const [itemType, quantity] of Object.entries(action.items)) {
+            const delta = quantity * sign;
+            if (delta > 0) {
+                vw.inventory.addToInventory(itemType, delta);
+            } else {
+                vw.inventory.removeFromInventory(itemType, -delta);
+            }
+        }
+
+        const icon = reverse ? '↩️' : '↪️';
+        console.log(`${icon} ${reverse ? 'Undid' : 'Redid'} ${action.label}: ${action.edits.length} blocks`);
+        vw.updateStatus(`${icon} ${reverse ? 'Undid' : 'Redid'} ${action.label}`, 'success');
+        return true;
+    }
+
+    /**
+     * 🗑️ Forget all history (new game or a different save was loaded)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * 📋 Describe the stacks (newest first) for the console
+     * @returns {{ undo: string[], redo: string[] }}
+     */
+    getSummary() {
+        const describe = action => `${action.label} (${action.edits.length} block${action.edits.length === 1 ? '' : 's'})`;
+        return {
+            undo: this.undoStack.map(describe).reverse(),
+            redo: this.redoStack.map(describe).reverse()
+        };
+    }
+
+    /**
+     * Copy just the parts of a world entry needed to recreate it
+     * @param {Object|null} block - this.world entry
+     * @returns {{ type: string, playerPlaced: boolean }|null}
+     */
+    static snapshot(block) {
+        if (!block) return null;
+        return { type: block.type, playerPlaced: !!block.playerPlaced };
+    }
+}
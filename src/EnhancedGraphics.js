@@ -58,6 +58,8 @@ export class EnhancedGraphics {
             crafted_wood_shield: 'wood_shield',
             crafted_combat_sword: 'sword',
             crafted_mining_pick: 'pickaxe',
+            iron_pickaxe: 'pickaxe',
+            crystal_pickaxe: 'pickaxe',
             crafted_stone_hammer: 'stone_hammer',
             crafted_machete: 'machete',
             crafted_compass: 'compass',
@@ -320,6 +320,9 @@ export class GhostSystem {
                 }
             }
 
+            // 🧱 Stay inside a finite world
+            this.voxelWorld?.worldBorder?.clampPosition(ghost.sprite.position, 0.5);
+
             // 3. APPLY FLOATING Y POSITION
             ghost.sprite.position.y = ghost.baseY + floatY;
 
@@ -173,6 +173,9 @@ export class InventorySystem {
         this.updateHotbarCounts();
         this.updateBackpackInventoryDisplay();
 
+        // ↩️ Remember what an undoable action cost
+        this.voxelWorld.editHistory?.recordItems(itemType, remaining - quantity);
+
         return quantity - remaining; // Return how many were actually removed
     }
 
@@ -217,6 +220,9 @@ export class InventorySystem {
         this.updateHotbarCounts();
         this.updateBackpackInventoryDisplay();
 
+        // ↩️ Remember what an undoable action handed out (undo takes it back)
+        this.voxelWorld.editHistory?.recordItems(itemType, quantity - remaining);
+
         return quantity - remaining; // Return how many were actually added
     }
 
@@ -1,7 +1,20 @@
+import { ChunkPersistence } from './serialization/ChunkPersistence.js';
+
 /**
  * MapManager.js
  * Manages multiple map instances (overworld, dungeons, etc.)
  * Handles map switching, loading, and unloading
+ *
+ * Persistence:
+ * - Every map except the overworld (dungeons, other dimensions) is saved through its own
+ *   namespaced ChunkPersistence ("map_<id>"): its blocks as chunks, plus a state record
+ *   with player spawn, return point, cleared rooms, enemies, keys and locks
+ * - A map is written when the player leaves it and before every slot save, and read back
+ *   when the player enters it again - a half-cleared dungeon stays half cleared
+ * - The save slot only lists the maps (getSaveData / loadSaveData); the rest stays in
+ *   the map storage
+ * - While a map is current, its blocks are the ones in voxelWorld.world (inside
+ *   mapData.bounds when the generator set them)
  */
 
 export class MapManager {
@@ -10,6 +23,8 @@ export class MapManager {
         this.maps = new Map(); // mapId → mapData
         this.currentMapId = 'overworld';
         this.previousMapId = null;
+        this.persistence = new Map(); // mapId → ChunkPersistence (namespaced)
+        this.isElectron = typeof window !== 'undefined' && window.process && window.process.type === 'renderer';
         
         // Initialize overworld as default map
         this.maps.set('overworld', {
@@ -28,31 +43,49 @@ export class MapManager {
      * @param {string} dungeonId - Unique dungeon identifier
      * @param {number} tier - Dungeon difficulty tier (1-5)
      * @param {object} entrancePos - Position in overworld where player entered
+     * @param {number} seed - Layout seed (default: from the world seed + dungeonId, so a dungeon is the same every visit)
      */
-    createDungeon(dungeonId, tier, entrancePos) {
+    createDungeon(dungeonId, tier, entrancePos, seed = this.getDungeonSeed(dungeonId)) {
         const mapData = {
             id: dungeonId,
             type: 'dungeon',
             tier: tier,
-            chunks: new Map(), // Fresh chunk map for dungeon
+            seed: seed,
             playerSpawn: { x: 0, y: 10, z: 0 }, // Start position in dungeon
             returnPoint: entrancePos, // Where to return player in overworld
             generated: false,
+            persisted: false, // Blocks + state are in the map storage
+            savedChunks: [], // "chunkX,chunkZ" of the stored chunks
             rooms: [],
+            clearedRooms: [],
             enemies: []
         };
         
         this.maps.set(dungeonId, mapData);
-        console.log(`🏔️ Created dungeon: ${dungeonId} (Tier ${tier})`);
+        console.log(`🏔️ Created dungeon: ${dungeonId} (Tier ${tier}, seed ${seed})`);
         
         return mapData;
     }
     
+    /**
+     * Seed for a dungeon from the world seed and its id (FNV-1a)
+     */
+    getDungeonSeed(dungeonId) {
+        const text = `${this.voxelWorld.worldSeed ?? 0}:${dungeonId}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
     /**
      * Switch to a different map
      * @param {string} targetMapId - Map to switch to
+     * @returns {Promise<boolean>}
      */
-    switchMap(targetMapId) {
+    async switchMap(targetMapId) {
         if (!this.maps.has(targetMapId)) {
             console.error(`❌ Map not found: ${targetMapId}`);
             return false;
@@ -64,24 +97,21 @@ export class MapManager {
         console.log(`🚪 Switching map: ${this.currentMapId} → ${targetMapId}`);
         
         // Save current map state
-        this.saveMapState(previousMap);
+        await this.saveMapState(previousMap);
         
         // Unload current map chunks
         this.unloadMap(this.currentMapId);
         
         // Load target map
-        this.loadMap(targetMapId);
+        await this.loadMap(targetMapId);
         
         // Update current map
         this.previousMapId = this.currentMapId;
         this.currentMapId = targetMapId;
         
-        // Move player to spawn point
-        this.voxelWorld.player.position.set(
-            targetMap.playerSpawn.x,
-            targetMap.playerSpawn.y,
-            targetMap.playerSpawn.z
-        );
+        // Move player to spawn point (back out at the entrance when leaving a dungeon)
+        const spawn = (targetMap.type === 'overworld' && previousMap.returnPoint) || targetMap.playerSpawn;
+        this.voxelWorld.player.position.set(spawn.x, spawn.y, spawn.z);
         
         // Reset camera
         if (this.voxelWorld.camera) {
@@ -95,21 +125,130 @@ export class MapManager {
     /**
      * Save current map state (enemies, modified blocks, etc.)
      */
-    saveMapState(mapData) {
+    async saveMapState(mapData) {
         if (mapData.type === 'overworld') {
             // Overworld chunks already stored in voxelWorld.chunks
             mapData.chunks = this.voxelWorld.chunks;
-        } else if (mapData.type === 'dungeon') {
-            // Save dungeon chunks
-            mapData.chunks = new Map(this.voxelWorld.chunks);
+            return;
+        }
+        
+        // Save enemy positions if roaming enemy system exists
+        if (this.voxelWorld.roamingEnemySystem) {
+            mapData.enemies = Array.from(
+                this.voxelWorld.roamingEnemySystem.enemies.values()
+            ).map((enemy) => ({
+                type: enemy.type,
+                position: { ...enemy.position },
+                hp: enemy.hp
+            }));
+            mapData.clearedRooms = this.getClearedRooms(mapData);
+        }
+        
+        await this.persistMap(mapData);
+    }
+    
+    /**
+     * 💾 Write the current map (not the overworld) to its storage
+     * SaveSystem calls this before every slot save.
+     */
+    async persistCurrentMap() {
+        const mapData = this.getCurrentMap();
+        if (!mapData || mapData.type === 'overworld') return;
+        
+        await this.saveMapState(mapData);
+    }
+    
+    /**
+     * 💾 Write a map's blocks and state (the map must be the current one)
+     */
+    async persistMap(mapData) {
+        const persistence = this.getPersistence(mapData.id);
+        const chunks = this.collectMapChunks(mapData);
+        
+        for (const { chunkX, chunkZ, blocks } of chunks.values()) {
+            await persistence.saveChunk(chunkX, chunkZ, { blocks, trees: [] });
+        }
+        
+        // Chunks the player emptied since the last save
+        for (const chunkKey of mapData.savedChunks || []) {
+            if (!chunks.has(chunkKey)) {
+                const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+                await persistence.deleteChunk(chunkX, chunkZ);
+            }
+        }
+        mapData.savedChunks = Array.from(chunks.keys());
+        
+        await persistence.saveMapState({
+            id: mapData.id,
+            type: mapData.type,
+            tier: mapData.tier ?? null,
+            seed: mapData.seed ?? null,
+            playerSpawn: mapData.playerSpawn,
+            returnPoint: mapData.returnPoint ?? null,
+            bounds: mapData.bounds ?? null,
+            savedChunks: mapData.savedChunks,
+            rooms: mapData.rooms || [],
+            clearedRooms: mapData.clearedRooms || [],
+            enemies: mapData.enemies || [],
+            keys: mapData.keys || [],
+            locks: mapData.locks || []
+        });
+        mapData.persisted = true;
+        
+        console.log(`💾 Saved map ${mapData.id}: ${chunks.size} chunks, ${(mapData.clearedRooms || []).length} cleared rooms, ${(mapData.enemies || []).length} enemies`);
+    }
+    
+    /**
+     * The current map's blocks grouped by chunk (ChunkSerializer input, chunk-relative x/z)
+     * @returns {Map} "chunkX,chunkZ" → { chunkX, chunkZ, blocks }
+     */
+    collectMapChunks(mapData) {
+        const chunkSize = this.voxelWorld.chunkSize;
+        const bounds = mapData.bounds;
+        const chunks = new Map();
+        
+        for (const [key, blockData] of Object.entries(this.voxelWorld.world)) {
+            const [x, y, z] = key.split(',').map(Number);
+            if (bounds && (x < bounds.minX || x > bounds.maxX || z < bounds.minZ || z > bounds.maxZ)) continue;
             
-            // Save enemy positions if roaming enemy system exists
-            if (this.voxelWorld.roamingEnemySystem) {
-                mapData.enemies = Array.from(
-                    this.voxelWorld.roamingEnemySystem.enemies.values()
-                );
+            const chunkX = Math.floor(x / chunkSize);
+            const chunkZ = Math.floor(z / chunkSize);
+            const chunkKey = `${chunkX},${chunkZ}`;
+            if (!chunks.has(chunkKey)) {
+                chunks.set(chunkKey, { chunkX, chunkZ, blocks: [] });
             }
+            chunks.get(chunkKey).blocks.push({
+                x: x - chunkX * chunkSize,
+                y,
+                z: z - chunkZ * chunkSize,
+                type: blockData.type,
+                color: 0,
+                flags: blockData.playerPlaced ? 1 : 0
+            });
         }
+        
+        return chunks;
+    }
+    
+    /**
+     * Rooms with enemies (or a boss) and none of them left alive - once cleared, always cleared
+     */
+    getClearedRooms(mapData) {
+        const cleared = new Set(mapData.clearedRooms || []);
+        
+        for (const room of mapData.rooms || []) {
+            if (cleared.has(room.id) || !(room.enemyCount > 0 || room.type === 'boss_room')) continue;
+            
+            const { x, z } = room.position;
+            const occupied = mapData.enemies.some(({ position }) =>
+                position.x >= x && position.x < x + room.size.w &&
+                position.z >= z && position.z < z + room.size.d &&
+                Math.abs(position.y - room.position.y) < room.size.h
+            );
+            if (!occupied) cleared.add(room.id);
+        }
+        
+        return Array.from(cleared);
     }
     
     /**
@@ -128,6 +267,18 @@ export class MapManager {
             }
         });
         
+        // Remove the map's blocks (saved by saveMapState)
+        if (mapData.type !== 'overworld') {
+            const savedChunks = new Set(mapData.savedChunks);
+            const chunkSize = this.voxelWorld.chunkSize;
+            for (const key of Object.keys(this.voxelWorld.world)) {
+                const [x, y, z] = key.split(',').map(Number);
+                if (savedChunks.has(`${Math.floor(x / chunkSize)},${Math.floor(z / chunkSize)}`)) {
+                    this.voxelWorld.removeBlock(x, y, z, false);
+                }
+            }
+        }
+        
         // Clear enemies
         if (this.voxelWorld.roamingEnemySystem) {
             this.voxelWorld.roamingEnemySystem.enemies.clear();
@@ -139,7 +290,7 @@ export class MapManager {
     /**
      * Load map (restore chunks, spawn entities)
      */
-    loadMap(mapId) {
+    async loadMap(mapId) {
         const mapData = this.maps.get(mapId);
         if (!mapData) return;
         
@@ -160,31 +311,138 @@ export class MapManager {
                     }
                 }
             }
+        } else if (mapData.persisted) {
+            // Restore a map from its storage
+            await this.restoreMap(mapData);
         } else if (mapData.type === 'dungeon') {
-            // Load dungeon
-            if (!mapData.generated) {
-                // Generate dungeon for first time
-                this.voxelWorld.dungeonGenerator.generate(mapData);
-                mapData.generated = true;
-            } else {
-                // Restore existing dungeon
-                this.voxelWorld.chunks = new Map(mapData.chunks);
-                
-                // Restore enemies
-                if (mapData.enemies && this.voxelWorld.roamingEnemySystem) {
-                    mapData.enemies.forEach((enemyData) => {
-                        this.voxelWorld.roamingEnemySystem.spawnEnemy(
-                            enemyData.type,
-                            enemyData.position
-                        );
-                    });
-                }
-            }
+            // Generate dungeon for first time
+            this.voxelWorld.dungeonGenerator.generate(mapData);
+            mapData.generated = true;
+        } else {
+            console.warn(`⚠️ Map ${mapId} (${mapData.type}) has no saved data and no generator`);
         }
         
         console.log(`📂 Loaded map: ${mapId}`);
     }
     
+    /**
+     * 📂 Read a map's state and blocks back from its storage and respawn its enemies
+     */
+    async restoreMap(mapData) {
+        const persistence = this.getPersistence(mapData.id);
+        const state = await persistence.loadMapState();
+        if (!state) {
+            console.error(`❌ No saved state for map ${mapData.id}`);
+            return;
+        }
+        
+        Object.assign(mapData, state, { generated: true, persisted: true });
+        
+        const chunkSize = this.voxelWorld.chunkSize;
+        for (const chunkKey of mapData.savedChunks) {
+            const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+            const chunkData = await persistence.loadChunk(chunkX, chunkZ);
+            if (!chunkData) continue;
+            
+            for (const block of chunkData.blocks) {
+                this.voxelWorld.addBlock(
+                    chunkX * chunkSize + block.x,
+                    block.y,
+                    chunkZ * chunkSize + block.z,
+                    block.type,
+                    block.flags === 1
+                );
+            }
+        }
+        
+        // Restore enemies (only the ones still alive were saved)
+        if (this.voxelWorld.roamingEnemySystem) {
+            mapData.enemies.forEach((enemyData) => {
+                const enemyId = this.voxelWorld.roamingEnemySystem.spawnEnemy(
+                    enemyData.type,
+                    enemyData.position
+                );
+                const enemy = this.voxelWorld.roamingEnemySystem.enemies.get(enemyId);
+                if (enemy && enemyData.hp !== undefined) {
+                    enemy.hp = enemyData.hp;
+                }
+            });
+        }
+    }
+    
+    /**
+     * Namespaced storage of a map
+     */
+    getPersistence(mapId) {
+        if (!this.persistence.has(mapId)) {
+            this.persistence.set(mapId, new ChunkPersistence(this.voxelWorld.worldSeed, this.isElectron, {
+                namespace: MapManager.getNamespace(mapId)
+            }));
+        }
+        return this.persistence.get(mapId);
+    }
+    
+    /**
+     * Storage namespace for a map id ("map_" + the id with unsafe characters replaced)
+     */
+    static getNamespace(mapId) {
+        return `map_${String(mapId).replace(/[^A-Za-z0-9_-]/g, '_')}`;
+    }
+    
+    /**
+     * 📋 Active maps for the save slot (their blocks and state are in the map storage)
+     * @returns {object} { current, instances: [{ id, type, tier, seed, returnPoint, persisted }] }
+     */
+    getSaveData() {
+        const instances = Array.from(this.maps.values())
+            .filter((mapData) => mapData.type !== 'overworld')
+            .map((mapData) => ({
+                id: mapData.id,
+                type: mapData.type,
+                tier: mapData.tier ?? null,
+                seed: mapData.seed ?? null,
+                returnPoint: mapData.returnPoint ?? null,
+                persisted: Boolean(mapData.persisted)
+            }));
+        
+        return { current: this.currentMapId, instances };
+    }
+    
+    /**
+     * 📂 Restore the map list from a save slot (the player is put back in the map they saved in)
+     */
+    loadSaveData(saveData) {
+        // A different world may have been loaded - storage is per world seed
+        this.persistence.clear();
+        for (const mapId of Array.from(this.maps.keys())) {
+            if (mapId !== 'overworld') this.maps.delete(mapId);
+        }
+        
+        const { current = 'overworld', instances = [] } = saveData || {};
+        instances.forEach((instance) => {
+            this.maps.set(instance.id, {
+                ...instance,
+                playerSpawn: { x: 0, y: 10, z: 0 },
+                generated: instance.persisted,
+                savedChunks: [],
+                rooms: [],
+                clearedRooms: [],
+                enemies: []
+            });
+        });
+        
+        this.previousMapId = null;
+        this.currentMapId = this.maps.has(current) ? current : 'overworld';
+        if (this.currentMapId !== 'overworld') {
+            this.previousMapId = 'overworld';
+            this.loadMap(this.currentMapId).catch((error) => {
+                console.error(`❌ Failed to restore map ${this.currentMapId}:`, error);
+            });
+        }
+        
+        console.log(`🗺️ Restored ${instances.length} maps (current: ${this.currentMapId})`);
+    }
+    
     /**
      * Return to previous map (for exiting dungeons)
      */
@@ -213,9 +471,9 @@ export class MapManager {
     }
     
     /**
-     * Delete a map instance (for cleanup)
+     * Delete a map instance and its saved data (for cleanup)
      */
-    deleteMap(mapId) {
+    async deleteMap(mapId) {
         if (mapId === 'overworld') {
             console.error('❌ Cannot delete overworld map');
             return false;
@@ -226,6 +484,12 @@ export class MapManager {
             return false;
         }
         
+        const mapData = this.maps.get(mapId);
+        if (mapData?.persisted) {
+            await this.getPersistence(mapId).deleteNamespace();
+        }
+        this.persistence.delete(mapId);
+        
         this.maps.delete(mapId);
         console.log(`🗑️ Deleted map: ${mapId}`);
         return true;
@@ -0,0 +1,59 @@
+import { ORE_TYPES } from './worldgen/OreGenerator.js';
+
+/**
+ * MiningTiers.js - Tool tiers for mining ore
+ *
+ * Every ore block in worldgen/OreGenerator.js ORE_TYPES names the lowest tool
+ * tier that can break it (minToolTier) and what it drops. This file says which
+ * tool is which tier, so getHarvestTime/startHarvesting/harvestBlockAt all ask
+ * the same question.
+ *
+ * Tiers: 0 = hands / anything else, 1 = stone, 2 = iron, 3 = crystal
+ */
+
+export const TIER_NAMES = ['bare hands', 'stone', 'iron', 'crystal'];
+
+export const TOOL_TIERS = {
+    // Stone tier
+    stone_hammer: 1,
+    crafted_stone_hammer: 1,
+    iron: 1,                    // Legacy: swinging an iron block counts as a crude stone-tier tool
+
+    // Iron tier
+    iron_pickaxe: 2,
+    crafted_mining_pick: 2,
+
+    // Crystal tier
+    crystal_pickaxe: 3
+};
+
+/**
+ * Mining tier of the held item (0 for hands / non-tools)
+ */
+export function getToolTier(itemType) {
+    return TOOL_TIERS[itemType] || 0;
+}
+
+/**
+ * Lowest tool tier that can break this block (0 = anything)
+ */
+export function getRequiredTier(blockType) {
+    return ORE_TYPES[blockType]?.minToolTier || 0;
+}
+
+export function isOreBlock(blockType) {
+    return blockType in ORE_TYPES;
+}
+
+/**
+ * Roll the drop for an ore block
+ *
+ * @returns {{ item: string, count: number } | null} null if blockType is not an ore
+ */
+export function rollOreDrop(blockType) {
+    const drop = ORE_TYPES[blockType]?.drop;
+    if (!drop) return null;
+
+    const count = drop.min + Math.floor(Math.random() * (drop.max - drop.min + 1));
+    return { item: drop.item, count };
+}
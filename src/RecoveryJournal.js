@@ -0,0 +1,204 @@
+/**
+ * 🩹 RecoveryJournal - Crash recovery for unsaved progress
+ *
+ * Features:
+ * - Records player block edits made since the last save/autosave
+ * - Snapshots player position and inventory on every flush (latest wins)
+ * - Flushed to localStorage every few seconds (synchronous, survives a crash)
+ * - Session marker detects whether the game shut down cleanly
+ * - After an unclean shutdown the journal is kept as a "pending recovery" that
+ *   the main menu offers to replay on top of the save it was based on
+ *
+ * Lifecycle:
+ *   constructor()   → claims the previous session's journal if it crashed
+ *   beginSession()  → starts journaling (called when play starts); an unrecovered
+ *                     pending journal is discarded - the player moved on without it
+ *   reset(slot)     → after each save, journal restarts from that slot
+ *   endSession()    → clean shutdown (beforeunload), journal and pending recovery discarded
+ */
+
+export class RecoveryJournal {
+    static JOURNAL_KEY = 'The Long Nights_RecoveryJournal';
+    static PENDING_KEY = 'The Long Nights_PendingRecovery';
+    static SESSION_KEY = 'The Long Nights_SessionActive';
+
+    constructor(voxelWorld) {
+        this.voxelWorld = voxelWorld;
+        this.flushInterval = 5000; // Flush every 5 seconds (same cadence as ModificationTracker)
+        this.flushTimer = null;
+        this.active = false;
+
+        this.baseSlot = null; // Save slot the journal applies on top of
+        this.blockEdits = []; // [{ x, y, z, type }] - type null = removed
+
+        this.claimPendingRecovery();
+    }
+
+    /**
+     * 🔍 Does a crashed session's journal exist? (used by MainMenu)
+     * @returns {boolean}
+     */
+    static hasPendingRecovery() {
+        return RecoveryJournal.loadPendingRecovery() !== null;
+    }
+
+    /**
+     * 📂 Read the pending recovery journal
+     * @returns {object|null} Journal snapshot or null if none/corrupt
+     */
+    static loadPendingRecovery() {
+        try {
+            const json = localStorage.getItem(RecoveryJournal.PENDING_KEY);
+            return json ? JSON.parse(json) : null;
+        } catch (error) {
+            console.error('Failed to read recovery journal:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 🗑️ Forget the pending recovery (recovered, or player started fresh)
+     */
+    static discardPendingRecovery() {
+        localStorage.removeItem(RecoveryJournal.PENDING_KEY);
+    }
+
+    /**
+     * 🩹 If the last session never ended cleanly, keep its journal as pending recovery
+     * (moved aside so this session's journal doesn't overwrite it before the player decides)
+     */
+    claimPendingRecovery() {
+        const crashed = localStorage.getItem(RecoveryJournal.SESSION_KEY) !== null;
+        const journal = localStorage.getItem(RecoveryJournal.JOURNAL_KEY);
+
+        if (crashed && journal) {
+            localStorage.setItem(RecoveryJournal.PENDING_KEY, journal);
+            console.warn('🩹 Previous session did not shut down cleanly - recovery journal available');
+        }
+
+        localStorage.removeItem(RecoveryJournal.JOURNAL_KEY);
+        localStorage.removeItem(RecoveryJournal.SESSION_KEY);
+    }
+
+    /**
+     * ▶️ Start journaling this play session
+     */
+    beginSession() {
+        if (this.active) return;
+
+        // Recovering replays the pending journal before play starts - any other session
+        // (new game, load, dev mode) supersedes it, and its edits no longer match the world
+        RecoveryJournal.discardPendingRecovery();
+
+        this.active = true;
+        localStorage.setItem(RecoveryJournal.SESSION_KEY, Date.now().toString());
+
+        this.flushTimer = setInterval(() => {
+            this.flush();
+        }, this.flushInterval);
+
+        console.log('🩹 Recovery journal started');
+    }
+
+    /**
+     * ⏹️ Clean shutdown - nothing to recover next launch
+     */
+    endSession() {
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (this.active) {
+            RecoveryJournal.discardPendingRecovery();
+        }
+        this.active = false;
+
+        localStorage.removeItem(RecoveryJournal.JOURNAL_KEY);
+        localStorage.removeItem(RecoveryJournal.SESSION_KEY);
+    }
+
+    /**
+     * 🧱 Record a player block edit
+     * @param {string|null} type - Block type placed, or null if removed
+     */
+    recordBlock(x, y, z, type) {
+        if (!this.active) return;
+
+        this.blockEdits.push({ x, y, z, type });
+    }
+
+    /**
+     * 🔄 A save just happened - journal restarts on top of it
+     * @param {number|string} slot - Slot id that was written
+     */
+    reset(slot) {
+        this.baseSlot = slot;
+        this.blockEdits = [];
+        this.flush();
+    }
+
+    /**
+     * 💾 Write journal to localStorage
+     */
+    flush() {
+        if (!this.active) return;
+
+        const vw = this.voxelWorld;
+        const journal = {
+            worldSeed: vw.worldSeed,
+            baseSlot: this.baseSlot,
+            updated: Date.now(),
+            blockEdits: this.blockEdits,
+            player: {
+                position: { ...vw.player.position },
+                rotation: { ...vw.player.rotation }
+            },
+            inventory: {
+                hasBackpack: vw.hasBackpack,
+                hotbarSlots: vw.hotbarSlots,
+                backpackSlots: vw.backpackSlots,
+                selectedSlot: vw.selectedSlot
+            }
+        };
+
+        try {
+            localStorage.setItem(RecoveryJournal.JOURNAL_KEY, JSON.stringify(journal));
+        } catch (error) {
+            console.error('Failed to write recovery journal:', error);
+        }
+    }
+
+    /**
+     * ⏪ Re-apply a journal on top of the currently loaded world
+     * @param {object} journal - Snapshot from loadPendingRecovery()
+     */
+    replay(journal) {
+        const vw = this.voxelWorld;
+
+        if (journal.worldSeed !== vw.worldSeed) {
+            console.warn(`⚠️ Recovery journal is for seed ${journal.worldSeed}, current world is ${vw.worldSeed} - skipping block edits`);
+        } else {
+            for (const edit of journal.blockEdits) {
+                if (edit.type === null) {
+                    vw.removeBlock(edit.x, edit.y, edit.z, false);
+                } else {
+                    vw.addBlock(edit.x, edit.y, edit.z, edit.type, true);
+                }
+            }
+        }
+
+        if (journal.player) {
+            Object.assign(vw.player.position, journal.player.position);
+            Object.assign(vw.player.rotation, journal.player.rotation);
+        }
+
+        if (journal.inventory) {
+            vw.hasBackpack = journal.inventory.hasBackpack;
+            vw.hotbarSlots = journal.inventory.hotbarSlots;
+            vw.backpackSlots = journal.inventory.backpackSlots;
+            vw.selectedSlot = journal.inventory.selectedSlot;
+        }
+
+        console.log(`🩹 Replayed recovery journal: ${journal.blockEdits.length} block edits`);
+    }
+}
@@ -274,6 +274,9 @@ export class RoamingEnemySystem {
             const moveSpeed = enemy.speed * deltaTime * 60;
             enemy.position.x += (dx / dist) * moveSpeed;
             enemy.position.z += (dz / dist) * moveSpeed;
+
+            // 🧱 Stay inside a finite world
+            this.voxelWorld.worldBorder?.clampPosition(enemy.position, 0.5);
         }
     }
     
@@ -7,15 +7,18 @@
  * - Electron file system storage (not localStorage - no 5MB limit!)
  * - Automatic thumbnail generation from Three.js canvas
  * - Save metadata: timestamp, playtime, player position, etc.
- * 
- * NPM Dependencies (install these):
- *   npm install msgpack-lite pako
+ * - Reads legacy JSON saves as well as the binary format (see SaveSerializer)
+ * - Versioned save schema, older saves upgraded via SaveMigrations
+ * - Timed autosaves rotating through dedicated autosave slots
+ * - Crash-recovery journal of edits since the last save (see RecoveryJournal)
+ * - Export/import a whole world as one portable archive (see WorldArchive)
  */
 
-// Import compression libraries
-// These will be added to package.json
-// import msgpack from 'msgpack-lite';
-// import pako from 'pako';
+import { SaveSerializer } from './serialization/SaveSerializer.js';
+import { SAVE_SCHEMA_VERSION, getSaveSchemaVersion, migrateSaveData } from './serialization/SaveMigrations.js';
+import { RecoveryJournal } from './RecoveryJournal.js';
+import { WorldArchive, WorldImportConflictError } from './serialization/WorldArchive.js';
+import { ChunkPersistence } from './serialization/ChunkPersistence.js';
 
 export class SaveSystem {
     constructor(voxelWorld, electronAPI = null) {
@@ -23,9 +26,47 @@ export class SaveSystem {
         this.electronAPI = electronAPI; // For Electron file system access
         this.maxSlots = 5;
         this.saveDir = 'saves'; // Will be created in user data folder
-        
-        // Temporary: Use localStorage until we add msgpack/pako
         this.useLocalStorage = !electronAPI; // Fallback for web builds
+
+        // 🔄 Autosave rotation (separate from the manual slots)
+        this.autosaveSlotCount = 3;
+        this.autosaveInterval = 5 * 60 * 1000; // Every 5 minutes
+        this.autosaveTimer = null;
+        this.autosaveIndexKey = 'The Long Nights_AutosaveIndex';
+        this.saving = false;
+
+        // 🩹 Crash recovery journal (claims a crashed session's journal on construction)
+        this.journal = new RecoveryJournal(voxelWorld);
+    }
+
+    /**
+     * 🔢 Slot helpers - manual slots are 1-5, autosave slots are "autosave_1".."autosave_N"
+     */
+    getAutosaveSlotId(index) {
+        return `autosave_${index}`;
+    }
+
+    isAutosaveSlot(slot) {
+        return typeof slot === 'string' && /^autosave_\d+$/.test(slot);
+    }
+
+    isValidSlot(slot) {
+        if (this.isAutosaveSlot(slot)) {
+            const index = parseInt(slot.split('_')[1], 10);
+            return index >= 1 && index <= this.autosaveSlotCount;
+        }
+        return Number.isInteger(slot) && slot >= 1 && slot <= this.maxSlots;
+    }
+
+    getSlotFilePath(slot) {
+        const fileName = this.isAutosaveSlot(slot) ? `${slot}.sav` : `save_slot_${slot}.sav`;
+        return `${this.saveDir}/${fileName}`;
+    }
+
+    getSlotStorageKey(slot) {
+        return this.isAutosaveSlot(slot)
+            ? `The Long Nights_Autosave_${slot.split('_')[1]}`
+            : `The Long Nights_Save_Slot_${slot}`;
     }
 
     /**
@@ -63,12 +104,51 @@ export class SaveSystem {
      * @param {string} saveName - Optional custom name (default: "Save Slot X")
      */
     async saveToSlot(slot, saveName = null) {
-        if (slot < 1 || slot > this.maxSlots) {
+        if (!this.isValidSlot(slot)) {
             throw new Error(`Invalid slot: ${slot}. Must be 1-${this.maxSlots}`);
         }
 
         console.log(`💾 Saving game to slot ${slot}...`);
+        this.saving = true;
+
+        let savePackage;
+        try {
+            // 🗺️ The dungeon/dimension the player is in keeps its blocks in its own storage
+            if (this.voxelWorld.mapManager) {
+                await this.voxelWorld.mapManager.persistCurrentMap();
+            }
+
+            savePackage = this.buildSavePackage(slot, saveName || `Save Slot ${slot}`);
+
+            // 💾 Write to storage
+            if (this.electronAPI && this.electronAPI.writeSaveFile) {
+                // Use Electron file system (recommended - no size limits!)
+                await this.saveToFile(slot, savePackage);
+            } else {
+                // Fallback: Use localStorage (5MB limit warning!)
+                this.saveToLocalStorage(slot, savePackage);
+            }
+        } finally {
+            this.saving = false;
+        }
+
+        // The slot holds this game now, not a pending import
+        localStorage.removeItem(this.getImportedStorageKey(slot));
+
+        // 🩹 Everything up to now is safely saved - journal restarts from this slot
+        this.journal.reset(slot);
+
+        console.log(`✅ Game saved to slot ${slot}!`);
+        return savePackage;
+    }
 
+    /**
+     * 📝 Build a complete save package (thumbnail + metadata + game data)
+     * @param {number|string|null} slot - Target slot (null for exports)
+     * @param {string} saveName - Display name
+     * @returns {object} Save package
+     */
+    buildSavePackage(slot, saveName) {
         // 📸 Capture thumbnail FIRST (before any UI changes)
         const thumbnail = this.captureScreenshot();
 
@@ -76,29 +156,242 @@ export class SaveSystem {
         const saveData = this.collectSaveData();
 
         // 📝 Add metadata
-        const savePackage = {
+        return {
             version: '1.0.0', // Save format version (for future compatibility)
             slot: slot,
-            name: saveName || `Save Slot ${slot}`,
+            name: saveName,
+            autosave: this.isAutosaveSlot(slot),
             thumbnail: thumbnail,
             timestamp: Date.now(),
             playtime: this.voxelWorld.gameTime || 0, // Track total playtime
+            schemaVersion: saveData.schemaVersion,
+            stats: saveData.stats, // Copied up so slot lists can skip decoding the data sections
             data: saveData
         };
+    }
+
+    /**
+     * 📤 Export the current world (save + chunks + mods + LOD + world localStorage) as one archive
+     * @returns {object} { bytes: Uint8Array, fileName: string, manifest: object }
+     */
+    async exportWorld() {
+        const vw = this.voxelWorld;
+        console.log(`📤 Exporting world ${vw.worldSeed}...`);
+
+        const savePackage = this.buildSavePackage(null, `World ${vw.worldSeed}`);
+
+        const chunks = [];
+        const lodChunks = [];
+
+        const tracker = vw.modificationTracker;
+        if (tracker) {
+            // Pending block edits must be on disk before the chunk records are read back
+            await tracker.flushDirtyChunks();
+
+            for (const { chunkX, chunkZ, isMod } of await tracker.persistence.listChunks()) {
+                const buffer = await tracker.persistence.readChunkBytes(chunkX, chunkZ, isMod);
+                if (buffer) {
+                    chunks.push({ chunkX, chunkZ, isMod, data: new Uint8Array(buffer) });
+                }
+            }
+
+            for (const { chunkX, chunkZ } of await tracker.persistence.listLODChunks()) {
+                const colorBlocks = await tracker.persistence.loadLODChunk(chunkX, chunkZ);
+                if (colorBlocks) {
+                    lodChunks.push({ chunkX, chunkZ, colorBlocks });
+                }
+            }
+        }
+
+        const storage = {};
+        for (const key of WorldArchive.WORLD_STORAGE_KEYS) {
+            const value = localStorage.getItem(key);
+            if (value !== null) {
+                storage[key] = value;
+            }
+        }
+
+        const manifest = {
+            worldSeed: vw.worldSeed,
+            exportedAt: Date.now(),
+            saveName: savePackage.name,
+            chunkCount: chunks.filter(c => !c.isMod).length,
+            modCount: chunks.filter(c => c.isMod).length,
+            lodCount: lodChunks.length
+        };
+
+        const bytes = WorldArchive.encode({
+            manifest,
+            save: SaveSerializer.encode(savePackage),
+            chunks,
+            lodChunks,
+            storage
+        });
+
+        console.log(`✅ Exported world: ${manifest.chunkCount} chunks, ${manifest.modCount} mod files, ${manifest.lodCount} LOD chunks (${(bytes.length / 1024).toFixed(2)} KB)`);
+        return { bytes, fileName: WorldArchive.getArchiveFilename(vw.worldSeed), manifest };
+    }
+
+    /**
+     * 📥 Import a world archive into the first free manual slot
+     * Chunk records go to the archive's world seed. The world localStorage keys are kept
+     * under the slot's own key and only replace the live ones when that slot is loaded.
+     * @param {Uint8Array} bytes - Archive file contents
+     * @param {object} options - { replaceExisting } deletes a stored world with the same seed first
+     * @returns {object} { slot, manifest }
+     */
+    async importWorld(bytes, { replaceExisting = false } = {}) {
+        const bundle = WorldArchive.decode(bytes);
+        const { manifest } = bundle;
+        console.log(`📥 Importing world ${manifest.worldSeed} (exported ${new Date(manifest.exportedAt).toLocaleString()})...`);
+
+        if (manifest.worldSeed === this.voxelWorld.worldSeed) {
+            throw new Error(`World ${manifest.worldSeed} is the world you are playing - start another world before importing it`);
+        }
+
+        const freeSlot = (await this.getSaveSlots()).find(slot => !slot.exists && !slot.error);
+        if (!freeSlot) {
+            throw new Error(`No free save slot - delete a save first (max ${this.maxSlots})`);
+        }
+
+        // Re-slot the save package
+        const savePackage = SaveSerializer.decode(bundle.save);
+        savePackage.slot = freeSlot.slot;
+        savePackage.name = `${savePackage.name} (imported)`;
+
+        const isElectron = this.voxelWorld.modificationTracker
+            ? this.voxelWorld.modificationTracker.persistence.isElectron
+            : false;
+        const persistence = new ChunkPersistence(manifest.worldSeed, isElectron);
+
+        // Never mix the archive's chunks into another copy of the same world
+        const hasStoredWorld = (await persistence.listChunks()).length > 0 ||
+            (await persistence.listLODChunks()).some(lod => lod.worldSeed === manifest.worldSeed);
+        if (hasStoredWorld) {
+            if (!replaceExisting) {
+                throw new WorldImportConflictError(manifest.worldSeed);
+            }
+            await persistence.deleteWorld();
+        }
+
+        // Chunks first: a slot that points at missing chunks is worse than orphaned chunks
+        for (const chunk of bundle.chunks) {
+            // slice() gives an ArrayBuffer of exactly this chunk (DataView needs a standalone buffer)
+            await persistence.writeChunkBytes(chunk.chunkX, chunk.chunkZ, chunk.data.slice().buffer, chunk.isMod);
+        }
+        for (const lod of bundle.lodChunks) {
+            await persistence.saveLODChunk(lod.chunkX, lod.chunkZ, lod.colorBlocks);
+        }
+        await persistence.closeRegions();
+
+        localStorage.setItem(this.getImportedStorageKey(freeSlot.slot), JSON.stringify(bundle.storage));
 
-        // 💾 Write to storage
         if (this.electronAPI && this.electronAPI.writeSaveFile) {
-            // Use Electron file system (recommended - no size limits!)
-            await this.saveToFile(slot, savePackage);
+            await this.saveToFile(freeSlot.slot, savePackage);
         } else {
-            // Fallback: Use localStorage (5MB limit warning!)
-            this.saveToLocalStorage(slot, savePackage);
+            this.saveToLocalStorage(freeSlot.slot, savePackage);
         }
 
-        console.log(`✅ Game saved to slot ${slot}!`);
+        console.log(`✅ Imported world into slot ${freeSlot.slot}: ${bundle.chunks.length} chunk records, ${bundle.lodChunks.length} LOD chunks`);
+        return { slot: freeSlot.slot, manifest };
+    }
+
+    /**
+     * 📥 localStorage key holding an imported slot's world keys until the slot is first loaded
+     */
+    getImportedStorageKey(slot) {
+        return `The Long Nights_ImportedStorage_Slot_${slot}`;
+    }
+
+    /**
+     * 📥 Move an imported slot's world localStorage keys into place (once, on first load)
+     */
+    applyImportedStorage(slot) {
+        const key = this.getImportedStorageKey(slot);
+        const json = localStorage.getItem(key);
+        if (json === null) return;
+
+        for (const storageKey of WorldArchive.WORLD_STORAGE_KEYS) {
+            localStorage.removeItem(storageKey);
+        }
+        for (const [storageKey, value] of Object.entries(JSON.parse(json))) {
+            localStorage.setItem(storageKey, value);
+        }
+        localStorage.removeItem(key);
+
+        console.log(`📥 Restored the imported world's storage for slot ${slot}`);
+    }
+
+    /**
+     * ▶️ Start timed autosaves and the recovery journal (call once play begins)
+     */
+    startAutosave() {
+        this.journal.beginSession();
+
+        if (this.autosaveTimer) return;
+        this.autosaveTimer = setInterval(() => {
+            this.autosave().catch(error => {
+                console.error('Autosave failed:', error);
+            });
+        }, this.autosaveInterval);
+
+        console.log(`🔄 Autosave every ${this.autosaveInterval / 60000} min across ${this.autosaveSlotCount} slots`);
+    }
+
+    /**
+     * ⏹️ Stop timed autosaves
+     */
+    stopAutosave() {
+        if (this.autosaveTimer) {
+            clearInterval(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+    }
+
+    /**
+     * 🔄 Write the next autosave slot in the rotation (oldest gets overwritten)
+     * @returns {object|null} Save package, or null if skipped
+     */
+    async autosave() {
+        if (this.saving) {
+            console.log('🔄 Autosave skipped - save already in progress');
+            return null;
+        }
+
+        const lastIndex = parseInt(localStorage.getItem(this.autosaveIndexKey) || '0', 10);
+        const index = (lastIndex % this.autosaveSlotCount) + 1;
+        const slot = this.getAutosaveSlotId(index);
+
+        const savePackage = await this.saveToSlot(slot, `Autosave ${index}`);
+        localStorage.setItem(this.autosaveIndexKey, index.toString());
+
+        if (this.voxelWorld.updateStatus) {
+            this.voxelWorld.updateStatus(`🔄 Autosaved (${index}/${this.autosaveSlotCount})`, 'info');
+        }
         return savePackage;
     }
 
+    /**
+     * 🩹 Restore the crashed session: load its base save, then replay the journal
+     * @returns {object} The replayed journal
+     */
+    async recoverLastSession() {
+        const journal = RecoveryJournal.loadPendingRecovery();
+        if (!journal) {
+            throw new Error('No recovery journal found');
+        }
+
+        if (journal.baseSlot !== null && journal.baseSlot !== undefined) {
+            await this.loadFromSlot(journal.baseSlot);
+        }
+
+        this.journal.replay(journal);
+        RecoveryJournal.discardPendingRecovery();
+
+        console.log(`✅ Recovered last session (${new Date(journal.updated).toLocaleString()})`);
+        return journal;
+    }
+
     /**
      * 📦 Collect all save-worthy data from The Long Nights
      * @returns {object} Save data object
@@ -125,7 +418,8 @@ export class SaveSystem {
                     key: key,
                     itemId: objectData.itemId,
                     position: objectData.position,
-                    metadata: objectData.metadata
+                    metadata: objectData.metadata,
+                    orientation: objectData.orientation ?? null
                 });
             }
         }
@@ -134,6 +428,9 @@ export class SaveSystem {
         const playerData = JSON.parse(localStorage.getItem('NebulaWorld_playerData') || '{}');
 
         return {
+            // Save schema version (see SaveMigrations)
+            schemaVersion: SAVE_SCHEMA_VERSION,
+
             // Player state
             player: {
                 position: { ...vw.player.position },
@@ -167,13 +464,17 @@ export class SaveSystem {
 
             // Navigation & exploration
             explorerPins: vw.explorerPins || [],
+            villages: vw.biomeWorldGen?.villageGenerator?.getSaveData() || [],
+            maps: vw.mapManager?.getSaveData() || { current: 'overworld', instances: [] },
             activeNavigation: vw.activeNavigation,
             
             // Respawn system
             respawnCampfire: vw.respawnCampfire,
+            spawnPosition: { ...vw.spawnPosition },
 
             // World info
             worldSeed: vw.worldSeed,
+            worldSettings: vw.worldSettings,
             gameTime: vw.gameTime || 0,
             
             // Statistics (for future achievements/stats screen)
@@ -192,20 +493,15 @@ export class SaveSystem {
      */
     async saveToFile(slot, savePackage) {
         try {
-            // TODO: Add msgpack + pako compression here when libraries are installed
-            // const packed = msgpack.encode(savePackage.data);
-            // const compressed = pako.gzip(packed);
+            // 📦 msgpack + gzip sections in a checksummed container
+            const binaryData = SaveSerializer.encode(savePackage);
             
-            // For now: Use JSON (will add compression later)
-            const jsonData = JSON.stringify(savePackage);
-            
-            const fileName = `save_slot_${slot}.sav`;
-            const filePath = `${this.saveDir}/${fileName}`;
+            const filePath = this.getSlotFilePath(slot);
             
             // Write via Electron preload API
-            await this.electronAPI.writeSaveFile(filePath, jsonData);
+            await this.electronAPI.writeSaveFile(filePath, binaryData);
             
-            console.log(`✅ Saved to file: ${filePath} (${(jsonData.length / 1024).toFixed(2)} KB)`);
+            console.log(`✅ Saved to file: ${filePath} (${(binaryData.length / 1024).toFixed(2)} KB)`);
         } catch (error) {
             console.error('Failed to save to file:', error);
             throw error;
@@ -219,16 +515,18 @@ export class SaveSystem {
      */
     saveToLocalStorage(slot, savePackage) {
         try {
-            const key = `The Long Nights_Save_Slot_${slot}`;
-            const jsonData = JSON.stringify(savePackage);
+            const key = this.getSlotStorageKey(slot);
+
+            // localStorage only holds strings: base64 the binary container
+            const encoded = SaveSerializer.STORAGE_PREFIX + SaveSerializer.toBase64(SaveSerializer.encode(savePackage));
             
             // Check size
-            const sizeKB = (jsonData.length / 1024).toFixed(2);
+            const sizeKB = (encoded.length / 1024).toFixed(2);
             if (sizeKB > 4096) { // Warn if approaching 5MB limit
                 console.warn(`⚠️ Save file is ${sizeKB} KB - approaching localStorage limit!`);
             }
             
-            localStorage.setItem(key, jsonData);
+            localStorage.setItem(key, encoded);
             console.log(`✅ Saved to localStorage: ${key} (${sizeKB} KB)`);
         } catch (error) {
             if (error.name === 'QuotaExceededError') {
@@ -241,10 +539,10 @@ export class SaveSystem {
 
     /**
      * 📂 Load game from specific slot
-     * @param {number} slot - Slot number (1-5)
+     * @param {number|string} slot - Slot number (1-5) or autosave slot id
      */
     async loadFromSlot(slot) {
-        if (slot < 1 || slot > this.maxSlots) {
+        if (!this.isValidSlot(slot)) {
             throw new Error(`Invalid slot: ${slot}. Must be 1-${this.maxSlots}`);
         }
 
@@ -263,8 +561,15 @@ export class SaveSystem {
             throw new Error(`No save data found in slot ${slot}`);
         }
 
+        // Upgrade older saves to the current schema (throws SaveVersionError if too new)
+        const data = migrateSaveData(savePackage.data);
+
+        // Imported worlds bring their own character/quest/teleport keys
+        this.applyImportedStorage(slot);
+
         // Apply save data to The Long Nights
-        this.applySaveData(savePackage.data);
+        this.applySaveData(data);
+        this.journal.reset(slot);
 
         console.log(`✅ Game loaded from slot ${slot}!`);
         return savePackage;
@@ -272,58 +577,90 @@ export class SaveSystem {
 
     /**
      * 📂 Load from Electron file system
+     * @param {number} slot - Slot number
+     * @param {object} options - { metadataOnly } skips decoding the game data sections
      */
-    async loadFromFile(slot) {
+    async loadFromFile(slot, options = {}) {
+        const filePath = this.getSlotFilePath(slot);
+        let raw;
+
+        // A UTF-8 read mangles the binary container, so older preload builds can't load saves at all
+        if (!this.electronAPI.readSaveFileBinary) {
+            throw new Error('Save files can\'t be read by this build (its preload script has no binary file reader) - reinstall or update the game');
+        }
+
         try {
-            const fileName = `save_slot_${slot}.sav`;
-            const filePath = `${this.saveDir}/${fileName}`;
-            
-            const jsonData = await this.electronAPI.readSaveFile(filePath);
-            
-            if (!jsonData) {
-                return null; // File doesn't exist
-            }
-            
-            // TODO: Add decompression when msgpack/pako are added
-            // const decompressed = pako.ungzip(compressed, { to: 'string' });
-            // const savePackage = msgpack.decode(Buffer.from(decompressed));
-            
-            const savePackage = JSON.parse(jsonData);
-            console.log(`✅ Loaded from file: ${filePath}`);
-            return savePackage;
+            raw = await this.electronAPI.readSaveFileBinary(filePath);
         } catch (error) {
             console.error(`Failed to load from file:`, error);
             return null;
         }
+
+        if (!raw) {
+            return null; // File doesn't exist
+        }
+
+        // Decode errors (corruption, newer format) propagate so the slot shows as broken
+        const savePackage = this.decodeSavePackage(raw, options);
+        console.log(`✅ Loaded from file: ${filePath}`);
+        return savePackage;
     }
 
     /**
      * 📂 Load from localStorage
+     * @param {number} slot - Slot number
+     * @param {object} options - { metadataOnly } skips decoding the game data sections
      */
-    loadFromLocalStorage(slot) {
-        try {
-            const key = `The Long Nights_Save_Slot_${slot}`;
-            const jsonData = localStorage.getItem(key);
-            
-            if (!jsonData) {
-                return null;
-            }
-            
-            const savePackage = JSON.parse(jsonData);
-            console.log(`✅ Loaded from localStorage: ${key}`);
-            return savePackage;
-        } catch (error) {
-            console.error('Failed to load from localStorage:', error);
+    loadFromLocalStorage(slot, options = {}) {
+        const key = this.getSlotStorageKey(slot);
+        const stored = localStorage.getItem(key);
+        
+        if (!stored) {
             return null;
         }
+
+        let raw = stored;
+        if (stored.startsWith(SaveSerializer.STORAGE_PREFIX)) {
+            raw = SaveSerializer.fromBase64(stored.slice(SaveSerializer.STORAGE_PREFIX.length));
+        }
+
+        const savePackage = this.decodeSavePackage(raw, options);
+        console.log(`✅ Loaded from localStorage: ${key}`);
+        return savePackage;
+    }
+
+    /**
+     * 🔍 Decode raw slot contents in either format
+     * @param {Uint8Array|string} raw - Binary container or legacy JSON text
+     * @param {object} options - Passed to SaveSerializer.decode
+     * @returns {object} Save package
+     */
+    decodeSavePackage(raw, options = {}) {
+        if (typeof raw !== 'string') {
+            const bytes = raw instanceof Uint8Array ? raw : new Uint8Array(raw);
+            if (SaveSerializer.isBinarySave(bytes)) {
+                return SaveSerializer.decode(bytes, options);
+            }
+            raw = new TextDecoder().decode(bytes);
+        }
+
+        // Legacy JSON save (format 1.0.0)
+        if (!raw.trimStart().startsWith('{')) {
+            throw new Error('Unrecognized save file (neither a binary save nor a legacy JSON save)');
+        }
+        return JSON.parse(raw);
     }
 
     /**
      * 🔄 Apply loaded save data to The Long Nights
+     * Expects data already upgraded to SAVE_SCHEMA_VERSION by migrateSaveData()
      */
     applySaveData(data) {
         const vw = this.voxelWorld;
 
+        // Undo history belongs to the world state being replaced
+        vw.editHistory.clear();
+
         // Clear player-placed blocks
         for (let key in vw.world) {
             if (vw.world[key].playerPlaced) {
@@ -394,9 +731,9 @@ export class SaveSystem {
                         vw.inventoryMetadata[objData.itemId] = objData.metadata;
                     }
 
-                    // Re-create the crafted object using placeCraftedObject
+                    // Re-create the crafted object (ladders keep their saved facing)
                     const pos = objData.position;
-                    vw.placeCraftedObject(pos.x, pos.y, pos.z, objData.itemId);
+                    vw.restoreCraftedObject(pos, objData.itemId, objData.metadata, objData.orientation);
 
                     console.log(`✅ Restored: ${objData.itemId} at (${pos.x}, ${pos.y}, ${pos.z})`);
                 } catch (error) {
@@ -424,11 +761,21 @@ export class SaveSystem {
             console.log(`✅ Restored companion data: ${playerData.activeCompanion || 'none'}`);
         }
         vw.respawnCampfire = data.respawnCampfire;
+        vw.spawnPosition = { ...data.spawnPosition };
 
         // Restore world seed (for consistency)
         vw.worldSeed = data.worldSeed;
         vw.gameTime = data.gameTime || 0;
 
+        // 🧱 World size / border (before villages, which are planned inside it)
+        vw.setWorldSettings?.(data.worldSettings);
+
+        // 🏘️ Villages already planned in this world (not re-planned or duplicated)
+        vw.biomeWorldGen?.villageGenerator?.loadSaveData(data.villages, data.worldSeed);
+
+        // 🗺️ Dungeons and other dimensions (their blocks load from the map storage)
+        vw.mapManager?.loadSaveData(data.maps);
+
         console.log(`✅ Applied save data: ${data.modifiedBlocks.length} blocks, ${data.craftedObjects.length} objects`);
     }
 
@@ -440,71 +787,100 @@ export class SaveSystem {
         const slots = [];
 
         for (let i = 1; i <= this.maxSlots; i++) {
-            try {
-                let savePackage;
+            slots.push(await this.getSlotInfo(i, `Empty Slot ${i}`, `Error Slot ${i}`));
+        }
 
-                if (this.electronAPI && this.electronAPI.readSaveFile) {
-                    savePackage = await this.loadFromFile(i);
-                } else {
-                    savePackage = this.loadFromLocalStorage(i);
-                }
+        return slots;
+    }
 
-                if (savePackage) {
-                    slots.push({
-                        slot: i,
-                        name: savePackage.name,
-                        thumbnail: savePackage.thumbnail,
-                        timestamp: savePackage.timestamp,
-                        playtime: savePackage.playtime,
-                        stats: savePackage.data.stats,
-                        exists: true
-                    });
-                } else {
-                    slots.push({
-                        slot: i,
-                        name: `Empty Slot ${i}`,
-                        thumbnail: null,
-                        timestamp: null,
-                        playtime: 0,
-                        stats: null,
-                        exists: false
-                    });
-                }
-            } catch (error) {
-                slots.push({
-                    slot: i,
-                    name: `Error Slot ${i}`,
-                    thumbnail: null,
-                    timestamp: null,
-                    playtime: 0,
-                    stats: null,
-                    exists: false,
-                    error: error.message
-                });
+    /**
+     * 🔄 Get autosave slot metadata, newest first (for the load menu)
+     * @returns {Array} Array of slot metadata objects (existing autosaves only)
+     */
+    async getAutosaveSlots() {
+        const slots = [];
+
+        for (let i = 1; i <= this.autosaveSlotCount; i++) {
+            const slot = this.getAutosaveSlotId(i);
+            const info = await this.getSlotInfo(slot, `Autosave ${i}`, `Error Autosave ${i}`);
+            if (info.exists) {
+                slots.push(info);
             }
         }
 
-        return slots;
+        return slots.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    }
+
+    /**
+     * 📋 Read one slot's metadata without decoding its game data
+     */
+    async getSlotInfo(slot, emptyName, errorName) {
+        try {
+            let savePackage;
+
+            if (this.electronAPI && this.electronAPI.readSaveFile) {
+                savePackage = await this.loadFromFile(slot, { metadataOnly: true });
+            } else {
+                savePackage = this.loadFromLocalStorage(slot, { metadataOnly: true });
+            }
+
+            if (savePackage) {
+                return {
+                    slot: slot,
+                    name: savePackage.name,
+                    thumbnail: savePackage.thumbnail,
+                    timestamp: savePackage.timestamp,
+                    playtime: savePackage.playtime,
+                    stats: savePackage.stats || (savePackage.data ? savePackage.data.stats : null),
+                    needsNewerGame: getSaveSchemaVersion(savePackage.data || savePackage) > SAVE_SCHEMA_VERSION,
+                    autosave: this.isAutosaveSlot(slot),
+                    exists: true
+                };
+            }
+
+            return {
+                slot: slot,
+                name: emptyName,
+                thumbnail: null,
+                timestamp: null,
+                playtime: 0,
+                stats: null,
+                autosave: this.isAutosaveSlot(slot),
+                exists: false
+            };
+        } catch (error) {
+            return {
+                slot: slot,
+                name: errorName,
+                thumbnail: null,
+                timestamp: null,
+                playtime: 0,
+                stats: null,
+                // Saves from a newer game still occupy the slot (loading shows the version error)
+                exists: error.name === 'SaveVersionError',
+                needsNewerGame: error.name === 'SaveVersionError',
+                autosave: this.isAutosaveSlot(slot),
+                error: error.message
+            };
+        }
     }
 
     /**
      * 🗑️ Delete save from specific slot
      */
     async deleteSlot(slot) {
-        if (slot < 1 || slot > this.maxSlots) {
+        if (!this.isValidSlot(slot)) {
             throw new Error(`Invalid slot: ${slot}`);
         }
 
         console.log(`🗑️ Deleting save slot ${slot}...`);
 
         if (this.electronAPI && this.electronAPI.deleteSaveFile) {
-            const fileName = `save_slot_${slot}.sav`;
-            const filePath = `${this.saveDir}/${fileName}`;
-            await this.electronAPI.deleteSaveFile(filePath);
+            await this.electronAPI.deleteSaveFile(this.getSlotFilePath(slot));
         } else {
-            const key = `The Long Nights_Save_Slot_${slot}`;
-            localStorage.removeItem(key);
+            localStorage.removeItem(this.getSlotStorageKey(slot));
         }
+        localStorage.removeItem(this.getImportedStorageKey(slot));
 
         console.log(`✅ Deleted save slot ${slot}`);
     }
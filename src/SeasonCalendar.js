@@ -0,0 +1,120 @@
+/**
+ * 🍂 SeasonCalendar - Seasons on top of the 7-day week
+ *
+ * A year is four seasons of DAYS_PER_SEASON calendar days. The calendar day
+ * comes from the week counter (Week 1 Day 1 = day 1), so with the default
+ * length every season is one week and ends on its blood moon.
+ *
+ * Each season carries the numbers the other systems read:
+ * - cropGrowth: multiplier on crop growth speed (CropGrowthManager)
+ * - grassTint / leafTint: { color, amount } blended into grass and leaf colors
+ *   (BiomeWorldGen.getHeightBasedColor, worker chunks, leaf materials); null = no tint
+ * - weatherChances: replaces WeatherCycleSystem's weatherChances (must total 1.0)
+ */
+
+export class SeasonCalendar {
+    static DAYS_PER_SEASON = 7;
+
+    static SEASONS = [
+        {
+            id: 'spring',
+            name: 'Spring',
+            emoji: '🌸',
+            cropGrowth: 1.25,
+            grassTint: { color: 0x7CFC00, amount: 0.15 },
+            leafTint: { color: 0xC8FF90, amount: 0.3 },
+            weatherChances: { rain: 0.75, thunder: 0.25, snow: 0 }
+        },
+        {
+            id: 'summer',
+            name: 'Summer',
+            emoji: '☀️',
+            cropGrowth: 1,
+            grassTint: null,
+            leafTint: null,
+            weatherChances: { rain: 0.5, thunder: 0.5, snow: 0 }
+        },
+        {
+            id: 'autumn',
+            name: 'Autumn',
+            emoji: '🍂',
+            cropGrowth: 0.75,
+            grassTint: { color: 0xC8A046, amount: 0.35 },
+            leafTint: { color: 0xFF8C28, amount: 0.6 },
+            weatherChances: { rain: 0.7, thunder: 0.1, snow: 0.2 }
+        },
+        {
+            id: 'winter',
+            name: 'Winter',
+            emoji: '❄️',
+            cropGrowth: 0.5,
+            grassTint: { color: 0xE8EEF2, amount: 0.45 },
+            leafTint: { color: 0xA0AAB4, amount: 0.4 },
+            weatherChances: { rain: 0.1, thunder: 0, snow: 0.9 }
+        }
+    ];
+
+    /**
+     * Calendar day from the week counters
+     * @param {number} week - Week number (1-based)
+     * @param {number} dayOfWeek - Day within the week (1-7)
+     * @returns {number} Calendar day (1-based)
+     */
+    static getCalendarDay(week, dayOfWeek) {
+        return (Math.max(1, week) - 1) * 7 + Math.max(1, dayOfWeek);
+    }
+
+    /**
+     * Season for a calendar day
+     * @param {number} day - Calendar day (1-based)
+     * @returns {Object} Entry of SEASONS
+     */
+    static getSeason(day) {
+        const index = Math.floor(SeasonCalendar.getDayOfYear(day) / SeasonCalendar.DAYS_PER_SEASON);
+        return SeasonCalendar.SEASONS[index];
+    }
+
+    /**
+     * Day within the current season
+     * @param {number} day - Calendar day (1-based)
+     * @returns {number} 1..DAYS_PER_SEASON
+     */
+    static getDayOfSeason(day) {
+        return SeasonCalendar.getDayOfYear(day) % SeasonCalendar.DAYS_PER_SEASON + 1;
+    }
+
+    /**
+     * Year number
+     * @param {number} day - Calendar day (1-based)
+     * @returns {number} Year (1-based)
+     */
+    static getYear(day) {
+        return Math.floor((Math.max(1, day) - 1) / SeasonCalendar.getDaysPerYear()) + 1;
+    }
+
+    static getDaysPerYear() {
+        return SeasonCalendar.DAYS_PER_SEASON * SeasonCalendar.SEASONS.length;
+    }
+
+    // 0-based day within the year
+    static getDayOfYear(day) {
+        return (Math.max(1, day) - 1) % SeasonCalendar.getDaysPerYear();
+    }
+
+    /**
+     * Blend a season tint into a color
+     * @param {number} color - 0xRRGGBB
+     * @param {Object|null} tint - { color, amount } (null leaves the color unchanged)
+     * @returns {number} Tinted 0xRRGGBB
+     */
+    static tintColor(color, tint) {
+        if (!tint || tint.amount <= 0) return color;
+
+        const mix = (shift) => {
+            const a = (color >> shift) & 0xFF;
+            const b = (tint.color >> shift) & 0xFF;
+            return Math.round(a + (b - a) * tint.amount);
+        };
+        return ((mix(16) << 16) | (mix(8) << 8) | mix(0)) >>> 0;
+    }
+}
@@ -1,6 +1,14 @@
+import { BiomeDefinitions } from './worldgen/BiomeDefinitions.js';
+import { CaveGenerator } from './worldgen/CaveGenerator.js';
+import { Hydrology } from './worldgen/Hydrology.js';
+import { StructureTemplates } from './worldgen/StructureTemplates.js';
+import { TerrainColumns } from './worldgen/TerrainColumns.js';
+import { VillageGenerator } from './VillageGenerator.js';
+
 /**
  * StructureGenerator - Procedural ruins and structure generation
- * Generates small/medium/large/colossal ruins with hollow interiors
+ * Generates small/medium/large/colossal ruins with hollow interiors,
+ * plus Structure Designer templates (worldgen/StructureTemplates.js)
  * Minimal integration with BiomeWorldGen, no cache/worker modifications
  */
 export class StructureGenerator {
@@ -47,27 +55,52 @@ export class StructureGenerator {
             ? Object.keys(billboardItems)
             : ['skull', 'mushroom', 'flower', 'berry', 'leaf'];
         
-        // Biome-specific blocks for ruins
+        // Biome-specific blocks for ruins come from biomes.json (structures.ruinBlocks)
         // Order: [primary (60%), secondary (25%), tertiary (15%)]
         this.BIOME_BLOCKS = {
-            Desert: ['sandstone', 'sandstone', 'sand'],  // 🏜️ Desert ruins: mostly sandstone, some sand
-            Mountain: ['stone', 'stone', 'stone'],       // ⛰️ Mountain ruins: all stone (weathered)
-            Tundra: ['stone', 'snow', 'dirt'],          // 🌨️ Tundra ruins: stone with snow patches
-            Forest: ['stone', 'oak_wood', 'dirt'],      // 🌲 Forest ruins: stone with wood accents
-            Plains: ['stone', 'dirt', 'grass'],         // 🌾 Plains ruins: stone with grass/dirt
-            default: ['stone', 'dirt', 'grass']
+            default: ['stone', 'dirt', 'grass'] // Unknown biome / no ruinBlocks
         };
+
+        // Base spawn chance of biome structures (pyramid, igloo) - scaled by structures.weights
+        this.BIOME_STRUCTURE_CHANCE = 0.02;
+
+        // 🏗️ Structure Designer creations tagged for worldgen (placed like ruins, see generateTemplatesForChunk)
+        this.templates = new StructureTemplates();
+        this.templates.reload();
+        this.templateCache = new Map(); // Map<"chunkX,chunkZ", placement|null>
+        this.templateTerrain = null;    // TerrainColumns for the world seed (syncTemplateSeed)
+        this.TEMPLATE_TUTORIAL_CLEARANCE = 64; // No templates this close to the tutorial ruin
+    }
+
+    /**
+     * 🎲 Follow the world seed - ruin rolls are cached per seed
+     */
+    setSeed(seed) {
+        if (seed === this.seed) return;
+        this.seed = seed;
+        this.structureCache.clear();
+    }
+
+    /**
+     * 🌍 Biome definition from a biome object or a biome name/id (null if unknown)
+     */
+    resolveBiome(biome) {
+        if (biome && typeof biome === 'object') return biome;
+        if (typeof biome !== 'string') return null;
+
+        const biomes = Object.values(BiomeDefinitions.get().biomes);
+        return biomes.find(definition => definition.name === biome || definition.id === biome) || null;
     }
     
     /**
      * 🧊 Generate tundra igloos (small hollow sphere, mostly buried)
      * 1 chunk size (8x8), hollow sphere with entrance
-     * ~2% spawn chance in tundra biomes (REDUCED for performance)
+     * ~2% spawn chance at weight 1 (structures.weights.igloo in biomes.json)
      */
-    generateIgloo(chunkX, chunkZ, addBlockFn, getHeightFn) {
+    generateIgloo(chunkX, chunkZ, addBlockFn, getHeightFn, weight = 1) {
         // 2% spawn rate (REDUCED from 5%)
         const noise = this.seededNoise(chunkX * 59, chunkZ * 61);
-        const threshold = 1.0 - 0.02;
+        const threshold = 1.0 - this.BIOME_STRUCTURE_CHANCE * weight;
         if (noise < threshold) return;
 
         // Random position within chunk
@@ -117,12 +150,12 @@ export class StructureGenerator {
     /**
      * 🏜️ Generate desert pyramids (test for mountain system)
      * 3x3 chunk size, tall pyramid with hollow interior and 2x2 entrance
-     * Uses same rarity system as ruins (~2% spawn chance - REDUCED)
+     * Uses same rarity system as ruins (~2% spawn chance at weight 1 - structures.weights.pyramid)
      */
-    generateDesertPyramid(chunkX, chunkZ, addBlockFn, getHeightFn) {
+    generateDesertPyramid(chunkX, chunkZ, addBlockFn, getHeightFn, weight = 1) {
         // Use same spawn system as ruins (2% chance - REDUCED)
         const noise = this.seededNoise(chunkX * 31, chunkZ * 37);
-        const threshold = 1.0 - 0.02; // 2% spawn rate
+        const threshold = 1.0 - this.BIOME_STRUCTURE_CHANCE * weight; // 2% spawn rate at weight 1
         if (noise < threshold) return;
 
         // Random position within chunk (center-ish)
@@ -183,17 +216,21 @@ export class StructureGenerator {
      * @param {number} chunkZ - Chunk Z coordinate
      * @param {Function} addBlockFn - Function to place blocks
      * @param {Function} getHeightFn - Function to get ground height at position
-     * @param {string} biome - Current biome name (optional, for future biome-specific ruins)
+     * @param {Object|string} biome - Biome at the chunk center (object from getBiomeAt, or a biome name)
      */
     generateStructuresForChunk(chunkX, chunkZ, addBlockFn, getHeightFn, biome = 'default') {
-        // 🏜️ DESERT PYRAMID: Hollow structure test (5% spawn rate, same as ruins)
-        if (biome === 'Desert' || (biome && biome.name === 'Desert')) {
-            this.generateDesertPyramid(chunkX, chunkZ, addBlockFn, getHeightFn);
+        biome = this.resolveBiome(biome);
+
+        // 🏜️ PYRAMID: Hollow structure in biomes with a pyramid weight (desert)
+        const pyramidWeight = BiomeDefinitions.getStructureWeight(biome, 'pyramid');
+        if (pyramidWeight > 0) {
+            this.generateDesertPyramid(chunkX, chunkZ, addBlockFn, getHeightFn, pyramidWeight);
         }
 
-        // 🧊 TUNDRA IGLOO: Small hollow sphere test (5% spawn rate)
-        if (biome === 'Tundra' || (biome && biome.name === 'Tundra')) {
-            this.generateIgloo(chunkX, chunkZ, addBlockFn, getHeightFn);
+        // 🧊 IGLOO: Small hollow sphere in biomes with an igloo weight (tundra)
+        const iglooWeight = BiomeDefinitions.getStructureWeight(biome, 'igloo');
+        if (iglooWeight > 0) {
+            this.generateIgloo(chunkX, chunkZ, addBlockFn, getHeightFn, iglooWeight);
         }
 
         // Check if this chunk should have a structure origin point
@@ -227,6 +264,9 @@ export class StructureGenerator {
                 }
             }
         }
+
+        // 🏗️ TEMPLATES: Player-designed structures from the Structure Designer
+        this.generateTemplatesForChunk(chunkX, chunkZ, addBlockFn);
     }
     
     /**
@@ -396,8 +436,8 @@ export class StructureGenerator {
         const halfWidth = Math.floor(width / 2);
         const halfDepth = Math.floor(depth / 2);
         
-        // Determine block types based on biome (future expansion)
-        const palette = this.BIOME_BLOCKS[biome] || this.BIOME_BLOCKS.default;
+        // Determine block types based on biome (structures.ruinBlocks in biomes.json)
+        const palette = this.resolveBiome(biome)?.structures?.ruinBlocks || this.BIOME_BLOCKS.default;
         
         for (let x = -halfWidth; x <= halfWidth; x++) {
             for (let z = -halfDepth; z <= halfDepth; z++) {
@@ -711,7 +751,7 @@ export class StructureGenerator {
      * @param {number} playerZ - Player Z position
      * @param {Function} addBlockFn - Function to place blocks
      * @param {Function} getHeightFn - Function to get ground height
-     * @param {string} biome - Biome name (optional)
+     * @param {Object|string} biome - Biome object or name (optional)
      */
     debugGenerateRuin(size, shape, playerX, playerY, playerZ, addBlockFn, getHeightFn, biome = 'default') {
         // Validate size
@@ -746,6 +786,298 @@ export class StructureGenerator {
         console.log(`✅ ${size} ${shapeName} generated! Look around position (${structureX}, ${structureZ})`);
     }
 
+    // ===== STRUCTURE TEMPLATES (Structure Designer creations) =====
+
+    /**
+     * 🏗️ Build the template blocks inside a chunk that just loaded
+     * Each chunk may hold the origin of one template; a template is planned once (cached)
+     * and every chunk it reaches stamps its own part of it. Heights, biomes and water come
+     * from TerrainColumns (the worker terrain), so every chunk agrees on where it stands.
+     *
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {Function} addBlockFn - Function to place blocks
+     */
+    generateTemplatesForChunk(chunkX, chunkZ, addBlockFn) {
+        if (this.templates.templates.size === 0 || !this.syncTemplateSeed()) return;
+
+        const chunkSize = this.getChunkSize();
+        const reach = Math.floor(this.templates.getMaxHalfSize() / chunkSize) + 1;
+        const minX = chunkX * chunkSize;
+        const minZ = chunkZ * chunkSize;
+        const chunkRect = { minX, maxX: minX + chunkSize - 1, minZ, maxZ: minZ + chunkSize - 1 };
+
+        for (let dx = -reach; dx <= reach; dx++) {
+            for (let dz = -reach; dz <= reach; dz++) {
+                const placement = this.checkForTemplate(chunkX + dx, chunkZ + dz);
+                if (!placement || !StructureGenerator.rectsOverlap(placement.rect, chunkRect)) continue;
+
+                for (const block of placement.blocks) {
+                    if (block.x >= chunkRect.minX && block.x <= chunkRect.maxX &&
+                        block.z >= chunkRect.minZ && block.z <= chunkRect.maxZ) {
+                        addBlockFn(block.x, block.y, block.z, block.type, false);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Deterministic template placement for a chunk (cached, null if none)
+     * Every candidate template rolls on its own; the first hit in name order is placed.
+     */
+    checkForTemplate(chunkX, chunkZ) {
+        const cacheKey = `${chunkX},${chunkZ}`;
+        if (this.templateCache.has(cacheKey)) {
+            return this.templateCache.get(cacheKey);
+        }
+
+        const placement = this.planTemplate(chunkX, chunkZ);
+        this.templateCache.set(cacheKey, placement);
+
+        if (placement) {
+            console.log(`🏗️ Template "${placement.name}" placed at (${placement.x}, ${placement.baseY}, ${placement.z}), rotation ${placement.rotation * 90}°, Chunk: (${chunkX}, ${chunkZ})`);
+            this.addTemplateMarker(placement);
+        }
+        return placement;
+    }
+
+    planTemplate(chunkX, chunkZ) {
+        const chunkSize = this.getChunkSize();
+        const terrain = this.templateTerrain;
+        const rollSeed = terrain.seed + 4507;
+
+        // Origin column somewhere in this chunk
+        const x = chunkX * chunkSize + Math.floor((CaveGenerator.hash3(chunkX, 1, chunkZ, rollSeed) + 1) / 2 * chunkSize);
+        const z = chunkZ * chunkSize + Math.floor((CaveGenerator.hash3(chunkX, 2, chunkZ, rollSeed) + 1) / 2 * chunkSize);
+        const origin = terrain.getColumn(x, z);
+
+        const template = this.templates.getCandidates(origin.biome).find(candidate => {
+            const roll = (CaveGenerator.hash3(chunkX, StructureGenerator.hashName(candidate.name), chunkZ, rollSeed) + 1) / 2;
+            return roll < candidate.chance;
+        });
+        if (!template) return null;
+
+        // Only floating templates go over water
+        if (template.anchor !== 'floating' && origin.waterTop > origin.height) return null;
+
+        const tutorial = this.voxelWorld.biomeWorldGen.tutorialRuinGenerator;
+        if (tutorial && Math.hypot(x - tutorial.TUTORIAL_RUIN_X, z - tutorial.TUTORIAL_RUIN_Z) < this.TEMPLATE_TUTORIAL_CLEARANCE) {
+            return null;
+        }
+
+        const rotation = Math.floor((CaveGenerator.hash3(chunkX, 3, chunkZ, rollSeed) + 1) / 2 * 4) % 4;
+        const footprint = StructureTemplates.getFootprint(template, rotation);
+        const minX = x - Math.floor(footprint.x / 2);
+        const minZ = z - Math.floor(footprint.z / 2);
+        const rect = { minX, maxX: minX + footprint.x - 1, minZ, maxZ: minZ + footprint.z - 1 };
+
+        if (this.overlapsVillage(rect)) return null;
+
+        const placement = {
+            name: template.name,
+            chunk: [chunkX, chunkZ],
+            x,
+            z,
+            rotation,
+            rect,
+            radius: Math.ceil(Math.hypot(footprint.x, footprint.z) / 2),
+            baseY: 0,
+            blocks: []
+        };
+        this.buildTemplatePlacement(placement, template, rollSeed);
+        return placement;
+    }
+
+    /**
+     * World blocks of a placement: anchored template blocks, foundation and loot
+     */
+    buildTemplatePlacement(placement, template, rollSeed) {
+        const { rect, rotation } = placement;
+        const toWorld = (block) => {
+            const rotated = StructureTemplates.rotate(template, block.x, block.z, rotation);
+            return { x: rect.minX + rotated.x, z: rect.minZ + rotated.z };
+        };
+
+        // Ground under the bottom layer
+        const ground = new Map(); // Map<"x,z", column>
+        for (const block of template.blocks) {
+            if (block.y !== 0) continue;
+            const { x, z } = toWorld(block);
+            ground.set(`${x},${z}`, { x, z, column: this.templateTerrain.getColumn(x, z) });
+        }
+        const heights = Array.from(ground.values(), ({ column }) => column.height);
+        const lowest = Math.min(...heights);
+        const highest = Math.max(...heights);
+
+        switch (template.anchor) {
+            case 'sunken':
+                placement.baseY = highest;
+                break;
+            case 'buried':
+                placement.baseY = lowest - template.size.y + 1;
+                break;
+            case 'floating': {
+                const { min, max } = StructureTemplates.FLOAT_HEIGHT;
+                const lift = min + Math.floor((CaveGenerator.hash3(placement.x, 4, placement.z, rollSeed) + 1) / 2 * (max - min + 1));
+                placement.baseY = highest + 1 + lift;
+                break;
+            }
+            default: // surface
+                placement.baseY = highest + 1;
+        }
+        placement.baseY = Math.max(1, placement.baseY); // Never into bedrock
+
+        // Foundation where the ground is lower than the bottom layer (standing templates only)
+        if (template.anchor === 'surface' || template.anchor === 'sunken') {
+            for (const { x, z, column } of ground.values()) {
+                for (let y = column.height + 1; y < placement.baseY; y++) {
+                    placement.blocks.push({ x, y, z, type: column.biome.subBlock });
+                }
+            }
+        }
+
+        for (const block of template.blocks) {
+            const { x, z } = toWorld(block);
+            placement.blocks.push({ x, y: placement.baseY + block.y, z, type: block.type });
+        }
+
+        // 💰 Loot: weighted billboard items on distinct spots
+        const loot = template.loot.filter(entry => this.TREASURE_ITEMS.includes(entry.item));
+        const totalWeight = loot.reduce((sum, entry) => sum + entry.weight, 0);
+        const spots = [...template.lootSpots];
+        for (let i = 0; i < template.lootRolls && totalWeight > 0 && spots.length > 0; i++) {
+            const pick = (step) => (CaveGenerator.hash3(placement.x + i, step, placement.z, rollSeed) + 1) / 2;
+            const spot = spots.splice(Math.floor(pick(5) * spots.length), 1)[0];
+
+            let roll = pick(6) * totalWeight;
+            const entry = loot.find(candidate => (roll -= candidate.weight) < 0) || loot[loot.length - 1];
+
+            const { x, z } = toWorld(spot);
+            placement.blocks.push({ x, y: placement.baseY + spot.y, z, type: entry.item });
+        }
+    }
+
+    /**
+     * 🗺️ Minimap marker (ruinPositions) - drawn like a ruin of similar size, keeps trees away
+     */
+    addTemplateMarker(placement) {
+        if (!this.voxelWorld.ruinPositions) return;
+
+        const { radius } = placement;
+        this.voxelWorld.ruinPositions.push({
+            x: placement.x,
+            z: placement.z,
+            size: radius > 12 ? 'colossal' : radius > 7 ? 'large' : radius > 4 ? 'medium' : 'small',
+            type: 'template',
+            name: placement.name,
+            radius
+        });
+    }
+
+    /**
+     * 🎲 Follow the world seed (like VillageGenerator) - a new seed forgets the old placements
+     * @returns {boolean} false without a world to read the terrain from
+     */
+    syncTemplateSeed() {
+        const biomeWorldGen = this.voxelWorld?.biomeWorldGen;
+        if (!biomeWorldGen) return false;
+
+        const seed = this.voxelWorld.worldSeed ?? biomeWorldGen.worldSeed;
+        const { worldBorder: border, worldPreset: preset } = biomeWorldGen;
+        if (this.templateTerrain?.seed === seed && this.templateTerrain.border === border && this.templateTerrain.preset === preset) return true;
+
+        this.templateTerrain = new TerrainColumns(seed, biomeWorldGen.biomes, biomeWorldGen.noiseParams, new Hydrology(seed), undefined, border, preset);
+        this.templateCache.clear();
+
+        const markers = this.voxelWorld.ruinPositions;
+        for (let i = (markers?.length ?? 0) - 1; i >= 0; i--) {
+            if (markers[i].type === 'template') markers.splice(i, 1);
+        }
+        return true;
+    }
+
+    /**
+     * 📥 Re-read the templates (after the Structure Designer saved) - affects chunks not checked yet
+     */
+    reloadTemplates() {
+        return this.templates.reload();
+    }
+
+    overlapsVillage(rect) {
+        const villageGenerator = this.voxelWorld.biomeWorldGen.villageGenerator;
+        if (!villageGenerator) return false;
+
+        villageGenerator.setSeed(villageGenerator.getWorldSeed());
+        const cellSize = VillageGenerator.CELL_SIZE;
+        for (let cellX = Math.floor(rect.minX / cellSize); cellX <= Math.floor(rect.maxX / cellSize); cellX++) {
+            for (let cellZ = Math.floor(rect.minZ / cellSize); cellZ <= Math.floor(rect.maxZ / cellSize); cellZ++) {
+                const village = villageGenerator.getVillageInCell(cellX, cellZ);
+                if (village?.status === 'planned' && StructureGenerator.rectsOverlap(rect, village.bounds)) return true;
+            }
+        }
+        return false;
+    }
+
+    getChunkSize() {
+        return this.voxelWorld?.chunkSize || 8;
+    }
+
+    static rectsOverlap(a, b) {
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minZ <= b.maxZ && a.maxZ >= b.minZ;
+    }
+
+    /**
+     * Stable number for a template name (its own roll per chunk)
+     */
+    static hashName(name) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < name.length; i++) {
+            hash ^= name.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash | 0;
+    }
+
+    /**
+     * 🔧 DEBUG: Build a template in front of the player, on the ground (whole, not per chunk)
+     * Usage: window.placeTemplate("my_castle", 1)
+     * @param {string} name - Template name (as saved in the Structure Designer)
+     * @param {number} rotation - Clockwise quarter turns (0-3)
+     * @param {number} playerX - Player X position
+     * @param {number} playerZ - Player Z position
+     * @param {Function} addBlockFn - Function to place blocks
+     * @returns {boolean} false if there is no such template
+     */
+    debugPlaceTemplate(name, rotation, playerX, playerZ, addBlockFn) {
+        const template = this.templates.get(name);
+        if (!template) {
+            console.error(`❌ No worldgen template "${name}". Templates: ${this.templates.list().map(t => t.name).join(', ') || '(none)'}`);
+            return false;
+        }
+        if (!this.syncTemplateSeed()) return false;
+
+        const footprint = StructureTemplates.getFootprint(template, rotation);
+        const x = Math.floor(playerX);
+        const z = Math.floor(playerZ) + Math.ceil(footprint.z / 2) + 5; // Clear of the player (positive Z)
+        const minX = x - Math.floor(footprint.x / 2);
+        const minZ = z - Math.floor(footprint.z / 2);
+        const placement = {
+            name, chunk: null, x, z, rotation,
+            rect: { minX, maxX: minX + footprint.x - 1, minZ, maxZ: minZ + footprint.z - 1 },
+            radius: Math.ceil(Math.hypot(footprint.x, footprint.z) / 2),
+            baseY: 0,
+            blocks: []
+        };
+        this.buildTemplatePlacement(placement, template, this.templateTerrain.seed + 4507);
+
+        for (const block of placement.blocks) {
+            addBlockFn(block.x, block.y, block.z, block.type, false);
+        }
+        console.log(`🏗️ Template "${name}" built at (${x}, ${placement.baseY}, ${z}): ${placement.blocks.length} blocks`);
+        return true;
+    }
+
     /**
      * 🏰 Generate a defensive stone wall section with battlements
      * Can be placed in sequence to create long defensive walls
@@ -154,6 +154,39 @@ export class ToolBenchSystem {
                 }
             },
 
+            // ⛏️ MINING TIERS (see MiningTiers.js): iron tier breaks crystal ore, crystal tier mines fastest
+            iron_pickaxe: {
+                name: '⛏️ Iron Pickaxe',
+                items: { iron: 3, coal: 2, stick: 2 },
+                description: 'Iron-tier pickaxe. Mines ore fast and can break crystal ore.',
+                clues: {
+                    iron: 'Three bars of metal from the deep...',
+                    coal: 'Two black stones that burn and keep...',
+                    stick: 'Two handles to swing it steep...'
+                },
+                category: 'harvesting',
+                isTool: true,
+                isHarvestTool: true,
+                toolType: 'iron_pickaxe',
+                canHarvest: ['stone', 'coal_ore', 'iron', 'gold', 'crystal_ore']
+            },
+
+            crystal_pickaxe: {
+                name: '💎 Crystal Pickaxe',
+                items: { crystal: 3, gold: 2, stick: 2 },
+                description: 'Crystal-tier pickaxe. The fastest way through stone and ore.',
+                clues: {
+                    crystal: 'Three shards from the mountain\'s heart...',
+                    gold: 'Two gleaming nuggets to bind each part...',
+                    stick: 'Two handles, and the digging can start...'
+                },
+                category: 'harvesting',
+                isTool: true,
+                isHarvestTool: true,
+                toolType: 'crystal_pickaxe',
+                canHarvest: ['stone', 'coal_ore', 'iron', 'gold', 'crystal_ore']
+            },
+
             // 🌾 FARMING TOOLS
             hoe: {
                 name: '🌾 Hoe',
@@ -0,0 +1,573 @@
+import * as THREE from 'three';
+import { BiomeDefinitions } from './worldgen/BiomeDefinitions.js';
+import { CaveGenerator } from './worldgen/CaveGenerator.js';
+import { Hydrology } from './worldgen/Hydrology.js';
+import { TerrainColumns } from './worldgen/TerrainColumns.js';
+
+/**
+ * 🏘️ VillageGenerator - Seeded villages with roads, houses and resident NPCs
+ *
+ * Purpose:
+ * - Inhabited places next to StructureGenerator's ruins: a main road with cross
+ *   streets, houses facing the roads, a gatehouse with flanking walls at one end
+ *   and a watchtower at the other (all built with StructureGenerator's builders)
+ * - Every house has a resident (entities/NPC.js) standing at its door
+ *
+ * How it works:
+ * - The world is split into CELL_SIZE cells and each cell may hold one village
+ *   (seeded roll × structures.weights.village of the biome at its center)
+ * - The layout is planned from TerrainColumns - the worker's pristine terrain - so it
+ *   doesn't depend on which chunks happen to be loaded: same seed = same villages.
+ *   Houses only go on dry plots whose ground varies by at most MAX_PLOT_SPREAD
+ *   blocks; a village with fewer than MIN_HOUSES houses is rejected
+ * - Plans (including rejections) are kept in a registry that is saved with the game,
+ *   so a village is planned once and every later load rebuilds that same plan.
+ *   Like ruins, village blocks aren't part of the saved terrain: each chunk load
+ *   stamps the village blocks inside that chunk
+ * - Residents are spawned while any village chunk is loaded and removed once none is
+ *
+ * Themes come from structures.village in biomes.json ({ wall, floor, road, tower, residents }).
+ * Walls avoid wood: the chunk unload tree scan would save wooden walls as trees.
+ */
+
+export class VillageGenerator {
+    static CELL_SIZE = 256;              // Blocks per village cell side (one candidate per cell)
+    static CELL_MARGIN = 32;             // Centers stay this far inside their cell - villages never cross cells
+    static BASE_CHANCE = 0.35;           // Chance of a village per cell at weight 1
+    static MAIN_ROAD_HALF_LENGTH = 16;
+    static CROSS_ROAD_HALF_LENGTH = 10;
+    static ROAD_HALF_WIDTH = 1;          // 3-wide roads (matches the gatehouse passage)
+    static HOUSE_SPACING = 8;            // Blocks between house slots along a road
+    static MAX_PLOT_SPREAD = 1;          // Ground height difference allowed under a house
+    static MAX_DEFENSE_SPREAD = 2;       // ... under the gatehouse, walls and watchtower
+    static MIN_HOUSES = 3;
+    static MAX_HOUSES = 10;
+    static TUTORIAL_CLEARANCE = 96;      // No village centers this close to the tutorial ruin
+
+    static DEFAULT_PALETTE = { wall: 'stone', floor: 'stone', road: 'dirt', tower: 'stone', residents: ['🧑‍🌾'] };
+
+    static NAME_PREFIXES = ['Oak', 'Elm', 'Ash', 'Stone', 'Brook', 'Mill', 'Wind', 'Fox', 'Thorn', 'Amber', 'Frost', 'Raven', 'Willow', 'Hollow', 'Marsh'];
+    static NAME_SUFFIXES = ['ford', 'stead', 'ham', 'wick', 'dale', 'bury', 'field', 'holm', 'moor', 'vale'];
+    static RESIDENT_NAMES = ['Alda', 'Bram', 'Cora', 'Dunstan', 'Edda', 'Finn', 'Greta', 'Hob', 'Ilse', 'Jory',
+        'Kestrel', 'Lorn', 'Mira', 'Ned', 'Orla', 'Pell', 'Quill', 'Rosk', 'Sable', 'Tamsin', 'Ulric', 'Wren'];
+    static GREETINGS = [
+        'Welcome to {village}, traveller!',
+        'The nights are getting longer. Stay safe out there.',
+        'Mind the road - it\'s the only flat ground for miles.',
+        'We don\'t get many visitors in {village}.',
+        'The watchtower keeps an eye on the wilds for us.'
+    ];
+
+    /**
+     * @param {BiomeWorldGen} biomeWorldGen - Owner (biomes, noise params, StructureGenerator, The Long Nights)
+     */
+    constructor(biomeWorldGen) {
+        this.biomeWorldGen = biomeWorldGen;
+        this.voxelWorld = biomeWorldGen.voxelWorld;
+        this.structureGenerator = biomeWorldGen.structureGenerator;
+        this.chunkSize = this.voxelWorld.chunkSize || 8;
+
+        this.villages = new Map();       // Map<"cellX,cellZ", record> - planned and rejected villages (saved)
+        this.emptyCells = new Set();     // Cells whose roll failed (cheap to recompute, not saved)
+        this.spawnedVillages = new Set(); // Cell keys of villages whose residents are in the world
+
+        this.seed = null;
+        this.setSeed(this.getWorldSeed());
+    }
+
+    // ===== SEED & REGISTRY =====
+
+    /**
+     * 🎲 Follow the world seed - a different seed forgets the villages of the old one
+     */
+    setSeed(seed) {
+        const { worldBorder: border, worldPreset: preset } = this.biomeWorldGen;
+        if (seed === this.seed && this.terrain?.border === border && this.terrain.preset === preset) return;
+
+        this.seed = seed;
+        this.terrain = new TerrainColumns(seed, this.biomeWorldGen.biomes, this.biomeWorldGen.noiseParams, new Hydrology(seed), undefined, border, preset);
+        this.reset();
+    }
+
+    /**
+     * The seed the chunk workers generate with (BiomeWorldGen's own seed can lag behind it)
+     */
+    getWorldSeed() {
+        return this.voxelWorld.worldSeed ?? this.biomeWorldGen.worldSeed;
+    }
+
+    reset() {
+        for (const cellKey of this.spawnedVillages) {
+            this.despawnResidents(this.villages.get(cellKey));
+        }
+        this.spawnedVillages.clear();
+        this.villages.clear();
+        this.emptyCells.clear();
+
+        // Minimap markers / tree clearings of the old villages
+        const markers = this.voxelWorld.ruinPositions;
+        for (let i = (markers?.length ?? 0) - 1; i >= 0; i--) {
+            if (markers[i].type === 'village') markers.splice(i, 1);
+        }
+    }
+
+    /**
+     * 💾 Village records for the save file
+     */
+    getSaveData() {
+        return Array.from(this.villages.values());
+    }
+
+    /**
+     * 📥 Replace the registry with saved records
+     *
+     * @param {Array} records - From getSaveData()
+     * @param {number} seed - World seed the records were planned with
+     */
+    loadSaveData(records, seed = this.getWorldSeed()) {
+        this.setSeed(seed);
+        this.reset();
+
+        for (const record of records || []) {
+            if (!record || !Array.isArray(record.cell)) continue;
+            this.villages.set(record.cell.join(','), record);
+            if (record.status === 'planned') this.addMarker(record);
+        }
+
+        console.log(`🏘️ Restored ${this.getVillages().length} villages`);
+    }
+
+    /**
+     * Planned (not rejected) villages
+     */
+    getVillages() {
+        return Array.from(this.villages.values()).filter(village => village.status === 'planned');
+    }
+
+    /**
+     * Village record of a cell - planned on first use, null if the cell has none
+     */
+    getVillageInCell(cellX, cellZ) {
+        const cellKey = `${cellX},${cellZ}`;
+        if (this.villages.has(cellKey)) return this.villages.get(cellKey);
+        if (this.emptyCells.has(cellKey)) return null;
+
+        const village = this.planVillage(cellX, cellZ);
+        if (!village) {
+            this.emptyCells.add(cellKey);
+            return null;
+        }
+
+        this.villages.set(cellKey, village);
+        if (village.status === 'planned') {
+            this.addMarker(village);
+            console.log(`🏘️ Village ${village.name} planned at (${village.x}, ${village.z}) in ${village.biome}: ${village.residents.length} houses`);
+        } else {
+            console.log(`🏘️ Village site at (${village.x}, ${village.z}) rejected - not enough flat ground`);
+        }
+        return village;
+    }
+
+    /**
+     * 🗺️ Minimap marker (ruinPositions) - also keeps TreeWorker trees out of the village
+     */
+    addMarker(village) {
+        if (!this.voxelWorld.ruinPositions) return;
+        this.voxelWorld.ruinPositions.push({
+            x: village.x,
+            z: village.z,
+            size: 'large',
+            type: 'village',
+            name: village.name,
+            radius: village.radius
+        });
+    }
+
+    // ===== CHUNK HOOK =====
+
+    /**
+     * 🏗️ Build the village blocks inside a chunk that just loaded, and manage residents
+     * Called after StructureGenerator.generateStructuresForChunk (worker and fallback paths)
+     *
+     * @param {number} chunkX
+     * @param {number} chunkZ
+     * @param {Function} addBlockFn - (x, y, z, type, playerPlaced) like VoxelWorld.addBlock
+     */
+    generateForChunk(chunkX, chunkZ, addBlockFn) {
+        this.setSeed(this.getWorldSeed());
+
+        const cellBlocks = VillageGenerator.CELL_SIZE;
+        const cellX = Math.floor(chunkX * this.chunkSize / cellBlocks);
+        const cellZ = Math.floor(chunkZ * this.chunkSize / cellBlocks);
+        const chunkKey = `${chunkX},${chunkZ}`;
+
+        const village = this.getVillageInCell(cellX, cellZ);
+        if (village && village.status === 'planned' && this.touchesChunk(village.bounds, chunkX, chunkZ)) {
+            this.buildChunk(village, chunkX, chunkZ, addBlockFn);
+            this.spawnResidents(village, `${cellX},${cellZ}`);
+        }
+
+        // Residents leave with the last loaded chunk of their village
+        for (const cellKey of this.spawnedVillages) {
+            const spawned = this.villages.get(cellKey);
+            if (!this.isVillageLoaded(spawned, chunkKey)) {
+                this.despawnResidents(spawned);
+                this.spawnedVillages.delete(cellKey);
+            }
+        }
+    }
+
+    buildChunk(village, chunkX, chunkZ, addBlockFn) {
+        const minX = chunkX * this.chunkSize;
+        const minZ = chunkZ * this.chunkSize;
+        const maxX = minX + this.chunkSize - 1;
+        const maxZ = minZ + this.chunkSize - 1;
+
+        // Builders place player blocks and ignore chunk borders - keep this chunk's generated blocks only
+        const addInChunk = (x, y, z, type) => {
+            if (x >= minX && x <= maxX && z >= minZ && z <= maxZ) {
+                addBlockFn(x, y, z, type, false);
+            }
+        };
+        const chunkRect = { minX, maxX, minZ, maxZ };
+
+        for (const part of village.parts) {
+            if (!VillageGenerator.rectsOverlap(part, chunkRect)) continue;
+            this.buildPart(village, part, chunkRect, addInChunk);
+        }
+    }
+
+    buildPart(village, part, chunkRect, addBlockFn) {
+        const { palette } = village;
+        const getHeightFn = () => part.baseY;
+        const builder = this.structureGenerator;
+
+        if (part.type === 'road') {
+            // Roads replace the surface block, following the ground
+            this.forEachColumn(part, chunkRect, (x, z, column) => {
+                if (column.waterTop <= column.height) addBlockFn(x, column.height, z, palette.road);
+            });
+            return;
+        }
+
+        // Foundation under the floor where the ground is lower than the plot's highest column
+        this.forEachColumn(part, chunkRect, (x, z, column) => {
+            for (let y = column.height + 1; y < part.baseY; y++) {
+                addBlockFn(x, y, z, column.biome.subBlock);
+            }
+        });
+
+        switch (part.type) {
+            case 'house':
+                builder.generateHouse(part.x, part.z, part.length, part.width, part.height,
+                    palette.wall, palette.floor, part.door, addBlockFn, getHeightFn);
+                break;
+            case 'gatehouse':
+                builder.generateGatehouse(part.x, part.z, part.width, part.height, part.orientation, palette.tower, addBlockFn, getHeightFn);
+                break;
+            case 'wall':
+                builder.generateWall(part.x, part.z, part.length, part.height, 1, part.orientation, palette.tower, addBlockFn, getHeightFn);
+                break;
+            case 'tower':
+                builder.generateTower(part.x, part.z, part.size, part.height, palette.tower, addBlockFn, getHeightFn);
+                break;
+        }
+    }
+
+    forEachColumn(rect, chunkRect, callback) {
+        for (let x = Math.max(rect.minX, chunkRect.minX); x <= Math.min(rect.maxX, chunkRect.maxX); x++) {
+            for (let z = Math.max(rect.minZ, chunkRect.minZ); z <= Math.min(rect.maxZ, chunkRect.maxZ); z++) {
+                callback(x, z, this.terrain.getColumn(x, z));
+            }
+        }
+    }
+
+    // ===== RESIDENTS =====
+
+    spawnResidents(village, cellKey) {
+        const npcManager = this.voxelWorld.npcManager;
+        if (!npcManager) return;
+
+        for (const resident of village.residents) {
+            if (npcManager.get(resident.id)) continue; // Already standing at their door
+
+            npcManager.spawn({
+                id: resident.id,
+                name: resident.name,
+                emoji: resident.emoji,
+                position: new THREE.Vector3(resident.x, resident.y, resident.z),
+                onInteract: () => this.greet(village, resident)
+            });
+        }
+        this.spawnedVillages.add(cellKey);
+
+        if (!village.discovered) {
+            village.discovered = true;
+            this.voxelWorld.updateStatus?.(`🏘️ Discovered ${village.name}`, 'discovery');
+        }
+    }
+
+    despawnResidents(village) {
+        const npcManager = this.voxelWorld.npcManager;
+        if (!npcManager || !village) return;
+
+        for (const resident of village.residents) {
+            npcManager.remove(resident.id);
+        }
+    }
+
+    greet(village, resident) {
+        const greeting = VillageGenerator.GREETINGS[resident.greeting % VillageGenerator.GREETINGS.length]
+            .replace('{village}', village.name);
+        this.voxelWorld.updateStatus(`${resident.emoji} ${resident.name}: "${greeting}"`, 'info');
+    }
+
+    isVillageLoaded(village, loadingChunkKey) {
+        const { minX, maxX, minZ, maxZ } = village.bounds;
+        for (let chunkX = Math.floor(minX / this.chunkSize); chunkX <= Math.floor(maxX / this.chunkSize); chunkX++) {
+            for (let chunkZ = Math.floor(minZ / this.chunkSize); chunkZ <= Math.floor(maxZ / this.chunkSize); chunkZ++) {
+                const chunkKey = `${chunkX},${chunkZ}`;
+                if (chunkKey === loadingChunkKey || this.voxelWorld.loadedChunks?.has(chunkKey)) return true;
+            }
+        }
+        return false;
+    }
+
+    touchesChunk(rect, chunkX, chunkZ) {
+        const minX = chunkX * this.chunkSize;
+        const minZ = chunkZ * this.chunkSize;
+        return VillageGenerator.rectsOverlap(rect, {
+            minX, maxX: minX + this.chunkSize - 1, minZ, maxZ: minZ + this.chunkSize - 1
+        });
+    }
+
+    // ===== PLANNING =====
+
+    /**
+     * 🗺️ Plan the village of a cell from the seed
+     *
+     * @returns {Object|null} Village record (status 'planned' or 'rejected'), null if the cell has no village
+     */
+    planVillage(cellX, cellZ) {
+        const { CELL_SIZE, CELL_MARGIN } = VillageGenerator;
+        const random = this.createRandom(cellX, cellZ);
+
+        const x = cellX * CELL_SIZE + CELL_MARGIN + Math.floor(random() * (CELL_SIZE - 2 * CELL_MARGIN));
+        const z = cellZ * CELL_SIZE + CELL_MARGIN + Math.floor(random() * (CELL_SIZE - 2 * CELL_MARGIN));
+        const tutorial = this.biomeWorldGen.tutorialRuinGenerator;
+        if (tutorial && Math.hypot(x - tutorial.TUTORIAL_RUIN_X, z - tutorial.TUTORIAL_RUIN_Z) < VillageGenerator.TUTORIAL_CLEARANCE) {
+            return null;
+        }
+
+        const biome = this.terrain.getBiomeAt(x, z);
+        const weight = BiomeDefinitions.getStructureWeight(biome, 'village');
+        if (random() >= VillageGenerator.BASE_CHANCE * weight) return null;
+
+        const village = {
+            id: `village_${cellX}_${cellZ}`,
+            cell: [cellX, cellZ],
+            x,
+            z,
+            biome: biome.id,
+            name: this.pickName(random),
+            palette: { ...VillageGenerator.DEFAULT_PALETTE, ...biome.structures?.village },
+            status: 'rejected',
+            parts: [],
+            residents: [],
+            bounds: null,
+            radius: 0,
+            discovered: false
+        };
+
+        const center = this.terrain.getColumn(x, z);
+        if (center.waterTop > center.height) return village;
+
+        const layout = { parts: [], occupied: [], houses: [] };
+        const axis = random() < 0.5 ? 'x' : 'z';
+        const crossAxis = axis === 'x' ? 'z' : 'x';
+        const along = axis === 'x' ? x : z;
+        const across = axis === 'x' ? z : x;
+
+        // 🛣️ Main road and 1-2 cross roads
+        const mainRoad = this.addRoad(layout, axis, across, along - VillageGenerator.MAIN_ROAD_HALF_LENGTH, along + VillageGenerator.MAIN_ROAD_HALF_LENGTH);
+        const crossOffsets = random() < 0.5
+            ? [Math.round(random() * 8 - 4)]
+            : [-11 + Math.floor(random() * 4), 8 + Math.floor(random() * 4)];
+        const crossRoads = crossOffsets.map(offset => this.addRoad(layout, crossAxis, along + offset,
+            across - VillageGenerator.CROSS_ROAD_HALF_LENGTH, across + VillageGenerator.CROSS_ROAD_HALF_LENGTH));
+
+        // 🏰 Gatehouse with flanking walls at one end of the main road, watchtower at the other
+        const gateEnd = random() < 0.5 ? 1 : -1;
+        const gateAlong = gateEnd > 0 ? mainRoad.to + 3 : mainRoad.from - 3;
+        const towerAlong = gateEnd > 0 ? mainRoad.from - 3 : mainRoad.to + 3;
+        this.planGate(layout, axis, gateAlong, across);
+        this.tryPlace(layout, {
+            type: 'tower', ...this.toWorld(axis, towerAlong, across), size: 5, height: 9,
+            ...this.alongRect(axis, towerAlong - 2, towerAlong + 2, across - 2, across + 2)
+        }, VillageGenerator.MAX_DEFENSE_SPREAD);
+
+        // 🏠 Houses facing the roads
+        for (const road of [mainRoad, ...crossRoads]) {
+            for (let slot = road.from + 4; slot <= road.to - 4; slot += VillageGenerator.HOUSE_SPACING) {
+                for (const side of [1, -1]) {
+                    if (layout.houses.length >= VillageGenerator.MAX_HOUSES) break;
+                    if (random() < 0.15) continue; // Empty lot
+                    this.planHouse(layout, road, slot, side, random);
+                }
+            }
+        }
+
+        if (layout.houses.length < VillageGenerator.MIN_HOUSES) return village;
+
+        // 🧑‍🌾 One resident per house, at the door
+        const names = VillageGenerator.RESIDENT_NAMES;
+        const start = Math.floor(random() * names.length);
+        village.residents = layout.houses.map((house, i) => ({
+            id: `${village.id}_resident_${i}`,
+            name: names[(start + i * 7) % names.length],
+            emoji: village.palette.residents[Math.floor(random() * village.palette.residents.length)],
+            greeting: Math.floor(random() * VillageGenerator.GREETINGS.length),
+            ...house.porch
+        }));
+
+        village.status = 'planned';
+        village.parts = layout.parts;
+        village.bounds = layout.occupied.reduce((bounds, rect) => ({
+            minX: Math.min(bounds.minX, rect.minX),
+            maxX: Math.max(bounds.maxX, rect.maxX),
+            minZ: Math.min(bounds.minZ, rect.minZ),
+            maxZ: Math.max(bounds.maxZ, rect.maxZ)
+        }));
+        const { minX, maxX, minZ, maxZ } = village.bounds;
+        village.radius = Math.ceil(Math.hypot(Math.max(maxX - x, x - minX), Math.max(maxZ - z, z - minZ)));
+        return village;
+    }
+
+    addRoad(layout, axis, line, from, to) {
+        const halfWidth = VillageGenerator.ROAD_HALF_WIDTH;
+        const road = { type: 'road', axis, line, from, to, ...this.alongRect(axis, from, to, line - halfWidth, line + halfWidth) };
+        layout.parts.push(road);
+        layout.occupied.push(road);
+        return road;
+    }
+
+    planGate(layout, axis, gateAlong, across) {
+        const gatehouse = {
+            type: 'gatehouse', ...this.toWorld(axis, gateAlong, across), width: 9, height: 6,
+            orientation: axis === 'x' ? 'east-west' : 'north-south', // Passage along the road
+            ...this.alongRect(axis, gateAlong - 2, gateAlong + 2, across - 4, across + 4)
+        };
+        if (!this.tryPlace(layout, gatehouse, VillageGenerator.MAX_DEFENSE_SPREAD)) return;
+
+        // Walls continue the gatehouse sideways (6 long, centered so they start next to it)
+        for (const center of [across + 8, across - 7]) {
+            this.tryPlace(layout, {
+                type: 'wall', ...this.toWorld(axis, gateAlong, center), length: 6, height: 3,
+                orientation: axis === 'x' ? 'north-south' : 'east-west',
+                ...this.alongRect(axis, gateAlong, gateAlong, center - 3, center + 2)
+            }, VillageGenerator.MAX_DEFENSE_SPREAD);
+        }
+    }
+
+    /**
+     * 🏠 A house beside a road, door facing it (2 interior sizes of 4-5 blocks)
+     */
+    planHouse(layout, road, slot, side, random) {
+        const interiorAlong = 4 + Math.floor(random() * 2);
+        const interiorCross = 4 + Math.floor(random() * 2);
+        const totalAlong = interiorAlong + 2;
+        const totalCross = interiorCross + 2;
+        const halfWidth = VillageGenerator.ROAD_HALF_WIDTH;
+
+        // One block of path between road and wall - the resident stands there
+        const crossMin = side > 0 ? road.line + halfWidth + 2 : road.line - halfWidth - 1 - totalCross;
+        const crossCenter = crossMin + Math.floor(totalCross / 2);
+        const alongMin = slot - Math.floor(totalAlong / 2);
+        const porchCross = side > 0 ? crossMin - 1 : crossMin + totalCross;
+
+        // generateHouse: length along X, width along Z, door in the middle of the doorSide wall
+        const isX = road.axis === 'x';
+        const house = {
+            type: 'house',
+            ...this.toWorld(road.axis, slot, crossCenter),
+            length: isX ? interiorAlong : interiorCross,
+            width: isX ? interiorCross : interiorAlong,
+            height: 4,
+            door: isX ? (side > 0 ? 'north' : 'south') : (side > 0 ? 'west' : 'east'),
+            ...this.alongRect(road.axis, alongMin, alongMin + totalAlong - 1, crossMin, crossMin + totalCross - 1)
+        };
+
+        const porch = this.toWorld(road.axis, slot, porchCross);
+        const porchColumn = this.terrain.getColumn(porch.x, porch.z);
+        const porchRect = { minX: porch.x, maxX: porch.x, minZ: porch.z, maxZ: porch.z };
+        if (porchColumn.waterTop > porchColumn.height || this.isOccupied(layout, porchRect, 0)) return;
+        if (!this.tryPlace(layout, house, VillageGenerator.MAX_PLOT_SPREAD, 1)) return;
+
+        layout.houses.push({ house, porch: { ...porch, y: porchColumn.height + 1 } });
+    }
+
+    /**
+     * Add a part if its plot is dry, flat enough and free - sets part.baseY (one above the highest ground)
+     */
+    tryPlace(layout, part, maxSpread, margin = 0) {
+        if (this.isOccupied(layout, part, margin)) return false;
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (let x = part.minX; x <= part.maxX; x++) {
+            for (let z = part.minZ; z <= part.maxZ; z++) {
+                const column = this.terrain.getColumn(x, z);
+                if (column.waterTop > column.height) return false;
+                min = Math.min(min, column.height);
+                max = Math.max(max, column.height);
+            }
+        }
+        if (max - min > maxSpread) return false;
+
+        part.baseY = max + 1;
+        layout.parts.push(part);
+        layout.occupied.push(part);
+        return true;
+    }
+
+    isOccupied(layout, rect, margin) {
+        const grown = {
+            minX: rect.minX - margin, maxX: rect.maxX + margin,
+            minZ: rect.minZ - margin, maxZ: rect.maxZ + margin
+        };
+        return layout.occupied.some(other => VillageGenerator.rectsOverlap(grown, other));
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Road-relative (along, across) position → world { x, z }
+     */
+    toWorld(axis, along, across) {
+        return axis === 'x' ? { x: along, z: across } : { x: across, z: along };
+    }
+
+    alongRect(axis, alongMin, alongMax, acrossMin, acrossMax) {
+        return axis === 'x'
+            ? { minX: alongMin, maxX: alongMax, minZ: acrossMin, maxZ: acrossMax }
+            : { minX: acrossMin, maxX: acrossMax, minZ: alongMin, maxZ: alongMax };
+    }
+
+    static rectsOverlap(a, b) {
+        return a.minX <= b.maxX && a.maxX >= b.minX && a.minZ <= b.maxZ && a.maxZ >= b.minZ;
+    }
+
+    /**
+     * Seeded random sequence for one cell (same numbers on every load)
+     */
+    createRandom(cellX, cellZ) {
+        let step = 0;
+        return () => (CaveGenerator.hash3(cellX, step++, cellZ, this.seed + 7919) + 1) / 2;
+    }
+
+    pickName(random) {
+        const { NAME_PREFIXES, NAME_SUFFIXES } = VillageGenerator;
+        return NAME_PREFIXES[Math.floor(random() * NAME_PREFIXES.length)] +
+            NAME_SUFFIXES[Math.floor(random() * NAME_SUFFIXES.length)];
+    }
+}
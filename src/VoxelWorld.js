@@ -7,7 +7,10 @@ import { ToolBenchSystem } from './ToolBenchSystem.js';
 import { KitchenBenchSystem } from './KitchenBenchSystem.js';
 import { CompanionHuntSystem } from './CompanionHuntSystem.js';
 import { BiomeWorldGen } from './BiomeWorldGen.js';
+import { BiomeDefinitions } from './worldgen/BiomeDefinitions.js';
 import { WorkerManager } from './worldgen/WorkerManager.js';
+import { ORE_TYPES } from './worldgen/OreGenerator.js';
+import { TIER_NAMES, getToolTier, getRequiredTier, rollOreDrop } from './MiningTiers.js';
 import { InventorySystem } from './InventorySystem.js';
 import { HotbarSystem } from './HotbarSystem.js';
 import { BackpackSystem } from './BackpackSystem.js';
@@ -18,6 +21,7 @@ import { StaminaSystem } from './StaminaSystem.js';
 import { PlayerHP } from './PlayerHP.js';
 import { BlockResourcePool } from './BlockResourcePool.js';
 import { ModificationTracker } from './serialization/ModificationTracker.js';
+import { WorldIntegrityChecker } from './serialization/WorldIntegrityChecker.js';
 import { GhostSystem } from './GhostSystem.js';
 import { AngryGhostSystem } from './AngryGhostSystem.js';
 import { BloodMoonSystem } from './BloodMoonSystem.js';
@@ -42,14 +46,20 @@ import { RandyMStructureDesigner } from './ui/RandyMStructureDesigner.js';
 import { NPCManager } from './entities/NPC.js';
 import { ChunkLODManager } from './rendering/ChunkLODManager.js';
 import { ChunkRenderManager } from './rendering/ChunkRenderManager.js';
+import { ChunkMeshManager } from './rendering/ChunkMeshManager.js';
 import { RenderProfileManager } from './RenderProfileManager.js';
 import { LODDebugOverlay } from './rendering/LODDebugOverlay.js';
+import { WorldBorderWall } from './rendering/WorldBorderWall.js';
+import { WorldBorder } from './worldgen/WorldBorder.js';
+import { WorldPreset } from './worldgen/WorldPreset.js';
 import ChristmasSystem from './ChristmasSystem.js';
 import { FarmingSystem } from './FarmingSystem.js';
 import { MusicSystem } from './MusicSystem.js';
 import { SoundEffectsSystem } from './SoundEffectsSystem.js';
 import { marked } from 'marked';
 import { SaveSystem } from './SaveSystem.js';
+import { EditHistory } from './EditHistory.js';
+import { SAVE_SCHEMA_VERSION, migrateSaveData } from './serialization/SaveMigrations.js';
 import { AnimalSystem } from './AnimalSystem.js';
 import { QuestRunner } from './quests/QuestRunner.js';
 import { PlayerCharacter } from './PlayerCharacter.js';
@@ -65,6 +75,7 @@ import { SpearSystem } from './SpearSystem.js';
 import { DemolitionChargeSystem } from './DemolitionChargeSystem.js';
 import { FoodSystem } from './FoodSystem.js';
 import { createEmojiChooser } from './EmojiChooser.js';
+import { SeasonCalendar } from './SeasonCalendar.js';
 import * as CANNON from 'cannon-es';
 
 class NebulaVoxelApp {
@@ -273,6 +284,52 @@ class NebulaVoxelApp {
         this.hasKitchenBench = false;  // Unlocked when kitchen_bench is crafted
         console.log('🍳 KitchenBenchSystem initialized');
 
+        // 🧩 BLOCK STATE: Persistent per-position state (orientation, growth stage, custom data)
+        // Stored in the chunk's .mod data by ModificationTracker and handed back to
+        // every registered handler when the chunk loads again
+        this.blockStateHandlers = [];
+
+        this.registerBlockStateHandler = (handler) => {
+            this.blockStateHandlers.push(handler);
+        };
+
+        // state = { orientation, growthStage, data } or null to clear
+        this.setBlockState = (x, y, z, state) => {
+            if (!this.modificationTracker) return;
+
+            // Record the block itself too, so the state's block survives the chunk reloading
+            const block = this.world[`${x},${y},${z}`];
+            if (block && state) {
+                this.modificationTracker.trackModification(x, y, z, block.type, this.getBlockColor(block), !!block.playerPlaced);
+            }
+
+            this.modificationTracker.setBlockState(x, y, z, state);
+        };
+
+        this.restoreBlockStates = (chunkX, chunkZ) => {
+            const states = this.modificationTracker?.getChunkBlockStates(chunkX, chunkZ);
+            if (!states) return;
+
+            for (const { x, y, z, state } of states) {
+                const blockType = this.world[`${x},${y},${z}`]?.type ?? null;
+                for (const handler of this.blockStateHandlers) {
+                    try {
+                        handler(x, y, z, state, blockType);
+                    } catch (error) {
+                        console.error(`❌ Failed to restore block state at (${x}, ${y}, ${z}):`, error);
+                    }
+                }
+            }
+        };
+
+        // 🎨 Crafted objects (and ladder facing) come back with their chunk
+        this.registerBlockStateHandler((x, y, z, state) => {
+            const crafted = state.data?.crafted;
+            if (!crafted || this.craftedObjects?.[`${x},${y},${z}`]) return;
+
+            this.restoreCraftedObject(crafted.position, crafted.itemId, crafted.metadata, state.orientation);
+        });
+
         // 🌾 Initialize FarmingSystem
         this.farmingSystem = new FarmingSystem(this);
         console.log('🌾 FarmingSystem initialized');
@@ -292,6 +349,9 @@ class NebulaVoxelApp {
             this.gameTime++;
         }, 1000);
         console.log('💾 SaveSystem initialized');
+
+        // ↩️ Undo/redo history for player block edits
+        this.editHistory = new EditHistory(this);
         
         // Log save directory location (helpful for debugging)
         if (window.electronAPI && window.electronAPI.getUserDataPath) {
@@ -574,6 +634,21 @@ class NebulaVoxelApp {
             return leafTypes.includes(blockType);
         };
 
+        // 🎨 Saved color of a block: its tint, or its type's material color if untinted
+        this.getBlockColor = (block) => {
+            if (!block) return 0xFFFFFF;
+            return block.color ?? this.materials[block.type]?.color?.getHex?.() ?? 0xFFFFFF;
+        };
+
+        // 🎨 Re-tint one block (e.g. wet tilled soil) - the chunk mesh picks it up next frame
+        this.setBlockColor = (x, y, z, color) => {
+            const block = this.world[`${x},${y},${z}`];
+            if (!block) return;
+
+            block.color = color;
+            this.chunkMeshManager.markBlockDirty(x, y, z);
+        };
+
         this.addBlock = (x, y, z, type, playerPlaced = false, customColor = null) => {
             const key = `${x},${y},${z}`;
 
@@ -592,14 +667,6 @@ class NebulaVoxelApp {
                 }
                 }
                 // For other block types, allow overwriting (existing behavior)
-                if (existingBlock.mesh) {
-                    this.scene.remove(existingBlock.mesh);
-                    // 🗑️ MEMORY LEAK FIX: Dispose replaced block geometry
-                    if (existingBlock.mesh.geometry) {
-                        existingBlock.mesh.geometry.dispose();
-                    }
-                    // Don't dispose material - it's shared from resource pool
-                }
                 if (existingBlock.billboard) {
                     this.scene.remove(existingBlock.billboard);
                     // 🗑️ MEMORY LEAK FIX: Dispose replaced billboard
@@ -615,34 +682,15 @@ class NebulaVoxelApp {
                 }
             }
 
-            // PHASE 1: Regular mesh rendering with object pooling
-            const geo = this.resourcePool.getGeometry('cube');
-
-            let mat;
+            // 🎨 Block tint: height-based terrain color, or the darker player-placed color
+            // (drawn as vertex colors by the chunk mesh - null = plain texture)
+            let color = null;
             if (customColor) {
-                // Create custom material with height-based color
-                const baseMaterial = new THREE.MeshLambertMaterial({
-                    map: this.materials[type].map,
-                    color: customColor
-                });
-                // Try to enhance with texture if available
-                mat = this.enhancedGraphics.getEnhancedBlockMaterial(type, baseMaterial);
-            } else {
-                // Use darker material for player-placed blocks, normal for generated
-                const baseMaterial = playerPlaced ? this.playerMaterials[type] : this.materials[type];
-                // Try to enhance with texture if available
-                mat = this.enhancedGraphics.getEnhancedBlockMaterial(type, baseMaterial);
+                color = new THREE.Color(customColor).getHex();
+            } else if (playerPlaced && this.playerMaterials[type]) {
+                color = this.playerMaterials[type].color.getHex();
             }
 
-            const cube = new THREE.Mesh(geo, mat);
-            cube.position.set(x, y, z);
-            cube.userData = { type, playerPlaced };
-            
-            // 🚀 BVH: Build acceleration structure for this mesh
-            if (cube.geometry && !cube.geometry.boundsTree) {
-                cube.geometry.computeBoundsTree();
-            }
-            
             // 🚀 VERTICAL CULLING OPTIMIZATION: Check if block should be rendered
             let shouldRender = true;
             if (this.chunkRenderManager && this.chunkRenderManager.verticalCullingEnabled) {
@@ -652,10 +700,6 @@ class NebulaVoxelApp {
                 }
             }
 
-            if (shouldRender) {
-                this.scene.add(cube);
-            }
-
             // Create billboard sprite for special items
             let billboard = null;
             if (this.shouldUseBillboard(type) && shouldRender) {
@@ -667,12 +711,15 @@ class NebulaVoxelApp {
 
             this.world[key] = { 
                 type, 
-                mesh: cube, 
+                color,
                 playerPlaced, 
                 billboard,
                 rendered: shouldRender // Track if block is visually rendered
             };
 
+            // 🧱 Rebuild this chunk's merged mesh (next frame)
+            this.chunkMeshManager.addBlock(x, y, z);
+
             // 🌊 Track ALL water blocks for minimap (to show rivers and lakes clearly)
             if (type === 'water' && !playerPlaced) {
                 this.waterPositions.push({ x, y, z });
@@ -708,8 +755,17 @@ class NebulaVoxelApp {
 
             // 💾 Track player modifications for chunk persistence
             if (playerPlaced && this.modificationTracker) {
-                const color = customColor || (mat.color ? mat.color.getHex() : 0xFFFFFF);
-                this.modificationTracker.trackModification(x, y, z, type, color, true);
+                this.modificationTracker.trackModification(x, y, z, type, this.getBlockColor(this.world[key]), true);
+            }
+
+            // 🩹 Journal player edits for crash recovery
+            if (playerPlaced && this.saveSystem) {
+                this.saveSystem.journal.recordBlock(x, y, z, type);
+            }
+
+            // ↩️ Record for undo (only inside an action - never chunk loading)
+            if (this.editHistory.isRecording()) {
+                this.editHistory.recordEdit(x, y, z, existingBlock, this.world[key]);
             }
         };
 
@@ -1254,6 +1310,9 @@ class NebulaVoxelApp {
                 position: { x, y, z },
                 dimensions: dimensions
             };
+            this.setBlockState(Math.floor(x), Math.floor(y), Math.floor(z), {
+                data: { crafted: { itemId, metadata, position: { x, y, z } } }
+            });
 
             // 🔥 CAMPFIRE RESPAWN SYSTEM: Track last placed campfire
             // Check for campfire items: 'campfire', 'Campfire', or crafted items with '_campfire' suffix
@@ -1392,21 +1451,47 @@ class NebulaVoxelApp {
                 itemId: itemId,
                 metadata: metadata,
                 position: { x, y, z },
-                dimensions: dimensions
+                dimensions: dimensions,
+                orientation: facingDir.name
             };
+            this.setBlockState(Math.floor(x), Math.floor(y), Math.floor(z), {
+                orientation: facingDir.name,
+                data: { crafted: { itemId, metadata, position: { x, y, z } } }
+            });
         };
 
+        // 🔁 Recreate a crafted object from saved data (save load, chunk block state)
+        // Ladders keep their saved facing instead of re-running auto-stack placement
+        this.restoreCraftedObject = (position, itemId, metadata, orientation = null) => {
+            if (metadata && !this.inventoryMetadata[itemId]) {
+                this.inventoryMetadata[itemId] = metadata;
+            }
+            metadata = metadata || this.inventoryMetadata[itemId];
+
+            if (metadata?.isLadder) {
+                const facingDir = this.ladderDirections.find(dir => dir.name === orientation)
+                    || this.getLadderFacingDirection(position.x, position.y, position.z);
+                if (facingDir) {
+                    this.placeSingleLadder(position.x, position.y, position.z, itemId, metadata, facingDir);
+                }
+                return;
+            }
+
+            this.placeCraftedObject(position.x, position.y, position.z, itemId);
+        };
+
+        // 🪜 Ladder facings (name is persisted as the ladder's block state orientation)
+        this.ladderDirections = [
+            { name: 'north', offset: { x: 0, z: 1 } },
+            { name: 'south', offset: { x: 0, z: -1 } },
+            { name: 'east', offset: { x: 1, z: 0 } },
+            { name: 'west', offset: { x: -1, z: 0 } }
+        ];
+
         // 🪜 Determine which direction ladder should face (towards nearest wall)
         this.getLadderFacingDirection = (x, y, z) => {
-            const directions = [
-                { name: 'north', offset: { x: 0, z: 1 } },
-                { name: 'south', offset: { x: 0, z: -1 } },
-                { name: 'east', offset: { x: 1, z: 0 } },
-                { name: 'west', offset: { x: -1, z: 0 } }
-            ];
-
             // Check each direction for a solid block
-            for (const dir of directions) {
+            for (const dir of this.ladderDirections) {
                 const checkX = x + dir.offset.x;
                 const checkZ = z + dir.offset.z;
                 const block = this.getBlock(checkX, y, checkZ);
@@ -1815,8 +1900,8 @@ class NebulaVoxelApp {
                     const terrainData = this.biomeWorldGen.generateTerrainAt(x, z);
                     const surfaceHeight = terrainData.height;
 
-                    // Only generate if below surface
-                    if (y < surfaceHeight) {
+                    // Only generate if below surface and not inside a cave
+                    if (y < surfaceHeight && !this.biomeWorldGen.isCaveAt(x, y, z, surfaceHeight)) {
                         // Determine block type based on depth
                         let blockType, blockColor;
 
@@ -1825,14 +1910,9 @@ class NebulaVoxelApp {
                             blockType = 'bedrock';
                             blockColor = new THREE.Color(0x1a1a1a);
                         } else if (y < surfaceHeight - 2) {
-                            // Deep underground - stone with occasional iron
-                            if (Math.random() < 0.1) { // 10% iron chance
-                                blockType = 'iron';
-                                blockColor = new THREE.Color(0x808080);
-                            } else {
-                                blockType = 'stone';
-                                blockColor = new THREE.Color(0x696969);
-                            }
+                            // Deep underground - stone with ore veins (same veins as ChunkWorker)
+                            blockType = this.biomeWorldGen.getOreAt(x, y, z, terrainData.biome.id) || 'stone';
+                            blockColor = new THREE.Color(ORE_TYPES[blockType]?.color ?? 0x696969);
                         } else {
                             // Near surface - use biome sub-block
                             blockType = terrainData.biome.subBlock;
@@ -1841,6 +1921,8 @@ class NebulaVoxelApp {
 
                         // Create the block
                         this.addBlock(x, y, z, blockType, blockColor, false);
+                        // ↩️ Materializing terrain isn't an edit - undo should restore it, not remove it
+                        this.editHistory.forgetEdit(x, y, z);
                         return this.world[key];
                     }
                 }
@@ -1854,11 +1936,36 @@ class NebulaVoxelApp {
             return this.dayNightCycle ? this.dayNightCycle.currentDay : 0;
         };
 
+        // 🍂 Get current season (from the week/day counters)
+        this.getCurrentSeason = () => {
+            const cycle = this.dayNightCycle;
+            return SeasonCalendar.getSeason(cycle ? SeasonCalendar.getCalendarDay(cycle.currentWeek, cycle.dayOfWeek) : 1);
+        };
+
         // 🌾 Set block (helper for farming system)
         this.setBlock = (x, y, z, blockType) => {
             this.addBlock(x, y, z, blockType, false);
         };
 
+        // ↩️ Put a block back to a recorded state (used by undo/redo)
+        // block = { type, playerPlaced } or null for air. Always persisted, even for
+        // natural terrain, so the chunk reloads the way the player left it.
+        this.applyBlockEdit = (x, y, z, block) => {
+            this.removeBlock(x, y, z, false);
+            if (block) {
+                this.addBlock(x, y, z, block.type, block.playerPlaced);
+                if (block.playerPlaced) return; // addBlock already tracked and journaled it
+            }
+
+            if (this.modificationTracker) {
+                const color = block ? this.getBlockColor(this.world[`${x},${y},${z}`]) : 0xFFFFFF;
+                this.modificationTracker.trackModification(x, y, z, block ? block.type : null, color, false);
+            }
+            if (this.saveSystem) {
+                this.saveSystem.journal.recordBlock(x, y, z, block ? block.type : null);
+            }
+        };
+
         this.removeBlock = (x, y, z, giveItems = true) => {
             const key = `${x},${y},${z}`;
             if (this.world[key]) {
@@ -1968,16 +2075,7 @@ class NebulaVoxelApp {
                     }
                 }
 
-                // PHASE 1: Handle regular mesh blocks
-                if (blockData.mesh) {
-                    this.scene.remove(blockData.mesh);
-                    if (blockData.mesh.geometry) {
-                        blockData.mesh.geometry.dispose();
-                    }
-                    // Don't dispose material as it's shared
-                }
-
-                // Also remove billboard if it exists
+                // Remove billboard if it exists
                 if (blockData.billboard) {
                     this.scene.remove(blockData.billboard);
 
@@ -2001,6 +2099,7 @@ class NebulaVoxelApp {
                 }
 
                 delete this.world[key];
+                this.chunkMeshManager.removeBlock(x, y, z);
 
                 // 🌊 Remove from water positions tracking if it was water
                 if (blockData.type === 'water') {
@@ -2047,11 +2146,23 @@ class NebulaVoxelApp {
                     }
                 }
 
-                // 💾 Track block removal for chunk persistence (if player harvesting)
-                if (giveItems && this.modificationTracker) {
+                // 💾 Track block removal for chunk persistence (player harvesting, or an
+                // undoable action like an explosion that already handed out its own items)
+                const isPlayerEdit = giveItems || this.editHistory.isRecording();
+                if (isPlayerEdit && this.modificationTracker) {
                     this.modificationTracker.trackModification(x, y, z, null, 0, false);
                 }
 
+                // 🩹 Journal player edits for crash recovery
+                if (isPlayerEdit && this.saveSystem) {
+                    this.saveSystem.journal.recordBlock(x, y, z, null);
+                }
+
+                // ↩️ Record for undo
+                if (this.editHistory.isRecording()) {
+                    this.editHistory.recordEdit(x, y, z, blockData, null);
+                }
+
                 // Log removal for debugging
                 // commented out due to console spam - brad
                 //console.log(`Removed block ${blockData.type} at (${x},${y},${z})`);
@@ -2160,6 +2271,12 @@ class NebulaVoxelApp {
         };
 
         this.generateSeedFromString = (seedString) => {
+            // 🗺️ Whole numbers are used as is (seeds shown by the seed preview)
+            const trimmed = seedString.trim();
+            if (/^-?\d+$/.test(trimmed) && Number.isSafeInteger(Number(trimmed))) {
+                return Number(trimmed);
+            }
+
             // Convert string to seed using ASCII values
             let seed = 0;
             for (let i = 0; i < seedString.length; i++) {
@@ -2170,7 +2287,16 @@ class NebulaVoxelApp {
             return seed;
         };
 
-        this.newGame = (seedString = '') => {
+        /**
+         * 🌍 Start a new world
+         * @param {string} seedString - Seed text (empty = random)
+         * @param {Object} options - { worldSize, worldEdge, worldPreset, superflatLayers, spawnPoint } from the
+         *                           new-game screen (see WorldBorder.SIZES and WorldPreset.PRESETS)
+         *                           spawnPoint: { x, y, z } picked on the seed preview map (default: 0, 10, 0)
+         */
+        this.newGame = async (seedString = '', options = {}) => {
+            this.editHistory.clear();
+
             // Clear current world
             for (let key in this.world) {
                 const [x, y, z] = key.split(',').map(Number);
@@ -2178,6 +2304,9 @@ class NebulaVoxelApp {
             }
             this.loadedChunks.clear();
             this.world = {};
+            this.chunkMeshManager.clear();
+            this.exploredChunks.clear();
+            this.lodManager?.dispose();
 
             // Generate new seed
             if (seedString.trim()) {
@@ -2185,38 +2314,61 @@ class NebulaVoxelApp {
             } else {
                 this.worldSeed = this.generateInitialSeed();
             }
+            localStorage.setItem(this.seedStorageKey, this.worldSeed.toString());
 
             // Create new seeded random generator
             this.seededRandom = this.createSeededRandom(this.worldSeed);
             this.biomeWorldGen.setWorldSeed(this.worldSeed);
 
+            // 🧱 World size and terrain preset chosen on the new-game screen
+            this.setWorldSettings({
+                border: { size: options.worldSize || 'infinite', edge: options.worldEdge },
+                preset: { id: options.worldPreset || 'default', layers: options.superflatLayers }
+            }, { restartWorkers: false });
+
+            // 👷 Workers and chunk storage still belong to the old world
+            if (this.workerInitialized) {
+                await this.restartWorldgenWorkers();
+            }
+            this.modificationTracker?.stopAutoSave();
+            const isElectron = typeof window !== 'undefined' && window.process && window.process.type === 'renderer';
+            this.modificationTracker = new ModificationTracker(this.worldSeed, isElectron);
+
             // Reset player position
-            this.player.position = { x: 0, y: 10, z: 0 };
+            const spawn = options.spawnPoint;
+            this.player.position = spawn ? { x: spawn.x, y: spawn.y, z: spawn.z } : { x: 0, y: 10, z: 0 };
+            // 🏔️ Respawn here when there's no campfire
+            this.spawnPosition = spawn ? { x: spawn.x, y: spawn.y, z: spawn.z } : { x: 0, y: 20, z: 0 };
             this.player.rotation = { x: 0, y: 0 };
 
             // Reload initial chunks
             this.updateChunks();
 
             // Spawn backpack near starting position
-            this.spawnStartingBackpack();
+            if (spawn) {
+                this.spawnStartingBackpack(Math.floor(spawn.x), Math.floor(spawn.z), Math.floor(spawn.y));
+            } else {
+                this.spawnStartingBackpack();
+            }
 
             this.updateStatus(`New world generated with seed: ${this.worldSeed}`);
         };
 
         // Spawn backpack near player starting position
-        this.spawnStartingBackpack = () => {
+        // (originX/originZ/scanTopY: a spawn point picked on the seed preview map)
+        this.spawnStartingBackpack = (originX = 0, originZ = 0, scanTopY = 5) => {
             if (this.hasBackpack) return; // Don't spawn if already found
 
             // Find a good spot 3-6 blocks away from spawn
             const spawnRadius = 3 + Math.floor(this.seededRandom() * 4); // 3-6 blocks away
             const angle = this.seededRandom() * Math.PI * 2; // Random direction
 
-            const backpackX = Math.floor(Math.cos(angle) * spawnRadius);
-            const backpackZ = Math.floor(Math.sin(angle) * spawnRadius);
+            const backpackX = originX + Math.floor(Math.cos(angle) * spawnRadius);
+            const backpackZ = originZ + Math.floor(Math.sin(angle) * spawnRadius);
 
             // Find ground level at that position
             let groundY = 0;
-            for (let y = 5; y >= -5; y--) {
+            for (let y = scanTopY; y >= -5; y--) {
                 const key = `${backpackX},${y},${backpackZ}`;
                 if (this.world[key]) {
                     groundY = y + 1; // Place on top of ground
@@ -2378,15 +2530,6 @@ class NebulaVoxelApp {
                             const blockData = this.world[blockKey];
                             
                             if (blockData) {
-                                // Remove mesh from scene
-                                if (blockData.mesh) {
-                                    this.scene.remove(blockData.mesh);
-                                    if (blockData.mesh.geometry) {
-                                        blockData.mesh.geometry.dispose();
-                                    }
-                                    // Material is shared, don't dispose
-                                }
-                                
                                 // Remove billboard from scene and tracking
                                 if (blockData.billboard) {
                                     this.scene.remove(blockData.billboard);
@@ -2407,8 +2550,9 @@ class NebulaVoxelApp {
                                     }
                                 }
                                 
-                                // Remove from world
+                                // Remove from world (and its chunk mesh)
                                 delete this.world[blockKey];
+                                this.chunkMeshManager.removeBlock(x, y, z);
                                 blocksRemoved++;
                             }
                         }
@@ -2775,6 +2919,8 @@ class NebulaVoxelApp {
                 }
                 if (removedKey) {
                     delete this.craftedObjects[removedKey];
+                    const [keyX, keyY, keyZ] = removedKey.split(',').map(Number);
+                    this.setBlockState(keyX, keyY, keyZ, null);
                     console.log(`🗑️ Removed from crafted objects tracking: ${removedKey}`);
                 }
             }
@@ -2919,36 +3065,13 @@ class NebulaVoxelApp {
 
         // Refresh all block textures after enhanced graphics initialization
         this.refreshAllBlockTextures = () => {
-            let refreshedCount = 0;
-            let multiFaceCount = 0;
             const startTime = performance.now();
 
-            Object.values(this.world).forEach(block => {
-                if (block.mesh && block.type) {
-                    // Get the current material (could be default or enhanced)
-                    const currentMaterial = block.mesh.material;
-
-                    // Try to get enhanced material
-                    const enhancedMaterial = this.enhancedGraphics.getEnhancedBlockMaterial(
-                        block.type,
-                        currentMaterial
-                    );
-
-                    // Only update if we got a different (enhanced) material
-                    if (enhancedMaterial !== currentMaterial) {
-                        block.mesh.material = enhancedMaterial;
-                        refreshedCount++;
-
-                        // If it's an array of materials (multi-face), count it
-                        if (Array.isArray(enhancedMaterial)) {
-                            multiFaceCount++;
-                        }
-                    }
-                }
-            });
+            // Chunk meshes share one material per block type, so swapping those covers every block
+            this.chunkMeshManager.refreshMaterials();
 
             const endTime = performance.now();
-            console.log(`🔄 Refreshed ${refreshedCount} blocks (${multiFaceCount} multi-face) with enhanced textures in ${(endTime - startTime).toFixed(1)}ms`);
+            console.log(`🔄 Refreshed ${this.chunkMeshManager.materials.size} chunk materials with enhanced textures in ${(endTime - startTime).toFixed(1)}ms`);
         };
 
         // Update tool button icon with enhanced graphics if available
@@ -3128,6 +3251,8 @@ class NebulaVoxelApp {
                 // NEW: Tools
                 machete: '🔪',        // For harvesting leaves and vegetation
                 stone_hammer: '🔨',   // Stone hammer for mining
+                iron_pickaxe: '⛏️',   // Iron-tier pickaxe (crystal ore)
+                crystal_pickaxe: '⛏️', // Crystal-tier pickaxe (fastest mining)
                 backpack: '🎒',       // Backpack icon
                 compass: '🧭',        // Navigation compass
                 compass_upgrade: '🧭', // Crystal compass (reassignable)
@@ -3279,7 +3404,7 @@ class NebulaVoxelApp {
                 'stone_hammer', 'magic_amulet', 'compass', 'compass_upgrade', 'machete',
                 'club', 'stone_spear', 'torch', 'wood_shield', 'hoe', 'watering_can',
                 'healing_potion', 'light_orb',
-                'demolition_charge', 'tree_feller',
+                'demolition_charge', 'tree_feller', 'iron_pickaxe', 'crystal_pickaxe',
                 'war_hammer', 'battle_axe', 'crossbow', 'fire_staff', 'ice_bow', 'throwing_knives',
                 'wooden_shield', 'treasure_detector', 'recall_stone', 'climbing_claws'
             ];
@@ -5306,6 +5431,24 @@ class NebulaVoxelApp {
                 }
             });
 
+            // 🧱 World border (finite worlds) - dashed line at the edge of the world
+            const borderRange = this.worldBorder.getChunkRange(chunkSize);
+            if (borderRange) {
+                const borderLeft = centerX + (borderRange.min - playerChunkX) * pixelsPerChunk;
+                const borderTop = centerY + (borderRange.min - playerChunkZ) * pixelsPerChunk;
+                const borderSize = (borderRange.max - borderRange.min + 1) * pixelsPerChunk;
+
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(30, 30, canvas.width - 60, canvas.height - 60);
+                ctx.clip();
+                ctx.strokeStyle = '#8B0000';
+                ctx.lineWidth = 2;
+                ctx.setLineDash([6, 4]);
+                ctx.strokeRect(borderLeft, borderTop, borderSize, borderSize);
+                ctx.restore();
+            }
+
             // Draw backpack position if not collected with treasure map style
             if (this.backpackPosition && !this.hasBackpack) {
                 const backpackChunkX = Math.floor(this.backpackPosition.x / chunkSize);
@@ -7594,6 +7737,8 @@ class NebulaVoxelApp {
                 brick: 2000,
                 iron: 3000, // Very hard without proper tools
                 gold: 3500, // Even harder than iron
+                coal_ore: 2000,
+                crystal_ore: 4500, // Hardest ore - needs an iron-tier tool
                 glass: 800,
                 glowstone: 1200,
                 flowers: 200
@@ -7620,23 +7765,24 @@ class NebulaVoxelApp {
                     stone: 0.4, // 1500ms * 0.4 = 600ms (fast!)
                     iron: 0.5,  // 3000ms * 0.5 = 1500ms (reasonable)
                     gold: 0.6,  // 3500ms * 0.6 = 2100ms (slower than iron)
+                    coal_ore: 0.5, // 2000ms * 0.5 = 1000ms
                     brick: 0.6, // Also good for brick
                     wood: 1.8,  // Inefficient for wood
                     grass: 2.0  // Very inefficient for soft materials
                 },
+                // ⛏️ PICKAXES: Iron tier (can break crystal ore) and crystal tier (fastest)
+                iron_pickaxe: { stone: 0.3, coal_ore: 0.35, iron: 0.35, gold: 0.4, crystal_ore: 0.6, wood: 1.8, grass: 2.0 },
+                crafted_mining_pick: { stone: 0.3, coal_ore: 0.35, iron: 0.35, gold: 0.4, crystal_ore: 0.6, wood: 1.8, grass: 2.0 },
+                crystal_pickaxe: { stone: 0.2, coal_ore: 0.25, iron: 0.25, gold: 0.3, crystal_ore: 0.35, wood: 1.8, grass: 2.0 },
                 // Other materials default to 1.5x (inefficient as tools)
             };
 
             const baseTime = baseTimes[blockType] || 1000;
             const efficiency = toolEfficiency[currentTool]?.[blockType] || 1.5; // Default slow
 
-            // Some blocks require specific tools
-            if (blockType === 'iron' && !['iron', 'stone_hammer'].includes(currentTool)) {
-                return -1; // Cannot harvest iron without stone hammer or iron tool
-            }
-
-            if (blockType === 'gold' && !['iron', 'stone_hammer'].includes(currentTool)) {
-                return -1; // Cannot harvest gold without stone hammer or iron tool
+            // ⛏️ Ores require a minimum tool tier (see MiningTiers.js / OreGenerator ORE_TYPES)
+            if (getToolTier(currentTool) < getRequiredTier(blockType)) {
+                return -1;
             }
 
             let finalTime = Math.floor(baseTime * efficiency);
@@ -7679,7 +7825,12 @@ class NebulaVoxelApp {
 
             // Check if block can be harvested with current tool
             if (harvestTime === -1) {
-                this.updateStatus(`Cannot harvest ${blockData.type} without proper tools!`);
+                const requiredTier = getRequiredTier(blockData.type);
+                if (requiredTier > 0) {
+                    this.updateStatus(`⛏️ ${blockData.type} needs a ${TIER_NAMES[requiredTier]} tool or better!`);
+                } else {
+                    this.updateStatus(`Cannot harvest ${blockData.type} without proper tools!`);
+                }
                 return;
             }
 
@@ -7765,8 +7916,16 @@ class NebulaVoxelApp {
             }
         };
 
-        // Complete harvesting and remove block
+        // Complete harvesting as one undoable action (drops, felled tree and all)
         this.completeHarvesting = (x, y, z) => {
+            const blockData = this.world[`${x},${y},${z}`];
+            this.editHistory.record(`Harvest ${blockData ? blockData.type : 'block'}`, () => {
+                this.harvestBlockAt(x, y, z);
+            });
+        };
+
+        // Harvest and remove block
+        this.harvestBlockAt = (x, y, z) => {
             // Silent completion - only log errors
             // console.log(`Harvesting completed at ${x}, ${y}, ${z}`);
 
@@ -7834,6 +7993,13 @@ class NebulaVoxelApp {
                         // console.log(`${blockType} destroyed (need machete to collect)`);
                         this.updateStatus(`🍃 ${blockType} destroyed (need machete to collect)`, 'harvest');
                     }
+                } else if (ORE_TYPES[blockType]) {
+                    // ⛏️ Ore blocks drop their material (coal_ore → coal, crystal_ore → crystal)
+                    const { item, count } = rollOreDrop(blockType);
+                    this.inventory.addToInventory(item, count);
+
+                    const emoji = this.getItemIcon(item, 'status');
+                    this.updateStatus(`${emoji} Mined ${count} ${item}!`, 'harvest');
                 } else {
                     // Regular block harvesting
                     this.inventory.addToInventory(blockType, 1);
@@ -7912,6 +8078,7 @@ class NebulaVoxelApp {
             if (this.world) {
                 console.log('🧹 Clearing in-memory world data...');
                 this.world = {};
+                this.chunkMeshManager.clear();
             }
 
             // 8. Clear loaded chunks tracking
@@ -8013,6 +8180,60 @@ class NebulaVoxelApp {
             });
         };
 
+        // 🩺 WORLD INTEGRITY: Check every chunk, modification and LOD record of this world
+        // Can be called from browser console: checkWorld()
+        this.createIntegrityChecker = () => {
+            if (!this.modificationTracker) {
+                console.error('❌ No world loaded');
+                return null;
+            }
+            return new WorldIntegrityChecker(this.modificationTracker.persistence, {
+                regenerateChunk: this.workerInitialized
+                    ? (chunkX, chunkZ) => this.workerManager.regenerateChunk(chunkX, chunkZ)
+                    : null
+            });
+        };
+
+        window.checkWorld = async () => {
+            const checker = this.createIntegrityChecker();
+            if (!checker) return null;
+
+            // Write pending edits first so the check sees what the player sees
+            await this.modificationTracker.flushDirtyChunks();
+
+            console.log('🩺 Checking world integrity...');
+            this.lastIntegrityReport = await checker.check();
+            console.log(WorldIntegrityChecker.formatReport(this.lastIntegrityReport));
+
+            const problems = this.lastIntegrityReport.issues.length;
+            if (problems > 0) {
+                console.log('🔧 Run repairWorld() to fix, or repairWorld({ quarantine, regenerate, dropOrphans }) to choose');
+                this.updateStatus(`🩺 World check found ${problems} problem${problems === 1 ? '' : 's'}`, 'warning');
+            } else {
+                this.updateStatus('🩺 World check: no problems found', 'success');
+            }
+            return this.lastIntegrityReport;
+        };
+
+        // 🔧 WORLD REPAIR: Fix what checkWorld() found
+        // Can be called from browser console: repairWorld({ quarantine: true, regenerate: true, dropOrphans: true })
+        window.repairWorld = async (options = {}) => {
+            const checker = this.createIntegrityChecker();
+            if (!checker) return null;
+
+            const report = this.lastIntegrityReport && this.lastIntegrityReport.worldSeed === this.worldSeed
+                ? this.lastIntegrityReport
+                : await window.checkWorld();
+            if (report.issues.length === 0) return null;
+
+            const result = await checker.repair(report, options);
+            this.lastIntegrityReport = null; // Stale now - checkWorld() again to confirm
+
+            console.log(`🔧 Repair: ${result.quarantined} quarantined, ${result.regenerated} regenerated, ${result.deleted} deleted, ${result.skipped} skipped, ${result.failed.length} failed`);
+            this.updateStatus(`🔧 World repaired (${result.quarantined + result.deleted} records fixed)`, result.failed.length > 0 ? 'warning' : 'success');
+            return result;
+        };
+
         // 🧹 CACHE CLEAR: Clear all caches but keep saved games
         window.clearCaches = () => {
             console.log('🧹 CLEARING CACHES (preserving saved games)...');
@@ -8170,6 +8391,7 @@ class NebulaVoxelApp {
                 'machete', 'stone_hammer', 'compass', 'compass_upgrade',
                 'grappling_hook', 'speed_boots', 'combat_sword', 'mining_pick',
                 'magic_amulet', 'club', 'stone_spear', 'torch', 'wood_shield',
+                'iron_pickaxe', 'crystal_pickaxe',
 
                 // 🌾 Farming items
                 'hoe', 'watering_can', 'wheat_seeds', 'carrot_seeds', 'pumpkin_seeds', 'berry_seeds',
@@ -8208,7 +8430,7 @@ class NebulaVoxelApp {
                 console.log('%c🔧 Valid Tools:', 'font-weight: bold; color: #2196F3;');
                 console.log('  stone, stick, iron, gold, coal, machete, stone_hammer, compass');
                 console.log('  grappling_hook, speed_boots, combat_sword, mining_pick, magic_amulet');
-                console.log('  club, stone_spear, torch, wood_shield');
+                console.log('  club, stone_spear, torch, wood_shield, iron_pickaxe, crystal_pickaxe');
                 console.log('%c🌾 Valid Farming Items:', 'font-weight: bold; color: #8BC34A;');
                 console.log('  hoe, watering_can, wheat_seeds, carrot_seeds, pumpkin_seeds, berry_seeds');
                 console.log('  carrot, rice, corn_ear, potato');
@@ -8327,7 +8549,7 @@ class NebulaVoxelApp {
             
             console.log('%c🔧 Base Tools & Materials:', 'font-weight: bold; color: #2196F3;');
             console.log('  Materials: stone, stick, iron, gold, coal');
-            console.log('  Basic Tools: machete, stone_hammer');
+            console.log('  Basic Tools: machete, stone_hammer, iron_pickaxe, crystal_pickaxe');
             console.log('  Navigation: compass, compass_upgrade');
             console.log('  Movement: grappling_hook, speed_boots');
             console.log('  Combat: combat_sword, mining_pick, club, stone_spear, wood_shield');
@@ -8385,8 +8607,7 @@ class NebulaVoxelApp {
         // 🌱 DEBUG UTILITY: Grow crop to next stage (like bonemeal!)
         window.growCrop = () => {
             // Use same raycaster method as "I" key (block inspector)
-            this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
-            const intersects = this.raycaster.intersectObjects(this.scene.children.filter(obj => obj.isMesh && obj !== this.targetHighlight));
+            const intersects = this.raycastTargets();
 
             if (intersects.length === 0) {
                 console.log('❌ Not looking at any block (aim at crop and run growCrop())');
@@ -8483,6 +8704,15 @@ class NebulaVoxelApp {
             console.log('  clearSeed()                    - Clear seed, generate random world (requires refresh)');
             console.log('');
             
+            console.log('%c🩺 World Integrity:', 'font-weight: bold; color: #009688;');
+            console.log('  checkWorld()                   - Check every chunk, edit and LOD record of this world');
+            console.log('  repairWorld(options)           - Fix what checkWorld() found');
+            console.log('    Options: { quarantine: true, regenerate: true, dropOrphans: true }');
+            console.log('    • quarantine  - move unreadable records aside instead of deleting them');
+            console.log('    • regenerate  - rebuild broken chunks from the seed, keeping your edits');
+            console.log('    • dropOrphans - delete records nothing uses');
+            console.log('');
+
             console.log('%c🧹 Cleanup Commands:', 'font-weight: bold; color: #F44336;');
             console.log('  clearCaches()                  - Clear caches but KEEP saved games');
             console.log('    ✅ Safe - preserves your world data');
@@ -8494,6 +8724,14 @@ class NebulaVoxelApp {
             console.log('    ☢️  NUCLEAR OPTION - removes all data and hard reloads');
             console.log('');
             
+            console.log('%c↩️ Edit History:', 'font-weight: bold; color: #8BC34A;');
+            console.log('  undo()                         - Undo last block edit (also Ctrl+Z)');
+            console.log('  redo()                         - Redo last undone edit (also Ctrl+Y / Ctrl+Shift+Z)');
+            console.log('  undoHistory()                  - List undoable and redoable actions');
+            console.log('    • One placement, harvest, explosion or structure = one action');
+            console.log('    • Items are refunded or taken back with the blocks');
+            console.log('');
+
             console.log('%c📋 Help Commands:', 'font-weight: bold; color: #607D8B;');
             console.log('  showCommands()                 - Show this help (you just ran it!)');
             console.log('');
@@ -8509,6 +8747,19 @@ class NebulaVoxelApp {
             return '📋 Command list displayed above ⬆️';
         };
 
+        // ↩️ EDIT HISTORY: Undo/redo player block edits
+        // Can be called from browser console: undo(), redo(), undoHistory()
+        window.undo = () => this.editHistory.undo();
+        window.redo = () => this.editHistory.redo();
+        window.undoHistory = () => {
+            const { undo, redo } = this.editHistory.getSummary();
+            console.log(`↩️ Undo (${undo.length}/${this.editHistory.maxActions}), newest first:`);
+            undo.forEach((label, i) => console.log(`  ${i + 1}. ${label}`));
+            console.log(`↪️ Redo (${redo.length}), newest first:`);
+            redo.forEach((label, i) => console.log(`  ${i + 1}. ${label}`));
+            return { undo, redo };
+        };
+
         // 🏛️ DEBUG UTILITY: Generate test ruin near player
         // Can be called from browser console: makeRuins("medium", "lshape")
         window.makeRuins = (size = "small", shape = "square") => {
@@ -8531,13 +8782,39 @@ class NebulaVoxelApp {
                 playerZ,
                 (x, y, z, type, playerPlaced, color) => this.addBlock(x, y, z, type, playerPlaced, color),
                 (x, z) => this.biomeWorldGen.findGroundHeight(x, z),
-                biome.name
+                biome
             );
 
             const shapeName = this.biomeWorldGen.structureGenerator.SHAPES[shape]?.name || shape;
             this.updateStatus(`🏛️ Generated ${size} ${shapeName} near you!`, 'success');
         };
 
+        // 🏗️ DEBUG UTILITY: Build a Structure Designer template near player
+        // Can be called from browser console: placeTemplate("my_castle", 1) - no name lists the templates
+        window.placeTemplate = (name, rotation = 0) => {
+            const structureGenerator = this.biomeWorldGen?.structureGenerator;
+            if (!structureGenerator) {
+                console.error('❌ Structure generator not available');
+                return;
+            }
+
+            if (!name) {
+                const templates = structureGenerator.templates.list();
+                console.log(`🏗️ Worldgen templates (${templates.length}):`);
+                templates.forEach(t => console.log(`  ${t.name}: ${t.size.x}×${t.size.y}×${t.size.z}, ${t.rarity}, ${t.anchor}, biomes: ${t.biomes.join(', ') || 'any'}`));
+                return templates.map(t => t.name);
+            }
+
+            const placed = structureGenerator.debugPlaceTemplate(
+                name,
+                ((rotation % 4) + 4) % 4,
+                this.player.position.x,
+                this.player.position.z,
+                (x, y, z, type, playerPlaced, color) => this.addBlock(x, y, z, type, playerPlaced, color)
+            );
+            if (placed) this.updateStatus(`🏗️ Built template "${name}" near you!`, 'success');
+        };
+
         // 🌱 DEBUG UTILITY: Clear saved seed
         // Can be called from browser console: clearSeed()
         window.clearSeed = () => {
@@ -8587,6 +8864,83 @@ class NebulaVoxelApp {
             }
         }
         this.seededRandom = this.createSeededRandom(this.worldSeed);
+        this.seedStorageKey = USE_DEBUG_SEED ? 'longNights_debugSeed' : 'longNights_seed';
+
+        // 🧱 World settings (size / border, terrain preset) - chosen at new-game time, saved with the world
+        this.worldSettingsStorageKey = 'longNights_worldSettings';
+
+        /**
+         * Apply world settings ({ border, preset }) to world generation, the border walls and the workers
+         * @param {Object} settings - { border: WorldBorder settings, preset: WorldPreset settings }
+         *                            (missing = infinite default world)
+         * @param {Object} options - { restartWorkers: false } when the caller restarts them itself
+         */
+        this.setWorldSettings = (settings, { restartWorkers = true } = {}) => {
+            let border;
+            try {
+                border = WorldBorder.fromJSON(settings?.border);
+            } catch (error) {
+                console.error('❌ Invalid world settings, using an infinite world:', error);
+                border = new WorldBorder();
+            }
+
+            let preset;
+            try {
+                preset = WorldPreset.fromJSON(settings?.preset);
+            } catch (error) {
+                console.error('❌ Invalid world preset, using the default terrain:', error);
+                preset = new WorldPreset();
+            }
+
+            const borderChanged = !this.worldBorder ||
+                JSON.stringify(border.toJSON()) !== JSON.stringify(this.worldBorder.toJSON());
+            const presetChanged = !this.worldPreset ||
+                JSON.stringify(preset.toJSON()) !== JSON.stringify(this.worldPreset.toJSON());
+
+            this.worldBorder = border;
+            this.worldPreset = preset;
+            this.worldSettings = { ...settings, border: border.toJSON(), preset: preset.toJSON() };
+            localStorage.setItem(this.worldSettingsStorageKey, JSON.stringify(this.worldSettings));
+
+            if (borderChanged) {
+                this.biomeWorldGen.setWorldBorder(border);
+                this.worldBorderWall?.setBorder(border);
+                if (border.isFinite) {
+                    console.log(`🧱 ${WorldBorder.SIZES[border.size].name} world: border at ±${border.radius} blocks (${border.edge} edge)`);
+                }
+            }
+            if (presetChanged) {
+                this.biomeWorldGen.setWorldPreset(preset);
+                console.log(`🌐 World preset: ${WorldPreset.PRESETS[preset.id].name}`);
+            }
+
+            if (!borderChanged && !presetChanged) return;
+
+            if (restartWorkers && this.workerInitialized) {
+                this.restartWorldgenWorkers().catch(error => {
+                    console.error('🚨 Failed to restart workers for the new world settings:', error);
+                });
+            }
+        };
+
+        // 👷 Restart chunk workers for the current seed and world settings
+        this.restartWorldgenWorkers = async () => {
+            await this.workerManager.restart(
+                this.worldSeed,
+                this.biomeWorldGen.biomes,
+                this.biomeWorldGen.noiseParams,
+                this.worldSettings
+            );
+            console.log('👷 WorkerManager restarted for the new world');
+        };
+
+        let storedWorldSettings = null;
+        try {
+            storedWorldSettings = JSON.parse(localStorage.getItem(this.worldSettingsStorageKey) || 'null');
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable world settings:', error);
+        }
+        this.setWorldSettings(storedWorldSettings || { border: { size: 'infinite' } });
 
         // Hardware performance benchmark
         // Hardware performance benchmark - DUAL MODE SYSTEM
@@ -8757,17 +9111,78 @@ class NebulaVoxelApp {
             });
         };
 
+        // 🎯 Walk the voxel grid along a ray and return the first block it enters, as a
+        // raycaster-style hit: { distance, point, face: { normal }, object: { position, userData } }
+        // (object.position is the block's coordinates). Blocks are centered on integer
+        // coordinates; the block the ray starts in is skipped, like a back face.
+        this.raycastBlocks = (ray, maxDistance = 256) => {
+            const start = [ray.origin.x + 0.5, ray.origin.y + 0.5, ray.origin.z + 0.5];
+            const direction = [ray.direction.x, ray.direction.y, ray.direction.z];
+            const cell = start.map(Math.floor);
+            const step = direction.map(Math.sign);
+            const tDelta = direction.map(d => d !== 0 ? Math.abs(1 / d) : Infinity);
+            const tMax = [0, 1, 2].map(axis => {
+                if (step[axis] === 0) return Infinity;
+                const boundary = step[axis] > 0 ? cell[axis] + 1 - start[axis] : start[axis] - cell[axis];
+                return boundary * tDelta[axis];
+            });
+
+            while (true) {
+                const axis = tMax[0] < tMax[1]
+                    ? (tMax[0] < tMax[2] ? 0 : 2)
+                    : (tMax[1] < tMax[2] ? 1 : 2);
+                const distance = tMax[axis];
+                if (distance > maxDistance) return null;
+
+                cell[axis] += step[axis];
+                tMax[axis] += tDelta[axis];
+
+                const [x, y, z] = cell;
+                const block = this.world[`${x},${y},${z}`];
+                // World items have their own collision box mesh; culled blocks aren't drawn
+                if (!block || block.collisionBox || block.rendered === false) continue;
+
+                const normal = new THREE.Vector3();
+                normal.setComponent(axis, -step[axis]);
+                return {
+                    distance,
+                    point: ray.origin.clone().addScaledVector(ray.direction, distance),
+                    face: { normal },
+                    object: {
+                        position: new THREE.Vector3(x, y, z),
+                        userData: { type: block.type, playerPlaced: block.playerPlaced }
+                    }
+                };
+            }
+        };
+
+        // 🎯 What's under a screen point (default: crosshair), nearest first. Blocks come from
+        // raycastBlocks; other scene objects (entities, crafted objects, world items) from
+        // the raycaster. Sprites are skipped unless includeSprites is set.
+        this.raycastTargets = (screenPoint = new THREE.Vector2(0, 0), { includeSprites = false } = {}) => {
+            this.raycaster.setFromCamera(screenPoint, this.camera);
+            const intersects = this.raycaster.intersectObjects(
+                this.scene.children.filter(obj =>
+                    (obj.isMesh || (includeSprites && obj.isSprite)) &&
+                    obj !== this.targetHighlight &&
+                    !obj.userData.isChunkMesh
+                )
+            );
+
+            const blockHit = this.raycastBlocks(this.raycaster.ray, Math.min(this.raycaster.far, 256));
+            if (blockHit) {
+                const index = intersects.findIndex(hit => hit.distance > blockHit.distance);
+                intersects.splice(index === -1 ? intersects.length : index, 0, blockHit);
+            }
+            return intersects;
+        };
+
         // Target highlight update method
         this.updateTargetHighlight = () => {
             if (!this.raycaster) return; // Only update if raycaster exists
 
-            this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
             // Include both meshes AND sprites (for entities and crafted objects)
-            const intersects = this.raycaster.intersectObjects(
-                this.scene.children.filter(obj => 
-                    (obj.isMesh || obj.isSprite) && obj !== this.targetHighlight
-                )
-            );
+            const intersects = this.raycastTargets(new THREE.Vector2(0, 0), { includeSprites: true });
 
             if (intersects.length > 0) {
                 const hit = intersects[0];
@@ -8800,6 +9215,8 @@ class NebulaVoxelApp {
             glowstone: { color: 0xFFD700, texture: 'glow' }, // Gold with glowing effect
             iron: { color: 0x708090, texture: 'iron' },     // Slate gray iron ore
             gold: { color: 0xFFD700, texture: 'gold' },     // Gold ore with golden shine
+            coal_ore: { color: 0x3A3A3A, texture: 'coal_ore' },       // ⛏️ Stone with coal seams (drops coal)
+            crystal_ore: { color: 0x7FDBFF, texture: 'crystal_ore' }, // ⛏️ Stone with crystal veins (drops crystal)
             flowers: { color: 0xFF69B4, texture: 'flower' }, // Hot pink with flower pattern
             snow: { color: 0xFFFFFF, texture: 'snow' },      // Pure white with snow texture
             shrub: { color: 0x2F5233, texture: 'shrub' },    // Dark green with brown stem pattern
@@ -8904,6 +9321,19 @@ class NebulaVoxelApp {
                 for (let i = 0; i < 25; i++) {
                     ctx.fillRect(Math.random() * 64, Math.random() * 64, 1, 1);
                 }
+            } else if (blockType.texture === 'coal_ore' || blockType.texture === 'crystal_ore') {
+                // ⛏️ Ore texture - stone background with clusters of ore
+                ctx.globalAlpha = 1.0;
+                ctx.fillStyle = '#696969';
+                ctx.fillRect(0, 0, 64, 64);
+                ctx.fillStyle = blockType.texture === 'coal_ore' ? '#111111' : '#7FDBFF';
+                for (let i = 0; i < 6; i++) {
+                    const cx = Math.random() * 56, cy = Math.random() * 56;
+                    for (let j = 0; j < 4; j++) {
+                        ctx.fillRect(cx + Math.random() * 6, cy + Math.random() * 6, 3, 3);
+                    }
+                }
+                ctx.globalAlpha = 0.3;
             } else if (blockType.texture === 'wood') {
                 // Wood texture - vertical grain lines
                 ctx.strokeStyle = '#654321';
@@ -9339,12 +9769,34 @@ class NebulaVoxelApp {
                 console.log('🎨 No chunks to rebuild yet (chunks not initialized)');
             }
 
+            // 🧱 Chunk meshes copy the new materials
+            this.chunkMeshManager.refreshMaterials();
+
+            // 🍂 Fresh leaf materials need the season tint again
+            this.applySeasonToMaterials();
+
             console.log('🎨 Material recreation complete - chunks marked for rebuild');
         };
 
+        // 🍂 Tint the shared leaf materials for the current season
+        this.applySeasonToMaterials = () => {
+            const tint = this.currentSeason ? this.currentSeason.leafTint : null;
+            const color = SeasonCalendar.tintColor(0xFFFFFF, tint);
+
+            Object.keys(this.materials).filter(type => this.isLeafBlock(type)).forEach(type => {
+                if (this.materials[type].color) {
+                    this.materials[type].color.setHex(color);
+                }
+            });
+            this.chunkMeshManager?.syncMaterialColors();
+        };
+
         // Three.js setup
         this.scene = new THREE.Scene();
 
+        // 🧱 Terrain is drawn as merged, greedy-meshed geometry per chunk (not a mesh per block)
+        this.chunkMeshManager = new ChunkMeshManager(this);
+
         // 🌫️ Helper function to update fog (reuses one fog object to prevent memory leaks)
         this.updateFog = (fogColor = null) => {
             const chunkSize = this.chunkSize; // Use actual chunk size (8 blocks), not hardcoded 64
@@ -9538,6 +9990,10 @@ class NebulaVoxelApp {
         this.lodManager = new ChunkLODManager(this);
         console.log('🎨 LOD Manager initialized - Visual Horizon enabled!');
 
+        // 🧱 Visible world border (finite worlds only)
+        this.worldBorderWall = new WorldBorderWall(this);
+        this.worldBorderWall.setBorder(this.worldBorder);
+
         // � Initialize ChunkRenderManager with vertical culling optimization
         this.chunkRenderManager = new ChunkRenderManager(this);
         console.log('🚀 ChunkRenderManager initialized - Vertical culling enabled!');
@@ -9812,6 +10268,11 @@ class NebulaVoxelApp {
                 return;
             }
 
+            // 🧱 Nothing exists past the world border
+            if (!this.worldBorder.containsChunk(chunkX, chunkZ, this.chunkSize)) {
+                return;
+            }
+
             // � Show loading spinner
             if (this.chunkLoadingSpinner) {
                 this.chunkLoadingSpinner.addChunk(chunkKey);
@@ -9819,8 +10280,8 @@ class NebulaVoxelApp {
 
             // �👷 Use Web Worker if initialized, otherwise fall back to BiomeWorldGen
             if (this.workerInitialized) {
-                this.workerManager.requestChunk(chunkX, chunkZ, this.chunkSize, (chunkData) => {
-                    this.handleWorkerChunkData(chunkX, chunkZ, chunkData);
+                this.workerManager.requestChunk(chunkX, chunkZ, this.chunkSize, (chunkData, chunkMesh) => {
+                    this.handleWorkerChunkData(chunkX, chunkZ, chunkData, chunkMesh);
                 });
             } else {
                 // Fallback to main thread generation
@@ -9847,7 +10308,8 @@ class NebulaVoxelApp {
 
         // 👷 WORKER CHUNK DATA HANDLER: Convert worker data to blocks
         // 🌲 Now receives tree data from TreeWorker via WorkerManager pipeline
-        this.handleWorkerChunkData = (chunkX, chunkZ, chunkData) => {
+        // 🧱 chunkMesh: geometry ChunkWorker built for freshly generated chunks (null = mesh here)
+        this.handleWorkerChunkData = (chunkX, chunkZ, chunkData, chunkMesh = null) => {
             const { blockCount, positions, blockTypes, colors, flags, waterBlockCount, heightMap, waterMap, trees } = chunkData;
 
             // 🌊 Debug water blocks
@@ -9859,36 +10321,60 @@ class NebulaVoxelApp {
             const blockTypeNames = {
                 0: 'bedrock', 1: 'grass', 2: 'sand', 3: 'stone', 4: 'iron', 5: 'snow', 6: 'water', 7: 'dirt', 8: 'pumpkin', 9: 'gold',
                 10: 'oak_wood', 11: 'pine_wood', 12: 'birch_wood', 13: 'palm_wood', 14: 'dead_wood',
+                15: 'coal_ore', 16: 'crystal_ore',
                 20: 'forest_leaves', 21: 'mountain_leaves', 22: 'plains_leaves',
                 23: 'desert_leaves', 24: 'tundra_leaves'
             };
 
             // Add all blocks from worker data
-            for (let i = 0; i < blockCount; i++) {
-                const x = positions[i * 3];
-                const y = positions[i * 3 + 1];
-                const z = positions[i * 3 + 2];
-                const blockTypeId = blockTypes[i];
-                const color = colors[i];
-                const isPlayerPlaced = flags[i] === 1;
+            const addWorkerBlocks = () => {
+                for (let i = 0; i < blockCount; i++) {
+                    const x = positions[i * 3];
+                    const y = positions[i * 3 + 1];
+                    const z = positions[i * 3 + 2];
+                    const blockTypeId = blockTypes[i];
+                    const color = colors[i];
+                    const isPlayerPlaced = flags[i] === 1;
+
+                    const blockType = blockTypeNames[blockTypeId] || 'stone';
+
+                    // 🍂 Worker colors are untinted - apply the season to grass and leaves
+                    const seasonColor = this.biomeWorldGen ? this.biomeWorldGen.getSeasonColor(blockType, color) : color;
+
+                    // Convert color from uint32 to THREE.Color
+                    const r = ((seasonColor >> 16) & 0xFF) / 255;
+                    const g = ((seasonColor >> 8) & 0xFF) / 255;
+                    const b = (seasonColor & 0xFF) / 255;
+                    const blockColor = new THREE.Color(r, g, b);
 
-                const blockType = blockTypeNames[blockTypeId] || 'stone';
+                    this.addBlock(x, y, z, blockType, isPlayerPlaced, blockColor);
+                }
+            };
 
-                // Convert color from uint32 to THREE.Color
-                const r = ((color >> 16) & 0xFF) / 255;
-                const g = ((color >> 8) & 0xFF) / 255;
-                const b = (color & 0xFF) / 255;
-                const blockColor = new THREE.Color(r, g, b);
+            // 🧱 The worker's mesh covers these blocks - later ones (trees, ruins) get a small overlay mesh
+            if (chunkMesh) {
+                this.chunkMeshManager.adoptWorkerChunk(`${chunkX},${chunkZ}`, chunkMesh, addWorkerBlocks);
+            } else {
+                addWorkerBlocks();
+            }
 
-                this.addBlock(x, y, z, blockType, isPlayerPlaced, blockColor);
+            // 🧩 Blocks without a numeric type ID (tilled soil, crops, player blocks from .mod data)
+            for (const block of chunkData.namedBlocks || []) {
+                this.addBlock(block.x, block.y, block.z, block.type, block.flags === 1);
             }
 
+            // 🧩 Hand saved block states back to the systems that own them
+            this.restoreBlockStates(chunkX, chunkZ);
+
             // Mark chunk as loaded
             this.loadedChunks.add(`${chunkX},${chunkZ}`);
 
+            // 🧱 Superflat worlds have no ruins or villages (the tutorial ruin still spawns)
+            const superflat = this.worldPreset?.isSuperflat;
+
             // 🏛️ GENERATE RUINS: After worker chunk generation, generate structures
             // This was missing - ruins only worked in fallback mode!
-            if (this.biomeWorldGen && this.biomeWorldGen.structureGenerator) {
+            if (!superflat && this.biomeWorldGen && this.biomeWorldGen.structureGenerator) {
                 // Get biome for this chunk to pass to structure generator
                 const centerX = chunkX * this.chunkSize + this.chunkSize / 2;
                 const centerZ = chunkZ * this.chunkSize + this.chunkSize / 2;
@@ -9899,10 +10385,15 @@ class NebulaVoxelApp {
                     chunkZ,
                     this.addBlock.bind(this),
                     (x, z) => this.biomeWorldGen.findGroundHeight(x, z),
-                    chunkBiome.name
+                    chunkBiome
                 );
             }
 
+            // 🏘️ GENERATE VILLAGES: Roads/houses inside this chunk + residents (before trees, so the village clears them)
+            if (!superflat && this.biomeWorldGen && this.biomeWorldGen.villageGenerator) {
+                this.biomeWorldGen.villageGenerator.generateForChunk(chunkX, chunkZ, this.addBlock.bind(this));
+            }
+
             // 🎓 GENERATE TUTORIAL RUIN: After worker chunk generation, check for tutorial dungeon
             if (this.biomeWorldGen && this.biomeWorldGen.tutorialRuinGenerator) {
                 if (this.biomeWorldGen.tutorialRuinGenerator.shouldGenerateTutorialRuin(chunkX, chunkZ)) {
@@ -9953,9 +10444,9 @@ class NebulaVoxelApp {
                         const dz = z - ruin.z;
                         const distance = Math.sqrt(dx * dx + dz * dz);
 
-                        // Get ruin size-based radius
+                        // Get ruin size-based radius (villages know their own radius)
                         const ruinSizeRadii = { small: 5, medium: 9, large: 15, colossal: 25 };
-                        const ruinRadius = (ruinSizeRadii[ruin.size] || 5) / 2 + treeRadius;
+                        const ruinRadius = (ruin.radius ?? (ruinSizeRadii[ruin.size] || 5) / 2) + treeRadius;
 
                         if (distance < ruinRadius) {
                             console.log(`🚫 Tree at (${x}, ${z}) CANCELLED - ${ruin.size} ruin at (${ruin.x}, ${ruin.z}) is ${Math.floor(distance)} blocks away (min: ${Math.floor(ruinRadius)})`);
@@ -11023,6 +11514,8 @@ class NebulaVoxelApp {
                 for (let dz = -this.renderDistance; dz <= this.renderDistance; dz++) {
                     const chunkX = playerChunkX + dx;
                     const chunkZ = playerChunkZ + dz;
+                    if (!this.worldBorder.containsChunk(chunkX, chunkZ, this.chunkSize)) continue;
+
                     generateChunk(chunkX, chunkZ);
 
                     // 🗺️ Track chunk exploration for world map
@@ -11123,25 +11616,32 @@ class NebulaVoxelApp {
                             key: key,
                             itemId: objectData.itemId,
                             position: objectData.position,
-                            metadata: objectData.metadata
+                            metadata: objectData.metadata,
+                            orientation: objectData.orientation ?? null
                         });
                     }
                 }
 
                 const saveData = {
+                    schemaVersion: SAVE_SCHEMA_VERSION, // See SaveMigrations.js
                     modifiedBlocks: modifiedBlocks,
                     craftedObjects: craftedObjectsData, // NEW: Save crafted objects
-                    inventoryMetadata: this.inventoryMetadata, // NEW: Save item metadata
                     // NEW: Save inventory state to prevent duplicate backpack spawning
-                    hasBackpack: this.hasBackpack,
-                    hotbarSlots: this.hotbarSlots,
-                    backpackSlots: this.backpackSlots,
-                    selectedSlot: this.selectedSlot,
+                    inventory: {
+                        hasBackpack: this.hasBackpack,
+                        hotbarSlots: this.hotbarSlots,
+                        backpackSlots: this.backpackSlots,
+                        selectedSlot: this.selectedSlot,
+                        metadata: this.inventoryMetadata // NEW: Save item metadata
+                    },
                     player: this.player,
                     worldSeed: this.worldSeed,
+                    worldSettings: this.worldSettings,
+                    spawnPosition: this.spawnPosition,
                     // NEW: Save explorer journal pins and navigation state
                     explorerPins: this.explorerPins || [],
                     activeNavigation: this.activeNavigation,
+                    villages: this.biomeWorldGen.villageGenerator.getSaveData(),
                     timestamp: Date.now()
                 };
 
@@ -11163,9 +11663,12 @@ class NebulaVoxelApp {
                     return false;
                 }
 
-                const saveData = JSON.parse(data);
+                // Upgrade older quick saves to the current schema before reading any fields
+                const saveData = migrateSaveData(JSON.parse(data));
+                const inventory = saveData.inventory;
 
                 // Clear only player-placed blocks, keep generated world
+                this.editHistory.clear();
                 for (let key in this.world) {
                     if (this.world[key].playerPlaced) {
                         const [x, y, z] = key.split(",").map(Number);
@@ -11180,12 +11683,12 @@ class NebulaVoxelApp {
                 });
 
                 // PHASE 5: Load crafted objects and inventory metadata
-                if (saveData.inventoryMetadata) {
-                    this.inventoryMetadata = saveData.inventoryMetadata;
+                if (inventory.metadata) {
+                    this.inventoryMetadata = inventory.metadata;
                     console.log(`📦 Restored ${Object.keys(this.inventoryMetadata).length} item metadata entries`);
                 }
 
-                if (saveData.craftedObjects && saveData.craftedObjects.length > 0) {
+                if (saveData.craftedObjects.length > 0) {
                     console.log(`🎨 Loading ${saveData.craftedObjects.length} crafted objects...`);
                     // Clear existing crafted objects first
                     if (this.craftedObjects) {
@@ -11210,33 +11713,25 @@ class NebulaVoxelApp {
                     // Recreate each crafted object
                     saveData.craftedObjects.forEach(objData => {
                         console.log(`🔧 Recreating crafted object: ${objData.itemId} at ${objData.key}`);
-                        // Restore metadata to inventoryMetadata if missing
-                        if (!this.inventoryMetadata[objData.itemId]) {
-                            this.inventoryMetadata[objData.itemId] = objData.metadata;
-                        }
-                        // Recreate the 3D object at its saved position
-                        this.placeCraftedObject(objData.position.x, objData.position.y, objData.position.z, objData.itemId);
+                        // Recreate the 3D object at its saved position (restores missing metadata too)
+                        this.restoreCraftedObject(objData.position, objData.itemId, objData.metadata, objData.orientation);
                     });
                 }
 
                 this.player = saveData.player;
 
                 // NEW: Restore inventory state to prevent duplicate backpack issues
-                if (saveData.hasBackpack !== undefined) {
-                    this.hasBackpack = saveData.hasBackpack;
-                    console.log(`📦 Restored hasBackpack state: ${this.hasBackpack}`);
-                }
-                if (saveData.hotbarSlots) {
-                    this.hotbarSlots = saveData.hotbarSlots;
+                this.hasBackpack = inventory.hasBackpack;
+                console.log(`📦 Restored hasBackpack state: ${this.hasBackpack}`);
+                if (inventory.hotbarSlots) {
+                    this.hotbarSlots = inventory.hotbarSlots;
                     console.log(`🎯 Restored ${this.hotbarSlots.length} hotbar slots`);
                 }
-                if (saveData.backpackSlots) {
-                    this.backpackSlots = saveData.backpackSlots;
+                if (inventory.backpackSlots) {
+                    this.backpackSlots = inventory.backpackSlots;
                     console.log(`🎒 Restored ${this.backpackSlots.length} backpack slots`);
                 }
-                if (saveData.selectedSlot !== undefined) {
-                    this.selectedSlot = saveData.selectedSlot;
-                }
+                this.selectedSlot = inventory.selectedSlot;
 
                 // Update UI to reflect restored inventory
                 if (this.hasBackpack) {
@@ -11247,10 +11742,8 @@ class NebulaVoxelApp {
                 }
 
                 // NEW: Restore explorer journal pins and navigation state
-                if (saveData.explorerPins) {
-                    this.explorerPins = saveData.explorerPins;
-                    console.log(`📍 Restored ${this.explorerPins.length} explorer pins`);
-                }
+                this.explorerPins = saveData.explorerPins;
+                console.log(`📍 Restored ${this.explorerPins.length} explorer pins`);
                 if (saveData.activeNavigation) {
                     this.activeNavigation = saveData.activeNavigation;
                     console.log(`🧭 Restored active navigation to "${this.activeNavigation.name}"`);
@@ -11268,12 +11761,23 @@ class NebulaVoxelApp {
             this.biomeWorldGen.setWorldSeed(this.worldSeed);
                 }
 
-                const craftedCount = saveData.craftedObjects ? saveData.craftedObjects.length : 0;
-                this.updateStatus(`World loaded (${saveData.modifiedBlocks.length} blocks, ${craftedCount} crafted objects)`);
+                // 🧱 World size / border
+                this.setWorldSettings(saveData.worldSettings);
+
+                // 🏔️ World spawn (respawn point without a campfire)
+                this.spawnPosition = { ...saveData.spawnPosition };
+
+                // 🏘️ Villages already planned in this world
+                this.biomeWorldGen.villageGenerator.loadSaveData(saveData.villages, this.worldSeed);
+
+                this.updateStatus(`World loaded (${saveData.modifiedBlocks.length} blocks, ${saveData.craftedObjects.length} crafted objects)`);
                 return true;
             } catch (error) {
                 console.error("Load failed:", error);
                 this.updateStatus("Load failed");
+                if (error.name === 'SaveVersionError') {
+                    this.showSaveVersionError(error);
+                }
                 return false;
             }
         };
@@ -11504,10 +12008,32 @@ class NebulaVoxelApp {
             // Update tool hotkey label colors for day/night contrast
             this.updateToolHotkeyColors(time);
             
+            // 🍂 Check for a new season
+            this.updateSeason();
+
             // 🩸 Update week/day display
             this.updateWeekDayDisplay();
         };
 
+        // 🍂 Apply the season to world colors when it changes
+        this.updateSeason = () => {
+            const season = this.getCurrentSeason();
+            if (this.currentSeason === season) return;
+
+            const previousSeason = this.currentSeason;
+            this.currentSeason = season;
+
+            // New chunks pick up grass tints, shared leaf materials change right away
+            if (this.biomeWorldGen) {
+                this.biomeWorldGen.setSeason(season);
+            }
+            this.applySeasonToMaterials();
+
+            if (previousSeason) {
+                this.updateStatus(`${season.emoji} ${season.name} has arrived!`, 'info');
+            }
+        };
+
         // 🩸 Update week/day display based on current progress
         this.updateWeekDayDisplay = () => {
             if (!this.weekDayDisplay) return;
@@ -11515,7 +12041,10 @@ class NebulaVoxelApp {
             const week = this.dayNightCycle.currentWeek;
             const day = this.dayNightCycle.dayOfWeek;
             
-            let text = `Week ${week} - Day ${day}/7`;
+            const season = this.getCurrentSeason();
+            const seasonText = `${season.emoji} ${season.name}`;
+
+            let text = `${seasonText} · Week ${week} - Day ${day}/7`;
             let color = '#F5E6D3'; // Default cream color
             let bgColor = 'rgba(0, 0, 0, 0.4)';
             let borderColor = 'rgba(101, 67, 33, 0.6)';
@@ -11531,7 +12060,7 @@ class NebulaVoxelApp {
             }
             // ⚠️ Day 7 WARNING - Orange alert before blood moon
             else if (day === 7) {
-                text = `Week ${week} - Day ${day}/7 ⚠️`;
+                text = `${seasonText} · Week ${week} - Day ${day}/7 ⚠️`;
                 color = '#FF6B35'; // Orange-red
                 bgColor = 'rgba(139, 69, 19, 0.5)'; // Orange-brown background
                 borderColor = 'rgba(255, 107, 53, 0.7)'; // Orange border
@@ -11674,7 +12203,10 @@ class NebulaVoxelApp {
                 // Only draw if within minimap bounds
                 if (ruinMapX >= 0 && ruinMapX < size && ruinMapZ >= 0 && ruinMapZ < size) {
                     // Size-based colors: small=gray, medium=dark gray, large=brown, colossal=dark brown
-                    if (ruin.size === 'small') {
+                    if (ruin.type === 'village') {
+                        ctx.fillStyle = '#FFB347'; // Warm orange - inhabited
+                        ctx.fillRect(ruinMapX - 2.5, ruinMapZ - 2.5, 5, 5);
+                    } else if (ruin.size === 'small') {
                         ctx.fillStyle = '#808080'; // Gray
                         ctx.fillRect(ruinMapX - 1, ruinMapZ - 1, 2, 2); // 2x2 square
                     } else if (ruin.size === 'medium') {
@@ -12071,6 +12603,11 @@ class NebulaVoxelApp {
             if (this.weatherSystem) {
                 this.weatherSystem.update(deltaTime);
             }
+
+            // 🧱 Fade the world border walls in as the player nears them
+            if (this.worldBorderWall) {
+                this.worldBorderWall.update(this.player.position);
+            }
             
             // 🌦️ Update weather cycle system - automatic weather changes
             if (this.weatherCycleSystem) {
@@ -12110,6 +12647,10 @@ class NebulaVoxelApp {
                 lastChunkUpdate = 0;
             }
 
+            // 🧱 Rebuild chunk meshes for blocks added / removed since the last frame
+            // (before the pause / combat early-outs, so those screens still see edits)
+            this.chunkMeshManager.update();
+
             // Always continue animation loop, but skip input processing if paused
             if (this.isPaused) {
                 // Still render the scene even when paused
@@ -12448,6 +12989,9 @@ class NebulaVoxelApp {
                         this.player.position.z = finalZ;
                     }
                 }
+
+                // 🧱 World border - a finite world ends at its edge
+                this.worldBorder.clampPosition(this.player.position, PLAYER_WIDTH / 2);
             }
             
             // Hitbox-based vertical collision with full player volume
@@ -12711,6 +13255,22 @@ class NebulaVoxelApp {
                 e.preventDefault();
             }
 
+            // ↩️ Ctrl+Z undo, Ctrl+Y / Ctrl+Shift+Z redo (player block edits)
+            if (key === 'z' && (e.ctrlKey || e.metaKey)) {
+                if (e.shiftKey) {
+                    this.editHistory.redo();
+                } else {
+                    this.editHistory.undo();
+                }
+                e.preventDefault();
+                return;
+            }
+            if (key === 'y' && (e.ctrlKey || e.metaKey)) {
+                this.editHistory.redo();
+                e.preventDefault();
+                return;
+            }
+
             // 🛠️ Ctrl+D for Developer Control Panel (toggle)
             if (key === 'd' && (e.ctrlKey || e.metaKey)) {
                 if (this.devControlPanel) {
@@ -12800,8 +13360,7 @@ class NebulaVoxelApp {
             // 🔍 I key for Block Inspector (show info about targeted block)
             if (key === 'i') {
                 // Use raycaster to find targeted block
-                this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
-                const intersects = this.raycaster.intersectObjects(this.scene.children.filter(obj => obj.isMesh && obj !== this.targetHighlight));
+                const intersects = this.raycastTargets();
 
                 if (intersects.length > 0) {
                     const hit = intersects[0];
@@ -12816,10 +13375,9 @@ class NebulaVoxelApp {
                     console.log('║ Block Type:', blockData?.type || 'UNKNOWN');
                     console.log('║ Player Placed:', blockData?.playerPlaced || false);
                     console.log('║ Has Billboard:', !!blockData?.billboard);
-                    console.log('║ Material:', blockData?.mesh?.material?.type || 'UNKNOWN');
-                    console.log('║ Material Color:', blockData?.mesh?.material?.color);
-                    console.log('║ Expected Material:', this.materials[blockData?.type]?.type || 'UNKNOWN');
-                    console.log('║ Material Match:', blockData?.mesh?.material === this.materials[blockData?.type]);
+                    console.log('║ Block Color:', blockData?.color != null ? `#${blockData.color.toString(16).padStart(6, '0')}` : 'untinted');
+                    console.log('║ Chunk Mesh:', blockData && this.chunkMeshManager.isMeshable(blockData) ? this.chunkMeshManager.getChunkKey(pos.x, pos.z) : 'not meshed');
+                    console.log('║ Material:', this.materials[blockData?.type]?.type || 'UNKNOWN');
                     console.log('╠═══════════════════════════════════════════════════════════');
                     console.log('║ BlockType Definition:', this.blockTypes[blockData?.type]);
                     console.log('╚═══════════════════════════════════════════════════════════');
@@ -12946,10 +13504,7 @@ class NebulaVoxelApp {
                 // 💣 DEMOLITION CHARGE CHARGING: Start charging throw
                 if (isDemolitionCharge && selectedSlot.quantity > 0) {
                     // Get target position for distance calculation
-                    this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
-                    const intersects = this.raycaster.intersectObjects(
-                        this.scene.children.filter(obj => obj.isMesh && obj !== this.targetHighlight)
-                    );
+                    const intersects = this.raycastTargets();
                     
                     if (intersects.length > 0) {
                         const hit = intersects[0];
@@ -12968,13 +13523,7 @@ class NebulaVoxelApp {
             // No manual color override needed - system handles context-aware colors
             
             // Update raycaster - include both meshes and sprites for world items
-            this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
-            const intersects = this.raycaster.intersectObjects(
-                this.scene.children.filter(obj => 
-                    (obj.isMesh || obj.isSprite) && 
-                    obj !== this.targetHighlight
-                )
-            );
+            const intersects = this.raycastTargets(new THREE.Vector2(0, 0), { includeSprites: true });
             
             if (intersects.length > 0) {
                 const hit = intersects[0];
@@ -13223,6 +13772,7 @@ class NebulaVoxelApp {
                             'workbench', 'backpack',
                             'grapple_hook', 'grappling_hook', 'crafted_grappling_hook', 'speed_boots', 'crafted_speed_boots',
                             'combat_sword', 'crafted_combat_sword', 'mining_pick', 'crafted_mining_pick',
+                            'iron_pickaxe', 'crystal_pickaxe',
                             'healing_potion', 'light_orb', 'magic_amulet',
                             'backpack_upgrade_1', 'backpack_upgrade_2', 'machete_upgrade',
                             'compass', 'compass_upgrade',
@@ -13278,20 +13828,24 @@ class NebulaVoxelApp {
                             return;
                         }
 
-                        // 🎯 THE BIG MOMENT: Detect crafted items vs regular blocks
-                        if (selectedBlock.startsWith('crafted_')) {
-                            // Place crafted 3D object with real dimensions!
-                            console.log(`🎨 Placing crafted object: ${selectedBlock}`);
-                            this.placeCraftedObject(placePos.x, placePos.y, placePos.z, selectedBlock);
-                        } else {
-                            // Place regular 1x1x1 block
-                            this.addBlock(placePos.x, placePos.y, placePos.z, selectedBlock, true);
+                        // ↩️ One placement = one undoable action (a whole wall or tower for structures)
+                        this.editHistory.record(`Place ${selectedBlock}`, () => {
+                            // 🎯 THE BIG MOMENT: Detect crafted items vs regular blocks
+                            if (selectedBlock.startsWith('crafted_')) {
+                                // Place crafted 3D object with real dimensions!
+                                console.log(`🎨 Placing crafted object: ${selectedBlock}`);
+                                this.placeCraftedObject(placePos.x, placePos.y, placePos.z, selectedBlock);
+                            } else {
+                                // Place regular 1x1x1 block
+                                this.addBlock(placePos.x, placePos.y, placePos.z, selectedBlock, true);
 
-                            // 🎓 Trigger workbench placement tutorial
-                            if (selectedBlock === 'workbench' && this.tutorialSystem) {
-                                this.tutorialSystem.onWorkbenchPlaced();
+                                // 🎓 Trigger workbench placement tutorial
+                                if (selectedBlock === 'workbench' && this.tutorialSystem) {
+                                    this.tutorialSystem.onWorkbenchPlaced();
+                                }
                             }
-                        }
+                            this.editHistory.recordItems(selectedBlock, -1);
+                        });
                         selectedSlot.quantity--;
 
                         // Clear slot if empty
@@ -13316,13 +13870,7 @@ class NebulaVoxelApp {
             // 🗡️ SPEAR RELEASE: Release charged throw on right-click up
             if (e.button === 2 && this.spearSystem.isCharging) {
                 // Get target position from raycaster
-                this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
-                const intersects = this.raycaster.intersectObjects(
-                    this.scene.children.filter(obj => 
-                        (obj.isMesh || obj.isSprite) && 
-                        obj !== this.targetHighlight
-                    )
-                );
+                const intersects = this.raycastTargets(new THREE.Vector2(0, 0), { includeSprites: true });
                 
                 if (intersects.length > 0) {
                     const hit = intersects[0];
@@ -13383,6 +13931,11 @@ class NebulaVoxelApp {
         window.addEventListener("beforeunload", this.saveWorldHandler);
         this.eventListeners.push({ element: window, type: 'beforeunload', handler: this.saveWorldHandler });
 
+        // 🩹 Clean shutdown - no crash recovery needed next launch
+        this.endSessionHandler = () => this.saveSystem.journal.endSession();
+        window.addEventListener("beforeunload", this.endSessionHandler);
+        this.eventListeners.push({ element: window, type: 'beforeunload', handler: this.endSessionHandler });
+
         // UI Elements
         this.createContentArea = () => {
             const contentArea = document.createElement('div');
@@ -14066,6 +14619,34 @@ class NebulaVoxelApp {
                                     box-shadow: 0 2px 4px rgba(0,0,0,0.4);
                                     transition: all 0.2s;
                                 ">🗑 Delete Save</button>
+                                <button id="modal-export-world-btn" style="
+                                    padding: 10px 16px;
+                                    background: linear-gradient(180deg, #4a7a9a, #3a6a8a);
+                                    color: #F5E6D3;
+                                    border: 2px solid #2d5d7a;
+                                    border-radius: 6px;
+                                    cursor: pointer;
+                                    font-size: 14px;
+                                    font-family: 'Georgia', serif;
+                                    text-align: left;
+                                    text-shadow: 1px 1px 2px rgba(0,0,0,0.6);
+                                    box-shadow: 0 2px 4px rgba(0,0,0,0.4);
+                                    transition: all 0.2s;
+                                ">📤 Export World</button>
+                                <button id="modal-import-world-btn" style="
+                                    padding: 10px 16px;
+                                    background: linear-gradient(180deg, #4a7a9a, #3a6a8a);
+                                    color: #F5E6D3;
+                                    border: 2px solid #2d5d7a;
+                                    border-radius: 6px;
+                                    cursor: pointer;
+                                    font-size: 14px;
+                                    font-family: 'Georgia', serif;
+                                    text-align: left;
+                                    text-shadow: 1px 1px 2px rgba(0,0,0,0.6);
+                                    box-shadow: 0 2px 4px rgba(0,0,0,0.4);
+                                    transition: all 0.2s;
+                                ">📥 Import World</button>
                             </div>
                         </div>
 
@@ -14580,6 +15161,7 @@ class NebulaVoxelApp {
             }
             #modal-save-btn:hover, #modal-load-btn:hover,
             #modal-newgame-btn:hover, #modal-delete-btn:hover,
+            #modal-export-world-btn:hover, #modal-import-world-btn:hover,
             #modal-render-distance-btn:hover, #modal-gpu-btn:hover,
             #modal-benchmark-btn:hover, #modal-enhanced-graphics-btn:hover,
             #modal-music-mute-btn:hover, #modal-music-autoplay-btn:hover,
@@ -14649,6 +15231,8 @@ class NebulaVoxelApp {
         const modalSaveBtn = modal.querySelector("#modal-save-btn");
         const modalLoadBtn = modal.querySelector("#modal-load-btn");
         const modalDeleteBtn = modal.querySelector("#modal-delete-btn");
+        const modalExportWorldBtn = modal.querySelector("#modal-export-world-btn");
+        const modalImportWorldBtn = modal.querySelector("#modal-import-world-btn");
         const modalNewGameBtn = modal.querySelector("#modal-newgame-btn");
         const modalBenchmarkBtn = modal.querySelector("#modal-benchmark-btn");
         const modalRenderDistanceBtn = modal.querySelector("#modal-render-distance-btn");
@@ -14880,6 +15464,75 @@ class NebulaVoxelApp {
             this.showDeleteMenu(); // Open delete slot picker
         };
         
+        // 📦 Portable world archives (Blob download + file picker work in Electron and web)
+        if (modalExportWorldBtn) modalExportWorldBtn.onclick = async () => {
+            modal.style.display = 'none';
+            try {
+                this.updateStatus('📤 Exporting world...', 'info');
+                const { bytes, fileName, manifest } = await this.saveSystem.exportWorld();
+
+                const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = fileName;
+                link.click();
+                URL.revokeObjectURL(url);
+
+                this.updateStatus(`✅ World exported (${manifest.chunkCount} chunks, ${manifest.modCount} edited)`, 'success');
+            } catch (error) {
+                console.error('World export failed:', error);
+                this.updateStatus(`❌ Export failed: ${error.message}`, 'error');
+            }
+        };
+
+        if (modalImportWorldBtn) modalImportWorldBtn.onclick = () => {
+            modal.style.display = 'none';
+
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = '.tlnworld';
+            input.onchange = async () => {
+                const file = input.files[0];
+                if (!file) return;
+
+                const confirmed = confirm(
+                    `Import world from "${file.name}"?\n\n` +
+                    "It will be placed in the first free save slot.\n" +
+                    "Its character, companion, quest and teleport pad data replace the current ones when you load that slot."
+                );
+                if (!confirmed) return;
+
+                try {
+                    const bytes = new Uint8Array(await file.arrayBuffer());
+                    let result;
+                    try {
+                        result = await this.saveSystem.importWorld(bytes);
+                    } catch (error) {
+                        if (error.name !== 'WorldImportConflictError') throw error;
+
+                        const replace = confirm(
+                            `${error.message}\n\n` +
+                            "Replace it? The stored world's chunks and block edits are deleted, " +
+                            "and other save slots of that world will load the imported terrain."
+                        );
+                        if (!replace) {
+                            this.updateStatus('📥 Import cancelled', 'info');
+                            return;
+                        }
+                        result = await this.saveSystem.importWorld(bytes, { replaceExisting: true });
+                    }
+                    this.updateStatus(`✅ World imported into slot ${result.slot} - open Load Game to play it`, 'success');
+                } catch (error) {
+                    console.error('World import failed:', error);
+                    this.updateStatus(`❌ Import failed: ${error.message}`, 'error');
+                    if (error.name === 'SaveVersionError') {
+                        this.showSaveVersionError(error);
+                    }
+                }
+            };
+            input.click();
+        };
+
         if (modalNewGameBtn) modalNewGameBtn.onclick = newGame;
         if (modalBenchmarkBtn) modalBenchmarkBtn.onclick = reRunBenchmark;
         if (modalRenderDistanceBtn) modalRenderDistanceBtn.onclick = cycleRenderDistance;
@@ -15045,7 +15698,10 @@ class NebulaVoxelApp {
         this.showLoadMenu = async () => {
             console.log('📂 Opening load menu...');
             try {
-                const slots = await this.saveSystem.getSaveSlots();
+                const slots = [
+                    ...await this.saveSystem.getSaveSlots(),
+                    ...await this.saveSystem.getAutosaveSlots()
+                ];
                 this.showSlotPicker(slots, 'load');
             } catch (error) {
                 console.error('Failed to load save slots:', error);
@@ -15056,7 +15712,10 @@ class NebulaVoxelApp {
         this.showDeleteMenu = async () => {
             console.log('🗑️ Opening delete menu...');
             try {
-                const slots = await this.saveSystem.getSaveSlots();
+                const slots = [
+                    ...await this.saveSystem.getSaveSlots(),
+                    ...await this.saveSystem.getAutosaveSlots()
+                ];
                 this.showSlotPicker(slots, 'delete');
             } catch (error) {
                 console.error('Failed to load save slots:', error);
@@ -15150,11 +15809,12 @@ class NebulaVoxelApp {
                 const info = document.createElement('div');
                 info.style.cssText = `color: #F5E6D3; font-size: 14px;`;
                 info.innerHTML = `
-                    <div style="font-weight: bold; margin-bottom: 5px;">${slot.name}</div>
+                    <div style="font-weight: bold; margin-bottom: 5px;">${slot.autosave ? '🔄 ' : ''}${slot.name}</div>
                     ${slot.exists ? `
                         <div>⏰ ${new Date(slot.timestamp).toLocaleString()}</div>
                         <div>🎮 ${Math.floor(slot.playtime / 3600)}h ${Math.floor((slot.playtime % 3600) / 60)}m</div>
                         <div>📊 ${slot.stats ? slot.stats.blocksPlaced : 0} blocks • ${slot.stats ? slot.stats.objectsCrafted : 0} objects</div>
+                        ${slot.needsNewerGame ? '<div style="color: #FF9800;">⚠️ Saved by a newer version</div>' : ''}
                     ` : '<div style="color: #999;">Empty Slot</div>'}
                 `;
                 slotCard.appendChild(info);
@@ -15191,6 +15851,10 @@ class NebulaVoxelApp {
                     } catch (error) {
                         console.error(`${mode} failed:`, error);
                         this.updateStatus(`❌ ${mode} failed: ${error.message}`, 'error');
+                        if (error.name === 'SaveVersionError') {
+                            document.body.removeChild(modal);
+                            this.showSaveVersionError(error);
+                        }
                     }
                 });
 
@@ -15232,6 +15896,59 @@ class NebulaVoxelApp {
             document.body.appendChild(modal);
         };
 
+        // ⚠️ Save from a newer game version - explain instead of half-loading it
+        this.showSaveVersionError = (error) => {
+            const modal = document.createElement('div');
+            modal.id = 'save-version-error-modal';
+            modal.style.cssText = `
+                position: fixed;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                background: linear-gradient(135deg, #2a1810 0%, #1a0f08 100%);
+                border: 3px solid #FF9800;
+                border-radius: 12px;
+                padding: 30px;
+                max-width: 500px;
+                z-index: 10002;
+                box-shadow: 0 0 50px rgba(0,0,0,0.9);
+                color: #F5E6D3;
+                text-align: center;
+            `;
+
+            modal.innerHTML = `
+                <div style="font-size: 48px; margin-bottom: 10px;">⚠️</div>
+                <h2 style="color: #FFD700; margin: 0 0 15px 0;">Save Needs a Newer Version</h2>
+                <p style="font-size: 14px; line-height: 1.6; margin: 0 0 10px 0;">
+                    This save was created by a newer version of The Long Nights and can't be loaded safely.
+                    Your save file has not been changed.
+                </p>
+                <p style="font-size: 13px; color: #b8a68a; margin: 0 0 20px 0;">
+                    Save version: v${error.saveVersion} • Supported: up to v${error.supportedVersion}
+                </p>
+            `;
+
+            const okBtn = document.createElement('button');
+            okBtn.textContent = 'OK';
+            okBtn.style.cssText = `
+                width: 100%;
+                padding: 15px;
+                background: linear-gradient(180deg, #5a8a4a, #4a7a3a);
+                border: 2px solid #3d5d2d;
+                border-radius: 8px;
+                color: white;
+                font-size: 16px;
+                cursor: pointer;
+                font-weight: bold;
+            `;
+            okBtn.addEventListener('click', () => {
+                document.body.removeChild(modal);
+            });
+            modal.appendChild(okBtn);
+
+            document.body.appendChild(modal);
+        };
+
         // 🔥 CAMPFIRE MODAL: Sleep, Save, or Remove campfire
         this.showCampfireModal = (x, y, z) => {
             // Disable controls and release pointer lock
@@ -15486,6 +16203,7 @@ class NebulaVoxelApp {
 
             // Remove from crafted objects dictionary
             delete this.craftedObjects[blockKey];
+            this.setBlockState(Math.floor(x), Math.floor(y), Math.floor(z), null);
 
             // Give campfire back to player
             this.inventory.addToInventory(itemId, 1);
@@ -15664,6 +16382,7 @@ class NebulaVoxelApp {
             console.log('  voxelWorld.setVerticalCulling(enabled, heightLimit, depth, height) - Configure Y-axis culling');
             console.log('  voxelWorld.setAdaptiveVisibility(enabled, rays, buffer, rate) - Intelligent surface detection');
             console.log('  voxelWorld.getVerticalCullingStats() - Get vertical culling stats');
+            console.log('  voxelWorld.getChunkMeshStats() - Get merged chunk mesh stats');
             console.log('  voxelWorld.testVerticalCulling() - Show performance comparison');
             console.log('  voxelWorld.openTutorialEditor() - Open tutorial editor');
         }
@@ -15780,6 +16499,12 @@ class NebulaVoxelApp {
         return stats;
     }
 
+    getChunkMeshStats() {
+        const stats = this.chunkMeshManager.getStats();
+        console.table(stats);
+        return stats;
+    }
+
     // 🚀 VERTICAL CULLING SYSTEM - Debug and configuration methods
     setVerticalCulling(enableCulling = true, enableHeightLimit = false, undergroundDepth = 2, abovegroundHeight = 8) {
         if (!this.chunkRenderManager) {
@@ -16085,8 +16810,7 @@ class NebulaVoxelApp {
         const x = ((touch.clientX - rect.left) / rect.width) * 2 - 1;
         const y = -((touch.clientY - rect.top) / rect.height) * 2 + 1;
 
-        this.raycaster.setFromCamera(new THREE.Vector2(x, y), this.camera);
-        const intersects = this.raycaster.intersectObjects(this.scene.children.filter(obj => obj.isMesh && obj !== this.targetHighlight));
+        const intersects = this.raycastTargets(new THREE.Vector2(x, y));
 
         if (intersects.length > 0) {
             const hit = intersects[0];
@@ -16110,10 +16834,7 @@ class NebulaVoxelApp {
             return;
         }
 
-        this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
-        const intersects = this.raycaster.intersectObjects(
-            this.scene.children.filter(obj => obj.isMesh && obj !== this.targetHighlight)
-        );
+        const intersects = this.raycastTargets();
 
         if (intersects.length === 0) {
             console.error('❌ No target block found! Look at a block first.');
@@ -16144,10 +16865,7 @@ class NebulaVoxelApp {
             return;
         }
 
-        this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
-        const intersects = this.raycaster.intersectObjects(
-            this.scene.children.filter(obj => obj.isMesh && obj !== this.targetHighlight)
-        );
+        const intersects = this.raycastTargets();
 
         if (intersects.length === 0) {
             console.error('❌ No target block found! Look at a block first.');
@@ -16269,6 +16987,9 @@ export async function initVoxelWorld(container, splashScreen = null) {
             splashScreen.setInitializing();
         }
 
+        // 🌍 Biome definitions (assets/data/biomes.json) - BiomeWorldGen reads them in its constructor
+        await BiomeDefinitions.load();
+
         const app = new NebulaVoxelApp(container);
         console.log('📱 NebulaVoxelApp created');
 
@@ -16298,7 +17019,8 @@ export async function initVoxelWorld(container, splashScreen = null) {
             await app.workerManager.initialize(
                 app.worldSeed,
                 app.biomeWorldGen.biomes,
-                app.biomeWorldGen.noiseParams
+                app.biomeWorldGen.noiseParams,
+                app.worldSettings
             );
             app.workerInitialized = true;
             console.log('👷 WorkerManager initialized successfully');
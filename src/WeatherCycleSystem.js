@@ -1,3 +1,5 @@
+import { SeasonCalendar } from './SeasonCalendar.js';
+
 /**
  * WeatherCycleSystem.js
  * 
@@ -8,6 +10,7 @@
  * - Random weather events
  * - Clear periods between weather
  * - Elevation-based thunder
+ * - Seasonal weather odds (snow in winter, storms in summer)
  * - Configurable frequency and duration
  */
 
@@ -31,7 +34,10 @@ export class WeatherCycleSystem {
             minWeatherDuration: 2,  // At least 2 hours
             maxWeatherDuration: 8,  // Up to 8 hours
             
-            // Weather type chances (must total 1.0)
+            // Seasons pick the weather chances (SeasonCalendar weatherChances)
+            useSeasons: true,
+            
+            // Weather type chances when seasons are off (must total 1.0)
             weatherChances: {
                 rain: 0.5,    // 50% rain
                 thunder: 0.2, // 20% thunder (if elevation allows)
@@ -131,7 +137,8 @@ export class WeatherCycleSystem {
      */
     chooseWeatherType() {
         const playerY = this.player?.position?.y || 0;
-        const chances = { ...this.config.weatherChances };
+        const season = this.getSeason();
+        const chances = { ...(season ? season.weatherChances : this.config.weatherChances) };
         
         // If below thunder elevation, redistribute thunder chance to rain
         if (playerY < this.config.thunderElevation) {
@@ -154,6 +161,17 @@ export class WeatherCycleSystem {
         return 'rain';
     }
     
+    /**
+     * 🍂 Current season from the day/night cycle's week counters (null if seasons are off)
+     */
+    getSeason() {
+        if (!this.config.useSeasons || !this.dayNightCycle) return null;
+
+        return SeasonCalendar.getSeason(
+            SeasonCalendar.getCalendarDay(this.dayNightCycle.currentWeek, this.dayNightCycle.dayOfWeek)
+        );
+    }
+    
     /**
      * Start weather event
      */
@@ -209,6 +209,26 @@ export class WorkbenchSystem {
                 ],
                 effects: ['fire', 'holy']  // Fire particles + golden glow
             },
+            brazier: {
+                name: '⚫ Coal Brazier',
+                materials: { coal: 3 },
+                description: 'Mined coal burning in a squat bowl - hotter than a campfire',
+                isBasicShape: true,
+                shapes: [
+                    { type: 'cylinder', position: { x: 0, y: 0, z: 0 }, size: { x: 0.8, y: 0.5, z: 0.8 } }
+                ],
+                effects: ['fire']
+            },
+            crystal_lamp: {
+                name: '💎 Crystal Lamp',
+                materials: { crystal: 2 },
+                description: 'A shard of crystal ore that glows on its own',
+                isBasicShape: true,
+                shapes: [
+                    { type: 'sphere', position: { x: 0, y: 0, z: 0 }, size: { x: 0.6, y: 0.6, z: 0.6 } }
+                ],
+                effects: ['holy']  // Golden glow
+            },
 
             // Crafting Materials
             stick: {
@@ -1133,6 +1153,9 @@ export class WorkbenchSystem {
             grass: new THREE.MeshLambertMaterial({ color: 0x228B22 }),       // Forest green
             dirt: new THREE.MeshLambertMaterial({ color: 0x8B4513 }),        // Saddle brown
             glowstone: new THREE.MeshLambertMaterial({ color: 0xFFFF88, emissive: 0xFFFF44, emissiveIntensity: 0.5 }),  // Glowing yellow
+            coal: new THREE.MeshLambertMaterial({ color: 0x2F2F2F }),        // Mined coal
+            gold: new THREE.MeshLambertMaterial({ color: 0xFFD700 }),        // Mined gold
+            crystal: new THREE.MeshLambertMaterial({ color: 0x7FDBFF, emissive: 0x3FA8D0, emissiveIntensity: 0.4 }),  // Glowing crystal
             // Campfire - orange/red with emissive glow
             campfire: new THREE.MeshLambertMaterial({ color: 0xFF6600, emissive: 0xFF4400, emissiveIntensity: 0.8 })
         };
@@ -1415,6 +1438,7 @@ export class WorkbenchSystem {
             'wood', 'oak_wood', 'pine_wood', 'birch_wood', 'palm_wood', 'dead_wood',
             'stone', 'iron', 'glass', 'sand', 'brick', 'glowstone',
             'grass', 'dirt', 'coal', 'flowers', 'snow',
+            'gold', 'crystal',  // Mined from ore veins
             'stick',  // Sticks can be crafted and used in tool bench
             // All leaf types (can be used to craft sticks)
             'oak_wood-leaves', 'pine_wood-leaves', 'birch_wood-leaves', 'palm_wood-leaves', 'dead_wood-leaves',
@@ -2187,6 +2211,9 @@ export class WorkbenchSystem {
             grass: '#228B22',
             dirt: '#8B4513',
             glowstone: '#FFFF88',
+            coal: '#2F2F2F',
+            gold: '#FFD700',
+            crystal: '#7FDBFF',
             campfire: '#FF6600'  // Orange/red fire color
         };
 
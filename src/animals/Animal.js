@@ -194,6 +194,9 @@ export class Animal {
         
         // Apply velocity
         this.position.add(this.velocity);
+
+        // 🧱 Stay inside a finite world
+        this.voxelWorld.worldBorder?.clampPosition(this.position, 0.5);
         
         // Update billboard position
         if (this.billboard) {
@@ -2,6 +2,7 @@
  * configs.js - Animal type configurations
  * 
  * Add new animals here - just provide stats and art filenames!
+ * Where they spawn is set per biome in assets/data/biomes.json ("spawns").
  */
 
 export const animalConfigs = {
@@ -14,7 +15,6 @@ export const animalConfigs = {
         fleeSpeed: 0.25,
         
         // Spawn rules
-        spawnBiomes: ['grassland', 'plains', 'forest'],
         spawnTimeOfDay: ['dawn'], // 5:00-7:00
         maxPerChunk: 2,
         respawnInterval: 300, // 5 minutes
@@ -52,7 +52,6 @@ export const animalConfigs = {
         fleeDistance: 20,
         fleeSpeed: 0.3,
         
-        spawnBiomes: ['forest', 'meadow'],
         spawnTimeOfDay: ['dawn', 'dusk'],
         maxPerChunk: 1,
         respawnInterval: 600,
@@ -87,7 +86,6 @@ export const animalConfigs = {
         chargeSpeed: 0.35,
         damage: 15,
         
-        spawnBiomes: ['forest', 'jungle'],
         spawnTimeOfDay: ['day', 'dusk'],
         maxPerChunk: 1,
         respawnInterval: 900,
@@ -123,7 +121,6 @@ export const animalConfigs = {
         chargeSpeed: 0.4,
         damage: 30,
         
-        spawnBiomes: ['forest', 'mountain', 'snow'],
         spawnTimeOfDay: ['day', 'dusk', 'night'],
         maxPerChunk: 1,
         respawnInterval: 1800, // 30 minutes!
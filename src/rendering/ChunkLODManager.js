@@ -101,6 +101,9 @@ export class ChunkLODManager {
                 if (dist <= renderDist) continue;
                 if (dist > visualDist) continue;
 
+                // 🧱 No horizon past the world border
+                if (this.app.worldBorder && !this.app.worldBorder.containsChunk(cx, cz, this.app.chunkSize)) continue;
+
                 // 🎯 DIRECTION-BASED FILTERING: Only load chunks in front of camera (180° arc)
                 const chunkDir = new THREE.Vector3(
                     (cx - playerChunkX),
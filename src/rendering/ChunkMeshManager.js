@@ -0,0 +1,742 @@
+/**
+ * ChunkMeshManager.js - Merged, greedy-meshed terrain geometry per chunk
+ *
+ * Replaces one THREE.Mesh per block with one mesh per chunk per block type:
+ * - addBlock / removeBlock register blocks here and mark their chunk dirty
+ *   (plus the neighbouring chunk for blocks on a chunk edge, whose hidden faces change)
+ * - update() rebuilds dirty chunks once per frame with GreedyMesher, within a time budget
+ * - Per-block tints (worker terrain colors, darker player blocks) become vertex colors,
+ *   so one material per type covers every block of that type
+ *
+ * Blocks drawn another way are skipped: billboard items ('transparent' texture) and
+ * world items (own collision box). Chunk meshes are not raycast targets - block
+ * targeting walks the voxel grid instead (VoxelWorld.raycastBlocks).
+ *
+ * Worker-meshed chunks: freshly generated chunks arrive with geometry ChunkWorker
+ * already built (adoptWorkerChunk). That geometry is never rebuilt piecemeal:
+ * - Blocks added later (trees, ruins, villages, player blocks) go into a small
+ *   main-thread overlay mesh for the chunk
+ * - Changing or removing a block the worker meshed drops the worker geometry and the
+ *   chunk is rebuilt on the main thread like any other
+ */
+
+import * as THREE from 'three';
+import { buildGreedyMesh, cellIndex, EDGE_SIDES, getEdgeColumn } from './GreedyMesher.js';
+
+// Face neighbours of a block
+const NEIGHBOURS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+
+export class ChunkMeshManager {
+    static REBUILD_BUDGET_MS = 4; // Per frame; at least one dirty chunk is always rebuilt
+
+    constructor(app) {
+        this.app = app;
+        this.scene = app.scene;
+        this.chunkSize = app.chunkSize;
+
+        this.chunkBlocks = new Map(); // chunkKey → Map(blockKey → [x, y, z])
+        this.chunkMeshes = new Map(); // chunkKey → [THREE.Mesh] built on the main thread
+        this.dirtyChunks = new Set();
+        this.materials = new Map();   // block type → chunk material (or face array)
+
+        // 👷 Worker-meshed chunks: chunkKey → { meshes, added: Map(blockKey → [x, y, z]) }
+        // (added = blocks placed after the worker mesh, drawn by the chunk's chunkMeshes overlay)
+        this.workerChunks = new Map();
+        this.chunkVersions = new Map();  // chunkKey → change counter (stale edge slice check)
+        this.workerRequests = new Map(); // chunkKey → neighbour versions when its edge slices were sent
+        this.adopting = null;            // { chunkKey, added } while adoptWorkerChunk adds the worker blocks
+
+        // 👻 Faded area (BattleArena): { chunkKeys: Set, opacity, materials: Map(type → faded copy) }
+        this.fade = null;
+
+        this.stats = { rebuilds: 0, lastRebuildMs: 0, adopted: 0, rejected: 0 };
+    }
+
+    /**
+     * Build a BufferGeometry from GreedyMesher buffers (main thread or ChunkWorker)
+     */
+    static createGeometry(data) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(data.normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(data.uvs, 2));
+        geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3));
+        geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
+        for (const group of data.groups) {
+            geometry.addGroup(group.start, group.count, group.materialIndex);
+        }
+        geometry.computeBoundingSphere();
+        return geometry;
+    }
+
+    getChunkKey(x, z) {
+        return `${Math.floor(x / this.chunkSize)},${Math.floor(z / this.chunkSize)}`;
+    }
+
+    /**
+     * Can this world entry be part of a chunk mesh?
+     */
+    isMeshable(block) {
+        if (!block || block.collisionBox) return false;
+        const blockType = this.app.blockTypes[block.type];
+        return !!blockType && blockType.texture !== 'transparent' && !!this.app.materials[block.type];
+    }
+
+    /**
+     * See-through blocks (water, glass) only hide faces of their own type.
+     * Read from the block type's own material - chunk materials can be faded at runtime
+     * (e.g. by BattleArena).
+     */
+    isSeeThrough(type) {
+        const material = this.app.materials[type];
+        const base = Array.isArray(material) ? material[0] : material;
+        return !!base?.transparent;
+    }
+
+    // ===== BLOCK TRACKING =====
+
+    /**
+     * Register a block placed at (x, y, z) - call after it is stored in app.world
+     */
+    addBlock(x, y, z) {
+        const key = `${x},${y},${z}`;
+        if (!this.isMeshable(this.app.world[key])) {
+            // Replacing a meshed block with an unmeshed one still changes the chunk
+            this.removeBlock(x, y, z);
+            return;
+        }
+
+        const chunkKey = this.getChunkKey(x, z);
+        if (!this.chunkBlocks.has(chunkKey)) {
+            this.chunkBlocks.set(chunkKey, new Map());
+        }
+        const blocks = this.chunkBlocks.get(chunkKey);
+        const replaced = blocks.has(key);
+        blocks.set(key, [x, y, z]);
+
+        // Worker blocks of the chunk being adopted are already in its worker mesh
+        if (this.adopting?.chunkKey === chunkKey) {
+            this.adopting.added.delete(key);
+            return;
+        }
+
+        if (replaced) {
+            this.markBlockDirty(x, y, z);
+        } else {
+            this.markBlockAdded(x, y, z);
+        }
+    }
+
+    /**
+     * Forget the block at (x, y, z) - call when it leaves app.world
+     */
+    removeBlock(x, y, z) {
+        const chunkKey = this.getChunkKey(x, z);
+        const key = `${x},${y},${z}`;
+        const blocks = this.chunkBlocks.get(chunkKey);
+        if (!blocks || !blocks.delete(key)) return;
+
+        this.workerChunks.get(chunkKey)?.added.delete(key);
+        this.adopting?.added.delete(key);
+        if (blocks.size === 0) {
+            this.chunkBlocks.delete(chunkKey);
+        }
+        this.markBlockDirty(x, y, z);
+    }
+
+    /**
+     * The block at (x, y, z) changed (removed, replaced, re-tinted, shown / hidden):
+     * rebuild its chunk, and the chunk next door if the block sits on a chunk edge
+     * (its face culling looks across the edge). Worker meshes there are dropped.
+     */
+    markBlockDirty(x, y, z) {
+        this.bumpVersion(this.getChunkKey(x, z));
+        for (const chunkKey of this.getAffectedChunks(x, z)) {
+            this.invalidateChunk(chunkKey);
+        }
+    }
+
+    /**
+     * A block was placed in an empty cell: worker-meshed chunks only rebuild their overlay
+     */
+    markBlockAdded(x, y, z) {
+        const key = `${x},${y},${z}`;
+        const worker = this.workerChunks.get(this.getChunkKey(x, z));
+        if (worker) {
+            worker.added.set(key, [x, y, z]);
+        }
+
+        // A worker mesh keeps its faces toward the new block - fine behind an opaque block,
+        // but a see-through block would show the wall between it and its own kind
+        const type = this.app.world[key].type;
+        if (this.isSeeThrough(type)) {
+            for (const [dx, dy, dz] of NEIGHBOURS) {
+                const neighbourKey = `${x + dx},${y + dy},${z + dz}`;
+                if (this.app.world[neighbourKey]?.type !== type) continue;
+
+                const neighbourChunk = this.getChunkKey(x + dx, z + dz);
+                const neighbourWorker = this.workerChunks.get(neighbourChunk);
+                if (neighbourWorker && !neighbourWorker.added.has(neighbourKey)) {
+                    this.invalidateChunk(neighbourChunk);
+                }
+            }
+        }
+
+        this.bumpVersion(this.getChunkKey(x, z));
+        for (const chunkKey of this.getAffectedChunks(x, z)) {
+            this.dirtyChunks.add(chunkKey);
+        }
+    }
+
+    /**
+     * The block's chunk, plus the neighbouring chunk for blocks on a chunk edge
+     */
+    getAffectedChunks(x, z) {
+        const size = this.chunkSize;
+        const chunkX = Math.floor(x / size);
+        const chunkZ = Math.floor(z / size);
+        const localX = x - chunkX * size;
+        const localZ = z - chunkZ * size;
+
+        const chunkKeys = [`${chunkX},${chunkZ}`];
+        if (localX === 0) chunkKeys.push(`${chunkX - 1},${chunkZ}`);
+        if (localX === size - 1) chunkKeys.push(`${chunkX + 1},${chunkZ}`);
+        if (localZ === 0) chunkKeys.push(`${chunkX},${chunkZ - 1}`);
+        if (localZ === size - 1) chunkKeys.push(`${chunkX},${chunkZ + 1}`);
+        return chunkKeys;
+    }
+
+    /**
+     * Count a change to a chunk's blocks (edge slices taken before it are stale)
+     */
+    bumpVersion(chunkKey) {
+        this.chunkVersions.set(chunkKey, (this.chunkVersions.get(chunkKey) || 0) + 1);
+    }
+
+    /**
+     * Drop a chunk's worker mesh (if any) and queue a full main-thread rebuild
+     */
+    invalidateChunk(chunkKey) {
+        const worker = this.workerChunks.get(chunkKey);
+        if (worker) {
+            this.disposeMeshes(worker.meshes);
+            this.workerChunks.delete(chunkKey);
+        }
+        this.dirtyChunks.add(chunkKey);
+    }
+
+    /**
+     * Rebuild every chunk (after materials or vertical culling bounds change)
+     */
+    markAllDirty() {
+        for (const chunkKey of this.chunkBlocks.keys()) {
+            this.invalidateChunk(chunkKey);
+        }
+    }
+
+    // ===== REBUILDING =====
+
+    /**
+     * Rebuild dirty chunks - call once per frame
+     */
+    update() {
+        if (this.dirtyChunks.size === 0) return;
+
+        const startTime = performance.now();
+        for (const chunkKey of this.dirtyChunks) {
+            this.dirtyChunks.delete(chunkKey);
+            this.rebuildChunk(chunkKey);
+            if (performance.now() - startTime > ChunkMeshManager.REBUILD_BUDGET_MS) break;
+        }
+        this.stats.lastRebuildMs = performance.now() - startTime;
+    }
+
+    /**
+     * Replace a chunk's main-thread meshes with freshly built ones
+     * (just the overlay of later blocks for worker-meshed chunks)
+     */
+    rebuildChunk(chunkKey) {
+        this.disposeChunkMeshes(chunkKey);
+
+        const worker = this.workerChunks.get(chunkKey);
+        const blocks = worker ? worker.added : this.chunkBlocks.get(chunkKey);
+        if (!blocks || blocks.size === 0) return;
+
+        const { volume, palette } = this.buildVolume(chunkKey, blocks, !!worker);
+        if (!volume) return;
+
+        const buffers = buildGreedyMesh(volume, palette);
+        const geometries = Object.entries(buffers).map(([type, data]) => [type, ChunkMeshManager.createGeometry(data)]);
+
+        this.chunkMeshes.set(chunkKey, this.createMeshes(chunkKey, geometries));
+        this.stats.rebuilds++;
+    }
+
+    /**
+     * Add a chunk's geometries to the scene, one mesh per block type
+     * @param {Array} geometries - [[type, BufferGeometry]]
+     */
+    createMeshes(chunkKey, geometries) {
+        return geometries.map(([type, geometry]) => {
+            const mesh = new THREE.Mesh(geometry, this.getMeshMaterial(chunkKey, type));
+            mesh.userData = { isChunkMesh: true, chunkKey, type };
+            this.scene.add(mesh);
+            return mesh;
+        });
+    }
+
+    /**
+     * Pack a chunk's blocks (plus a one-block border read from app.world) into a
+     * GreedyMesher volume. Blocks hidden by vertical culling count as empty.
+     *
+     * @param {boolean} overlay - Other blocks of the chunk (in its worker mesh) are read
+     *                            for culling but not meshed
+     */
+    buildVolume(chunkKey, blocks, overlay = false) {
+        const world = this.app.world;
+        const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (const [, y] of blocks.values()) {
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+        if (minY > maxY) return {};
+
+        const origin = [chunkX * this.chunkSize, minY, chunkZ * this.chunkSize];
+        const size = [this.chunkSize, maxY - minY + 1, this.chunkSize];
+        const cells = new Uint16Array((size[0] + 2) * (size[1] + 2) * (size[2] + 2));
+        const palette = [null];
+        const paletteIndex = new Map(); // "type|color" → palette index
+
+        const addCell = (x, y, z, block, meshed = true) => {
+            if (!this.isMeshable(block) || block.rendered === false) return;
+
+            const color = block.color ?? null;
+            const paletteKey = `${block.type}|${color}|${meshed}`;
+            let id = paletteIndex.get(paletteKey);
+            if (id === undefined) {
+                id = palette.length;
+                palette.push({ ...this.createPaletteEntry(block.type, color), meshed });
+                paletteIndex.set(paletteKey, id);
+            }
+            cells[cellIndex(size, x - origin[0] + 1, y - origin[1] + 1, z - origin[2] + 1)] = id;
+        };
+
+        for (const [key, [x, y, z]] of blocks) {
+            addCell(x, y, z, world[key]);
+        }
+
+        // Border layer: neighbouring chunks' edge columns, and above / below the chunk
+        for (let x = origin[0] - 1; x <= origin[0] + size[0]; x++) {
+            for (let z = origin[2] - 1; z <= origin[2] + size[2]; z++) {
+                const inside = x >= origin[0] && x < origin[0] + size[0] && z >= origin[2] && z < origin[2] + size[2];
+                if (inside) {
+                    addCell(x, minY - 1, z, world[`${x},${minY - 1},${z}`]);
+                    addCell(x, maxY + 1, z, world[`${x},${maxY + 1},${z}`]);
+
+                    for (let y = minY; overlay && y <= maxY; y++) {
+                        const key = `${x},${y},${z}`;
+                        if (!blocks.has(key)) addCell(x, y, z, world[key], false);
+                    }
+                } else {
+                    for (let y = minY - 1; y <= maxY + 1; y++) {
+                        addCell(x, y, z, world[`${x},${y},${z}`]);
+                    }
+                }
+            }
+        }
+
+        return { volume: { origin, size, cells }, palette };
+    }
+
+    /**
+     * Palette entry for a block type and tint (null = untinted)
+     */
+    createPaletteEntry(type, color) {
+        const tint = color === null ? new THREE.Color(0xFFFFFF) : new THREE.Color(color);
+        return { material: type, color: [tint.r, tint.g, tint.b], opaque: !this.isSeeThrough(type) };
+    }
+
+    // ===== WORKER MESHES =====
+
+    /**
+     * Meshing settings for a GENERATE_CHUNK request (ChunkWorker.buildChunkMesh):
+     * meshable block types, the season tint and edge slices of the loaded neighbours.
+     * Remembers the neighbours' versions so adoptWorkerChunk can spot stale slices.
+     *
+     * @returns {Object|null} null while vertical culling is on (the worker can't know
+     *                        which blocks will be hidden)
+     */
+    getWorkerMeshOptions(chunkX, chunkZ) {
+        if (this.app.chunkRenderManager?.getVerticalBounds()) return null;
+
+        const types = {};
+        for (const type of Object.keys(this.app.blockTypes)) {
+            if (this.isMeshable({ type })) types[type] = !this.isSeeThrough(type);
+        }
+
+        const season = this.app.biomeWorldGen?.season ?? null;
+        const edgeTypes = [null];
+        const edges = {};
+        const versions = {};
+
+        for (const side of EDGE_SIDES) {
+            const neighbourKey = `${chunkX + side.dx},${chunkZ + side.dz}`;
+            const blocks = this.chunkBlocks.get(neighbourKey);
+            if (!blocks) continue;
+
+            // The neighbour's column layer touching this chunk
+            const [edgeX, edgeZ] = getEdgeColumn(side, chunkX, chunkZ, this.chunkSize, 0);
+            const cells = [];
+            for (const [key, [x, y, z]] of blocks) {
+                if (side.dx !== 0 ? x !== edgeX : z !== edgeZ) continue;
+
+                const block = this.app.world[key];
+                if (!block || block.rendered === false) continue;
+
+                let typeIndex = edgeTypes.indexOf(block.type);
+                if (typeIndex === -1) {
+                    typeIndex = edgeTypes.length;
+                    edgeTypes.push(block.type);
+                }
+                cells.push([side.dx !== 0 ? z - chunkZ * this.chunkSize : x - chunkX * this.chunkSize, y, typeIndex]);
+            }
+
+            versions[side.name] = this.chunkVersions.get(neighbourKey) || 0;
+            if (cells.length === 0) continue;
+
+            const minY = Math.min(...cells.map(([, y]) => y));
+            const height = Math.max(...cells.map(([, y]) => y)) - minY + 1;
+            const slice = { minY, height, cells: new Uint16Array(this.chunkSize * height) };
+            for (const [i, y, typeIndex] of cells) {
+                slice.cells[i + this.chunkSize * (y - minY)] = typeIndex;
+            }
+            edges[side.name] = slice;
+        }
+
+        this.workerRequests.set(`${chunkX},${chunkZ}`, versions);
+
+        return {
+            types,
+            season: season && { id: season.id, grassTint: season.grassTint, leafTint: season.leafTint },
+            edgeTypes,
+            edges
+        };
+    }
+
+    /**
+     * Use a worker-built mesh for a freshly generated chunk
+     *
+     * @param {string} chunkKey
+     * @param {Object} chunkMesh - { geometries: { type: BufferGeometry }, season } from WorkerManager
+     * @param {Function} addBlocks - Adds the chunk's worker blocks to app.world (the blocks the mesh covers)
+     */
+    adoptWorkerChunk(chunkKey, chunkMesh, addBlocks) {
+        const versions = this.workerRequests.get(chunkKey);
+        this.workerRequests.delete(chunkKey);
+
+        // Season changed or vertical culling turned on since the request: mesh it here instead
+        const season = this.app.biomeWorldGen?.season?.id ?? null;
+        if (!versions || chunkMesh.season !== season || this.app.chunkRenderManager?.getVerticalBounds()) {
+            this.stats.rejected++;
+            addBlocks();
+            return;
+        }
+
+        if (this.workerChunks.has(chunkKey)) {
+            this.invalidateChunk(chunkKey);
+        }
+
+        // Blocks already in the chunk (e.g. a neighbour's ruin) aren't in the worker mesh
+        const added = new Map(this.chunkBlocks.get(chunkKey) || []);
+        this.adopting = { chunkKey, added };
+        try {
+            addBlocks();
+        } finally {
+            this.adopting = null;
+        }
+
+        const meshes = this.createMeshes(chunkKey, Object.entries(chunkMesh.geometries));
+        this.workerChunks.set(chunkKey, { meshes, added });
+        this.bumpVersion(chunkKey);
+        if (added.size > 0 || this.chunkMeshes.has(chunkKey)) {
+            this.dirtyChunks.add(chunkKey);
+        }
+        this.stats.adopted++;
+
+        // Seams: the worker culled against the neighbours' edge slices, but the neighbours'
+        // meshes still have their faces toward this chunk (hidden unless see-through)
+        const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+        const seeThroughSeams = this.getSeeThroughSeams(chunkKey);
+        for (const side of EDGE_SIDES) {
+            const neighbourKey = `${chunkX + side.dx},${chunkZ + side.dz}`;
+            const seen = side.name in versions;
+            const loaded = this.chunkBlocks.has(neighbourKey);
+
+            if (seen && (!loaded || versions[side.name] !== (this.chunkVersions.get(neighbourKey) || 0))) {
+                // The neighbour changed or unloaded while the chunk was generating
+                this.invalidateChunk(chunkKey);
+            }
+            if (loaded && seeThroughSeams.has(side.name)) {
+                this.invalidateChunk(neighbourKey);
+                if (!seen) this.invalidateChunk(chunkKey);
+            }
+        }
+    }
+
+    /**
+     * Sides where a see-through block touches the same type across the chunk edge
+     * @returns {Set<string>} EDGE_SIDES names
+     */
+    getSeeThroughSeams(chunkKey) {
+        const seams = new Set();
+        const blocks = this.chunkBlocks.get(chunkKey);
+        if (!blocks) return seams;
+
+        const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
+        const minX = chunkX * this.chunkSize;
+        const minZ = chunkZ * this.chunkSize;
+        const maxX = minX + this.chunkSize - 1;
+        const maxZ = minZ + this.chunkSize - 1;
+
+        for (const [key, [x, y, z]] of blocks) {
+            if (x !== minX && x !== maxX && z !== minZ && z !== maxZ) continue;
+
+            const block = this.app.world[key];
+            if (!block || block.rendered === false || !this.isSeeThrough(block.type)) continue;
+
+            for (const side of EDGE_SIDES) {
+                const onEdge = side.dx < 0 ? x === minX : side.dx > 0 ? x === maxX : side.dz < 0 ? z === minZ : z === maxZ;
+                if (!onEdge) continue;
+
+                const neighbour = this.app.world[`${x + side.dx},${y},${z + side.dz}`];
+                if (neighbour?.type === block.type && neighbour.rendered !== false) {
+                    seams.add(side.name);
+                }
+            }
+        }
+        return seams;
+    }
+
+    // ===== MATERIALS =====
+
+    /**
+     * Chunk material for a block type: the enhanced texture if Enhanced Graphics has
+     * one (untinted, like enhanced per-block materials were), otherwise a vertex-colored
+     * copy of app.materials[type]. Textures repeat once per block across merged quads.
+     */
+    getMaterial(type) {
+        if (this.materials.has(type)) {
+            return this.materials.get(type);
+        }
+
+        let material = this.app.enhancedGraphics?.getEnhancedBlockMaterial(type, null) ?? null;
+        const tinted = !material;
+        if (tinted) {
+            const base = this.app.materials[type];
+            material = Array.isArray(base) ? base.map(faceMaterial => faceMaterial.clone()) : base.clone();
+        }
+
+        for (const faceMaterial of Array.isArray(material) ? material : [material]) {
+            faceMaterial.vertexColors = tinted;
+            if (faceMaterial.map) {
+                faceMaterial.map.wrapS = THREE.RepeatWrapping;
+                faceMaterial.map.wrapT = THREE.RepeatWrapping;
+                faceMaterial.map.needsUpdate = true;
+            }
+        }
+
+        this.materials.set(type, material);
+        return material;
+    }
+
+    /**
+     * Material for a chunk's mesh of one block type (a faded copy inside the faded area)
+     */
+    getMeshMaterial(chunkKey, type) {
+        if (!this.fade || !this.fade.chunkKeys.has(chunkKey)) {
+            return this.getMaterial(type);
+        }
+
+        if (!this.fade.materials.has(type)) {
+            const base = this.getMaterial(type);
+            const faded = Array.isArray(base) ? base.map(faceMaterial => faceMaterial.clone()) : base.clone();
+            for (const faceMaterial of Array.isArray(faded) ? faded : [faded]) {
+                faceMaterial.transparent = true;
+                faceMaterial.opacity = this.fade.opacity;
+            }
+            this.fade.materials.set(type, faded);
+        }
+        return this.fade.materials.get(type);
+    }
+
+    /**
+     * Pick up recreated or enhanced block materials (textures shared with app.materials
+     * or Enhanced Graphics are not disposed here)
+     */
+    refreshMaterials() {
+        for (const material of this.materials.values()) {
+            this.disposeMaterial(material);
+        }
+        this.materials.clear();
+        if (this.fade) {
+            this.fade.materials.forEach(material => this.disposeMaterial(material));
+            this.fade.materials.clear();
+        }
+
+        for (const mesh of this.getAllMeshes()) {
+            mesh.material = this.getMeshMaterial(mesh.userData.chunkKey, mesh.userData.type);
+        }
+    }
+
+    disposeMaterial(material) {
+        for (const faceMaterial of Array.isArray(material) ? material : [material]) {
+            faceMaterial.dispose();
+        }
+    }
+
+    // ===== FADED AREA =====
+
+    /**
+     * 👻 Make the chunk meshes over a block area (inclusive) see-through, e.g. a battle arena.
+     * The meshes get their own faded material copies, so the same block types elsewhere
+     * stay solid; chunks rebuilt meanwhile stay faded until clearFade().
+     *
+     * @returns {number} Meshes faded
+     */
+    fadeArea(minX, maxX, minZ, maxZ, opacity) {
+        this.clearFade();
+
+        const size = this.chunkSize;
+        const chunkKeys = new Set();
+        for (let chunkX = Math.floor(minX / size); chunkX <= Math.floor(maxX / size); chunkX++) {
+            for (let chunkZ = Math.floor(minZ / size); chunkZ <= Math.floor(maxZ / size); chunkZ++) {
+                chunkKeys.add(`${chunkX},${chunkZ}`);
+            }
+        }
+        this.fade = { chunkKeys, opacity, materials: new Map() };
+
+        const meshes = this.getMeshesInArea(minX, maxX, minZ, maxZ);
+        for (const mesh of meshes) {
+            mesh.material = this.getMeshMaterial(mesh.userData.chunkKey, mesh.userData.type);
+        }
+        return meshes.length;
+    }
+
+    /**
+     * 👻 Put the faded area's meshes back on the shared block materials
+     */
+    clearFade() {
+        if (!this.fade) return;
+
+        const fade = this.fade;
+        this.fade = null;
+        for (const chunkKey of fade.chunkKeys) {
+            for (const mesh of this.getChunkMeshes(chunkKey)) {
+                mesh.material = this.getMaterial(mesh.userData.type);
+            }
+        }
+        fade.materials.forEach(material => this.disposeMaterial(material));
+    }
+
+    /**
+     * Copy base material colors (season leaf tint) onto the chunk materials
+     */
+    syncMaterialColors() {
+        for (const [type, material] of this.materials) {
+            const base = this.app.materials[type];
+            if (!Array.isArray(material) && material.vertexColors && base?.color && material.color) {
+                material.color.copy(base.color);
+            }
+        }
+    }
+
+    // ===== QUERIES / CLEANUP =====
+
+    /**
+     * Chunk meshes overlapping a block area (inclusive)
+     */
+    getMeshesInArea(minX, maxX, minZ, maxZ) {
+        const meshes = [];
+        const size = this.chunkSize;
+        for (let chunkX = Math.floor(minX / size); chunkX <= Math.floor(maxX / size); chunkX++) {
+            for (let chunkZ = Math.floor(minZ / size); chunkZ <= Math.floor(maxZ / size); chunkZ++) {
+                meshes.push(...this.getChunkMeshes(`${chunkX},${chunkZ}`));
+            }
+        }
+        return meshes;
+    }
+
+    /**
+     * Every mesh of a chunk (worker mesh and main-thread meshes)
+     */
+    getChunkMeshes(chunkKey) {
+        return [...(this.workerChunks.get(chunkKey)?.meshes || []), ...(this.chunkMeshes.get(chunkKey) || [])];
+    }
+
+    getAllMeshes() {
+        const meshes = [];
+        for (const worker of this.workerChunks.values()) meshes.push(...worker.meshes);
+        for (const chunkMeshes of this.chunkMeshes.values()) meshes.push(...chunkMeshes);
+        return meshes;
+    }
+
+    /**
+     * Drop a chunk's main-thread meshes (its worker mesh stays)
+     */
+    disposeChunkMeshes(chunkKey) {
+        const meshes = this.chunkMeshes.get(chunkKey);
+        if (!meshes) return;
+
+        this.disposeMeshes(meshes);
+        this.chunkMeshes.delete(chunkKey);
+    }
+
+    disposeMeshes(meshes) {
+        for (const mesh of meshes) {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            // Materials are shared per block type
+        }
+    }
+
+    /**
+     * Drop every chunk mesh and tracked block (the world was cleared)
+     */
+    clear() {
+        this.clearFade();
+        for (const chunkKey of [...this.chunkMeshes.keys()]) {
+            this.disposeChunkMeshes(chunkKey);
+        }
+        for (const worker of this.workerChunks.values()) {
+            this.disposeMeshes(worker.meshes);
+        }
+        this.workerChunks.clear();
+        this.workerRequests.clear();
+        this.chunkVersions.clear();
+        this.chunkBlocks.clear();
+        this.dirtyChunks.clear();
+    }
+
+    getStats() {
+        const meshes = this.getAllMeshes();
+        let triangleCount = 0;
+        for (const mesh of meshes) {
+            triangleCount += mesh.geometry.index.count / 3;
+        }
+
+        return {
+            chunks: new Set([...this.chunkMeshes.keys(), ...this.workerChunks.keys()]).size,
+            workerChunks: this.workerChunks.size,
+            meshes: meshes.length,
+            triangles: triangleCount,
+            dirtyChunks: this.dirtyChunks.size,
+            rebuilds: this.stats.rebuilds,
+            lastRebuildMs: this.stats.lastRebuildMs,
+            workerMeshesAdopted: this.stats.adopted,
+            workerMeshesRejected: this.stats.rejected
+        };
+    }
+}
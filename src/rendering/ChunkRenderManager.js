@@ -438,55 +438,41 @@ export class ChunkRenderManager {
 
     /**
      * 🔄 Update visibility of existing blocks based on current vertical bounds
+     * Blocks are drawn by merged chunk meshes, so changed blocks mark their chunk
+     * for a rebuild (ChunkMeshManager leaves out blocks with rendered === false).
      * @param {Object} world - VoxelWorld.world object containing all blocks
-     * @param {THREE.Scene} scene - Three.js scene for adding/removing meshes
+     * @param {THREE.Scene} scene - Three.js scene for adding/removing billboards
      */
     updateExistingBlocksVisibility(world, scene) {
-        if (!this.verticalCullingEnabled) {
-            // If culling disabled, make sure all blocks are visible
-            for (const [key, blockData] of Object.entries(world)) {
-                if (blockData.mesh && !blockData.rendered) {
-                    scene.add(blockData.mesh);
-                    blockData.rendered = true;
-                }
-                if (blockData.billboard && !blockData.rendered) {
-                    scene.add(blockData.billboard);
-                }
-            }
-            return;
-        }
-
-        const bounds = this.getVerticalBounds();
-        if (!bounds) return;
+        const bounds = this.verticalCullingEnabled ? this.getVerticalBounds() : null;
+        if (this.verticalCullingEnabled && !bounds) return;
 
         let blocksHidden = 0;
         let blocksShown = 0;
 
         for (const [key, blockData] of Object.entries(world)) {
-            const coords = key.split(',').map(Number);
-            const y = coords[1];
+            if (blockData.collisionBox) continue; // World items manage their own sprites
 
-            const shouldRender = y >= bounds.minY && y <= bounds.maxY;
-            
-            // Initialize rendered property if missing (for existing blocks)
-            if (blockData.rendered === undefined) {
-                blockData.rendered = blockData.mesh && blockData.mesh.parent === scene;
-            }
+            const [x, y, z] = key.split(',').map(Number);
 
-            // Update visibility if it changed
-            if (shouldRender && !blockData.rendered && blockData.mesh) {
-                scene.add(blockData.mesh);
-                if (blockData.billboard) {
+            // If culling disabled, make sure all blocks are visible
+            const shouldRender = !bounds || (y >= bounds.minY && y <= bounds.maxY);
+            const rendered = blockData.rendered !== false;
+            if (shouldRender === rendered) continue;
+
+            blockData.rendered = shouldRender;
+            if (blockData.billboard) {
+                if (shouldRender) {
                     scene.add(blockData.billboard);
-                }
-                blockData.rendered = true;
-                blocksShown++;
-            } else if (!shouldRender && blockData.rendered && blockData.mesh) {
-                scene.remove(blockData.mesh);
-                if (blockData.billboard) {
+                } else {
                     scene.remove(blockData.billboard);
                 }
-                blockData.rendered = false;
+            }
+            this.app.chunkMeshManager.markBlockDirty(x, y, z);
+
+            if (shouldRender) {
+                blocksShown++;
+            } else {
                 blocksHidden++;
             }
         }
@@ -0,0 +1,214 @@
+/**
+ * GreedyMesher.js - Merged chunk geometry from a box of voxels
+ *
+ * Turns a chunk's blocks into as few quads as possible:
+ * - Faces between two blocks are dropped (hidden face culling). Opaque blocks hide
+ *   every face against them; see-through blocks (water, glass) only hide faces of
+ *   their own material, so the sea has no inner walls but the seabed still shows.
+ * - Neighbouring visible faces with the same palette entry (material + color) are
+ *   merged into one rectangle per slice (greedy meshing).
+ *
+ * Blocks are centered on integer coordinates, so block (x, y, z) spans x ± 0.5 etc.
+ * UVs run 0..width / 0..height across a merged quad, so textures must use
+ * RepeatWrapping to tile once per block.
+ *
+ * Pure module (no THREE / DOM) so the chunk worker can import it.
+ */
+
+// Face order matches THREE.BoxGeometry material groups (px, nx, py, ny, pz, nz),
+// so multi-face materials (grass top / sides) work unchanged.
+// a / b: texture u / v directions on the face (a × b = normal, so quads wind counter-clockwise)
+export const FACES = [
+    { axis: 0, sign: 1, normal: [1, 0, 0], a: [2, -1], b: [1, 1] },
+    { axis: 0, sign: -1, normal: [-1, 0, 0], a: [2, 1], b: [1, 1] },
+    { axis: 1, sign: 1, normal: [0, 1, 0], a: [0, 1], b: [2, -1] },
+    { axis: 1, sign: -1, normal: [0, -1, 0], a: [0, 1], b: [2, 1] },
+    { axis: 2, sign: 1, normal: [0, 0, 1], a: [0, 1], b: [1, 1] },
+    { axis: 2, sign: -1, normal: [0, 0, -1], a: [0, -1], b: [1, 1] }
+];
+
+/**
+ * Index of padded cell (x, y, z) in a volume's cells array
+ * Padded coordinates: 0 and size + 1 are the neighbours' layer around the chunk.
+ */
+export function cellIndex(size, x, y, z) {
+    return x + (size[0] + 2) * (y + (size[1] + 2) * z);
+}
+
+// Neighbour chunks by chunk offset - names used for the edge slices sent to the chunk worker
+export const EDGE_SIDES = [
+    { name: 'west', dx: -1, dz: 0 },
+    { name: 'east', dx: 1, dz: 0 },
+    { name: 'north', dx: 0, dz: -1 },
+    { name: 'south', dx: 0, dz: 1 }
+];
+
+/**
+ * World column of an edge slice cell (the neighbour's blocks touching the chunk)
+ * @param {Object} side - EDGE_SIDES entry
+ * @param {number} i - Position along the edge (0..chunkSize - 1)
+ * @returns {number[]} [x, z]
+ */
+export function getEdgeColumn(side, chunkX, chunkZ, chunkSize, i) {
+    const x = side.dx === 0 ? chunkX * chunkSize + i : (side.dx < 0 ? chunkX * chunkSize - 1 : (chunkX + 1) * chunkSize);
+    const z = side.dz === 0 ? chunkZ * chunkSize + i : (side.dz < 0 ? chunkZ * chunkSize - 1 : (chunkZ + 1) * chunkSize);
+    return [x, z];
+}
+
+/**
+ * Build the greedy mesh of a voxel box
+ *
+ * @param {Object} volume
+ * @param {number[]} volume.origin - World position of interior cell (0, 0, 0)
+ * @param {number[]} volume.size - Interior size [x, y, z] in blocks
+ * @param {Uint16Array} volume.cells - Palette index per padded cell (see cellIndex), 0 = empty.
+ *                                     The padding layer is only read for culling, never meshed.
+ * @param {Array} palette - [{ material, color: [r, g, b], opaque, meshed }] - entry 0 is unused (empty).
+ *                          meshed: false = only read for culling (blocks drawn by another mesh)
+ * @returns {Object} material → { positions, normals, uvs, colors, indices, groups }
+ *                   groups: [{ start, count, materialIndex }] - one per face direction (FACES index)
+ */
+export function buildGreedyMesh(volume, palette) {
+    const { origin, size, cells } = volume;
+    const builders = new Map(); // material → growable arrays
+
+    for (let faceIndex = 0; faceIndex < FACES.length; faceIndex++) {
+        const face = FACES[faceIndex];
+        const d = face.axis;
+        const u = (d + 1) % 3;
+        const v = (d + 2) % 3;
+        const mask = new Uint16Array(size[u] * size[v]);
+        const pos = [0, 0, 0];
+        const neighbour = [0, 0, 0];
+
+        for (let slice = 0; slice < size[d]; slice++) {
+            // Visible faces of this slice (palette index, 0 = hidden or empty)
+            let n = 0;
+            for (let j = 0; j < size[v]; j++) {
+                for (let i = 0; i < size[u]; i++) {
+                    pos[d] = slice + 1;
+                    pos[u] = i + 1;
+                    pos[v] = j + 1;
+                    neighbour[d] = pos[d] + face.sign;
+                    neighbour[u] = pos[u];
+                    neighbour[v] = pos[v];
+
+                    const id = cells[cellIndex(size, pos[0], pos[1], pos[2])];
+                    const other = id ? cells[cellIndex(size, neighbour[0], neighbour[1], neighbour[2])] : 0;
+                    const entry = id ? palette[id] : null;
+                    mask[n++] = entry && entry.meshed !== false && isFaceVisible(entry, other ? palette[other] : null) ? id : 0;
+                }
+            }
+
+            // Merge equal faces into rectangles
+            n = 0;
+            for (let j = 0; j < size[v]; j++) {
+                for (let i = 0; i < size[u];) {
+                    const id = mask[n];
+                    if (!id) {
+                        i++;
+                        n++;
+                        continue;
+                    }
+
+                    let width = 1;
+                    while (i + width < size[u] && mask[n + width] === id) width++;
+
+                    let height = 1;
+                    grow: while (j + height < size[v]) {
+                        for (let k = 0; k < width; k++) {
+                            if (mask[n + k + height * size[u]] !== id) break grow;
+                        }
+                        height++;
+                    }
+
+                    const low = [0, 0, 0];
+                    const high = [0, 0, 0];
+                    low[d] = high[d] = origin[d] + slice + face.sign * 0.5;
+                    low[u] = origin[u] + i - 0.5;
+                    high[u] = low[u] + width;
+                    low[v] = origin[v] + j - 0.5;
+                    high[v] = low[v] + height;
+
+                    const entry = palette[id];
+                    if (!builders.has(entry.material)) {
+                        builders.set(entry.material, createBuilder());
+                    }
+                    addQuad(builders.get(entry.material), faceIndex, low, high, entry.color);
+
+                    for (let h = 0; h < height; h++) {
+                        mask.fill(0, n + h * size[u], n + h * size[u] + width);
+                    }
+                    i += width;
+                    n += width;
+                }
+            }
+        }
+    }
+
+    const meshes = {};
+    for (const [material, builder] of builders) {
+        meshes[material] = finishBuilder(builder);
+    }
+    return meshes;
+}
+
+/**
+ * A face shows unless the neighbour is opaque, or see-through with the same material
+ */
+function isFaceVisible(entry, neighbourEntry) {
+    if (!neighbourEntry) return true;
+    if (neighbourEntry.opaque) return false;
+    return neighbourEntry.material !== entry.material;
+}
+
+function createBuilder() {
+    return { positions: [], normals: [], uvs: [], colors: [], indices: [], groups: [], vertexCount: 0 };
+}
+
+/**
+ * Append one quad spanning low..high (flat along the face axis)
+ */
+function addQuad(builder, faceIndex, low, high, color) {
+    const face = FACES[faceIndex];
+    const [aAxis, aSign] = face.a;
+    const [bAxis, bSign] = face.b;
+    const extentA = high[aAxis] - low[aAxis];
+    const extentB = high[bAxis] - low[bAxis];
+
+    // Corners in texture order: (0,0) (1,0) (1,1) (0,1)
+    for (const [ta, tb] of [[0, 0], [1, 0], [1, 1], [0, 1]]) {
+        const corner = [low[0], low[1], low[2]];
+        corner[face.axis] = low[face.axis];
+        corner[aAxis] = (ta === 1) === (aSign > 0) ? high[aAxis] : low[aAxis];
+        corner[bAxis] = (tb === 1) === (bSign > 0) ? high[bAxis] : low[bAxis];
+
+        builder.positions.push(corner[0], corner[1], corner[2]);
+        builder.normals.push(face.normal[0], face.normal[1], face.normal[2]);
+        builder.uvs.push(ta * extentA, tb * extentB);
+        builder.colors.push(color[0], color[1], color[2]);
+    }
+
+    const base = builder.vertexCount;
+    builder.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    builder.vertexCount += 4;
+
+    // Faces are emitted direction by direction, so each direction is one contiguous group
+    const last = builder.groups[builder.groups.length - 1];
+    if (last && last.materialIndex === faceIndex) {
+        last.count += 6;
+    } else {
+        builder.groups.push({ start: builder.indices.length - 6, count: 6, materialIndex: faceIndex });
+    }
+}
+
+function finishBuilder(builder) {
+    return {
+        positions: new Float32Array(builder.positions),
+        normals: new Float32Array(builder.normals),
+        uvs: new Float32Array(builder.uvs),
+        colors: new Float32Array(builder.colors),
+        indices: new Uint32Array(builder.indices),
+        groups: builder.groups
+    };
+}
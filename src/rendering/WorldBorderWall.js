@@ -0,0 +1,108 @@
+/**
+ * WorldBorderWall.js - Visible edge of a finite world
+ *
+ * Four translucent walls standing on the WorldBorder lines. Each wall fades in
+ * as the player walks toward it, so the border is invisible from the middle of
+ * the map and obvious right before the player is stopped by it.
+ *
+ * Infinite worlds get no walls.
+ */
+
+import * as THREE from 'three';
+
+export class WorldBorderWall {
+    static HEIGHT = 128;
+    static BASE_Y = -32;
+    static FADE_DISTANCE = 24;  // Blocks from a wall where it starts to show
+    static MAX_OPACITY = 0.45;
+    static COLOR = 0x66CCFF;
+
+    constructor(app) {
+        this.app = app;
+        this.scene = app.scene;
+
+        this.border = null;
+        this.walls = []; // { mesh, axis, side } - side is -1 (min edge) or 1 (max edge)
+    }
+
+    /**
+     * Rebuild the walls for a (new) border
+     * @param {WorldBorder} border
+     */
+    setBorder(border) {
+        this.dispose();
+        this.border = border;
+
+        const edges = border.getEdges();
+        if (!edges) return;
+
+        const length = edges.max - edges.min;
+        const middle = (edges.min + edges.max) / 2;
+        const centerY = WorldBorderWall.BASE_Y + WorldBorderWall.HEIGHT / 2;
+        const geometry = new THREE.PlaneGeometry(length, WorldBorderWall.HEIGHT);
+
+        for (const axis of ['x', 'z']) {
+            for (const side of [-1, 1]) {
+                const material = new THREE.MeshBasicMaterial({
+                    color: WorldBorderWall.COLOR,
+                    transparent: true,
+                    opacity: 0,
+                    side: THREE.DoubleSide,
+                    depthWrite: false
+                });
+                const mesh = new THREE.Mesh(geometry, material);
+                const position = side < 0 ? edges.min : edges.max;
+
+                if (axis === 'x') {
+                    // East / west walls face along x
+                    mesh.position.set(position, centerY, middle);
+                    mesh.rotation.y = Math.PI / 2;
+                } else {
+                    mesh.position.set(middle, centerY, position);
+                }
+                mesh.visible = false;
+                mesh.userData.isWorldBorder = true;
+
+                this.scene.add(mesh);
+                this.walls.push({ mesh, axis, side });
+            }
+        }
+
+        console.log(`🧱 World border walls at ${edges.min}..${edges.max}`);
+    }
+
+    /**
+     * Fade the walls by the player's distance to each of them
+     * @param {{ x, y, z }} playerPosition
+     */
+    update(playerPosition) {
+        if (this.walls.length === 0) return;
+
+        const edges = this.border.getEdges();
+        for (const { mesh, axis, side } of this.walls) {
+            const distance = side < 0
+                ? playerPosition[axis] - edges.min
+                : edges.max - playerPosition[axis];
+            const fade = 1 - distance / WorldBorderWall.FADE_DISTANCE;
+
+            mesh.visible = fade > 0;
+            if (mesh.visible) {
+                mesh.material.opacity = WorldBorderWall.MAX_OPACITY * Math.min(1, fade);
+            }
+        }
+    }
+
+    /**
+     * Remove the walls from the scene
+     */
+    dispose() {
+        if (this.walls.length === 0) return;
+
+        this.walls[0].mesh.geometry.dispose(); // Shared by all four walls
+        for (const { mesh } of this.walls) {
+            this.scene.remove(mesh);
+            mesh.material.dispose();
+        }
+        this.walls = [];
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * Checksum.js
+ *
+ * CRC-32 (IEEE 802.3 polynomial) used by the binary save and chunk formats
+ * to detect truncated or corrupted files.
+ */
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Compute CRC-32 of a byte range
+ *
+ * @param {Uint8Array} bytes - Data to checksum
+ * @param {number} start - First byte (inclusive)
+ * @param {number} end - Last byte (exclusive)
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes, start = 0, end = bytes.length) {
+    let crc = 0xFFFFFFFF;
+    for (let i = start; i < end; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
@@ -6,24 +6,102 @@
  *
  * Directory Structure:
  * - Electron: {userData}/The Long Nights/saves/{worldSeed}/chunks/
- * - Browser: IndexedDB database "The Long Nights" with stores "chunks" and "modifications"
+ * - Browser: IndexedDB database "The Long Nights" with stores "chunks", "modifications",
+ *   "lod", "quarantine" and "maps"
+ *
+ * Namespaces:
+ * - Map instances other than the overworld (dungeons, other dimensions - see MapManager)
+ *   pass a namespace and get their own chunk storage next to the world's:
+ *   Electron saves/{worldSeed}/maps/{namespace}/chunks/ (+ map.json for the map's state),
+ *   IndexedDB records keyed "{worldSeed}_{namespace}_..." and stamped with the namespace
+ * - Without a namespace everything is exactly as before (the overworld)
  *
  * File Types:
- * - chunk_X_Z.dat - Generated terrain data (binary)
- * - chunk_X_Z.mod - Player modifications (binary)
+ * - region_RX_RZ.dat - Generated terrain for a 32x32 grid of chunks (see RegionFile.js)
+ * - region_RX_RZ.mod - Player modifications for a 32x32 grid of chunks
+ * - region_RX_RZ.lod - LOD chunk colours (JSON records) for a 32x32 grid of chunks
+ * - quarantine/ - Unreadable records moved aside by the world integrity checker
+ *
+ * Older worlds stored one chunk_X_Z.dat / chunk_X_Z.mod / lod_X_Z.json file per chunk.
+ * Those are converted into region files the first time the world is opened.
+ * IndexedDB already stores one record per chunk, so the browser layout is unchanged.
  */
 
 import { ChunkSerializer } from './ChunkSerializer.js';
+import { RegionFile } from './RegionFile.js';
+
+// Region files are shared by every ChunkPersistence instance (WorkerManager and
+// ModificationTracker open the same world), so each file has exactly one offset table in memory
+const openRegions = new Map(); // Map<filepath, RegionFile>, least recently used first
+const closingRegions = new Map(); // Map<filepath, Promise> - evicted regions still finishing their queue
+const MAX_OPEN_REGIONS = 16;
+const legacyConversions = new Map(); // Map<chunksDir, Promise> - convert each world once
+
+/**
+ * Drop a region from the open set and close it once its queued operations finish.
+ * Until then getRegion() queues a reopen of the same path behind the close.
+ */
+function closeRegion(filepath) {
+    const region = openRegions.get(filepath);
+    openRegions.delete(filepath);
+
+    const closing = region.close()
+        .catch(error => console.error(`❌ Failed to close region ${filepath}:`, error))
+        .finally(() => {
+            if (closingRegions.get(filepath) === closing) {
+                closingRegions.delete(filepath);
+            }
+        });
+    closingRegions.set(filepath, closing);
+    return closing;
+}
+
+/**
+ * Parse an old per-chunk LOD filename (lod_X_Z.json)
+ *
+ * @returns {Object|null} {x, z, type: 'lod'} or null if not an LOD file
+ */
+function parseLegacyLODFilename(filename) {
+    const match = filename.match(/^lod_(-?\d+)_(-?\d+)\.json$/);
+    if (!match) return null;
+
+    return { x: parseInt(match[1], 10), z: parseInt(match[2], 10), type: 'lod' };
+}
 
 export class ChunkPersistence {
-    constructor(worldSeed, isElectron = false) {
+    /**
+     * @param {number} worldSeed
+     * @param {boolean} isElectron - File storage (region files) instead of IndexedDB
+     * @param {Object} options
+     * @param {string} options.userDataPath - Use this instead of Electron's userData directory
+     *                                        (headless tools running under plain Node)
+     * @param {string} options.namespace - Separate storage for a map instance (letters, digits, _ and -)
+     */
+    constructor(worldSeed, isElectron = false, { userDataPath = null, namespace = null } = {}) {
+        if (namespace !== null && !/^[A-Za-z0-9_-]+$/.test(namespace)) {
+            throw new Error(`Invalid storage namespace "${namespace}" (letters, digits, _ and - only)`);
+        }
+
         this.worldSeed = worldSeed;
         this.isElectron = isElectron;
+        this.userDataPath = userDataPath;
+        this.namespace = namespace;
         this.fs = null;
         this.path = null;
         this.chunksDir = null;
         this.db = null;
 
+        // 📊 Compression stats for chunks saved this session (current format vs the old 8-bytes-per-block v1)
+        this.compressionStats = {
+            chunksSaved: 0,
+            bytesWritten: 0,
+            v1Bytes: 0,
+            v1ChunksLoaded: 0
+        };
+
+        // 🩺 Records that failed to load this session: Map<"x,z,dat|mod", error message>
+        this.corruptChunks = new Map();
+
         this.initPromise = this.initialize();
     }
 
@@ -46,18 +124,30 @@ export class ChunkPersistence {
             // Dynamic import for Node.js modules (only available in Electron)
             const fsModule = await import('fs/promises');
             const pathModule = await import('path');
-            const { app } = await import('electron');
 
             this.fs = fsModule;
             this.path = pathModule.default;
 
             // Get user data directory
-            const userDataPath = app.getPath('userData');
-            this.chunksDir = this.path.join(userDataPath, 'The Long Nights', 'saves', this.worldSeed.toString(), 'chunks');
+            let userDataPath = this.userDataPath;
+            if (!userDataPath) {
+                const { app } = await import('electron');
+                userDataPath = app.getPath('userData');
+            }
+            const worldDir = this.path.join(userDataPath, 'The Long Nights', 'saves', this.worldSeed.toString());
+            this.chunksDir = this.namespace
+                ? this.path.join(worldDir, 'maps', this.namespace, 'chunks')
+                : this.path.join(worldDir, 'chunks');
 
             // Create directory structure
             await this.fs.mkdir(this.chunksDir, { recursive: true });
 
+            // One-time upgrade of per-chunk files to region files
+            if (!legacyConversions.has(this.chunksDir)) {
+                legacyConversions.set(this.chunksDir, this.convertLegacyChunkFiles());
+            }
+            await legacyConversions.get(this.chunksDir);
+
             console.log(`📁 Electron chunk storage initialized: ${this.chunksDir}`);
         } catch (error) {
             console.error('❌ Failed to initialize Electron file system:', error);
@@ -70,7 +160,7 @@ export class ChunkPersistence {
      */
     async initIndexedDB() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('The Long Nights', 2); // Increment version for new store
+            const request = indexedDB.open('The Long Nights', 4); // Increment version for new store
 
             request.onerror = () => {
                 console.error('❌ Failed to open IndexedDB:', request.error);
@@ -107,6 +197,18 @@ export class ChunkPersistence {
                     lodStore.createIndex('timestamp', 'timestamp', { unique: false });
                 }
 
+                // 🩺 Quarantined records (world integrity checker)
+                if (!db.objectStoreNames.contains('quarantine')) {
+                    const quarantineStore = db.createObjectStore('quarantine', { keyPath: 'key' });
+                    quarantineStore.createIndex('worldSeed', 'worldSeed', { unique: false });
+                }
+
+                // 🗺️ Map instance state (one record per namespace)
+                if (!db.objectStoreNames.contains('maps')) {
+                    const mapStore = db.createObjectStore('maps', { keyPath: 'key' });
+                    mapStore.createIndex('worldSeed', 'worldSeed', { unique: false });
+                }
+
                 console.log('📊 IndexedDB schema upgraded');
             };
         });
@@ -117,7 +219,28 @@ export class ChunkPersistence {
      */
     getChunkKey(chunkX, chunkZ, isMod = false) {
         const suffix = isMod ? 'mod' : 'dat';
-        return `${this.worldSeed}_chunk_${chunkX}_${chunkZ}.${suffix}`;
+        return `${this.getKeyPrefix()}chunk_${chunkX}_${chunkZ}.${suffix}`;
+    }
+
+    /**
+     * IndexedDB key prefix ("{worldSeed}_" or "{worldSeed}_{namespace}_")
+     */
+    getKeyPrefix() {
+        return this.namespace ? `${this.worldSeed}_${this.namespace}_` : `${this.worldSeed}_`;
+    }
+
+    /**
+     * IndexedDB LOD key (overworld LOD keys predate the world seed prefix)
+     */
+    getLODKey(chunkX, chunkZ) {
+        return this.namespace ? `${this.getKeyPrefix()}lod_${chunkX}_${chunkZ}` : `lod_${chunkX}_${chunkZ}`;
+    }
+
+    /**
+     * Does an IndexedDB record belong to this namespace? (records without one are the overworld's)
+     */
+    isOwnRecord(record) {
+        return (record.namespace ?? null) === this.namespace;
     }
 
     /**
@@ -130,22 +253,48 @@ export class ChunkPersistence {
      * @returns {Promise<void>}
      */
     async saveChunk(chunkX, chunkZ, chunkData, isMod = false) {
-        await this.initPromise; // Ensure initialized
-
         // Serialize chunk to binary
         const buffer = ChunkSerializer.serializeChunk(chunkData, chunkX, chunkZ);
 
-        if (this.isElectron) {
-            // Electron: Write to file system
-            const filename = isMod
-                ? ChunkSerializer.getModFilename(chunkX, chunkZ)
-                : ChunkSerializer.getChunkFilename(chunkX, chunkZ);
-            const filepath = this.path.join(this.chunksDir, filename);
+        await this.writeChunkBytes(chunkX, chunkZ, buffer, isMod);
+
+        this.compressionStats.chunksSaved++;
+        this.compressionStats.bytesWritten += buffer.byteLength;
+        this.compressionStats.v1Bytes += ChunkSerializer.getV1Size(buffer);
+    }
+
+    /**
+     * 📊 Compression stats for chunks saved this session
+     *
+     * @returns {Object} { chunksSaved, bytesWritten, v1Bytes, v1ChunksLoaded, ratio, savedPercent }
+     */
+    getCompressionStats() {
+        const { bytesWritten, v1Bytes } = this.compressionStats;
+        return {
+            ...this.compressionStats,
+            ratio: bytesWritten > 0 ? v1Bytes / bytesWritten : 1,
+            savedPercent: v1Bytes > 0 ? (1 - bytesWritten / v1Bytes) * 100 : 0
+        };
+    }
 
-            const uint8Array = new Uint8Array(buffer);
-            await this.fs.writeFile(filepath, uint8Array);
+    /**
+     * Write already-serialized chunk bytes (world import, region conversion)
+     *
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {ArrayBuffer} buffer - Serialized chunk (ChunkSerializer format)
+     * @param {boolean} isMod - Is this a modification file?
+     * @returns {Promise<void>}
+     */
+    async writeChunkBytes(chunkX, chunkZ, buffer, isMod = false) {
+        await this.initPromise; // Ensure initialized
 
-            // console.log(`💾 Saved chunk (${chunkX}, ${chunkZ}) to ${filename} (${buffer.byteLength} bytes)`);
+        if (this.isElectron) {
+            // Electron: Write into the chunk's region file
+            const { region, localX, localZ } = this.getRegion(chunkX, chunkZ, isMod ? 'mod' : 'dat');
+            await region.write(localX, localZ, buffer);
+
+            // console.log(`💾 Saved chunk (${chunkX}, ${chunkZ}) to region (${region.regionX}, ${region.regionZ}) (${buffer.byteLength} bytes)`);
         } else {
             // Browser: Write to IndexedDB
             const storeName = isMod ? 'modifications' : 'chunks';
@@ -154,6 +303,7 @@ export class ChunkPersistence {
             await this.writeIndexedDB(storeName, {
                 key,
                 worldSeed: this.worldSeed,
+                namespace: this.namespace,
                 chunkX,
                 chunkZ,
                 data: buffer,
@@ -173,49 +323,63 @@ export class ChunkPersistence {
      * @returns {Promise<Object|null>} Deserialized chunk data or null if not found
      */
     async loadChunk(chunkX, chunkZ, isMod = false) {
-        await this.initPromise; // Ensure initialized
-
         try {
-            let buffer;
-
-            if (this.isElectron) {
-                // Electron: Read from file system
-                const filename = isMod
-                    ? ChunkSerializer.getModFilename(chunkX, chunkZ)
-                    : ChunkSerializer.getChunkFilename(chunkX, chunkZ);
-                const filepath = this.path.join(this.chunksDir, filename);
-
-                // Check if file exists
-                try {
-                    await this.fs.access(filepath);
-                } catch {
-                    return null; // File doesn't exist
-                }
-
-                const uint8Array = await this.fs.readFile(filepath);
-                buffer = uint8Array.buffer;
-            } else {
-                // Browser: Read from IndexedDB
-                const storeName = isMod ? 'modifications' : 'chunks';
-                const key = this.getChunkKey(chunkX, chunkZ, isMod);
-
-                const record = await this.readIndexedDB(storeName, key);
-                if (!record) return null;
-
-                buffer = record.data;
-            }
+            const buffer = await this.readChunkBytes(chunkX, chunkZ, isMod);
+            if (!buffer) return null;
 
             // Deserialize binary to chunk data
             const chunkData = ChunkSerializer.deserializeChunk(buffer);
+            if (chunkData.version === 1) {
+                this.compressionStats.v1ChunksLoaded++; // Rewritten as v2 next time the chunk is saved
+            }
             // console.log(`📂 Loaded chunk (${chunkX}, ${chunkZ}) from storage (${buffer.byteLength} bytes)`);
 
             return chunkData;
         } catch (error) {
-            console.error(`❌ Failed to load chunk (${chunkX}, ${chunkZ}):`, error);
+            // Callers fall back to regeneration (or no modifications), so remember the
+            // failure for the integrity checker instead of losing track of it
+            this.corruptChunks.set(`${chunkX},${chunkZ},${isMod ? 'mod' : 'dat'}`, error.message);
+            console.error(`❌ Failed to load ${isMod ? 'modifications' : 'chunk'} (${chunkX}, ${chunkZ}) - run checkWorld() to repair:`, error);
             return null;
         }
     }
 
+    /**
+     * Did this record fail to load this session?
+     *
+     * @returns {boolean}
+     */
+    isCorrupt(chunkX, chunkZ, isMod = false) {
+        return this.corruptChunks.has(`${chunkX},${chunkZ},${isMod ? 'mod' : 'dat'}`);
+    }
+
+    /**
+     * Read serialized chunk bytes without deserializing (world export)
+     *
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {boolean} isMod - Read modification file?
+     * @returns {Promise<ArrayBuffer|null>} Raw chunk data or null if not found
+     */
+    async readChunkBytes(chunkX, chunkZ, isMod = false) {
+        await this.initPromise; // Ensure initialized
+
+        if (this.isElectron) {
+            // Electron: Read from the chunk's region file
+            const { region, localX, localZ } = this.getRegion(chunkX, chunkZ, isMod ? 'mod' : 'dat');
+            return region.read(localX, localZ);
+        } else {
+            // Browser: Read from IndexedDB
+            const storeName = isMod ? 'modifications' : 'chunks';
+            const key = this.getChunkKey(chunkX, chunkZ, isMod);
+
+            const record = await this.readIndexedDB(storeName, key);
+            if (!record) return null;
+
+            return record.data;
+        }
+    }
+
     /**
      * Check if chunk exists in storage
      *
@@ -229,13 +393,9 @@ export class ChunkPersistence {
 
         try {
             if (this.isElectron) {
-                const filename = isMod
-                    ? ChunkSerializer.getModFilename(chunkX, chunkZ)
-                    : ChunkSerializer.getChunkFilename(chunkX, chunkZ);
-                const filepath = this.path.join(this.chunksDir, filename);
-
-                await this.fs.access(filepath);
-                return true;
+                const { region, localX, localZ } = this.getRegion(chunkX, chunkZ, isMod ? 'mod' : 'dat');
+                await region.queue; // Wait for the offset table to load
+                return region.has(localX, localZ);
             } else {
                 const storeName = isMod ? 'modifications' : 'chunks';
                 const key = this.getChunkKey(chunkX, chunkZ, isMod);
@@ -261,12 +421,10 @@ export class ChunkPersistence {
 
         try {
             if (this.isElectron) {
-                const filename = isMod
-                    ? ChunkSerializer.getModFilename(chunkX, chunkZ)
-                    : ChunkSerializer.getChunkFilename(chunkX, chunkZ);
-                const filepath = this.path.join(this.chunksDir, filename);
-
-                await this.fs.unlink(filepath);
+                const { region, localX, localZ } = this.getRegion(chunkX, chunkZ, isMod ? 'mod' : 'dat');
+                if (!(await region.delete(localX, localZ))) {
+                    await region.clearDamaged(localX, localZ); // Cut off by a truncated region file
+                }
                 console.log(`🗑️ Deleted chunk (${chunkX}, ${chunkZ})`);
             } else {
                 const storeName = isMod ? 'modifications' : 'chunks';
@@ -291,14 +449,19 @@ export class ChunkPersistence {
         try {
             if (this.isElectron) {
                 const files = await this.fs.readdir(this.chunksDir);
-                const chunks = files
-                    .map(filename => ChunkSerializer.parseChunkFilename(filename))
-                    .filter(parsed => parsed !== null)
-                    .map(parsed => ({
-                        chunkX: parsed.x,
-                        chunkZ: parsed.z,
-                        isMod: parsed.type === 'mod'
-                    }));
+                const chunks = [];
+
+                for (const parsed of files.map(filename => RegionFile.parseRegionFilename(filename))) {
+                    if (!parsed || parsed.type === 'lod') continue;
+
+                    const { region } = this.getRegion(
+                        parsed.regionX * RegionFile.REGION_SIZE,
+                        parsed.regionZ * RegionFile.REGION_SIZE,
+                        parsed.type
+                    );
+                    await region.queue; // Wait for the offset table to load
+                    chunks.push(...region.list().map(chunk => ({ ...chunk, isMod: parsed.isMod })));
+                }
 
                 return chunks;
             } else {
@@ -306,11 +469,11 @@ export class ChunkPersistence {
                 const chunks = [];
 
                 // Get chunk data
-                const chunkRecords = await this.getAllIndexedDB('chunks', 'worldSeed', this.worldSeed);
+                const chunkRecords = (await this.getAllIndexedDB('chunks', 'worldSeed', this.worldSeed)).filter(r => this.isOwnRecord(r));
                 chunks.push(...chunkRecords.map(r => ({ chunkX: r.chunkX, chunkZ: r.chunkZ, isMod: false })));
 
                 // Get modifications
-                const modRecords = await this.getAllIndexedDB('modifications', 'worldSeed', this.worldSeed);
+                const modRecords = (await this.getAllIndexedDB('modifications', 'worldSeed', this.worldSeed)).filter(r => this.isOwnRecord(r));
                 chunks.push(...modRecords.map(r => ({ chunkX: r.chunkX, chunkZ: r.chunkZ, isMod: true })));
 
                 return chunks;
@@ -321,6 +484,217 @@ export class ChunkPersistence {
         }
     }
 
+    /**
+     * 🩹 Region entries cut off by a truncated file (Electron only)
+     * They read as missing, so listChunks() doesn't include them.
+     *
+     * @returns {Promise<Array>} Array of {chunkX, chunkZ, isMod, length}
+     */
+    async listDamagedChunks() {
+        await this.initPromise;
+        if (!this.isElectron) return [];
+
+        const files = await this.fs.readdir(this.chunksDir);
+        const damaged = [];
+
+        for (const parsed of files.map(filename => RegionFile.parseRegionFilename(filename))) {
+            if (!parsed || parsed.type === 'lod') continue; // LOD chunks regenerate - a damaged entry just reads as missing
+
+            const { region } = this.getRegion(
+                parsed.regionX * RegionFile.REGION_SIZE,
+                parsed.regionZ * RegionFile.REGION_SIZE,
+                parsed.type
+            );
+            await region.queue; // Wait for the offset table to load
+            damaged.push(...region.listDamaged().map(entry => ({
+                chunkX: entry.chunkX,
+                chunkZ: entry.chunkZ,
+                isMod: parsed.isMod,
+                length: entry.length
+            })));
+        }
+
+        return damaged;
+    }
+
+    /**
+     * 🚧 Move a chunk or modification record aside and remove it from the world
+     * The bytes are kept (quarantine/ folder or "quarantine" store) so nothing is lost
+     * if the record turns out to be recoverable by hand.
+     *
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {boolean} isMod - Quarantine the modification record?
+     * @param {string} reason - Why (stored with the record)
+     * @returns {Promise<boolean>} True if anything was quarantined
+     */
+    async quarantineChunk(chunkX, chunkZ, isMod = false, reason = '') {
+        await this.initPromise;
+
+        let data = await this.readChunkBytes(chunkX, chunkZ, isMod);
+        let damagedEntry = false;
+        if (!data && this.isElectron) {
+            // Entries cut off by a truncated region file only exist as damaged entries
+            const { region, localX, localZ } = this.getRegion(chunkX, chunkZ, isMod ? 'mod' : 'dat');
+            data = await region.salvage(localX, localZ);
+            damagedEntry = data !== null;
+        }
+        if (!data) return false;
+
+        await this.writeQuarantine(isMod ? 'mod' : 'dat', chunkX, chunkZ, data, reason);
+
+        if (damagedEntry) {
+            const { region, localX, localZ } = this.getRegion(chunkX, chunkZ, isMod ? 'mod' : 'dat');
+            await region.clearDamaged(localX, localZ);
+        } else {
+            await this.deleteChunk(chunkX, chunkZ, isMod);
+        }
+        this.corruptChunks.delete(`${chunkX},${chunkZ},${isMod ? 'mod' : 'dat'}`);
+
+        console.log(`🚧 Quarantined ${isMod ? 'modifications' : 'chunk'} (${chunkX}, ${chunkZ}): ${reason}`);
+        return true;
+    }
+
+    /**
+     * 🚧 Move an LOD record aside and remove it (LOD chunks regenerate on demand)
+     *
+     * @returns {Promise<boolean>} True if anything was quarantined
+     */
+    async quarantineLODChunk(chunkX, chunkZ, reason = '') {
+        const data = await this.readLODData(chunkX, chunkZ);
+        if (data === null) return false;
+
+        await this.writeQuarantine('lod', chunkX, chunkZ, data, reason);
+        await this.deleteLODChunk(chunkX, chunkZ);
+
+        console.log(`🚧 Quarantined LOD chunk (${chunkX}, ${chunkZ}): ${reason}`);
+        return true;
+    }
+
+    /**
+     * Store quarantined bytes
+     *
+     * @param {string} kind - 'dat', 'mod' or 'lod'
+     * @param {ArrayBuffer|string} data - Raw record
+     */
+    async writeQuarantine(kind, chunkX, chunkZ, data, reason) {
+        const timestamp = Date.now();
+
+        if (this.isElectron) {
+            const quarantineDir = this.path.join(this.chunksDir, 'quarantine');
+            await this.fs.mkdir(quarantineDir, { recursive: true });
+
+            const filename = `${kind}_${chunkX}_${chunkZ}_${timestamp}`;
+            const bytes = typeof data === 'string' ? data : new Uint8Array(data);
+            await this.fs.writeFile(this.path.join(quarantineDir, `${filename}.bad`), bytes);
+            await this.fs.writeFile(this.path.join(quarantineDir, `${filename}.txt`), reason, 'utf8');
+        } else {
+            await this.writeIndexedDB('quarantine', {
+                key: `${this.getKeyPrefix()}${kind}_${chunkX}_${chunkZ}_${timestamp}`,
+                worldSeed: this.worldSeed,
+                namespace: this.namespace,
+                kind,
+                chunkX,
+                chunkZ,
+                reason,
+                data,
+                timestamp
+            });
+        }
+    }
+
+    // --- Region File Helper Methods ---
+
+    /**
+     * Get the (shared) region file holding a chunk, opening it if needed
+     *
+     * Synchronous on purpose: callers queue their read/write on the region in the
+     * same tick, so an LRU eviction can only ever close it after their operation.
+     *
+     * @returns {Object} {region, localX, localZ}
+     */
+    getRegion(chunkX, chunkZ, type = 'dat') {
+        const { regionX, regionZ, localX, localZ } = RegionFile.getRegionCoords(chunkX, chunkZ);
+        const filepath = this.path.join(this.chunksDir, RegionFile.getRegionFilename(regionX, regionZ, type));
+
+        let region = openRegions.get(filepath);
+        if (region) {
+            // Move to the back of the LRU order
+            openRegions.delete(filepath);
+        } else {
+            region = new RegionFile(this.fs, filepath, regionX, regionZ);
+
+            // A just-evicted handle may still be flushing writes - open only once it has closed,
+            // so the file never has two offset tables in memory
+            const closing = closingRegions.get(filepath);
+            if (closing) {
+                region.enqueue(() => closing);
+            }
+
+            region.open().catch(error => {
+                console.error(`❌ Failed to open region (${regionX}, ${regionZ}):`, error);
+                openRegions.delete(filepath);
+            });
+        }
+        openRegions.set(filepath, region);
+
+        // Close the least recently used region (after its queued operations finish)
+        if (openRegions.size > MAX_OPEN_REGIONS) {
+            const [oldestPath] = openRegions.keys();
+            closeRegion(oldestPath);
+        }
+
+        return { region, localX, localZ };
+    }
+
+    /**
+     * Close this world's open region files (after their queued operations finish)
+     * The game keeps regions open for its lifetime; headless tools call this before exiting.
+     */
+    async closeRegions() {
+        if (!this.isElectron) return;
+
+        const closing = [];
+        for (const filepath of openRegions.keys()) {
+            if (this.path.dirname(filepath) !== this.chunksDir) continue;
+            closing.push(closeRegion(filepath));
+        }
+        await Promise.all(closing);
+    }
+
+    /**
+     * 📦 Move per-chunk chunk_X_Z.dat/.mod and lod_X_Z.json files (older worlds) into region files
+     * Each file is deleted only after its region write finished, so an interrupted
+     * conversion simply resumes on the next launch.
+     */
+    async convertLegacyChunkFiles() {
+        const files = await this.fs.readdir(this.chunksDir);
+        const legacyFiles = files
+            .map(filename => ({ filename, parsed: ChunkSerializer.parseChunkFilename(filename) || parseLegacyLODFilename(filename) }))
+            .filter(({ parsed }) => parsed !== null);
+
+        if (legacyFiles.length === 0) return;
+
+        console.log(`📦 Converting ${legacyFiles.length} chunk files to region files...`);
+
+        let converted = 0;
+        for (const { filename, parsed } of legacyFiles) {
+            const filepath = this.path.join(this.chunksDir, filename);
+
+            try {
+                const data = await this.fs.readFile(filepath);
+                const { region, localX, localZ } = this.getRegion(parsed.x, parsed.z, parsed.type);
+                await region.write(localX, localZ, data);
+                await this.fs.unlink(filepath);
+                converted++;
+            } catch (error) {
+                console.error(`❌ Failed to convert ${filename}:`, error);
+            }
+        }
+
+        console.log(`📦 Converted ${converted}/${legacyFiles.length} chunk files to region files`);
+    }
+
     // --- IndexedDB Helper Methods ---
 
     /**
@@ -380,6 +754,20 @@ export class ChunkPersistence {
         });
     }
 
+    /**
+     * Get every record in an IndexedDB store
+     */
+    getAllRecordsIndexedDB(storeName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     /**
      * 🎨 Save LOD chunk to disk/IndexedDB
      * LOD chunks are simple colorBlocks arrays: [{ x, y, z, color }]
@@ -394,6 +782,7 @@ export class ChunkPersistence {
         try {
             // Serialize LOD data to JSON (simpler than binary for small LOD chunks)
             const lodData = JSON.stringify({
+                worldSeed: this.worldSeed,
                 chunkX,
                 chunkZ,
                 colorBlocks,
@@ -401,16 +790,16 @@ export class ChunkPersistence {
             });
 
             if (this.isElectron) {
-                // Electron: Save to filesystem with 'lod_' prefix
-                const filename = `lod_${chunkX}_${chunkZ}.json`;
-                const filepath = this.path.join(this.chunksDir, filename);
-                await this.fs.writeFile(filepath, lodData, 'utf8');
+                // Electron: Write into the chunk's LOD region file
+                const { region, localX, localZ } = this.getRegion(chunkX, chunkZ, 'lod');
+                await region.write(localX, localZ, new TextEncoder().encode(lodData));
                 // console.log(`💾 Saved LOD chunk (${chunkX}, ${chunkZ}) to disk`);
             } else {
                 // Browser: Save to IndexedDB 'lod' store
-                const key = `lod_${chunkX}_${chunkZ}`;
+                const key = this.getLODKey(chunkX, chunkZ);
                 await this.writeIndexedDB('lod', {
                     key,
+                    worldSeed: this.worldSeed, // The browser LOD store is shared by every world
                     chunkX,
                     chunkZ,
                     data: lodData,
@@ -423,6 +812,44 @@ export class ChunkPersistence {
         }
     }
 
+    /**
+     * 🎨 List all stored LOD chunks
+     *
+     * @returns {Promise<Array>} Array of {chunkX, chunkZ, worldSeed} (worldSeed is undefined
+     *                           for browser records saved before LOD records were stamped)
+     */
+    async listLODChunks() {
+        await this.initPromise;
+
+        try {
+            if (this.isElectron) {
+                const files = await this.fs.readdir(this.chunksDir);
+                const lodChunks = [];
+
+                for (const parsed of files.map(filename => RegionFile.parseRegionFilename(filename))) {
+                    if (!parsed || parsed.type !== 'lod') continue;
+
+                    const { region } = this.getRegion(
+                        parsed.regionX * RegionFile.REGION_SIZE,
+                        parsed.regionZ * RegionFile.REGION_SIZE,
+                        'lod'
+                    );
+                    await region.queue; // Wait for the offset table to load
+                    lodChunks.push(...region.list().map(chunk => ({ ...chunk, worldSeed: this.worldSeed })));
+                }
+
+                return lodChunks;
+            } else {
+                // worldSeed is undefined for records saved before LOD records were stamped
+                const records = (await this.getAllRecordsIndexedDB('lod')).filter(r => r.key === this.getLODKey(r.chunkX, r.chunkZ));
+                return records.map(r => ({ chunkX: r.chunkX, chunkZ: r.chunkZ, worldSeed: r.worldSeed }));
+            }
+        } catch (error) {
+            console.error('❌ Failed to list LOD chunks:', error);
+            return [];
+        }
+    }
+
     /**
      * 🎨 Load LOD chunk from disk/IndexedDB
      * 
@@ -431,38 +858,196 @@ export class ChunkPersistence {
      * @returns {Promise<Array|null>} colorBlocks array or null if not found
      */
     async loadLODChunk(chunkX, chunkZ) {
+        try {
+            const jsonData = await this.readLODData(chunkX, chunkZ);
+            if (jsonData === null) return null;
+
+            // The browser LOD store is shared by every world - ignore other worlds' records
+            const lodData = JSON.parse(jsonData);
+            if (lodData.worldSeed !== undefined && lodData.worldSeed !== this.worldSeed) return null;
+
+            // console.log(`💾 Loaded LOD chunk (${chunkX}, ${chunkZ}) from disk`);
+            return lodData.colorBlocks;
+        } catch (error) {
+            console.error(`❌ Failed to load LOD chunk (${chunkX}, ${chunkZ}):`, error);
+            return null;
+        }
+    }
+
+    /**
+     * 🎨 Read an LOD record's JSON without parsing it (integrity checker, quarantine)
+     *
+     * @returns {Promise<string|null>} JSON text or null if not found
+     */
+    async readLODData(chunkX, chunkZ) {
         await this.initPromise;
 
-        try {
-            let lodData;
+        if (this.isElectron) {
+            // Electron: Read from the chunk's LOD region file
+            const { region, localX, localZ } = this.getRegion(chunkX, chunkZ, 'lod');
+            const buffer = await region.read(localX, localZ);
+            return buffer ? new TextDecoder().decode(buffer) : null;
+        } else {
+            // Browser: Load from IndexedDB
+            const key = this.getLODKey(chunkX, chunkZ);
+            const record = await this.readIndexedDB('lod', key);
+            return record ? record.data : null;
+        }
+    }
 
-            if (this.isElectron) {
-                // Electron: Load from filesystem
-                const filename = `lod_${chunkX}_${chunkZ}.json`;
-                const filepath = this.path.join(this.chunksDir, filename);
+    /**
+     * 🎨 Delete an LOD record
+     */
+    async deleteLODChunk(chunkX, chunkZ) {
+        await this.initPromise;
+
+        if (this.isElectron) {
+            const { region, localX, localZ } = this.getRegion(chunkX, chunkZ, 'lod');
+            await region.delete(localX, localZ);
+        } else {
+            await this.deleteIndexedDB('lod', this.getLODKey(chunkX, chunkZ));
+        }
+    }
+
+    // --- Map Instance State (namespaced storage only) ---
+
+    /**
+     * 🗺️ Save the state of this namespace's map (spawn, return point, enemies...)
+     *
+     * @param {Object} state - JSON-serializable map state
+     * @returns {Promise<void>}
+     */
+    async saveMapState(state) {
+        await this.initPromise;
+        this.requireNamespace();
 
+        const timestamp = Date.now();
+        const json = JSON.stringify({ worldSeed: this.worldSeed, namespace: this.namespace, state, timestamp });
+
+        if (this.isElectron) {
+            await this.fs.writeFile(this.getMapStatePath(), json, 'utf8');
+        } else {
+            await this.writeIndexedDB('maps', {
+                key: `${this.getKeyPrefix()}map`,
+                worldSeed: this.worldSeed,
+                namespace: this.namespace,
+                data: json,
+                timestamp
+            });
+        }
+    }
+
+    /**
+     * 🗺️ Load the state saved by saveMapState
+     *
+     * @returns {Promise<Object|null>} Map state or null if none was saved
+     */
+    async loadMapState() {
+        await this.initPromise;
+        this.requireNamespace();
+
+        try {
+            let json = null;
+            if (this.isElectron) {
                 try {
-                    await this.fs.access(filepath);
-                } catch {
-                    return null; // File doesn't exist
+                    json = await this.fs.readFile(this.getMapStatePath(), 'utf8');
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
                 }
-
-                const jsonData = await this.fs.readFile(filepath, 'utf8');
-                lodData = JSON.parse(jsonData);
             } else {
-                // Browser: Load from IndexedDB
-                const key = `lod_${chunkX}_${chunkZ}`;
-                const record = await this.readIndexedDB('lod', key);
-                if (!record) return null;
-
-                lodData = JSON.parse(record.data);
+                const record = await this.readIndexedDB('maps', `${this.getKeyPrefix()}map`);
+                json = record ? record.data : null;
             }
 
-            // console.log(`💾 Loaded LOD chunk (${chunkX}, ${chunkZ}) from disk`);
-            return lodData.colorBlocks;
+            return json === null ? null : JSON.parse(json).state;
         } catch (error) {
-            console.error(`❌ Failed to load LOD chunk (${chunkX}, ${chunkZ}):`, error);
+            console.error(`❌ Failed to load map state "${this.namespace}":`, error);
             return null;
         }
     }
+
+    /**
+     * 🗑️ Delete everything stored under this namespace (chunks, modifications, LOD, map state)
+     *
+     * @returns {Promise<void>}
+     */
+    async deleteNamespace() {
+        await this.initPromise;
+        this.requireNamespace();
+
+        if (this.isElectron) {
+            await this.closeRegions();
+            await this.fs.rm(this.path.dirname(this.chunksDir), { recursive: true, force: true });
+        } else {
+            for (const storeName of ['chunks', 'modifications']) {
+                const records = await this.getAllIndexedDB(storeName, 'worldSeed', this.worldSeed);
+                for (const record of records.filter(r => this.isOwnRecord(r))) {
+                    await this.deleteIndexedDB(storeName, record.key);
+                }
+            }
+
+            const lodRecords = await this.getAllRecordsIndexedDB('lod');
+            for (const record of lodRecords.filter(r => r.key.startsWith(this.getKeyPrefix()))) {
+                await this.deleteIndexedDB('lod', record.key);
+            }
+
+            await this.deleteIndexedDB('maps', `${this.getKeyPrefix()}map`);
+        }
+
+        console.log(`🗑️ Deleted map storage "${this.namespace}"`);
+    }
+
+    /**
+     * 🗑️ Delete everything stored for this world seed - the overworld and every map namespace
+     * (world import replacing an existing world). Overworld persistence only.
+     *
+     * @returns {Promise<void>}
+     */
+    async deleteWorld() {
+        await this.initPromise;
+        if (this.namespace) {
+            throw new Error('deleteWorld() needs the overworld ChunkPersistence (use deleteNamespace() for a map)');
+        }
+
+        if (this.isElectron) {
+            const worldDir = this.path.dirname(this.chunksDir);
+
+            // Region files of the map namespaces live under the same world directory
+            const closing = [];
+            for (const filepath of openRegions.keys()) {
+                if (!filepath.startsWith(worldDir + this.path.sep)) continue;
+                closing.push(closeRegion(filepath));
+            }
+            await Promise.all(closing);
+
+            await this.fs.rm(worldDir, { recursive: true, force: true });
+            await this.fs.mkdir(this.chunksDir, { recursive: true });
+        } else {
+            for (const storeName of ['chunks', 'modifications', 'quarantine', 'maps']) {
+                const records = await this.getAllIndexedDB(storeName, 'worldSeed', this.worldSeed);
+                for (const record of records) {
+                    await this.deleteIndexedDB(storeName, record.key);
+                }
+            }
+
+            // Overworld LOD keys carry no seed, so match on the stamp (or the map namespace prefix)
+            const lodRecords = await this.getAllRecordsIndexedDB('lod');
+            for (const record of lodRecords.filter(r => r.worldSeed === this.worldSeed || r.key.startsWith(this.getKeyPrefix()))) {
+                await this.deleteIndexedDB('lod', record.key);
+            }
+        }
+
+        this.corruptChunks.clear();
+        console.log(`🗑️ Deleted all stored chunks for world ${this.worldSeed}`);
+    }
+
+    getMapStatePath() {
+        return this.path.join(this.path.dirname(this.chunksDir), 'map.json');
+    }
+
+    requireNamespace() {
+        if (!this.namespace) {
+            throw new Error('Map state needs a namespaced ChunkPersistence (the overworld is saved in the save slot)');
+        }
+    }
 }
@@ -3,10 +3,13 @@
  *
  * Binary chunk serialization for The Long Nights chunk persistence system.
  *
- * File Format:
+ * File Format (v2):
  * - Header (32 bytes)
- * - Block Data (variable size, ~14KB typical)
+ * - Block Palette (5+ bytes per entry)
+ * - Column Data (run-length encoded, variable size)
  * - Tree Data (variable size)
+ * - Block State Data (variable size)
+ * - Checksum (4 bytes) - uint32 CRC-32 of everything before it
  *
  * Header Structure (32 bytes):
  * - Version (4 bytes) - uint32
@@ -15,29 +18,71 @@
  * - Block Count (4 bytes) - uint32
  * - Tree Count (4 bytes) - uint32
  * - Timestamp (8 bytes) - uint64 (stored as 2x uint32)
- * - Reserved (8 bytes) - for future use
+ * - Palette Size (2 bytes) - uint16
+ * - Column Count (2 bytes) - uint16
  *
- * Block Data Format (per block):
- * - X position (1 byte) - uint8 (0-7)
- * - Y position (1 byte) - uint8 (0-255)
- * - Z position (1 byte) - uint8 (0-7)
- * - Block Type (1 byte) - uint8 (enum index)
+ * Palette Entry (one per distinct block type + colour + flags in the chunk):
+ * - Block Type (1 byte) - uint8 (enum index, 255 = named type follows)
  * - Color (3 bytes) - RGB uint8 values
  * - Flags (1 byte) - uint8 bitmask
- * Total: 8 bytes per block
+ * - Named types only: Name Length (1 byte) + UTF-8 name (tilled_soil, crops...)
+ * Total: 5 bytes per entry (+ name)
+ *
+ * Column Data (per x/z column that has blocks):
+ * - X position (1 byte) - uint8 (0-7)
+ * - Z position (1 byte) - uint8 (0-7)
+ * - Run Count (2 bytes) - uint16
+ * - Runs (4 bytes each), consecutive Y values sharing a palette entry:
+ *   - Start Y (1 byte) - uint8 (0-255)
+ *   - Length - 1 (1 byte) - uint8 (run of 1-256 blocks)
+ *   - Palette Index (2 bytes) - uint16
  *
  * Tree Data Format (per tree):
  * - Position (3 bytes) - x, y, z uint8
  * - Type ID (1 byte) - uint8
  * - Reserved (4 bytes) - for future tree metadata
  * Total: 8 bytes per tree
+ *
+ * Block State Data (per-position state that systems attach to blocks):
+ * - State Count (4 bytes) - uint32
+ * - Per state:
+ *   - X, Y, Z (3 bytes) - uint8 chunk-relative position
+ *   - Orientation (1 byte) - uint8 index into ORIENTATIONS (0 = none)
+ *   - Growth Stage (1 byte) - uint8 (0 = none)
+ *   - Data Length (2 bytes) - uint16
+ *   - Data (Data Length bytes) - UTF-8 JSON of custom data (0 bytes = none)
+ *
+ * Version 1 (still readable, rewritten as v2 when the chunk is next saved):
+ * - No checksum, so damage is only caught when the data doesn't parse
+ * - Header fields as above up to the timestamp, then 8 reserved bytes. The v1 writer
+ *   sized its buffer for a 32-byte header but wrote 36, so block data starts at
+ *   byte 36 and the final 4 bytes of every v1 file were cut off.
+ * - 8 bytes per block: X, Y, Z (1 byte each), Block Type (1 byte), RGB (3 bytes), Flags (1 byte)
+ * - Tree data as above
  */
 
+import { crc32 } from './Checksum.js';
+
 export class ChunkSerializer {
-    static VERSION = 1;
+    static VERSION = 2;
     static HEADER_SIZE = 32;
-    static BYTES_PER_BLOCK = 8;
+    static V1_HEADER_SIZE = 36;
+    static BYTES_PER_BLOCK = 8; // v1
+    static BYTES_PER_PALETTE_ENTRY = 5;
+    static BYTES_PER_COLUMN = 4;
+    static BYTES_PER_RUN = 4;
     static BYTES_PER_TREE = 8;
+    static BYTES_PER_STATE = 7; // Before custom data
+    static NAMED_TYPE_ID = 255;
+    static CHECKSUM_SIZE = 4; // v2
+
+    /**
+     * Block state orientations (index stored in the state section)
+     */
+    static ORIENTATIONS = [null, 'north', 'south', 'east', 'west', 'up', 'down'];
+
+    static textEncoder = new TextEncoder();
+    static textDecoder = new TextDecoder();
 
     /**
      * Block type to numeric ID mapping
@@ -59,6 +104,8 @@ export class ChunkSerializer {
         'birch_wood': 12,
         'palm_wood': 13,
         'dead_wood': 14,
+        'coal_ore': 15,
+        'crystal_ore': 16,
         'oak_wood-leaves': 20,
         'pine_wood-leaves': 21,
         'birch_wood-leaves': 22,
@@ -79,7 +126,7 @@ export class ChunkSerializer {
      * @returns {ArrayBuffer} Binary chunk data
      */
     static serializeChunk(chunkData, chunkX, chunkZ) {
-        const { blocks, trees } = chunkData;
+        const { blocks, trees, states } = chunkData;
 
         // 🚫 FILTER OUT BEDROCK: Bedrock is generated from seed, never save it!
         // This prevents cached bedrock from appearing where it shouldn't
@@ -88,13 +135,52 @@ export class ChunkSerializer {
         const blockCount = serializableBlocks.length;
         const treeCount = trees ? trees.length : 0;
 
-        console.log(`📦 Serializing chunk (${chunkX}, ${chunkZ}): ${blocks.length} blocks → ${blockCount} saved (${blocks.length - blockCount} bedrock excluded)`);
+        // Build palette and per-column runs
+        const palette = [];
+        const paletteIndex = new Map(); // "typeId,color,flags" → palette index
+        const columns = new Map(); // "x,z" → { x, z, cells: [{ y, index }] }
+
+        for (const block of serializableBlocks) {
+            const { x, y, z, type, color, flags } = block;
+            const typeId = ChunkSerializer.BLOCK_TYPE_IDS[type] ?? ChunkSerializer.NAMED_TYPE_ID;
+            const rgb = (color || 0) & 0xFFFFFF;
+            const blockFlags = flags || 0;
+
+            const paletteKey = `${typeId === ChunkSerializer.NAMED_TYPE_ID ? type : typeId},${rgb},${blockFlags}`;
+            let index = paletteIndex.get(paletteKey);
+            if (index === undefined) {
+                index = palette.length;
+                const name = typeId === ChunkSerializer.NAMED_TYPE_ID
+                    ? ChunkSerializer.textEncoder.encode(String(type)).subarray(0, 255)
+                    : null;
+                palette.push({ typeId, color: rgb, flags: blockFlags, name });
+                paletteIndex.set(paletteKey, index);
+            }
+
+            const columnKey = `${x & 0xFF},${z & 0xFF}`;
+            if (!columns.has(columnKey)) {
+                columns.set(columnKey, { x: x & 0xFF, z: z & 0xFF, cells: [] });
+            }
+            columns.get(columnKey).cells.push({ y: y & 0xFF, index });
+        }
+
+        let runCount = 0;
+        for (const column of columns.values()) {
+            column.runs = ChunkSerializer.encodeRuns(column.cells);
+            runCount += column.runs.length;
+        }
+
+        const encodedStates = ChunkSerializer.encodeStates(states);
 
         // Calculate total size
         const headerSize = ChunkSerializer.HEADER_SIZE;
-        const blockDataSize = blockCount * ChunkSerializer.BYTES_PER_BLOCK;
+        const paletteSize = palette.reduce(
+            (size, entry) => size + ChunkSerializer.BYTES_PER_PALETTE_ENTRY + (entry.name ? 1 + entry.name.length : 0), 0
+        );
+        const columnDataSize = columns.size * ChunkSerializer.BYTES_PER_COLUMN + runCount * ChunkSerializer.BYTES_PER_RUN;
         const treeDataSize = treeCount * ChunkSerializer.BYTES_PER_TREE;
-        const totalSize = headerSize + blockDataSize + treeDataSize;
+        const stateDataSize = 4 + encodedStates.reduce((size, state) => size + ChunkSerializer.BYTES_PER_STATE + state.data.length, 0);
+        const totalSize = headerSize + paletteSize + columnDataSize + treeDataSize + stateDataSize + ChunkSerializer.CHECKSUM_SIZE;
 
         // Create buffer and views
         const buffer = new ArrayBuffer(totalSize);
@@ -115,35 +201,120 @@ export class ChunkSerializer {
         view.setUint32(offset, Math.floor(timestamp / 0x100000000), true); offset += 4;
         view.setUint32(offset, timestamp & 0xFFFFFFFF, true); offset += 4;
 
-        // Reserved (8 bytes)
-        offset += 8;
+        // Palette size + column count
+        view.setUint16(offset, palette.length, true); offset += 2;
+        view.setUint16(offset, columns.size, true); offset += 2;
+
+        // Write palette
+        for (const entry of palette) {
+            uint8View[offset++] = entry.typeId;
+            uint8View[offset++] = (entry.color >> 16) & 0xFF;
+            uint8View[offset++] = (entry.color >> 8) & 0xFF;
+            uint8View[offset++] = entry.color & 0xFF;
+            uint8View[offset++] = entry.flags;
+
+            if (entry.name) {
+                uint8View[offset++] = entry.name.length;
+                uint8View.set(entry.name, offset);
+                offset += entry.name.length;
+            }
+        }
 
-        // Write block data (only serializable blocks, no bedrock)
-        for (const block of serializableBlocks) {
-            const { x, y, z, type, color, flags } = block;
+        // Write columns
+        for (const column of columns.values()) {
+            uint8View[offset++] = column.x;
+            uint8View[offset++] = column.z;
+            view.setUint16(offset, column.runs.length, true); offset += 2;
 
-            // Position (3 bytes)
-            uint8View[offset++] = x & 0xFF;
-            uint8View[offset++] = y & 0xFF;
-            uint8View[offset++] = z & 0xFF;
+            for (const run of column.runs) {
+                uint8View[offset++] = run.startY;
+                uint8View[offset++] = run.length - 1;
+                view.setUint16(offset, run.index, true); offset += 2;
+            }
+        }
 
-            // Block type (1 byte)
-            const typeId = ChunkSerializer.BLOCK_TYPE_IDS[type] ?? 0;
-            uint8View[offset++] = typeId;
+        // Write tree data
+        offset = ChunkSerializer.writeTrees(uint8View, offset, trees);
+
+        // Write block states
+        view.setUint32(offset, encodedStates.length, true); offset += 4;
+        for (const state of encodedStates) {
+            uint8View[offset++] = state.x;
+            uint8View[offset++] = state.y;
+            uint8View[offset++] = state.z;
+            uint8View[offset++] = state.orientation;
+            uint8View[offset++] = state.growthStage;
+            view.setUint16(offset, state.data.length, true); offset += 2;
+            uint8View.set(state.data, offset);
+            offset += state.data.length;
+        }
 
-            // Color (3 bytes RGB)
-            const r = ((color >> 16) & 0xFF);
-            const g = ((color >> 8) & 0xFF);
-            const b = (color & 0xFF);
-            uint8View[offset++] = r;
-            uint8View[offset++] = g;
-            uint8View[offset++] = b;
-
-            // Flags (1 byte)
-            uint8View[offset++] = flags || 0;
+        // Checksum of everything above
+        view.setUint32(offset, crc32(uint8View, 0, offset), true);
+
+        return buffer;
+    }
+
+    /**
+     * Pre-encode block states (custom data as UTF-8 JSON)
+     *
+     * @param {Array} states - [{ x, y, z, orientation, growthStage, data }]
+     * @returns {Array} [{ x, y, z, orientation, growthStage, data: Uint8Array }]
+     */
+    static encodeStates(states) {
+        if (!states || states.length === 0) return [];
+
+        const encoded = [];
+        for (const state of states) {
+            const data = state.data != null
+                ? ChunkSerializer.textEncoder.encode(JSON.stringify(state.data))
+                : new Uint8Array(0);
+
+            if (data.length > 0xFFFF) {
+                console.warn(`⚠️ Block state at (${state.x}, ${state.y}, ${state.z}) is too large (${data.length} bytes), not saved`);
+                continue;
+            }
+
+            encoded.push({
+                x: state.x & 0xFF,
+                y: state.y & 0xFF,
+                z: state.z & 0xFF,
+                orientation: Math.max(0, ChunkSerializer.ORIENTATIONS.indexOf(state.orientation ?? null)),
+                growthStage: (state.growthStage || 0) & 0xFF,
+                data
+            });
         }
+        return encoded;
+    }
 
-        // Write tree data
+    /**
+     * Collapse a column's cells into runs of consecutive Y with the same palette entry
+     *
+     * @param {Array} cells - [{ y, index }]
+     * @returns {Array} [{ startY, length, index }]
+     */
+    static encodeRuns(cells) {
+        cells.sort((a, b) => a.y - b.y);
+
+        const runs = [];
+        let current = null;
+        for (const { y, index } of cells) {
+            if (current && current.index === index && y === current.startY + current.length && current.length < 256) {
+                current.length++;
+            } else {
+                current = { startY: y, length: 1, index };
+                runs.push(current);
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * Write tree data (same layout in every version)
+     *
+     * @returns {number} Offset after the tree data
+     */
+    static writeTrees(uint8View, offset, trees) {
         if (trees && trees.length > 0) {
             for (const tree of trees) {
                 const { position, typeId } = tree;
@@ -160,8 +331,7 @@ export class ChunkSerializer {
                 offset += 4;
             }
         }
-
-        return buffer;
+        return offset;
     }
 
     /**
@@ -171,13 +341,32 @@ export class ChunkSerializer {
      * @returns {Object} Deserialized chunk data
      */
     static deserializeChunk(buffer) {
-        const view = new DataView(buffer);
-        const uint8View = new Uint8Array(buffer);
+        if (buffer.byteLength < ChunkSerializer.HEADER_SIZE) {
+            throw new Error(`Chunk data is truncated (${buffer.byteLength} byte header)`);
+        }
 
-        let offset = 0;
+        const version = new DataView(buffer).getUint32(0, true);
+
+        if (version !== 1 && version !== ChunkSerializer.VERSION) {
+            throw new Error(`Unsupported chunk version ${version} (this game reads up to ${ChunkSerializer.VERSION})`);
+        }
+
+        // v2: verify the checksum trailer, then read only the data in front of it
+        let end = buffer.byteLength;
+        if (version === ChunkSerializer.VERSION) {
+            end -= ChunkSerializer.CHECKSUM_SIZE;
+            const checksum = new DataView(buffer).getUint32(end, true);
+            if (crc32(new Uint8Array(buffer), 0, end) !== checksum) {
+                throw new Error('Chunk data is corrupted (checksum mismatch)');
+            }
+        }
+
+        const view = new DataView(buffer, 0, end);
+        const uint8View = new Uint8Array(buffer, 0, end);
+
+        let offset = 4; // Version already read
 
         // Read header
-        const version = view.getUint32(offset, true); offset += 4;
         const chunkX = view.getInt32(offset, true); offset += 4;
         const chunkZ = view.getInt32(offset, true); offset += 4;
         const blockCount = view.getUint32(offset, true); offset += 4;
@@ -188,15 +377,66 @@ export class ChunkSerializer {
         const timestampLow = view.getUint32(offset, true); offset += 4;
         const timestamp = timestampHigh * 0x100000000 + timestampLow;
 
-        // Skip reserved (8 bytes)
-        offset += 8;
+        // Palette size + column count (reserved in v1)
+        const paletteSize = view.getUint16(offset, true); offset += 2;
+        const columnCount = view.getUint16(offset, true); offset += 2;
 
-        // Validate version
-        if (version !== ChunkSerializer.VERSION) {
-            console.warn(`⚠️ Chunk version mismatch: expected ${ChunkSerializer.VERSION}, got ${version}`);
+        let blocks;
+        if (version === 1) {
+            offset = ChunkSerializer.V1_HEADER_SIZE;
+            ({ blocks, offset } = ChunkSerializer.readBlocksV1(uint8View, offset, blockCount));
+        } else {
+            ({ blocks, offset } = ChunkSerializer.readBlocksV2(view, uint8View, offset, paletteSize, columnCount));
         }
 
-        // Read block data
+        // Read tree data
+        const trees = [];
+        for (let i = 0; i < treeCount; i++) {
+            // Position (3 bytes)
+            const x = uint8View[offset++];
+            const y = uint8View[offset++];
+            const z = uint8View[offset++];
+
+            // Type ID (1 byte)
+            const typeId = uint8View[offset++];
+
+            // Skip reserved (4 bytes)
+            offset += 4;
+
+            trees.push({
+                position: { x, y, z },
+                typeId
+            });
+        }
+
+        // Read block states (v2)
+        let states = [];
+        if (version === ChunkSerializer.VERSION) {
+            ({ states, offset } = ChunkSerializer.readStates(view, uint8View, offset));
+        }
+
+        // v1 files lost their last 4 bytes (see above), so only v2 must end exactly here
+        if (version === ChunkSerializer.VERSION && offset !== end) {
+            throw new Error(`Chunk data is ${offset > end ? 'truncated' : 'padded'} (expected ${offset} bytes, found ${end})`);
+        }
+
+        return {
+            version,
+            chunkX,
+            chunkZ,
+            timestamp,
+            blocks,
+            trees,
+            states
+        };
+    }
+
+    /**
+     * Read v1 block data (8 bytes per block)
+     *
+     * @returns {Object} { blocks, offset }
+     */
+    static readBlocksV1(uint8View, offset, blockCount) {
         const blocks = [];
         for (let i = 0; i < blockCount; i++) {
             // Position (3 bytes)
@@ -214,40 +454,137 @@ export class ChunkSerializer {
             const b = uint8View[offset++];
             const color = (r << 16) | (g << 8) | b;
 
-            // Flags (1 byte)
-            const flags = uint8View[offset++];
+            // Flags (1 byte, cut off for the last block of a v1 file)
+            const flags = uint8View[offset++] ?? 0;
 
             blocks.push({ x, y, z, type, color, flags });
         }
+        return { blocks, offset };
+    }
 
-        // Read tree data
-        const trees = [];
-        for (let i = 0; i < treeCount; i++) {
-            // Position (3 bytes)
+    /**
+     * Read v2 block data (palette + run-length encoded columns)
+     *
+     * @returns {Object} { blocks, offset }
+     */
+    static readBlocksV2(view, uint8View, offset, paletteSize, columnCount) {
+        // Read palette
+        const palette = [];
+        for (let i = 0; i < paletteSize; i++) {
+            const typeId = uint8View[offset++];
+            const r = uint8View[offset++];
+            const g = uint8View[offset++];
+            const b = uint8View[offset++];
+            const flags = uint8View[offset++];
+
+            let type = ChunkSerializer.ID_TO_BLOCK_TYPE[typeId] || 'air';
+            if (typeId === ChunkSerializer.NAMED_TYPE_ID) {
+                const nameLength = uint8View[offset++];
+                type = ChunkSerializer.textDecoder.decode(uint8View.subarray(offset, offset + nameLength));
+                offset += nameLength;
+            }
+
+            palette.push({
+                type,
+                color: (r << 16) | (g << 8) | b,
+                flags
+            });
+        }
+
+        // Expand columns
+        const blocks = [];
+        for (let i = 0; i < columnCount; i++) {
+            const x = uint8View[offset++];
+            const z = uint8View[offset++];
+            const runCount = view.getUint16(offset, true); offset += 2;
+
+            for (let r = 0; r < runCount; r++) {
+                const startY = uint8View[offset++];
+                const length = uint8View[offset++] + 1;
+                const entry = palette[view.getUint16(offset, true)]; offset += 2;
+
+                if (!entry) {
+                    throw new Error('Chunk palette index out of range (corrupted chunk)');
+                }
+
+                for (let y = startY; y < startY + length; y++) {
+                    blocks.push({ x, y, z, type: entry.type, color: entry.color, flags: entry.flags });
+                }
+            }
+        }
+        return { blocks, offset };
+    }
+
+    /**
+     * Read the block state section (v2)
+     *
+     * @returns {Array} [{ x, y, z, orientation, growthStage, data }]
+     */
+    static readStates(view, uint8View, offset) {
+        const states = [];
+        if (offset + 4 > uint8View.length) return { states, offset };
+
+        const stateCount = view.getUint32(offset, true); offset += 4;
+        for (let i = 0; i < stateCount; i++) {
             const x = uint8View[offset++];
             const y = uint8View[offset++];
             const z = uint8View[offset++];
+            const orientation = ChunkSerializer.ORIENTATIONS[uint8View[offset++]] ?? null;
+            const growthStage = uint8View[offset++];
+            const dataLength = view.getUint16(offset, true); offset += 2;
 
-            // Type ID (1 byte)
-            const typeId = uint8View[offset++];
+            const data = dataLength > 0
+                ? JSON.parse(ChunkSerializer.textDecoder.decode(uint8View.subarray(offset, offset + dataLength)))
+                : null;
+            offset += dataLength;
 
-            // Skip reserved (4 bytes)
-            offset += 4;
+            states.push({ x, y, z, orientation, growthStage, data });
+        }
+        return { states, offset };
+    }
 
-            trees.push({
-                position: { x, y, z },
-                typeId
-            });
+    /**
+     * 🩺 Check serialized chunk bytes without throwing (world integrity checker)
+     *
+     * @param {ArrayBuffer} buffer - Serialized chunk
+     * @param {number} chunkX - Chunk X the record is stored under
+     * @param {number} chunkZ - Chunk Z the record is stored under
+     * @returns {Object} { valid, version, checksummed, chunkData, error }
+     */
+    static validateChunk(buffer, chunkX, chunkZ) {
+        const version = buffer.byteLength >= 4 ? new DataView(buffer).getUint32(0, true) : null;
+        const result = { valid: false, version, checksummed: version === ChunkSerializer.VERSION, chunkData: null, error: null };
+
+        if (version > ChunkSerializer.VERSION) {
+            result.error = `Unsupported chunk version ${version} (written by a newer game)`;
+            return result;
         }
 
-        return {
-            version,
-            chunkX,
-            chunkZ,
-            timestamp,
-            blocks,
-            trees
-        };
+        try {
+            const chunkData = ChunkSerializer.deserializeChunk(buffer);
+            if (chunkData.chunkX !== chunkX || chunkData.chunkZ !== chunkZ) {
+                result.error = `Record holds chunk (${chunkData.chunkX}, ${chunkData.chunkZ})`;
+                return result;
+            }
+            result.valid = true;
+            result.chunkData = chunkData;
+        } catch (error) {
+            result.error = error.message;
+        }
+        return result;
+    }
+
+    /**
+     * Size the chunk would take in the v1 format (for compression stats)
+     *
+     * @param {ArrayBuffer} buffer - Serialized chunk (any version)
+     * @returns {number} Bytes
+     */
+    static getV1Size(buffer) {
+        const view = new DataView(buffer);
+        const blockCount = view.getUint32(12, true);
+        const treeCount = view.getUint32(16, true);
+        return ChunkSerializer.HEADER_SIZE + blockCount * ChunkSerializer.BYTES_PER_BLOCK + treeCount * ChunkSerializer.BYTES_PER_TREE;
     }
 
     /**
@@ -14,6 +14,13 @@
  * - Modifications stored as sparse arrays (only changed positions)
  * - .mod files use same binary format as .dat files
  * - On load: Generated terrain + Modifications = Final chunk
+ *
+ * Block State:
+ * - Any system can attach persistent state to a block position with
+ *   setBlockState(x, y, z, { orientation, growthStage, data })
+ * - States live in the .mod file's block state section (ChunkSerializer v2)
+ * - applyModifications() attaches them to the restored blocks (block.state)
+ * - getChunkBlockStates() lists them in world coordinates for the systems that own them
  */
 
 import { ChunkPersistence } from './ChunkPersistence.js';
@@ -21,7 +28,9 @@ import { ChunkPersistence } from './ChunkPersistence.js';
 export class ModificationTracker {
     constructor(worldSeed, isElectron = false) {
         this.persistence = new ChunkPersistence(worldSeed, isElectron);
-        this.dirtyChunks = new Map(); // Map<chunkKey, modifications>
+        this.dirtyChunks = new Map(); // Map<chunkKey, { chunkX, chunkZ, modifications, states }>
+        this.flushingChunks = new Map(); // Chunks being written right now (still newer than disk)
+        this.chunkStates = new Map(); // Map<chunkKey, Map<positionKey, state>> - complete state of loaded chunks
         this.saveInterval = 5000; // Auto-save every 5 seconds
         this.saveTimer = null;
 
@@ -61,40 +70,56 @@ export class ModificationTracker {
     }
 
     /**
-     * Track a block modification (place or break)
+     * Get (or create) the dirty record for the chunk containing a world position
      *
-     * @param {number} worldX - World X coordinate
-     * @param {number} worldY - World Y coordinate
-     * @param {number} worldZ - World Z coordinate
-     * @param {string|null} blockType - Block type (null = removed)
-     * @param {number} color - Block color
-     * @param {boolean} isPlayerPlaced - Is this player-placed?
+     * @returns {Object} { chunkKey, chunkMods, posKey }
      */
-    trackModification(worldX, worldY, worldZ, blockType, color, isPlayerPlaced = true) {
-        // Calculate chunk coordinates
+    getDirtyChunk(worldX, worldY, worldZ) {
         const chunkX = Math.floor(worldX / 8);
         const chunkZ = Math.floor(worldZ / 8);
-        const key = this.getChunkKey(chunkX, chunkZ);
+        const chunkKey = this.getChunkKey(chunkX, chunkZ);
 
-        // Get or create modification map for this chunk
-        if (!this.dirtyChunks.has(key)) {
-            this.dirtyChunks.set(key, {
+        if (!this.dirtyChunks.has(chunkKey)) {
+            this.dirtyChunks.set(chunkKey, {
                 chunkX,
                 chunkZ,
-                modifications: new Map() // Map<positionKey, block>
+                modifications: new Map(), // Map<positionKey, block>
+                states: new Map() // Map<positionKey, state|null>
             });
         }
 
-        const chunkMods = this.dirtyChunks.get(key);
-
         // Convert to chunk-relative coordinates
         const localX = worldX - chunkX * 8;
         const localZ = worldZ - chunkZ * 8;
-        const posKey = `${localX},${worldY},${localZ}`;
+
+        return {
+            chunkKey,
+            chunkMods: this.dirtyChunks.get(chunkKey),
+            posKey: `${localX},${worldY},${localZ}`
+        };
+    }
+
+    /**
+     * Track a block modification (place or break)
+     *
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldY - World Y coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @param {string|null} blockType - Block type (null = removed)
+     * @param {number} color - Block color
+     * @param {boolean} isPlayerPlaced - Is this player-placed?
+     */
+    trackModification(worldX, worldY, worldZ, blockType, color, isPlayerPlaced = true) {
+        const { chunkMods, posKey } = this.getDirtyChunk(worldX, worldY, worldZ);
+        const chunkX = chunkMods.chunkX;
+        const chunkZ = chunkMods.chunkZ;
+        const localX = worldX - chunkX * 8;
+        const localZ = worldZ - chunkZ * 8;
 
         if (blockType === null || blockType === 'air') {
-            // Block removed - store as null
+            // Block removed - store as null (its state goes with it)
             chunkMods.modifications.set(posKey, null);
+            this.setBlockState(worldX, worldY, worldZ, null);
             // console.log(`💾 Tracked block removal at (${worldX}, ${worldY}, ${worldZ}) in chunk (${chunkX}, ${chunkZ})`);
         } else {
             // Block placed/modified
@@ -115,6 +140,51 @@ export class ModificationTracker {
         this.stats.modificationsTracked++;
     }
 
+    /**
+     * Attach persistent state to a block position (null clears it)
+     *
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldY - World Y coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @param {Object|null} state - { orientation, growthStage, data } (all optional)
+     */
+    setBlockState(worldX, worldY, worldZ, state) {
+        const { chunkKey, chunkMods, posKey } = this.getDirtyChunk(worldX, worldY, worldZ);
+
+        const normalized = state ? {
+            orientation: state.orientation ?? null,
+            growthStage: state.growthStage ?? 0,
+            data: state.data ?? null
+        } : null;
+
+        chunkMods.states.set(posKey, normalized);
+
+        // Keep the loaded chunk's state map current
+        const loadedStates = this.chunkStates.get(chunkKey);
+        if (loadedStates) {
+            if (normalized) {
+                loadedStates.set(posKey, normalized);
+            } else {
+                loadedStates.delete(posKey);
+            }
+        }
+    }
+
+    /**
+     * Block states of a chunk loaded through loadChunkModifications()
+     *
+     * @returns {Array|null} [{ x, y, z, state }] in world coordinates, or null if the chunk's mods were never loaded
+     */
+    getChunkBlockStates(chunkX, chunkZ) {
+        const states = this.chunkStates.get(this.getChunkKey(chunkX, chunkZ));
+        if (!states) return null;
+
+        return Array.from(states.entries()).map(([posKey, state]) => {
+            const [x, y, z] = posKey.split(',').map(Number);
+            return { x: chunkX * 8 + x, y, z: chunkZ * 8 + z, state };
+        });
+    }
+
     /**
      * Load modifications for a chunk
      *
@@ -123,28 +193,71 @@ export class ModificationTracker {
      * @returns {Promise<Map|null>} Map of modifications or null if none
      */
     async loadModifications(chunkX, chunkZ) {
+        const { modifications } = await this.loadChunkModifications(chunkX, chunkZ);
+        return modifications.size > 0 ? modifications : null;
+    }
+
+    /**
+     * Load modifications and block states for a chunk
+     * Unsaved changes (dirty or mid-flush) are layered over what is on disk.
+     *
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @returns {Promise<Object>} { modifications: Map<posKey, block|null>, states: Map<posKey, state> }
+     */
+    async loadChunkModifications(chunkX, chunkZ) {
+        const modifications = new Map();
+        const states = new Map();
+
         try {
             const modData = await this.persistence.loadChunk(chunkX, chunkZ, true);
-            if (!modData) return null;
+            if (modData) {
+                this.stats.chunksLoaded++;
 
-            this.stats.chunksLoaded++;
+                // Convert block array to Map
+                for (const block of modData.blocks) {
+                    const posKey = `${block.x},${block.y},${block.z}`;
+                    if (block.type === 'air' || block.flags === 255) {
+                        // Flags === 255 is special "removed" marker
+                        modifications.set(posKey, null);
+                    } else {
+                        modifications.set(posKey, block);
+                    }
+                }
 
-            // Convert block array to Map
-            const modifications = new Map();
-            for (const block of modData.blocks) {
-                const posKey = `${block.x},${block.y},${block.z}`;
-                if (block.type === 'air' || block.flags === 255) {
-                    // Flags === 255 is special "removed" marker
-                    modifications.set(posKey, null);
-                } else {
-                    modifications.set(posKey, block);
+                for (const { x, y, z, ...state } of modData.states || []) {
+                    states.set(`${x},${y},${z}`, state);
                 }
             }
-
-            return modifications;
         } catch (error) {
             console.error(`❌ Failed to load modifications for chunk (${chunkX}, ${chunkZ}):`, error);
-            return null;
+        }
+
+        const key = this.getChunkKey(chunkX, chunkZ);
+        for (const pending of [this.flushingChunks.get(key), this.dirtyChunks.get(key)]) {
+            if (pending) {
+                this.mergeChunkMods(modifications, states, pending);
+            }
+        }
+
+        this.chunkStates.set(key, states);
+
+        return { modifications, states };
+    }
+
+    /**
+     * Layer a chunk's pending modifications/states over loaded ones
+     */
+    mergeChunkMods(modifications, states, chunkMods) {
+        for (const [posKey, block] of chunkMods.modifications.entries()) {
+            modifications.set(posKey, block);
+        }
+        for (const [posKey, state] of chunkMods.states.entries()) {
+            if (state) {
+                states.set(posKey, state);
+            } else {
+                states.delete(posKey);
+            }
         }
     }
 
@@ -153,10 +266,11 @@ export class ModificationTracker {
      *
      * @param {Array} blocks - Original block array
      * @param {Map} modifications - Modification map
+     * @param {Map} states - Block state map (optional) - attached as block.state
      * @returns {Array} Modified block array
      */
-    applyModifications(blocks, modifications) {
-        if (!modifications || modifications.size === 0) {
+    applyModifications(blocks, modifications, states = null) {
+        if ((!modifications || modifications.size === 0) && (!states || states.size === 0)) {
             return blocks;
         }
 
@@ -168,7 +282,7 @@ export class ModificationTracker {
         }
 
         // Apply modifications
-        for (const [posKey, modBlock] of modifications.entries()) {
+        for (const [posKey, modBlock] of (modifications || new Map()).entries()) {
             if (modBlock === null) {
                 // Block removed
                 blockMap.delete(posKey);
@@ -178,6 +292,16 @@ export class ModificationTracker {
             }
         }
 
+        // Restore block state (copy so cached block objects aren't mutated)
+        if (states) {
+            for (const [posKey, state] of states.entries()) {
+                const block = blockMap.get(posKey);
+                if (block) {
+                    blockMap.set(posKey, { ...block, state });
+                }
+            }
+        }
+
         // Convert back to array
         return Array.from(blockMap.values());
     }
@@ -189,23 +313,47 @@ export class ModificationTracker {
         if (this.dirtyChunks.size === 0) return;
 
         // console.log(`💾 Flushing ${this.dirtyChunks.size} dirty chunks to disk...`);
-        const chunksToSave = Array.from(this.dirtyChunks.values());
+        const chunksToSave = Array.from(this.dirtyChunks.entries());
         this.dirtyChunks.clear();
 
-        for (const chunkMods of chunksToSave) {
-            await this.saveModifications(chunkMods.chunkX, chunkMods.chunkZ, chunkMods.modifications);
+        for (const [key, chunkMods] of chunksToSave) {
+            this.flushingChunks.set(key, chunkMods);
+            await this.saveModifications(chunkMods.chunkX, chunkMods.chunkZ, chunkMods.modifications, chunkMods.states);
+            if (this.flushingChunks.get(key) === chunkMods) {
+                this.flushingChunks.delete(key);
+            }
         }
         // console.log(`✅ Flush complete`);
     }
 
     /**
      * Save modifications for a chunk
+     * Merged into the chunk's existing .mod data so earlier flushes aren't lost.
      */
-    async saveModifications(chunkX, chunkZ, modifications) {
+    async saveModifications(chunkX, chunkZ, modifications, states = new Map()) {
         try {
+            const existing = await this.persistence.loadChunk(chunkX, chunkZ, true);
+            if (!existing && this.persistence.isCorrupt(chunkX, chunkZ, true)) {
+                // Don't overwrite edits we couldn't read - keep the old record for repair
+                await this.persistence.quarantineChunk(chunkX, chunkZ, true, 'Unreadable when new modifications were saved');
+            }
+            const merged = new Map();
+            const mergedStates = new Map();
+
+            if (existing) {
+                for (const block of existing.blocks) {
+                    const posKey = `${block.x},${block.y},${block.z}`;
+                    merged.set(posKey, (block.type === 'air' || block.flags === 255) ? null : block);
+                }
+                for (const { x, y, z, ...state } of existing.states || []) {
+                    mergedStates.set(`${x},${y},${z}`, state);
+                }
+            }
+            this.mergeChunkMods(merged, mergedStates, { modifications, states });
+
             // Convert modifications map to block array
             const blocks = [];
-            for (const [posKey, block] of modifications.entries()) {
+            for (const [posKey, block] of merged.entries()) {
                 if (block === null) {
                     // Removed block - store with special flag
                     const [x, y, z] = posKey.split(',').map(Number);
@@ -220,8 +368,13 @@ export class ModificationTracker {
                 }
             }
 
+            const stateList = Array.from(mergedStates.entries()).map(([posKey, state]) => {
+                const [x, y, z] = posKey.split(',').map(Number);
+                return { x, y, z, ...state };
+            });
+
             // Save to disk as .mod file
-            const chunkObject = { blocks, trees: [] };
+            const chunkObject = { blocks, trees: [], states: stateList };
             await this.persistence.saveChunk(chunkX, chunkZ, chunkObject, true);
             this.stats.chunksSaved++;
 
@@ -240,7 +393,8 @@ export class ModificationTracker {
             this.dirtyChunks.set(key, {
                 chunkX,
                 chunkZ,
-                modifications: new Map()
+                modifications: new Map(),
+                states: new Map()
             });
         }
     }
@@ -0,0 +1,439 @@
+/**
+ * RegionFile.js
+ *
+ * Region-file storage for ChunkPersistence (Electron only).
+ * Packs a 32x32 grid of chunks into one file instead of one file per chunk.
+ * Each record type has its own regions: .dat (terrain), .mod (edits), .lod (LOD colours).
+ *
+ * File Layout (4096-byte sectors):
+ * - Sectors 0-2: Header + offset table
+ * - Sectors 3+: Chunk data, each chunk occupying whole consecutive sectors
+ *
+ * Header Structure (16 bytes):
+ * - Magic (4 bytes) - ASCII "TLNR"
+ * - Version (2 bytes) - uint16
+ * - Region Size (2 bytes) - uint16 (always 32)
+ * - Region X (4 bytes) - int32
+ * - Region Z (4 bytes) - int32
+ *
+ * Offset Table (1024 entries x 8 bytes, index = localZ * 32 + localX):
+ * - Sector Offset (4 bytes) - uint32 (0 = chunk not present)
+ * - Byte Length (4 bytes) - uint32
+ *
+ * Free Space:
+ * - Sector usage is rebuilt from the offset table when the file is opened
+ * - Rewrites that still fit stay in place; otherwise the old sectors are freed
+ *   and the first free run large enough is reused (first-fit), else appended
+ * - Deleting a chunk clears its entry and frees its sectors
+ *
+ * Damaged Entries:
+ * - An entry pointing past the end of a truncated file is left out of the table
+ *   (the chunk reads as missing) but remembered, so the world integrity checker
+ *   can salvage what is left of it and clear the entry
+ * - Its sectors that are still inside the file stay reserved until the entry is
+ *   cleared or rewritten, so new chunks never land on the bytes salvage reads
+ *
+ * All operations on one region are queued so overlapping async saves
+ * never interleave their table/data writes.
+ */
+
+export class RegionFile {
+    static MAGIC = [0x54, 0x4C, 0x4E, 0x52]; // "TLNR"
+    static VERSION = 1;
+    static REGION_SIZE = 32;
+    static SECTOR_SIZE = 4096;
+    static HEADER_SIZE = 16;
+    static ENTRY_SIZE = 8;
+    static ENTRY_COUNT = RegionFile.REGION_SIZE * RegionFile.REGION_SIZE;
+    static HEADER_SECTORS = Math.ceil(
+        (RegionFile.HEADER_SIZE + RegionFile.ENTRY_COUNT * RegionFile.ENTRY_SIZE) / RegionFile.SECTOR_SIZE
+    );
+
+    /**
+     * @param {Object} fs - fs/promises module
+     * @param {string} filepath - Region file path
+     * @param {number} regionX - Region X coordinate
+     * @param {number} regionZ - Region Z coordinate
+     */
+    constructor(fs, filepath, regionX, regionZ) {
+        this.fs = fs;
+        this.filepath = filepath;
+        this.regionX = regionX;
+        this.regionZ = regionZ;
+        this.handle = null;
+
+        this.offsets = new Uint32Array(RegionFile.ENTRY_COUNT); // Sector offset per chunk
+        this.lengths = new Uint32Array(RegionFile.ENTRY_COUNT); // Byte length per chunk
+        this.usedSectors = []; // usedSectors[i] === true if sector i holds data
+        this.damagedEntries = new Map(); // Map<index, { sectorOffset, length, available }> - truncated entries
+
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Region + local coordinates for a chunk
+     *
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @returns {Object} {regionX, regionZ, localX, localZ}
+     */
+    static getRegionCoords(chunkX, chunkZ) {
+        const regionX = Math.floor(chunkX / RegionFile.REGION_SIZE);
+        const regionZ = Math.floor(chunkZ / RegionFile.REGION_SIZE);
+        return {
+            regionX,
+            regionZ,
+            localX: chunkX - regionX * RegionFile.REGION_SIZE,
+            localZ: chunkZ - regionZ * RegionFile.REGION_SIZE
+        };
+    }
+
+    /**
+     * Generate filename for region file
+     *
+     * @param {number} regionX - Region X coordinate
+     * @param {number} regionZ - Region Z coordinate
+     * @param {string} type - 'dat', 'mod' or 'lod'
+     * @returns {string} Region filename (e.g., "region_0_-1.dat")
+     */
+    static getRegionFilename(regionX, regionZ, type = 'dat') {
+        return `region_${regionX}_${regionZ}.${type}`;
+    }
+
+    /**
+     * Parse region coordinates from filename
+     *
+     * @param {string} filename - Region filename
+     * @returns {Object|null} {regionX, regionZ, type, isMod} or null if invalid
+     */
+    static parseRegionFilename(filename) {
+        const match = filename.match(/^region_(-?\d+)_(-?\d+)\.(dat|mod|lod)$/);
+        if (!match) return null;
+
+        return {
+            regionX: parseInt(match[1], 10),
+            regionZ: parseInt(match[2], 10),
+            type: match[3],
+            isMod: match[3] === 'mod'
+        };
+    }
+
+    /**
+     * Run an operation after every previously queued one on this region
+     */
+    enqueue(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {}); // Keep the chain alive after a failure
+        return result;
+    }
+
+    /**
+     * Open (or create) the region file and load its offset table
+     */
+    open() {
+        return this.enqueue(async () => {
+            try {
+                this.handle = await this.fs.open(this.filepath, 'r+');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                this.handle = await this.fs.open(this.filepath, 'w+');
+                await this.writeHeader();
+            }
+
+            const headerBytes = new Uint8Array(RegionFile.HEADER_SECTORS * RegionFile.SECTOR_SIZE);
+            await this.handle.read(headerBytes, 0, headerBytes.length, 0);
+            const view = new DataView(headerBytes.buffer);
+
+            if (!RegionFile.MAGIC.every((b, i) => headerBytes[i] === b)) {
+                throw new Error(`Not a region file: ${this.filepath}`);
+            }
+
+            const { size } = await this.handle.stat();
+            const sectorCount = Math.max(RegionFile.HEADER_SECTORS, Math.ceil(size / RegionFile.SECTOR_SIZE));
+            this.usedSectors = new Array(sectorCount).fill(false);
+            for (let i = 0; i < RegionFile.HEADER_SECTORS; i++) {
+                this.usedSectors[i] = true;
+            }
+
+            // Rebuild sector usage from the offset table
+            for (let i = 0; i < RegionFile.ENTRY_COUNT; i++) {
+                const entryOffset = RegionFile.HEADER_SIZE + i * RegionFile.ENTRY_SIZE;
+                const sectorOffset = view.getUint32(entryOffset, true);
+                const length = view.getUint32(entryOffset + 4, true);
+                if (sectorOffset === 0) continue;
+
+                const sectors = RegionFile.sectorsFor(length);
+                if (sectorOffset + sectors > sectorCount) {
+                    // Entry points past the end of a truncated file - treat as missing, but keep
+                    // the part still in the file reserved for salvage
+                    console.warn(`⚠️ Region (${this.regionX}, ${this.regionZ}) entry ${i} is truncated, ignoring`);
+                    const available = Math.max(0, Math.min(length, size - sectorOffset * RegionFile.SECTOR_SIZE));
+                    this.damagedEntries.set(i, { sectorOffset, length, available });
+                    for (let s = sectorOffset; s < Math.min(sectorOffset + sectors, sectorCount); s++) {
+                        this.usedSectors[s] = true;
+                    }
+                    continue;
+                }
+
+                this.offsets[i] = sectorOffset;
+                this.lengths[i] = length;
+                for (let s = 0; s < sectors; s++) {
+                    this.usedSectors[sectorOffset + s] = true;
+                }
+            }
+        });
+    }
+
+    requireOpen() {
+        if (!this.handle) {
+            throw new Error(`Region file is not open: ${this.filepath}`);
+        }
+    }
+
+    /**
+     * Write a fresh header with an empty offset table
+     */
+    async writeHeader() {
+        const headerBytes = new Uint8Array(RegionFile.HEADER_SECTORS * RegionFile.SECTOR_SIZE);
+        const view = new DataView(headerBytes.buffer);
+
+        headerBytes.set(RegionFile.MAGIC, 0);
+        view.setUint16(4, RegionFile.VERSION, true);
+        view.setUint16(6, RegionFile.REGION_SIZE, true);
+        view.setInt32(8, this.regionX, true);
+        view.setInt32(12, this.regionZ, true);
+
+        await this.handle.write(headerBytes, 0, headerBytes.length, 0);
+    }
+
+    /**
+     * Number of sectors needed for a byte length
+     */
+    static sectorsFor(length) {
+        return Math.ceil(length / RegionFile.SECTOR_SIZE);
+    }
+
+    static getIndex(localX, localZ) {
+        return localZ * RegionFile.REGION_SIZE + localX;
+    }
+
+    /**
+     * Read a chunk's bytes
+     *
+     * @returns {Promise<ArrayBuffer|null>} Chunk data or null if not present
+     */
+    read(localX, localZ) {
+        return this.enqueue(async () => {
+            this.requireOpen();
+            const index = RegionFile.getIndex(localX, localZ);
+            if (this.offsets[index] === 0) return null;
+
+            const bytes = new Uint8Array(this.lengths[index]);
+            await this.handle.read(bytes, 0, bytes.length, this.offsets[index] * RegionFile.SECTOR_SIZE);
+            return bytes.buffer;
+        });
+    }
+
+    /**
+     * Write a chunk's bytes, reusing free space where possible
+     *
+     * @param {ArrayBuffer|Uint8Array} data - Chunk data
+     */
+    write(localX, localZ, data) {
+        return this.enqueue(async () => {
+            this.requireOpen();
+            const index = RegionFile.getIndex(localX, localZ);
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            const needed = RegionFile.sectorsFor(bytes.length);
+
+            let sectorOffset = this.offsets[index];
+            const currentSectors = RegionFile.sectorsFor(this.lengths[index]);
+            const damaged = this.damagedEntries.get(index);
+
+            if (sectorOffset === 0 || needed > currentSectors) {
+                // Doesn't fit in place - release old sectors and allocate a new run
+                this.freeSectors(sectorOffset, currentSectors);
+                sectorOffset = this.allocateSectors(needed);
+            } else if (needed < currentSectors) {
+                // Shrunk in place - give back the tail
+                this.freeSectors(sectorOffset + needed, currentSectors - needed);
+            }
+
+            await this.handle.write(bytes, 0, bytes.length, sectorOffset * RegionFile.SECTOR_SIZE);
+
+            // Pad the last sector so the file length stays sector-aligned
+            const padding = needed * RegionFile.SECTOR_SIZE - bytes.length;
+            if (padding > 0) {
+                await this.handle.write(new Uint8Array(padding), 0, padding, sectorOffset * RegionFile.SECTOR_SIZE + bytes.length);
+            }
+
+            await this.writeEntry(index, sectorOffset, bytes.length);
+
+            // The header no longer points at what was left of a damaged entry
+            if (damaged) {
+                this.freeSectors(damaged.sectorOffset, RegionFile.sectorsFor(damaged.available));
+            }
+        });
+    }
+
+    /**
+     * Remove a chunk and free its sectors
+     */
+    delete(localX, localZ) {
+        return this.enqueue(async () => {
+            this.requireOpen();
+            const index = RegionFile.getIndex(localX, localZ);
+            if (this.offsets[index] === 0) return false;
+
+            this.freeSectors(this.offsets[index], RegionFile.sectorsFor(this.lengths[index]));
+            await this.writeEntry(index, 0, 0);
+            return true;
+        });
+    }
+
+    /**
+     * Does the region contain this chunk?
+     */
+    has(localX, localZ) {
+        return this.offsets[RegionFile.getIndex(localX, localZ)] !== 0;
+    }
+
+    /**
+     * List chunks stored in this region
+     *
+     * @returns {Array} Array of {chunkX, chunkZ}
+     */
+    list() {
+        const chunks = [];
+        for (let i = 0; i < RegionFile.ENTRY_COUNT; i++) {
+            if (this.offsets[i] === 0) continue;
+            chunks.push(this.getChunkCoords(i));
+        }
+        return chunks;
+    }
+
+    /**
+     * World chunk coordinates for an offset table index
+     */
+    getChunkCoords(index) {
+        return {
+            chunkX: this.regionX * RegionFile.REGION_SIZE + (index % RegionFile.REGION_SIZE),
+            chunkZ: this.regionZ * RegionFile.REGION_SIZE + Math.floor(index / RegionFile.REGION_SIZE)
+        };
+    }
+
+    /**
+     * 🩹 List entries that were dropped because the file is truncated
+     *
+     * @returns {Array} Array of {chunkX, chunkZ, localX, localZ, length}
+     */
+    listDamaged() {
+        return Array.from(this.damagedEntries.entries()).map(([index, { length }]) => ({
+            ...this.getChunkCoords(index),
+            localX: index % RegionFile.REGION_SIZE,
+            localZ: Math.floor(index / RegionFile.REGION_SIZE),
+            length
+        }));
+    }
+
+    /**
+     * Read whatever is left of a damaged entry (for quarantine)
+     *
+     * @returns {Promise<ArrayBuffer|null>} Partial chunk data or null if not damaged
+     */
+    salvage(localX, localZ) {
+        return this.enqueue(async () => {
+            this.requireOpen();
+            const entry = this.damagedEntries.get(RegionFile.getIndex(localX, localZ));
+            if (!entry) return null;
+
+            // Only the bytes that were in the file when it was opened - anything past
+            // that was appended since and belongs to other chunks
+            const bytes = new Uint8Array(entry.available);
+            if (bytes.length > 0) {
+                await this.handle.read(bytes, 0, bytes.length, entry.sectorOffset * RegionFile.SECTOR_SIZE);
+            }
+            return bytes.buffer;
+        });
+    }
+
+    /**
+     * Clear a damaged entry from the offset table
+     */
+    clearDamaged(localX, localZ) {
+        return this.enqueue(async () => {
+            this.requireOpen();
+            const index = RegionFile.getIndex(localX, localZ);
+            const entry = this.damagedEntries.get(index);
+            if (!entry) return false;
+
+            await this.writeEntry(index, 0, 0);
+            this.freeSectors(entry.sectorOffset, RegionFile.sectorsFor(entry.available));
+            return true;
+        });
+    }
+
+    /**
+     * Persist one offset table entry
+     */
+    async writeEntry(index, sectorOffset, length) {
+        this.offsets[index] = sectorOffset;
+        this.lengths[index] = length;
+        this.damagedEntries.delete(index); // Rewritten entries are whole again
+
+        const entry = new Uint8Array(RegionFile.ENTRY_SIZE);
+        const view = new DataView(entry.buffer);
+        view.setUint32(0, sectorOffset, true);
+        view.setUint32(4, length, true);
+
+        await this.handle.write(entry, 0, entry.length, RegionFile.HEADER_SIZE + index * RegionFile.ENTRY_SIZE);
+    }
+
+    /**
+     * First-fit search for `count` consecutive free sectors (appends if none)
+     */
+    allocateSectors(count) {
+        let runStart = -1;
+        let runLength = 0;
+
+        for (let i = RegionFile.HEADER_SECTORS; i < this.usedSectors.length; i++) {
+            if (this.usedSectors[i]) {
+                runStart = -1;
+                runLength = 0;
+                continue;
+            }
+            if (runStart === -1) runStart = i;
+            runLength++;
+            if (runLength === count) break;
+        }
+
+        // Not enough room in an existing gap: grow the file (a trailing free run is extended)
+        if (runLength < count) {
+            runStart = runStart === -1 ? this.usedSectors.length : runStart;
+        }
+
+        for (let s = 0; s < count; s++) {
+            this.usedSectors[runStart + s] = true;
+        }
+        return runStart;
+    }
+
+    freeSectors(sectorOffset, count) {
+        if (sectorOffset === 0) return;
+        for (let s = 0; s < count; s++) {
+            this.usedSectors[sectorOffset + s] = false;
+        }
+    }
+
+    /**
+     * Wait for pending operations and close the file handle
+     */
+    close() {
+        return this.enqueue(async () => {
+            if (this.handle) {
+                await this.handle.close();
+                this.handle = null;
+            }
+        });
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * SaveMigrations.js
+ *
+ * Versioned save schema for SaveSystem slots and the legacy "NebulaWorld" quick save.
+ *
+ * Every save object is stamped with `schemaVersion` by the code that collects it.
+ * Older saves are upgraded one step at a time through SAVE_MIGRATIONS before the
+ * game reads them, so loaders only ever see the current shape.
+ *
+ * Adding a field to the save:
+ * 1. Bump SAVE_SCHEMA_VERSION
+ * 2. Append a migration { from, to, description, migrate } that fills in the
+ *    new field for saves written before it existed
+ *
+ * Schema History:
+ * - 1 - Unversioned saves: legacy flat NebulaWorld object (hotbarSlots, inventoryMetadata
+ *       at top level) or SaveSystem 1.0.0 packages missing later fields
+ * - 2 - Nested inventory { hasBackpack, hotbarSlots, backpackSlots, selectedSlot, metadata },
+ *       craftedObjects / explorerPins / companions always present
+ * - 3 - villages: VillageGenerator registry (planned/rejected village records)
+ * - 4 - maps: MapManager map list { current, instances } (dungeons and other dimensions;
+ *       their blocks and state are saved in their own ChunkPersistence namespace)
+ * - 5 - worldSettings: { border } world size chosen at new-game time (WorldBorder.toJSON())
+ * - 6 - worldSettings.preset: terrain preset chosen at new-game time (WorldPreset.toJSON())
+ * - 7 - spawnPosition: world spawn { x, y, z } (the point picked on the seed preview map)
+ */
+
+export const SAVE_SCHEMA_VERSION = 7;
+
+/**
+ * Thrown when a save was written by a newer game than the one running
+ */
+export class SaveVersionError extends Error {
+    constructor(saveVersion, supportedVersion = SAVE_SCHEMA_VERSION, what = 'save schema') {
+        super(`This save uses ${what} v${saveVersion}, but this version of the game only supports up to v${supportedVersion}. Update the game to load it.`);
+        this.name = 'SaveVersionError';
+        this.saveVersion = saveVersion;
+        this.supportedVersion = supportedVersion;
+    }
+}
+
+/**
+ * Ordered migration chain. Each entry upgrades a save from `from` to `to`.
+ */
+export const SAVE_MIGRATIONS = [
+    {
+        from: 1,
+        to: 2,
+        description: 'Nest flat inventory fields and default explorerPins / craftedObjects / inventory metadata',
+        migrate(data) {
+            // Legacy NebulaWorld quick save kept inventory fields at the top level
+            if (!data.inventory) {
+                data.inventory = {
+                    hasBackpack: data.hasBackpack ?? false,
+                    hotbarSlots: data.hotbarSlots ?? null,
+                    backpackSlots: data.backpackSlots ?? null,
+                    selectedSlot: data.selectedSlot ?? 0,
+                    metadata: data.inventoryMetadata ?? {}
+                };
+                delete data.hasBackpack;
+                delete data.hotbarSlots;
+                delete data.backpackSlots;
+                delete data.selectedSlot;
+            }
+
+            if (!data.inventory.metadata) {
+                data.inventory.metadata = data.inventoryMetadata ?? {};
+            }
+            delete data.inventoryMetadata;
+
+            data.modifiedBlocks = data.modifiedBlocks ?? [];
+            data.craftedObjects = data.craftedObjects ?? [];
+            data.explorerPins = data.explorerPins ?? [];
+            data.activeNavigation = data.activeNavigation ?? null;
+            data.respawnCampfire = data.respawnCampfire ?? null;
+            data.companions = data.companions ?? {};
+            data.gameTime = data.gameTime ?? 0;
+
+            return data;
+        }
+    },
+    {
+        from: 2,
+        to: 3,
+        description: 'Add the village registry',
+        migrate(data) {
+            // Older worlds plan their villages from the seed when the player gets there
+            data.villages = data.villages ?? [];
+            return data;
+        }
+    },
+    {
+        from: 3,
+        to: 4,
+        description: 'Add the map instance list',
+        migrate(data) {
+            // Older saves were always in the overworld
+            data.maps = data.maps ?? { current: 'overworld', instances: [] };
+            return data;
+        }
+    },
+    {
+        from: 4,
+        to: 5,
+        description: 'Add world settings (world size / border)',
+        migrate(data) {
+            // Every world before finite sizes existed was infinite
+            data.worldSettings = data.worldSettings ?? { border: { size: 'infinite', radius: null, edge: null } };
+            return data;
+        }
+    },
+    {
+        from: 5,
+        to: 6,
+        description: 'Add the world preset',
+        migrate(data) {
+            // Every world before presets existed used the default terrain
+            data.worldSettings.preset = data.worldSettings.preset ?? { id: 'default' };
+            return data;
+        }
+    },
+    {
+        from: 6,
+        to: 7,
+        description: 'Add the world spawn position',
+        migrate(data) {
+            // Older worlds always spawned at the default world spawn
+            data.spawnPosition = data.spawnPosition ?? { x: 0, y: 20, z: 0 };
+            return data;
+        }
+    }
+];
+
+/**
+ * Read the schema version of a save object (unversioned saves are v1)
+ *
+ * @param {Object} data - Save data
+ * @returns {number}
+ */
+export function getSaveSchemaVersion(data) {
+    return Number.isInteger(data?.schemaVersion) ? data.schemaVersion : 1;
+}
+
+/**
+ * Upgrade save data to SAVE_SCHEMA_VERSION
+ *
+ * @param {Object} data - Save data in any known schema version
+ * @returns {Object} Save data in the current schema (the input is not modified)
+ * @throws {SaveVersionError} If the save is newer than this game understands
+ */
+export function migrateSaveData(data) {
+    let version = getSaveSchemaVersion(data);
+
+    if (version > SAVE_SCHEMA_VERSION) {
+        throw new SaveVersionError(version);
+    }
+
+    let migrated = structuredClone(data);
+
+    while (version < SAVE_SCHEMA_VERSION) {
+        const step = SAVE_MIGRATIONS.find(m => m.from === version);
+        if (!step) {
+            throw new Error(`No save migration from schema v${version}`);
+        }
+
+        console.log(`🔄 Migrating save schema v${step.from} → v${step.to}: ${step.description}`);
+        migrated = step.migrate(migrated);
+        version = step.to;
+        migrated.schemaVersion = version;
+    }
+
+    return migrated;
+}
@@ -0,0 +1,234 @@
+/**
+ * SaveSerializer.js
+ *
+ * Binary save package container for SaveSystem slots.
+ *
+ * File Format:
+ * - Header (16 bytes)
+ * - Sections (variable count, variable size)
+ *
+ * Header Structure (16 bytes):
+ * - Magic (4 bytes) - ASCII "TLNS"
+ * - Format Version (2 bytes) - uint16
+ * - Section Count (2 bytes) - uint16
+ * - Payload Length (4 bytes) - uint32 (bytes after the header)
+ * - Checksum (4 bytes) - uint32 CRC-32 of the payload
+ *
+ * Section Structure:
+ * - Tag (4 bytes) - ASCII section id (META, PLYR, INVT, WRLD, THMB)
+ * - Flags (1 byte) - uint8 bitmask (bit 0 = gzip compressed)
+ * - Reserved (3 bytes)
+ * - Length (4 bytes) - uint32
+ * - Data (Length bytes)
+ *
+ * Section Contents:
+ * - META - Slot name, timestamp, playtime, etc. (msgpack, uncompressed)
+ * - PLYR - data.player + data.companions (msgpack + gzip)
+ * - INVT - data.inventory (msgpack + gzip)
+ * - WRLD - Every other field of data: modified blocks, crafted objects... (msgpack + gzip)
+ * - THMB - Raw thumbnail image bytes (already compressed, stored as-is)
+ *
+ * Legacy JSON saves (version 1.0.0 packages) never start with the magic bytes,
+ * so SaveSystem can tell the two formats apart with isBinarySave().
+ */
+
+import msgpack from 'msgpack-lite';
+import * as pako from 'pako';
+import { crc32 } from './Checksum.js';
+import { SaveVersionError } from './SaveMigrations.js';
+
+export class SaveSerializer {
+    static MAGIC = [0x54, 0x4C, 0x4E, 0x53]; // "TLNS"
+    static FORMAT_VERSION = 1;
+    static HEADER_SIZE = 16;
+    static SECTION_HEADER_SIZE = 12;
+    static FLAG_GZIP = 0x01;
+
+    /**
+     * Prefix for binary saves kept in localStorage (base64 encoded)
+     */
+    static STORAGE_PREFIX = 'TLNS:';
+
+    /**
+     * Encode a save package into a binary container
+     *
+     * @param {Object} savePackage - Package built by SaveSystem.saveToSlot
+     * @returns {Uint8Array} Binary save file
+     */
+    static encode(savePackage) {
+        const { data, thumbnail, ...meta } = savePackage;
+        const { player, companions, inventory, ...world } = data;
+
+        const sections = [];
+
+        // Thumbnail: store decoded image bytes instead of a base64 data URL
+        if (thumbnail) {
+            const match = /^data:([^;]+);base64,(.*)$/.exec(thumbnail);
+            if (match) {
+                meta.thumbnailType = match[1];
+                sections.push({ tag: 'THMB', flags: 0, bytes: SaveSerializer.fromBase64(match[2]) });
+            }
+        }
+
+        sections.unshift({ tag: 'META', flags: 0, bytes: SaveSerializer.pack(meta, false) });
+        sections.push({ tag: 'PLYR', flags: SaveSerializer.FLAG_GZIP, bytes: SaveSerializer.pack({ player, companions }, true) });
+        sections.push({ tag: 'INVT', flags: SaveSerializer.FLAG_GZIP, bytes: SaveSerializer.pack(inventory, true) });
+        sections.push({ tag: 'WRLD', flags: SaveSerializer.FLAG_GZIP, bytes: SaveSerializer.pack(world, true) });
+
+        // Calculate total size
+        let payloadLength = 0;
+        for (const section of sections) {
+            payloadLength += SaveSerializer.SECTION_HEADER_SIZE + section.bytes.length;
+        }
+
+        const output = new Uint8Array(SaveSerializer.HEADER_SIZE + payloadLength);
+        const view = new DataView(output.buffer);
+
+        let offset = SaveSerializer.HEADER_SIZE;
+
+        // Write sections
+        for (const section of sections) {
+            for (let i = 0; i < 4; i++) {
+                output[offset + i] = section.tag.charCodeAt(i);
+            }
+            output[offset + 4] = section.flags;
+            view.setUint32(offset + 8, section.bytes.length, true);
+            offset += SaveSerializer.SECTION_HEADER_SIZE;
+
+            output.set(section.bytes, offset);
+            offset += section.bytes.length;
+        }
+
+        // Write header last (checksum covers the finished payload)
+        output.set(SaveSerializer.MAGIC, 0);
+        view.setUint16(4, SaveSerializer.FORMAT_VERSION, true);
+        view.setUint16(6, sections.length, true);
+        view.setUint32(8, payloadLength, true);
+        view.setUint32(12, crc32(output, SaveSerializer.HEADER_SIZE), true);
+
+        return output;
+    }
+
+    /**
+     * Decode a binary container back into a save package
+     *
+     * @param {Uint8Array} bytes - Binary save file
+     * @param {Object} options
+     * @param {boolean} options.metadataOnly - Skip player/inventory/world sections (slot list UI)
+     * @returns {Object} Save package ({ name, timestamp, thumbnail, data, ... })
+     */
+    static decode(bytes, { metadataOnly = false } = {}) {
+        if (!SaveSerializer.isBinarySave(bytes)) {
+            throw new Error('Not a binary save file (bad magic bytes)');
+        }
+        if (bytes.length < SaveSerializer.HEADER_SIZE) {
+            throw new Error('Save file is truncated (incomplete header)');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // Read header
+        const formatVersion = view.getUint16(4, true);
+        const sectionCount = view.getUint16(6, true);
+        const payloadLength = view.getUint32(8, true);
+        const checksum = view.getUint32(12, true);
+
+        if (formatVersion > SaveSerializer.FORMAT_VERSION) {
+            throw new SaveVersionError(formatVersion, SaveSerializer.FORMAT_VERSION, 'save file format');
+        }
+
+        const end = SaveSerializer.HEADER_SIZE + payloadLength;
+        if (bytes.length < end) {
+            throw new Error(`Save file is truncated (${bytes.length} of ${end} bytes)`);
+        }
+        if (crc32(bytes, SaveSerializer.HEADER_SIZE, end) !== checksum) {
+            throw new Error('Save file is corrupted (checksum mismatch)');
+        }
+
+        // Read section table
+        const sections = {};
+        let offset = SaveSerializer.HEADER_SIZE;
+        for (let i = 0; i < sectionCount; i++) {
+            const tag = String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+            const flags = bytes[offset + 4];
+            const length = view.getUint32(offset + 8, true);
+            offset += SaveSerializer.SECTION_HEADER_SIZE;
+
+            sections[tag] = { flags, bytes: bytes.subarray(offset, offset + length) };
+            offset += length;
+        }
+
+        if (!sections.META) {
+            throw new Error('Save file has no META section');
+        }
+
+        const { thumbnailType, ...meta } = SaveSerializer.unpack(sections.META);
+        const savePackage = { ...meta, thumbnail: null };
+
+        if (sections.THMB) {
+            savePackage.thumbnail = `data:${thumbnailType || 'image/png'};base64,${SaveSerializer.toBase64(sections.THMB.bytes)}`;
+        }
+
+        if (metadataOnly) {
+            return savePackage;
+        }
+
+        const { player, companions } = sections.PLYR ? SaveSerializer.unpack(sections.PLYR) : {};
+        const inventory = sections.INVT ? SaveSerializer.unpack(sections.INVT) : undefined;
+        const world = sections.WRLD ? SaveSerializer.unpack(sections.WRLD) : {};
+
+        savePackage.data = { ...world, player, companions, inventory };
+        return savePackage;
+    }
+
+    /**
+     * Check whether bytes start with the binary save magic
+     *
+     * @param {Uint8Array} bytes
+     * @returns {boolean}
+     */
+    static isBinarySave(bytes) {
+        if (!bytes || bytes.length < 4) return false;
+        return SaveSerializer.MAGIC.every((b, i) => bytes[i] === b);
+    }
+
+    /**
+     * msgpack (+ optional gzip) a value
+     */
+    static pack(value, compress) {
+        const packed = new Uint8Array(msgpack.encode(value));
+        return compress ? pako.gzip(packed) : packed;
+    }
+
+    /**
+     * Reverse of pack() for a parsed section
+     */
+    static unpack(section) {
+        const packed = (section.flags & SaveSerializer.FLAG_GZIP) ? pako.ungzip(section.bytes) : section.bytes;
+        return msgpack.decode(packed);
+    }
+
+    /**
+     * Base64 encode bytes (chunked to avoid call stack limits on large saves)
+     */
+    static toBase64(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Base64 decode to bytes
+     */
+    static fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * WorldArchive.js
+ *
+ * Portable single-file world archive (.tlnworld) for moving worlds between machines.
+ *
+ * Bundles everything that makes up a world:
+ * - The save package (SaveSerializer binary container)
+ * - Every chunk (.dat) and modification (.mod) record from ChunkPersistence
+ * - LOD chunks
+ * - World-related localStorage keys (kill tracker, teleport pads, discovered foods...)
+ *
+ * File Format:
+ * - Header (16 bytes)
+ * - Payload (gzip of a msgpack bundle)
+ *
+ * Header Structure (16 bytes):
+ * - Magic (4 bytes) - ASCII "TLNW"
+ * - Format Version (2 bytes) - uint16
+ * - Reserved (2 bytes)
+ * - Payload Length (4 bytes) - uint32
+ * - Checksum (4 bytes) - uint32 CRC-32 of the payload
+ *
+ * Bundle Structure:
+ * - manifest - { worldSeed, exportedAt, saveName, chunkCount, modCount, lodCount }
+ * - save - Uint8Array (SaveSerializer container)
+ * - chunks - [{ chunkX, chunkZ, isMod, data: Uint8Array }]
+ * - lodChunks - [{ chunkX, chunkZ, colorBlocks }]
+ * - storage - { localStorageKey: string value }
+ */
+
+import msgpack from 'msgpack-lite';
+import * as pako from 'pako';
+import { crc32 } from './Checksum.js';
+import { SaveVersionError } from './SaveMigrations.js';
+
+/**
+ * Thrown when an imported world's seed already has chunks stored on this machine
+ * (the import is retried with replaceExisting once the player confirms)
+ */
+export class WorldImportConflictError extends Error {
+    constructor(worldSeed) {
+        super(`A world with seed ${worldSeed} is already stored on this machine - importing would replace its chunks and edits.`);
+        this.name = 'WorldImportConflictError';
+        this.worldSeed = worldSeed;
+    }
+}
+
+export class WorldArchive {
+    static MAGIC = [0x54, 0x4C, 0x4E, 0x57]; // "TLNW"
+    static FORMAT_VERSION = 1;
+    static HEADER_SIZE = 16;
+    static FILE_EXTENSION = '.tlnworld';
+
+    /**
+     * localStorage keys that belong to the world (settings like volume/GPU are left alone)
+     */
+    static WORLD_STORAGE_KEYS = [
+        'NebulaWorld_playerData',       // Character, companions, kill tracker
+        'NebulaWorld_respawnCampfire',
+        'teleportPads',
+        'voxelworld_discovered_foods',
+        'questFlags',
+        'longNights_playerStats',
+        'activeCompanion',
+        'tutorialRuinGenerated',
+        'tutorialRuinCompleted'
+    ];
+
+    /**
+     * Encode a world bundle into an archive file
+     *
+     * @param {Object} bundle - { manifest, save, chunks, lodChunks, storage }
+     * @returns {Uint8Array} Archive bytes
+     */
+    static encode(bundle) {
+        const payload = pako.gzip(new Uint8Array(msgpack.encode(bundle)));
+
+        const output = new Uint8Array(WorldArchive.HEADER_SIZE + payload.length);
+        const view = new DataView(output.buffer);
+
+        // Write header
+        output.set(WorldArchive.MAGIC, 0);
+        view.setUint16(4, WorldArchive.FORMAT_VERSION, true);
+        view.setUint32(8, payload.length, true);
+        view.setUint32(12, crc32(payload), true);
+
+        // Write payload
+        output.set(payload, WorldArchive.HEADER_SIZE);
+
+        return output;
+    }
+
+    /**
+     * Decode an archive file back into a world bundle
+     *
+     * @param {Uint8Array} bytes - Archive bytes
+     * @returns {Object} { manifest, save, chunks, lodChunks, storage }
+     */
+    static decode(bytes) {
+        if (!WorldArchive.isWorldArchive(bytes)) {
+            throw new Error('Not a The Long Nights world archive');
+        }
+        if (bytes.length < WorldArchive.HEADER_SIZE) {
+            throw new Error('World archive is truncated (incomplete header)');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // Read header
+        const formatVersion = view.getUint16(4, true);
+        const payloadLength = view.getUint32(8, true);
+        const checksum = view.getUint32(12, true);
+
+        if (formatVersion > WorldArchive.FORMAT_VERSION) {
+            throw new SaveVersionError(formatVersion, WorldArchive.FORMAT_VERSION, 'world archive format');
+        }
+
+        const end = WorldArchive.HEADER_SIZE + payloadLength;
+        if (bytes.length < end) {
+            throw new Error(`World archive is truncated (${bytes.length} of ${end} bytes)`);
+        }
+
+        const payload = bytes.subarray(WorldArchive.HEADER_SIZE, end);
+        if (crc32(payload) !== checksum) {
+            throw new Error('World archive is corrupted (checksum mismatch)');
+        }
+
+        const bundle = msgpack.decode(pako.ungzip(payload));
+
+        if (!bundle.manifest || !bundle.save) {
+            throw new Error('World archive is missing its manifest or save data');
+        }
+
+        return {
+            manifest: bundle.manifest,
+            save: bundle.save,
+            chunks: bundle.chunks || [],
+            lodChunks: bundle.lodChunks || [],
+            storage: bundle.storage || {}
+        };
+    }
+
+    /**
+     * Check whether bytes start with the world archive magic
+     *
+     * @param {Uint8Array} bytes
+     * @returns {boolean}
+     */
+    static isWorldArchive(bytes) {
+        if (!bytes || bytes.length < 4) return false;
+        return WorldArchive.MAGIC.every((b, i) => bytes[i] === b);
+    }
+
+    /**
+     * Suggested download filename for a world
+     *
+     * @param {number} worldSeed
+     * @returns {string} e.g. "world_12345_2025-10-24.tlnworld"
+     */
+    static getArchiveFilename(worldSeed) {
+        const date = new Date().toISOString().slice(0, 10);
+        return `world_${worldSeed}_${date}${WorldArchive.FILE_EXTENSION}`;
+    }
+}
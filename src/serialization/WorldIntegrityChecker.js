@@ -0,0 +1,262 @@
+/**
+ * WorldIntegrityChecker.js
+ *
+ * Walks every chunk, modification and LOD record of a world, reports anything
+ * that won't load, and repairs it on request.
+ *
+ * Without this a damaged chunk record just falls back to regeneration when it
+ * is loaded, and a damaged modification record loses the player's edits.
+ *
+ * Problems:
+ * - corrupt: fails its checksum, doesn't parse, is truncated, or holds a different chunk
+ * - unsupported: written by a newer game version (reported, never touched)
+ * - orphan: a record nothing will ever use
+ *   - modification records with no edits and no block states
+ *   - LOD records stamped with another world's seed (the browser LOD store is shared)
+ *
+ * Repair Options:
+ * - quarantine: move corrupt records aside instead of deleting them
+ * - regenerate: rebuild corrupt terrain chunks from the seed right away; the player's
+ *   edits (.mod record + unsaved ModificationTracker changes) are re-applied on top
+ * - dropOrphans: delete orphaned records
+ */
+
+import { ChunkSerializer } from './ChunkSerializer.js';
+
+export class WorldIntegrityChecker {
+    /**
+     * @param {ChunkPersistence} persistence - Storage of the world to check
+     * @param {Object} options
+     * @param {Function} options.regenerateChunk - async (chunkX, chunkZ) => void, e.g. WorkerManager.regenerateChunk
+     */
+    constructor(persistence, { regenerateChunk = null } = {}) {
+        this.persistence = persistence;
+        this.regenerateChunk = regenerateChunk;
+    }
+
+    /**
+     * 🩺 Check every record of the world
+     *
+     * @param {Function} onProgress - Optional (checked, total) callback
+     * @returns {Promise<Object>} Report: { worldSeed, checkedAt, totals, versions, unverified, issues }
+     */
+    async check(onProgress = null) {
+        const persistence = this.persistence;
+        const records = await persistence.listChunks();
+        const damaged = await persistence.listDamagedChunks();
+        const lodRecords = await persistence.listLODChunks();
+
+        const report = {
+            worldSeed: persistence.worldSeed,
+            checkedAt: Date.now(),
+            totals: { chunks: 0, modifications: 0, lod: 0 },
+            versions: {}, // { formatVersion: recordCount }
+            unverified: 0, // Records from before chunk checksums (structure checked only)
+            issues: [] // [{ kind: 'dat'|'mod'|'lod', chunkX, chunkZ, problem, reason }]
+        };
+
+        const total = records.length + damaged.length + lodRecords.length;
+        let checked = 0;
+        const progress = () => {
+            checked++;
+            if (onProgress) onProgress(checked, total);
+        };
+
+        for (const { chunkX, chunkZ, isMod } of records) {
+            const kind = isMod ? 'mod' : 'dat';
+            report.totals[isMod ? 'modifications' : 'chunks']++;
+
+            try {
+                const buffer = await persistence.readChunkBytes(chunkX, chunkZ, isMod);
+                const result = ChunkSerializer.validateChunk(buffer, chunkX, chunkZ);
+
+                if (result.version !== null) {
+                    report.versions[result.version] = (report.versions[result.version] || 0) + 1;
+                }
+
+                if (result.version > ChunkSerializer.VERSION) {
+                    report.issues.push({ kind, chunkX, chunkZ, problem: 'unsupported', reason: result.error });
+                } else if (!result.valid) {
+                    report.issues.push({ kind, chunkX, chunkZ, problem: 'corrupt', reason: result.error });
+                } else {
+                    if (!result.checksummed) report.unverified++;
+
+                    const { blocks, states } = result.chunkData;
+                    if (isMod && blocks.length === 0 && states.length === 0) {
+                        report.issues.push({ kind, chunkX, chunkZ, problem: 'orphan', reason: 'No edits or block states' });
+                    }
+                }
+            } catch (error) {
+                report.issues.push({ kind, chunkX, chunkZ, problem: 'corrupt', reason: `Unreadable: ${error.message}` });
+            }
+            progress();
+        }
+
+        for (const { chunkX, chunkZ, isMod, length } of damaged) {
+            report.totals[isMod ? 'modifications' : 'chunks']++;
+            report.issues.push({
+                kind: isMod ? 'mod' : 'dat',
+                chunkX,
+                chunkZ,
+                problem: 'corrupt',
+                reason: `Region file is truncated (${length}-byte record cut off)`
+            });
+            progress();
+        }
+
+        for (const { chunkX, chunkZ, worldSeed } of lodRecords) {
+            report.totals.lod++;
+
+            if (worldSeed !== undefined && worldSeed !== persistence.worldSeed) {
+                report.issues.push({ kind: 'lod', chunkX, chunkZ, problem: 'orphan', reason: `Belongs to world ${worldSeed}` });
+            } else {
+                const reason = await this.checkLODRecord(chunkX, chunkZ);
+                if (reason) {
+                    report.issues.push({ kind: 'lod', chunkX, chunkZ, problem: 'corrupt', reason });
+                }
+            }
+            progress();
+        }
+
+        return report;
+    }
+
+    /**
+     * Check one LOD record
+     *
+     * @returns {Promise<string|null>} What's wrong, or null if it's fine
+     */
+    async checkLODRecord(chunkX, chunkZ) {
+        let lodData;
+        try {
+            lodData = JSON.parse(await this.persistence.readLODData(chunkX, chunkZ));
+        } catch (error) {
+            return `Unreadable: ${error.message}`;
+        }
+
+        if (!lodData || !Array.isArray(lodData.colorBlocks)) {
+            return 'Missing colour blocks';
+        }
+        if (lodData.chunkX !== chunkX || lodData.chunkZ !== chunkZ) {
+            return `Record holds chunk (${lodData.chunkX}, ${lodData.chunkZ})`;
+        }
+        return null;
+    }
+
+    /**
+     * 🔧 Repair the problems in a report
+     *
+     * @param {Object} report - From check()
+     * @param {Object} options - { quarantine, regenerate, dropOrphans } (all default to true)
+     * @returns {Promise<Object>} { quarantined, deleted, regenerated, skipped, failed: [{ issue, error }] }
+     */
+    async repair(report, { quarantine = true, regenerate = true, dropOrphans = true } = {}) {
+        const persistence = this.persistence;
+        const result = { quarantined: 0, deleted: 0, regenerated: 0, skipped: 0, failed: [] };
+
+        for (const issue of report.issues) {
+            const { kind, chunkX, chunkZ, problem, reason } = issue;
+            const isMod = kind === 'mod';
+
+            try {
+                if (problem === 'orphan') {
+                    if (!dropOrphans) {
+                        result.skipped++;
+                    } else if (kind === 'lod') {
+                        await persistence.deleteLODChunk(chunkX, chunkZ);
+                        result.deleted++;
+                    } else {
+                        await persistence.deleteChunk(chunkX, chunkZ, isMod);
+                        result.deleted++;
+                    }
+                    continue;
+                }
+
+                // Newer-format records are left for the newer game to read
+                if (problem !== 'corrupt') {
+                    result.skipped++;
+                    continue;
+                }
+
+                if (kind === 'lod') {
+                    // LOD chunks are a cache - removing the bad record makes it regenerate on demand
+                    if (quarantine) {
+                        await persistence.quarantineLODChunk(chunkX, chunkZ, reason);
+                        result.quarantined++;
+                    } else if (regenerate) {
+                        await persistence.deleteLODChunk(chunkX, chunkZ);
+                        result.deleted++;
+                    } else {
+                        result.skipped++;
+                    }
+                    continue;
+                }
+
+                if (isMod) {
+                    // Edits can't be regenerated: only move the record aside so new edits save cleanly
+                    if (quarantine) {
+                        await persistence.quarantineChunk(chunkX, chunkZ, true, reason);
+                        result.quarantined++;
+                    } else {
+                        result.skipped++;
+                    }
+                    continue;
+                }
+
+                if (!quarantine && !regenerate) {
+                    result.skipped++;
+                    continue;
+                }
+
+                if (quarantine) {
+                    await persistence.quarantineChunk(chunkX, chunkZ, false, reason);
+                    result.quarantined++;
+                } else {
+                    await persistence.deleteChunk(chunkX, chunkZ, false);
+                    result.deleted++;
+                }
+
+                // Without a generator the chunk is rebuilt (edits included) the next time it loads
+                if (regenerate && this.regenerateChunk) {
+                    await this.regenerateChunk(chunkX, chunkZ);
+                    result.regenerated++;
+                }
+            } catch (error) {
+                console.error(`❌ Failed to repair ${kind} (${chunkX}, ${chunkZ}):`, error);
+                result.failed.push({ issue, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 📋 Human-readable report for the console
+     *
+     * @param {Object} report - From check()
+     * @returns {string}
+     */
+    static formatReport(report) {
+        const { totals, versions, unverified, issues } = report;
+        const kindNames = { dat: 'chunk', mod: 'modifications', lod: 'LOD chunk' };
+        const lines = [
+            `🩺 World ${report.worldSeed}: ${totals.chunks} chunks, ${totals.modifications} modification records, ${totals.lod} LOD chunks`
+        ];
+
+        const formats = Object.entries(versions).map(([version, count]) => `v${version} × ${count}`).join(', ');
+        if (formats) {
+            lines.push(`   Formats: ${formats}${unverified > 0 ? ` (${unverified} without checksum - structure checked only)` : ''}`);
+        }
+
+        if (issues.length === 0) {
+            lines.push('   ✅ No problems found');
+            return lines.join('\n');
+        }
+
+        const icons = { corrupt: '❌', unsupported: '⏭️', orphan: '🗑️' };
+        for (const { kind, chunkX, chunkZ, problem, reason } of issues) {
+            lines.push(`   ${icons[problem]} ${problem} ${kindNames[kind]} (${chunkX}, ${chunkZ}): ${reason}`);
+        }
+        return lines.join('\n');
+    }
+}
@@ -1,17 +1,34 @@
 /**
  * 🎮 Main Menu System
  * Shows on game startup with options for:
- * - New Game (triggers personality quiz)
+ * - New Game (world options: size, edge, preset, seed + seed preview map - then triggers personality quiz)
  * - Load Game (loads from localStorage)
+ * - Recover Last Session (only after a crash, replays the recovery journal)
  * - Dev Mode (calls unlockUI() with test data)
  */
 
+import { RecoveryJournal } from '../RecoveryJournal.js';
+import { WorldBorder } from '../worldgen/WorldBorder.js';
+import { WorldPreset } from '../worldgen/WorldPreset.js';
+
 export class MainMenu {
-    constructor(onNewGame, onLoadGame, onDevMode) {
+    static PREVIEW_SIZE = 256;          // Seed preview map pixels per side
+    static PREVIEW_RADIUS = 512;        // Blocks from spawn to the edge of the preview map
+    static PREVIEW_DISPLAY_SIZE = 384;  // Seed preview canvas size on screen
+
+    /**
+     * @param {BiomeWorldGen} biomeWorldGen - Biome / noise tables for the seed preview (null = no preview)
+     */
+    constructor(onNewGame, onLoadGame, onDevMode, onRecoverSession = null, biomeWorldGen = null) {
         this.onNewGame = onNewGame;
         this.onLoadGame = onLoadGame;
         this.onDevMode = onDevMode;
+        this.onRecoverSession = onRecoverSession;
+        this.biomeWorldGen = biomeWorldGen;
         this.menuElement = null;
+        this.buttonContainer = null;
+        this.worldOptionsPanel = null;
+        this.previewWorker = null;
         this.canvas = null;
         this.ctx = null;
         this.particles = [];
@@ -24,6 +41,7 @@ export class MainMenu {
     show() {
         // Check if save game exists
         const hasSaveGame = localStorage.getItem('NebulaWorld_playerData') !== null;
+        const hasRecovery = this.onRecoverSession !== null && RecoveryJournal.hasPendingRecovery();
 
         // Create menu overlay
         this.menuElement = document.createElement('div');
@@ -70,6 +88,7 @@ export class MainMenu {
 
         // Menu buttons container
         const buttonContainer = document.createElement('div');
+        this.buttonContainer = buttonContainer;
         buttonContainer.style.cssText = `
             display: flex;
             flex-direction: column;
@@ -80,8 +99,7 @@ export class MainMenu {
         // New Game button
         const newGameBtn = this.createMenuButton('🆕 New Game', 'Start a fresh adventure');
         newGameBtn.addEventListener('click', () => {
-            this.hide();
-            if (this.onNewGame) this.onNewGame();
+            this.showWorldOptions();
         });
         buttonContainer.appendChild(newGameBtn);
 
@@ -99,6 +117,16 @@ export class MainMenu {
         }
         buttonContainer.appendChild(loadGameBtn);
 
+        // Recover button (only when the last session crashed with unsaved progress)
+        if (hasRecovery) {
+            const recoverBtn = this.createMenuButton('🩹 Recover last session', 'The game did not close cleanly - restore unsaved progress');
+            recoverBtn.addEventListener('click', () => {
+                this.hide();
+                this.onRecoverSession();
+            });
+            buttonContainer.appendChild(recoverBtn);
+        }
+
         // Dev Mode button (always available)
         const devModeBtn = this.createMenuButton('🔧 Dev Mode', 'Skip setup for testing');
         devModeBtn.style.marginTop = '2rem';
@@ -130,6 +158,417 @@ export class MainMenu {
         console.log('🎮 Main Menu displayed');
     }
 
+    /**
+     * 🌍 New-game world options: world size, border edge, terrain preset and seed
+     * Start calls onNewGame({ worldSize, worldEdge, worldPreset, superflatLayers, seed })
+     * (plus spawnPoint when started from the seed preview)
+     */
+    showWorldOptions() {
+        const options = { worldSize: 'infinite', worldEdge: 'ocean', worldPreset: 'default', superflatLayers: null, seed: '' };
+
+        this.buttonContainer.style.display = 'none';
+
+        const panel = document.createElement('div');
+        this.worldOptionsPanel = panel;
+        panel.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            gap: 0.8rem;
+            min-width: 360px;
+        `;
+
+        const heading = document.createElement('div');
+        heading.textContent = '🌍 New World';
+        heading.style.cssText = `
+            color: #f4e4c1;
+            font-size: 1.4rem;
+            font-weight: bold;
+            text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.8);
+        `;
+        panel.appendChild(heading);
+
+        // Highlight the chosen button of a group
+        const select = (buttons, chosen) => {
+            buttons.forEach(button => {
+                button.style.borderColor = button === chosen ? '#f4e4c1' : '#8b7355';
+            });
+        };
+
+        // World size
+        const sizeButtons = [];
+        const edgeButtons = [];
+        Object.entries(WorldBorder.SIZES).forEach(([size, preset]) => {
+            const button = this.createMenuButton(`${preset.emoji} ${preset.name}`, preset.description);
+            button.addEventListener('click', () => {
+                options.worldSize = size;
+                select(sizeButtons, button);
+                // Infinite worlds have no edge to choose
+                edgeButtons.forEach(edgeButton => {
+                    edgeButton.style.opacity = preset.radius === null ? '0.4' : '1';
+                    edgeButton.disabled = preset.radius === null;
+                });
+            });
+            sizeButtons.push(button);
+            panel.appendChild(button);
+        });
+
+        // Border edge (finite worlds)
+        const edgeRow = document.createElement('div');
+        edgeRow.style.cssText = 'display: flex; gap: 0.8rem;';
+        const edgeLabels = { ocean: ['🌊 Ocean edge', 'Land sinks into the sea'], cliff: ['🧗 Cliff edge', 'The world ends in a sheer drop'] };
+        WorldBorder.EDGES.forEach(edge => {
+            const button = this.createMenuButton(...edgeLabels[edge]);
+            button.style.flex = '1';
+            button.addEventListener('click', () => {
+                options.worldEdge = edge;
+                select(edgeButtons, button);
+            });
+            edgeButtons.push(button);
+            edgeRow.appendChild(button);
+        });
+        panel.appendChild(edgeRow);
+
+        const inputStyle = `
+            background: rgba(20, 20, 30, 0.8);
+            border: 2px solid #8b7355;
+            color: #f4e4c1;
+            padding: 0.8rem 1rem;
+            font-size: 1rem;
+            font-family: 'Courier New', monospace;
+            border-radius: 8px;
+        `;
+
+        // Terrain preset (superflat also takes its layer list)
+        const presetButtons = [];
+        const presetRow = document.createElement('div');
+        presetRow.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 0.8rem;';
+        const layersInput = document.createElement('input');
+        Object.entries(WorldPreset.PRESETS).forEach(([id, preset]) => {
+            const button = this.createMenuButton(`${preset.emoji} ${preset.name}`, preset.description);
+            button.addEventListener('click', () => {
+                options.worldPreset = id;
+                select(presetButtons, button);
+                layersInput.style.display = preset.flat ? 'block' : 'none';
+            });
+            presetButtons.push(button);
+            presetRow.appendChild(button);
+        });
+        panel.appendChild(presetRow);
+
+        layersInput.type = 'text';
+        layersInput.value = WorldPreset.formatLayers(WorldPreset.DEFAULT_LAYERS);
+        layersInput.title = `Layers bottom to top, e.g. bedrock,stone*2,dirt*2,grass (${WorldPreset.LAYER_BLOCKS.join(', ')})`;
+        layersInput.style.cssText = inputStyle;
+        layersInput.style.display = 'none';
+        panel.appendChild(layersInput);
+
+        const errorLine = document.createElement('div');
+        errorLine.style.cssText = 'color: #ff8080; font-size: 0.9rem; display: none;';
+        panel.appendChild(errorLine);
+
+        // Seed (blank = random)
+        const seedInput = document.createElement('input');
+        seedInput.type = 'text';
+        seedInput.placeholder = '🎲 Seed (leave blank for random)';
+        seedInput.style.cssText = inputStyle;
+        seedInput.addEventListener('input', () => {
+            options.seed = seedInput.value;
+        });
+        panel.appendChild(seedInput);
+
+        // Superflat layers from the text box (false = invalid, error shown)
+        const readLayers = () => {
+            options.superflatLayers = null;
+            if (!WorldPreset.PRESETS[options.worldPreset].flat) return true;
+
+            try {
+                options.superflatLayers = WorldPreset.parseLayers(layersInput.value);
+            } catch (error) {
+                errorLine.textContent = `⚠️ ${error.message}`;
+                errorLine.style.display = 'block';
+                return false;
+            }
+            errorLine.style.display = 'none';
+            return true;
+        };
+
+        // Seed preview map (needs the biome tables)
+        if (this.biomeWorldGen) {
+            const previewBtn = this.createMenuButton('🗺️ Preview Seed', 'See the land around spawn and pick where you start');
+            previewBtn.style.marginTop = '1rem';
+            previewBtn.addEventListener('click', () => {
+                if (!readLayers()) return;
+                panel.style.display = 'none';
+                this.showSeedPreview(options, (seed) => {
+                    // Back: keep the previewed seed
+                    options.seed = String(seed);
+                    seedInput.value = options.seed;
+                    panel.style.display = 'flex';
+                });
+            });
+            panel.appendChild(previewBtn);
+        }
+
+        // Start / Back
+        const startBtn = this.createMenuButton('▶️ Start', 'Create the world and begin');
+        startBtn.style.marginTop = '1rem';
+        startBtn.addEventListener('click', () => {
+            if (!readLayers()) return;
+            this.hide();
+            if (this.onNewGame) this.onNewGame({ ...options });
+        });
+        panel.appendChild(startBtn);
+
+        const backBtn = this.createMenuButton('⬅️ Back', 'Return to the main menu');
+        backBtn.style.opacity = '0.7';
+        backBtn.addEventListener('click', () => {
+            panel.remove();
+            this.worldOptionsPanel = null;
+            this.buttonContainer.style.display = 'flex';
+        });
+        panel.appendChild(backBtn);
+
+        select(sizeButtons, sizeButtons[0]);
+        select(edgeButtons, edgeButtons[0]);
+        select(presetButtons, presetButtons[0]);
+        edgeButtons.forEach(button => {
+            button.style.opacity = '0.4';
+            button.disabled = true;
+        });
+
+        this.menuElement.insertBefore(panel, this.buttonContainer);
+    }
+
+    /**
+     * 🗺️ Seed preview: top-down biome/elevation map around spawn (SeedPreviewWorker)
+     * with the ruins marked. Reroll tries another seed, clicking the map picks the
+     * spawn point, Start calls onNewGame({ ...options, seed, spawnPoint }).
+     * @param {Object} options - World options from showWorldOptions
+     * @param {Function} onBack - Called with the previewed seed when the player goes back
+     */
+    showSeedPreview(options, onBack) {
+        const size = MainMenu.PREVIEW_SIZE;
+        const radius = MainMenu.PREVIEW_RADIUS;
+        const displaySize = MainMenu.PREVIEW_DISPLAY_SIZE;
+        const worldSettings = {
+            border: { size: options.worldSize, edge: options.worldEdge },
+            preset: { id: options.worldPreset, layers: options.superflatLayers ?? undefined }
+        };
+
+        let seed = this.getPreviewSeed(options.seed);
+        let preview = null;    // Last PREVIEW_READY data for the current seed
+        let spawnPoint = null; // { x, y, z } picked on the map (null = world spawn)
+        let requestId = 0;
+
+        const panel = document.createElement('div');
+        panel.style.cssText = `
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            gap: 0.8rem;
+        `;
+
+        const heading = document.createElement('div');
+        heading.textContent = '🗺️ Seed Preview';
+        heading.style.cssText = `
+            color: #f4e4c1;
+            font-size: 1.4rem;
+            font-weight: bold;
+            text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.8);
+        `;
+        panel.appendChild(heading);
+
+        const info = document.createElement('div');
+        info.style.cssText = 'color: #f4e4c1; font-size: 0.9rem; text-align: center;';
+        panel.appendChild(info);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = displaySize;
+        canvas.height = displaySize;
+        canvas.style.cssText = `
+            border: 2px solid #8b7355;
+            border-radius: 8px;
+            cursor: crosshair;
+            image-rendering: pixelated;
+            box-shadow: 0 4px 8px rgba(0, 0, 0, 0.4);
+        `;
+        panel.appendChild(canvas);
+        const ctx = canvas.getContext('2d');
+
+        // The worker's pixels, scaled up onto the visible canvas
+        const mapCanvas = document.createElement('canvas');
+        mapCanvas.width = size;
+        mapCanvas.height = size;
+
+        const hint = document.createElement('div');
+        hint.textContent = '👆 Click the map to choose where you start';
+        hint.style.cssText = 'color: #f4e4c1; font-size: 0.8rem; opacity: 0.7;';
+        panel.appendChild(hint);
+
+        // World (x, z) ↔ canvas pixel
+        const toCanvas = (x, z) => [(x + radius) / (radius * 2) * displaySize, (z + radius) / (radius * 2) * displaySize];
+
+        const updateInfo = () => {
+            if (!preview) {
+                info.textContent = `🎲 Seed ${seed} - rendering map...`;
+                return;
+            }
+            const spawnText = spawnPoint ? `📍 Spawn (${spawnPoint.x}, ${spawnPoint.z})` : '📍 Spawn (0, 0)';
+            info.textContent = `🎲 Seed ${seed} · 🏛️ ${preview.structures.length} ruins · ${spawnText}`;
+        };
+
+        const draw = () => {
+            ctx.fillStyle = '#101018';
+            ctx.fillRect(0, 0, displaySize, displaySize);
+            if (!preview) return;
+
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(mapCanvas, 0, 0, displaySize, displaySize);
+
+            // 🏛️ Ruins - bigger squares for bigger ruins
+            const markerSizes = { small: 4, medium: 5, large: 7, colossal: 9 };
+            ctx.strokeStyle = '#000000';
+            ctx.fillStyle = '#f4e4c1';
+            for (const structure of preview.structures) {
+                const [cx, cy] = toCanvas(structure.x, structure.z);
+                const markerSize = markerSizes[structure.size] || 4;
+                ctx.fillRect(cx - markerSize / 2, cy - markerSize / 2, markerSize, markerSize);
+                ctx.strokeRect(cx - markerSize / 2, cy - markerSize / 2, markerSize, markerSize);
+            }
+
+            // 📍 Spawn
+            const [sx, sy] = toCanvas(spawnPoint?.x ?? 0, spawnPoint?.z ?? 0);
+            ctx.beginPath();
+            ctx.arc(sx, sy, 5, 0, Math.PI * 2);
+            ctx.fillStyle = '#ff3030';
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#ffffff';
+            ctx.stroke();
+            ctx.lineWidth = 1;
+        };
+
+        const requestPreview = () => {
+            preview = null;
+            spawnPoint = null;
+            requestId++;
+            updateInfo();
+            draw();
+
+            this.previewWorker.postMessage({
+                type: 'RENDER_PREVIEW',
+                data: {
+                    requestId,
+                    seed,
+                    biomeConfig: this.biomeWorldGen.biomes,
+                    noiseConfig: this.biomeWorldGen.noiseParams,
+                    worldSettings,
+                    radius,
+                    size
+                }
+            });
+        };
+
+        this.previewWorker = new Worker(
+            new URL('../workers/SeedPreviewWorker.js', import.meta.url),
+            { type: 'module' }
+        );
+        this.previewWorker.onmessage = (e) => {
+            const { type, data } = e.data;
+            if (type !== 'PREVIEW_READY' || data.requestId !== requestId) return; // Rerolled since
+
+            preview = data;
+            mapCanvas.getContext('2d').putImageData(new ImageData(data.pixels, size, size), 0, 0);
+            console.log(`🗺️ Seed preview ${seed}: ${data.structures.length} ruins (${Math.round(data.elapsed)}ms)`);
+            updateInfo();
+            draw();
+        };
+        this.previewWorker.onerror = (error) => {
+            console.error('🚨 Seed preview worker error:', error);
+            info.textContent = '⚠️ Could not render the preview map';
+        };
+
+        // 📍 Pick the spawn point (dry land inside the world only)
+        canvas.addEventListener('click', (event) => {
+            if (!preview) return;
+
+            const rect = canvas.getBoundingClientRect();
+            const px = Math.floor((event.clientX - rect.left) / rect.width * size);
+            const py = Math.floor((event.clientY - rect.top) / rect.height * size);
+            const height = preview.heights[py * size + px];
+            if (height === undefined || height < 0) {
+                hint.textContent = '🌊 Pick a spot on dry land';
+                return;
+            }
+
+            const blocksPerPixel = (radius * 2) / size;
+            const x = Math.floor(-radius + (px + 0.5) * blocksPerPixel);
+            const z = Math.floor(-radius + (py + 0.5) * blocksPerPixel);
+            spawnPoint = { x, y: height + 2, z };
+            hint.textContent = '👆 Click the map to choose where you start';
+            updateInfo();
+            draw();
+        });
+
+        const closePreview = () => {
+            this.previewWorker?.terminate();
+            this.previewWorker = null;
+            panel.remove();
+        };
+
+        // Reroll / Start / Back
+        const buttonRow = document.createElement('div');
+        buttonRow.style.cssText = 'display: flex; gap: 0.8rem;';
+
+        const rerollBtn = this.createMenuButton('🎲 Reroll', 'Try another seed');
+        rerollBtn.addEventListener('click', () => {
+            seed = this.getPreviewSeed('');
+            requestPreview();
+        });
+        buttonRow.appendChild(rerollBtn);
+
+        const startBtn = this.createMenuButton('▶️ Start', 'Create this world');
+        startBtn.addEventListener('click', () => {
+            closePreview();
+            this.hide();
+            if (this.onNewGame) this.onNewGame({ ...options, seed: String(seed), spawnPoint });
+        });
+        buttonRow.appendChild(startBtn);
+
+        const backBtn = this.createMenuButton('⬅️ Back', 'Return to the world options');
+        backBtn.style.opacity = '0.7';
+        backBtn.addEventListener('click', () => {
+            closePreview();
+            onBack(seed);
+        });
+        buttonRow.appendChild(backBtn);
+        panel.appendChild(buttonRow);
+
+        this.menuElement.insertBefore(panel, this.buttonContainer);
+        requestPreview();
+    }
+
+    /**
+     * Seed number for the seed box text: whole numbers as is, other text hashed
+     * like VoxelWorld.generateSeedFromString (minus its timestamp, so the same text
+     * previews the same map), blank = random (like VoxelWorld.generateInitialSeed)
+     */
+    getPreviewSeed(text) {
+        const trimmed = text.trim();
+        if (/^-?\d+$/.test(trimmed) && Number.isSafeInteger(Number(trimmed))) {
+            return Number(trimmed);
+        }
+        if (!trimmed) {
+            return Date.now() + Math.floor(Math.random() * 1000000);
+        }
+
+        let seed = 0;
+        for (let i = 0; i < trimmed.length; i++) {
+            seed += trimmed.charCodeAt(i) * (i + 1);
+        }
+        return seed;
+    }
+
     /**
      * Load version from version.json and display it
      */
@@ -325,6 +764,12 @@ export class MainMenu {
      * Hide the menu and clean up resources
      */
     hide() {
+        // Stop the seed preview
+        if (this.previewWorker) {
+            this.previewWorker.terminate();
+            this.previewWorker = null;
+        }
+
         // Stop animation
         if (this.animationFrameId) {
             cancelAnimationFrame(this.animationFrameId);
@@ -10,6 +10,8 @@
  * - Height-aware stacking
  * - Shape tools (hollow/filled cubes, walls, floors)
  * - Save/Load structures to JSON files
+ * - Worldgen tags (biomes, rarity, ground anchor, loot) - tagged designs are placed
+ *   in the world by StructureGenerator (see worldgen/StructureTemplates.js)
  * - EnhancedGraphics integration for block textures
  * 
  * @author VoxelWorld Team
@@ -17,6 +19,8 @@
  */
 
 import * as THREE from 'three';
+import { BiomeDefinitions } from '../worldgen/BiomeDefinitions.js';
+import { StructureTemplates } from '../worldgen/StructureTemplates.js';
 
 export class RandyMStructureDesigner {
     constructor(voxelWorld) {
@@ -94,6 +98,10 @@ export class RandyMStructureDesigner {
         this.sharedGeometry = null; // One geometry shared by ALL blocks
         this.materialCache = new Map(); // Cache materials per block type
         
+        // Last loaded structure - its name and worldgen tags prefill the save modal
+        this.loadedStructureName = null;
+        this.loadedWorldgen = null;
+        
         console.log('🎨 RandyM Structure Designer initialized');
     }
     
@@ -194,6 +202,8 @@ export class RandyMStructureDesigner {
             border-radius: 10px;
             padding: 30px;
             width: 500px;
+            max-height: 90vh;
+            overflow-y: auto;
             box-shadow: 0 0 30px rgba(39, 174, 96, 0.5);
         `;
         
@@ -220,7 +230,7 @@ export class RandyMStructureDesigner {
         const input = document.createElement('input');
         input.type = 'text';
         input.placeholder = 'my_castle';
-        input.value = `structure_${Date.now()}`;
+        input.value = this.loadedStructureName || `structure_${Date.now()}`;
         input.style.cssText = `
             width: 100%;
             padding: 10px;
@@ -269,6 +279,9 @@ export class RandyMStructureDesigner {
         
         statsDiv.innerHTML = statsHTML;
         
+        // 🌍 Worldgen tags
+        const worldgenSection = this.createWorldgenSection(this.loadedWorldgen);
+        
         // Button container
         const buttonContainer = document.createElement('div');
         buttonContainer.style.cssText = `
@@ -295,8 +308,9 @@ export class RandyMStructureDesigner {
         saveBtn.onclick = () => {
             const filename = input.value.trim();
             if (filename) {
-                this.saveStructure(filename);
-                document.body.removeChild(saveOverlay);
+                if (this.saveStructure(filename, worldgenSection.getTags())) {
+                    document.body.removeChild(saveOverlay);
+                }
             } else {
                 alert('⚠️ Please enter a filename!');
             }
@@ -327,6 +341,7 @@ export class RandyMStructureDesigner {
         saveModal.appendChild(label);
         saveModal.appendChild(input);
         saveModal.appendChild(statsDiv);
+        saveModal.appendChild(worldgenSection.element);
         saveModal.appendChild(buttonContainer);
         
         saveOverlay.appendChild(saveModal);
@@ -344,6 +359,148 @@ export class RandyMStructureDesigner {
         };
     }
     
+    /**
+     * 🌍 Worldgen tag fields for the save modal
+     * @param {Object|null} tags - Tags to start from (the loaded structure's)
+     * @returns {{ element: HTMLElement, getTags: Function }} getTags() → worldgen tags (StructureTemplates format)
+     */
+    createWorldgenSection(tags) {
+        const current = { ...StructureTemplates.DEFAULT_TAGS, ...tags };
+        
+        const section = document.createElement('div');
+        section.style.cssText = `
+            background: #2c3e50;
+            border: 2px solid #e67e22;
+            border-radius: 5px;
+            padding: 15px;
+            margin-bottom: 20px;
+            color: #ecf0f1;
+            font-size: 14px;
+        `;
+        
+        const fieldStyle = `
+            width: 100%;
+            padding: 6px;
+            background: #1a1a1a;
+            border: 1px solid #e67e22;
+            border-radius: 4px;
+            color: white;
+            margin: 4px 0 10px 0;
+            box-sizing: border-box;
+            pointer-events: auto;
+        `;
+        const stopClicks = (element) => {
+            element.onclick = (e) => e.stopPropagation();
+            element.onkeydown = (e) => e.stopPropagation(); // Designer shortcuts stay out of text fields
+        };
+        
+        // Enable toggle
+        const enableLabel = document.createElement('label');
+        enableLabel.style.cssText = 'display: flex; align-items: center; gap: 8px; font-weight: bold; color: #e67e22; cursor: pointer;';
+        const enableBox = document.createElement('input');
+        enableBox.type = 'checkbox';
+        enableBox.checked = current.enabled;
+        enableLabel.appendChild(enableBox);
+        enableLabel.appendChild(document.createTextNode('🌍 Use in world generation'));
+        
+        const fields = document.createElement('div');
+        fields.style.cssText = 'margin-top: 12px;';
+        const updateFields = () => {
+            fields.style.display = enableBox.checked ? 'block' : 'none';
+        };
+        enableBox.onchange = updateFields;
+        updateFields();
+        
+        // Biomes (none ticked = any biome)
+        const biomeTitle = document.createElement('div');
+        biomeTitle.textContent = 'Biomes (none = any):';
+        const biomeList = document.createElement('div');
+        biomeList.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px 12px; margin: 4px 0 10px 0;';
+        const biomeBoxes = [];
+        let biomes = [];
+        try {
+            biomes = Object.values(BiomeDefinitions.get().biomes);
+        } catch (error) {
+            console.warn('⚠️ Biome definitions not loaded - worldgen templates will allow any biome');
+        }
+        for (const biome of biomes) {
+            const biomeLabel = document.createElement('label');
+            biomeLabel.style.cssText = 'cursor: pointer;';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.value = biome.id;
+            box.checked = current.biomes.includes(biome.id);
+            biomeBoxes.push(box);
+            biomeLabel.appendChild(box);
+            biomeLabel.appendChild(document.createTextNode(` ${biome.name}`));
+            biomeList.appendChild(biomeLabel);
+        }
+        
+        // Rarity + ground anchor
+        const createSelect = (labelText, options, value) => {
+            const label = document.createElement('div');
+            label.textContent = labelText;
+            const select = document.createElement('select');
+            select.style.cssText = fieldStyle;
+            for (const option of options) {
+                const element = document.createElement('option');
+                element.value = option;
+                element.textContent = option;
+                select.appendChild(element);
+            }
+            select.value = value;
+            stopClicks(select);
+            fields.appendChild(label);
+            fields.appendChild(select);
+            return select;
+        };
+        
+        fields.appendChild(biomeTitle);
+        fields.appendChild(biomeList);
+        const raritySelect = createSelect('Rarity:', Object.keys(StructureTemplates.RARITY_CHANCE), current.rarity);
+        const anchorSelect = createSelect('Ground anchor:', StructureTemplates.ANCHORS, current.anchor);
+        
+        // Loot table
+        const lootLabel = document.createElement('div');
+        lootLabel.textContent = 'Loot table (item:weight, ...):';
+        const lootInput = document.createElement('input');
+        lootInput.type = 'text';
+        lootInput.placeholder = 'skull:2, mushroom';
+        lootInput.value = StructureTemplates.formatLoot(current.loot);
+        lootInput.style.cssText = fieldStyle;
+        stopClicks(lootInput);
+        
+        const rollsLabel = document.createElement('div');
+        rollsLabel.textContent = 'Loot items per structure:';
+        const rollsInput = document.createElement('input');
+        rollsInput.type = 'number';
+        rollsInput.min = 0;
+        rollsInput.max = StructureTemplates.MAX_LOOT_ROLLS;
+        rollsInput.value = current.lootRolls;
+        rollsInput.style.cssText = fieldStyle;
+        stopClicks(rollsInput);
+        
+        fields.appendChild(lootLabel);
+        fields.appendChild(lootInput);
+        fields.appendChild(rollsLabel);
+        fields.appendChild(rollsInput);
+        
+        section.appendChild(enableLabel);
+        section.appendChild(fields);
+        
+        return {
+            element: section,
+            getTags: () => ({
+                enabled: enableBox.checked,
+                biomes: biomeBoxes.filter(box => box.checked).map(box => box.value),
+                rarity: raritySelect.value,
+                anchor: anchorSelect.value,
+                loot: StructureTemplates.parseLoot(lootInput.value),
+                lootRolls: Number(rollsInput.value)
+            })
+        };
+    }
+    
     /**
      * Open load modal to browse and load structures
      */
@@ -2100,9 +2257,27 @@ export class RandyMStructureDesigner {
     
     /**
      * Save structure to localStorage (will be changed to file system later)
+     * @param {string} filename - Structure name
+     * @param {Object|null} worldgen - Worldgen tags (StructureTemplates format), null = none
+     * @returns {boolean} true if saved
      */
-    saveStructure(filename) {
+    saveStructure(filename, worldgen = null) {
         try {
+            // Check the worldgen tags before writing anything (disabled tags are just kept)
+            if (worldgen?.enabled) {
+                const errors = StructureTemplates.validateTags(worldgen);
+                const billboardItems = Object.keys(this.voxelWorld?.BILLBOARD_ITEMS || {});
+                for (const { item } of Array.isArray(worldgen.loot) ? worldgen.loot : []) {
+                    if (billboardItems.length > 0 && !billboardItems.includes(item)) {
+                        errors.push(`"${item}" can't be placed as loot (use one of: ${billboardItems.join(', ')})`);
+                    }
+                }
+                if (errors.length > 0) {
+                    alert(`⚠️ Worldgen settings need fixing:\n\n${errors.join('\n')}`);
+                    return false;
+                }
+            }
+            
             // Serialize placedBlocks Map to array
             const blocks = [];
             for (const [key, block] of this.placedBlocks.entries()) {
@@ -2147,6 +2322,9 @@ export class RandyMStructureDesigner {
                 materials: materials.byType,
                 blocks: blocks
             };
+            if (worldgen) {
+                structureData.worldgen = worldgen;
+            }
             
             // Generate screenshot thumbnail
             const screenshot = this.generateScreenshot();
@@ -2157,13 +2335,21 @@ export class RandyMStructureDesigner {
             
             localStorage.setItem(structureKey, JSON.stringify(structureData));
             localStorage.setItem(thumbnailKey, screenshot);
+            this.loadedStructureName = filename;
+            this.loadedWorldgen = worldgen;
+            
+            // 🌍 Worldgen picks the change up for chunks it hasn't checked yet
+            this.voxelWorld?.biomeWorldGen?.structureGenerator?.reloadTemplates();
             
-            console.log(`✅ Structure saved: ${filename} (${blocks.length} blocks)`);
-            alert(`✅ Structure "${filename}" saved successfully!\n\n${blocks.length} blocks saved.`);
+            const worldgenNote = worldgen?.enabled ? '\n\n🌍 It will now appear in newly explored land.' : '';
+            console.log(`✅ Structure saved: ${filename} (${blocks.length} blocks)${worldgen?.enabled ? ' - worldgen template' : ''}`);
+            alert(`✅ Structure "${filename}" saved successfully!\n\n${blocks.length} blocks saved.${worldgenNote}`);
+            return true;
             
         } catch (error) {
             console.error('❌ Error saving structure:', error);
             alert(`❌ Error saving structure: ${error.message}`);
+            return false;
         }
     }
     
@@ -2307,6 +2493,10 @@ export class RandyMStructureDesigner {
             margin-bottom: 5px;
         `;
         stats.textContent = `📦 ${structure.data.blockCount} blocks`;
+        if (structure.data.worldgen?.enabled) {
+            const { rarity, anchor } = { ...StructureTemplates.DEFAULT_TAGS, ...structure.data.worldgen };
+            stats.textContent += ` · 🌍 ${rarity}, ${anchor}`;
+        }
         
         const date = document.createElement('div');
         date.style.cssText = `
@@ -2440,6 +2630,10 @@ export class RandyMStructureDesigner {
             // Update stats
             this.updateStats();
             
+            // Re-saving keeps the name and worldgen tags
+            this.loadedStructureName = filename;
+            this.loadedWorldgen = data.worldgen || null;
+            
             console.log(`✅ Structure loaded: ${filename} (${data.blockCount} blocks)`);
             alert(`✅ Structure "${filename}" loaded successfully!\n\n${data.blockCount} blocks loaded.`);
             
@@ -2456,6 +2650,7 @@ export class RandyMStructureDesigner {
         try {
             localStorage.removeItem(`randym_structure_${filename}`);
             localStorage.removeItem(`randym_thumbnail_${filename}`);
+            this.voxelWorld?.biomeWorldGen?.structureGenerator?.reloadTemplates();
             console.log(`🗑️ Deleted structure: ${filename}`);
         } catch (error) {
             console.error('❌ Error deleting structure:', error);
@@ -4,17 +4,34 @@
  * Runs terrain generation in a Web Worker to prevent main thread blocking.
  * Uses transferable objects for zero-copy data transfer.
  *
- * This worker receives chunk generation requests and returns raw block data
- * that the main thread can use to create THREE.js geometry.
+ * This worker receives chunk generation requests and returns raw block data,
+ * plus greedy-meshed vertex buffers for the chunk so the main thread only has to
+ * wrap them in a BufferGeometry (see ChunkMeshManager.getWorkerMeshOptions).
  */
 
-// Import RegionNoiseCache (will need to bundle or inline)
-// For now, we'll inline the noise functions directly in the worker
+// Module worker: shares the pure worldgen modules with BiomeWorldGen (main thread)
+import { CaveGenerator } from '../worldgen/CaveGenerator.js';
+import { OreGenerator, ORE_TYPES } from '../worldgen/OreGenerator.js';
+import { RegionNoiseCache } from '../worldgen/RegionNoiseCache.js';
+import { Hydrology } from '../worldgen/Hydrology.js';
+import { TerrainColumns, seededRandom, multiOctaveNoise } from '../worldgen/TerrainColumns.js';
+import { WorldBorder } from '../worldgen/WorldBorder.js';
+import { WorldPreset } from '../worldgen/WorldPreset.js';
+import { buildGreedyMesh, cellIndex, EDGE_SIDES, getEdgeColumn } from '../rendering/GreedyMesher.js';
+import { SeasonCalendar } from '../SeasonCalendar.js';
 
 let regionNoiseCache = null;
 let worldSeed = 0;
 let biomes = null;
 let noiseParams = null;
+let caveGenerator = null;
+let oreGenerator = null;
+let hydrology = null;
+let terrainColumns = null;
+let worldBorder = null;
+let worldPreset = null;
+
+const WATER_LEVEL = 3; // 🌊 Sea level (lowered from y=4 to y=3 to reduce floating water)
 
 // 🎨 BLOCK COLOR REGISTRY - Must match The Long Nights.js blockTypes!
 // Used for LOD chunks to get exact block colors instead of biome gradients
@@ -27,9 +44,17 @@ const BLOCK_COLORS = {
     water: 0x1E90FF,      // Blue
     iron: 0x708090,       // Slate gray
     gold: 0xFFD700,       // Gold
+    coal_ore: ORE_TYPES.coal_ore.color,
+    crystal_ore: ORE_TYPES.crystal_ore.color,
     bedrock: 0x1a1a1a     // Very dark gray
 };
 
+// Deep layer colors in full chunks (stone with ore veins)
+const DEEP_LAYER_COLORS = {
+    stone: 0x696969,
+    ...Object.fromEntries(Object.entries(ORE_TYPES).map(([oreType, ore]) => [oreType, ore.color]))
+};
+
 // Initialize worker
 self.onmessage = function(e) {
     const { type, data } = e.data;
@@ -53,22 +78,27 @@ self.onmessage = function(e) {
     }
 };
 
-function initWorker({ seed, biomeConfig, noiseConfig }) {
+function initWorker({ seed, biomeConfig, noiseConfig, worldSettings = {} }) {
     worldSeed = seed;
     biomes = biomeConfig;
     noiseParams = noiseConfig;
+    caveGenerator = new CaveGenerator(seed);
+    oreGenerator = new OreGenerator(seed);
 
-    // Initialize region noise cache
-    regionNoiseCache = {
-        regionSize: 128,
-        cache: new Map(),
-        maxCacheSize: 64
-    };
+    // 🧱 Finite worlds slope into the ocean near their border (same settings as the main thread)
+    worldBorder = new WorldBorder(worldSettings.border);
+    // 🌐 Superflat / archipelago / amplified terrain (same preset as the main thread)
+    worldPreset = new WorldPreset(worldSettings.preset);
+
+    // Initialize region noise cache (elevation field for rivers and lakes)
+    regionNoiseCache = new RegionNoiseCache(128);
+    hydrology = new Hydrology(seed, { waterLevel: WATER_LEVEL }, regionNoiseCache);
+    terrainColumns = new TerrainColumns(seed, biomes, noiseParams, hydrology, WATER_LEVEL, worldBorder, worldPreset);
 
     self.postMessage({ type: 'INIT_COMPLETE' });
 }
 
-function generateChunk({ chunkX, chunkZ, chunkSize }) {
+function generateChunk({ chunkX, chunkZ, chunkSize, meshing = null }) {
     // Block data storage
     // Format: Array of { x, y, z, blockType, color }
     const blocks = [];
@@ -88,22 +118,19 @@ function generateChunk({ chunkX, chunkZ, chunkSize }) {
             const worldX = Math.floor(chunkX * chunkSize + x);
             const worldZ = Math.floor(chunkZ * chunkSize + z);
 
-            // Get biome at this location
-            const biome = getBiomeAt(worldX, worldZ);
-
-            // Generate terrain height
-            const terrainData = generateMultiNoiseTerrain(worldX, worldZ);
+            // Biome + surface height (🌊 rivers and lakes carve their beds and banks, same as LOD)
+            const { biome, hydro, height, waterTop } = terrainColumns.getColumn(worldX, worldZ);
 
-            // Scale noise to biome height range
-            const biomeHeightCenter = (biome.maxHeight + biome.minHeight) / 2;
-            const biomeHeightRange = (biome.maxHeight - biome.minHeight) / 2;
-            const generatorHeight = terrainData.height * biomeHeightRange;
-            const rawHeight = biomeHeightCenter + generatorHeight;
-
-            // 🏔️ PHASE 1: Increased height range from 4 to 12 for better terrain variation
-            // Old: Math.min(4, ...) - New: Math.min(12, ...)
-            const safeHeight = Math.floor(Math.max(0, Math.min(12, rawHeight + 2)));
-            const height = safeHeight;
+            // 🧱 Superflat: the preset's layer stack (no caves, ores or water)
+            if (worldPreset.isSuperflat) {
+                for (let y = 0; y <= height; y++) {
+                    const blockType = worldPreset.getLayerBlock(y);
+                    const color = blockType === 'grass' ? getHeightBasedColor(biome, height) : BLOCK_COLORS[blockType];
+                    blocks.push({ x: worldX, y, z: worldZ, blockType, color, isPlayerPlaced: false });
+                }
+                heightMap[x * chunkSize + z] = height;
+                continue;
+            }
 
             // Get colors for layers (as hex values, not THREE.Color)
             const surfaceColor = getHeightBasedColor(biome, height);
@@ -117,12 +144,13 @@ function generateChunk({ chunkX, chunkZ, chunkSize }) {
                 noiseParams.microDetail,
                 worldSeed + 2000
             );
-            const hasSnow = (biome.name.includes('Mountain') || biome.name.includes('Tundra') || biome.name.includes('Forest')) &&
+            const hasSnow = biome.snowCaps &&
                            height >= biome.maxHeight - 1 &&
                            snowNoise > -0.2;
 
-            const surfaceBlock = hasSnow ? 'snow' : biome.surfaceBlock;
-            const surfaceBlockColor = hasSnow ? 0xFFFFFF : surfaceColor;
+            const surfaceBlock = Hydrology.getSurfaceBlock(hydro, hasSnow ? 'snow' : biome.surfaceBlock);
+            let surfaceBlockColor = hasSnow ? 0xFFFFFF : Hydrology.tintBankColor(surfaceColor, hydro);
+            if (surfaceBlock === Hydrology.BED_BLOCK && hydro) surfaceBlockColor = BLOCK_COLORS[Hydrology.BED_BLOCK];
 
             // 🎯 GROUND CONNECTION SYSTEM
             // Always fill from bedrock to surface to prevent gaps between biomes
@@ -131,32 +159,22 @@ function generateChunk({ chunkX, chunkZ, chunkSize }) {
             // 1. Bedrock foundation (y=0) - unbreakable
             blocks.push({ x: worldX, y: 0, z: worldZ, blockType: 'bedrock', color: 0x1a1a1a, isPlayerPlaced: false });
 
-            // 2. Ground connection - fill from y=1 to surface
+            // 2. Ground connection - fill from y=1 to surface, leaving cave blocks empty
+            let topSolidY = 0;
             if (height >= 1) {
                 for (let fillY = 1; fillY <= height; fillY++) {
-                    let blockType, color;
+                    // 🕳️ CAVES: 3D noise tunnels/caverns (same answer as LOD and main thread)
+                    if (caveGenerator.isCave(worldX, fillY, worldZ, height)) continue;
+                    topSolidY = fillY;
 
+                    const blockType = getColumnBlockType(worldX, fillY, worldZ, height, surfaceBlock, biome);
+                    let color;
                     if (fillY === height) {
-                        // Surface layer (grass/sand/snow)
-                        blockType = surfaceBlock;
                         color = surfaceBlockColor;
                     } else if (fillY >= height - 2) {
-                        // Sub-surface layers (dirt/sand)
-                        blockType = biome.subBlock;
                         color = subSurfaceColor;
                     } else {
-                        // Deep layer (stone with occasional iron and rare gold)
-                        if (fillY % 7 === 0) {
-                            blockType = 'iron';
-                            color = 0x808080;
-                        } else if (fillY % 13 === 0) {
-                            // Gold is rarer than iron (every 13 blocks instead of 7)
-                            blockType = 'gold';
-                            color = 0xFFD700;
-                        } else {
-                            blockType = 'stone';
-                            color = 0x696969;
-                        }
+                        color = DEEP_LAYER_COLORS[blockType];
                     }
 
                     blocks.push({ x: worldX, y: fillY, z: worldZ, blockType, color, isPlayerPlaced: false });
@@ -164,21 +182,21 @@ function generateChunk({ chunkX, chunkZ, chunkSize }) {
             }
 
             // 🌊 WATER GENERATION: Fill empty spaces with water blocks
-            // Only add water where terrain height is below the water level
-            const WATER_LEVEL = 3; // 🌊 Lowered from y=4 to y=3 to reduce floating water
-            if (height < WATER_LEVEL) {
+            // Sea where terrain is below the water level, rivers/lakes up to their own surface
+            if (waterTop > height) {
                 const waterColor = 0x1E90FF; // Dodger blue
                 // Fill from above terrain to water level
-                for (let waterY = height + 1; waterY <= WATER_LEVEL; waterY++) {
+                for (let waterY = height + 1; waterY <= waterTop; waterY++) {
                     blocks.push({ x: worldX, y: waterY, z: worldZ, blockType: 'water', color: waterColor, isPlayerPlaced: false });
                     waterBlockCount++; // Track water blocks
                 }
             }
 
             // 🗺️ Store ground height and water status for tree placement
+            // (a cave entrance lowers the ground to the first solid block below it)
             const heightIndex = x * chunkSize + z;
-            heightMap[heightIndex] = height;
-            waterMap[heightIndex] = (height < WATER_LEVEL) ? 1 : 0; // Mark if this position has water
+            heightMap[heightIndex] = topSolidY;
+            waterMap[heightIndex] = (waterTop > height) ? 1 : 0; // Mark if this position has water (sea, river or lake)
 
             // NOTE: Tree generation disabled in worker - let main thread handle it
             // Trees need to be registered in The Long Nights's tree registry for harvesting
@@ -198,6 +216,7 @@ function generateChunk({ chunkX, chunkZ, chunkSize }) {
     const blockTypeMap = {
         'bedrock': 0, 'grass': 1, 'sand': 2, 'stone': 3, 'iron': 4, 'snow': 5, 'water': 6, 'dirt': 7, 'pumpkin': 8, 'gold': 9,
         'oak_wood': 10, 'pine_wood': 11, 'birch_wood': 12, 'palm_wood': 13, 'dead_wood': 14,
+        'coal_ore': 15, 'crystal_ore': 16,
         'oak_wood-leaves': 20, 'pine_wood-leaves': 21, 'birch_wood-leaves': 22,
         'palm_wood-leaves': 23, 'dead_wood-leaves': 24
     };
@@ -212,6 +231,10 @@ function generateChunk({ chunkX, chunkZ, chunkSize }) {
         flags[i] = block.isPlayerPlaced ? 1 : 0;
     }
 
+    // 🧱 Mesh the chunk here too - building it on the main thread stalls frames while chunks stream in
+    const transfer = [positions.buffer, blockTypes.buffer, colors.buffer, flags.buffer, heightMap.buffer, waterMap.buffer];
+    const mesh = meshing ? buildChunkMesh(chunkX, chunkZ, chunkSize, blocks, meshing, transfer) : null;
+
     // Send data back to main thread with transferable objects
     self.postMessage({
         type: 'CHUNK_READY',
@@ -225,9 +248,96 @@ function generateChunk({ chunkX, chunkZ, chunkSize }) {
             colors,
             flags,
             heightMap, // 🗺️ Include height map for accurate tree placement
-            waterMap   // 🌊 Include water map to prevent trees on water
+            waterMap,  // 🌊 Include water map to prevent trees on water
+            mesh       // 🧱 { buffers, edges, season } or null
+        }
+    }, transfer);
+}
+
+/**
+ * 🧱 Greedy-mesh a generated chunk (same GreedyMesher as ChunkMeshManager)
+ *
+ * meshing (from ChunkMeshManager.getWorkerMeshOptions):
+ * - types: { blockType: opaque } for every block type drawn by chunk meshes
+ * - season: { id, grassTint, leafTint } or null
+ * - edgeTypes / edges: edge slices of the loaded neighbour chunks, so faces against their
+ *   blocks are culled. edges[side] = { minY, height, cells } with cells[i + chunkSize * (y - minY)]
+ *   an edgeTypes index (0 = empty), i running along the edge (see getEdgeColumn)
+ *
+ * @param {ArrayBuffer[]} transfer - Mesh buffers are appended for postMessage
+ * @returns {Object} { buffers: { blockType: { positions, normals, uvs, colors, indices, groups } },
+ *                     edges: names of the sides culled against, season: season id or null }
+ */
+function buildChunkMesh(chunkX, chunkZ, chunkSize, blocks, meshing, transfer) {
+    const { types, season, edgeTypes, edges } = meshing;
+    const meshBlocks = blocks.filter(block => block.blockType in types);
+    const result = { buffers: {}, edges: Object.keys(edges), season: season ? season.id : null };
+
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const block of meshBlocks) {
+        minY = Math.min(minY, block.y);
+        maxY = Math.max(maxY, block.y);
+    }
+    if (minY > maxY) return result;
+
+    const origin = [chunkX * chunkSize, minY, chunkZ * chunkSize];
+    const size = [chunkSize, maxY - minY + 1, chunkSize];
+    const cells = new Uint16Array((size[0] + 2) * (size[1] + 2) * (size[2] + 2));
+    const palette = [null];
+    const paletteIndex = new Map(); // "type|color" → palette index
+
+    const setCell = (x, y, z, blockType, color) => {
+        const paletteKey = `${blockType}|${color}`;
+        let id = paletteIndex.get(paletteKey);
+        if (id === undefined) {
+            id = palette.length;
+            palette.push({ material: blockType, color: getVertexColor(blockType, color, season), opaque: types[blockType] === true });
+            paletteIndex.set(paletteKey, id);
+        }
+        cells[cellIndex(size, x - origin[0] + 1, y - origin[1] + 1, z - origin[2] + 1)] = id;
+    };
+
+    for (const block of meshBlocks) {
+        setCell(block.x, block.y, block.z, block.blockType, block.color);
+    }
+
+    // Border layer: neighbour blocks touching this chunk (only read for culling)
+    for (const side of EDGE_SIDES) {
+        const slice = edges[side.name];
+        if (!slice) continue;
+
+        const fromY = Math.max(slice.minY, minY - 1);
+        const toY = Math.min(slice.minY + slice.height - 1, maxY + 1);
+        for (let i = 0; i < chunkSize; i++) {
+            const [x, z] = getEdgeColumn(side, chunkX, chunkZ, chunkSize, i);
+            for (let y = fromY; y <= toY; y++) {
+                const blockType = edgeTypes[slice.cells[i + chunkSize * (y - slice.minY)]];
+                if (blockType) setCell(x, y, z, blockType, 0xFFFFFF);
+            }
         }
-    }, [positions.buffer, blockTypes.buffer, colors.buffer, flags.buffer, heightMap.buffer, waterMap.buffer]);
+    }
+
+    result.buffers = buildGreedyMesh({ origin, size, cells }, palette);
+    for (const buffer of Object.values(result.buffers)) {
+        transfer.push(buffer.positions.buffer, buffer.normals.buffer, buffer.uvs.buffer, buffer.colors.buffer, buffer.indices.buffer);
+    }
+    return result;
+}
+
+/**
+ * Vertex color of a worker block, matching what the main thread draws for it:
+ * grass and leaves get the season tint (BiomeWorldGen.getSeasonColor) and the
+ * 0-255 channels are used as-is (VoxelWorld builds THREE.Color(r, g, b) from them)
+ */
+function getVertexColor(blockType, color, season) {
+    let tinted = color;
+    if (season && blockType === 'grass') {
+        tinted = SeasonCalendar.tintColor(color, season.grassTint);
+    } else if (season && blockType.endsWith('leaves')) {
+        tinted = SeasonCalendar.tintColor(color, season.leafTint);
+    }
+    return [((tinted >> 16) & 0xFF) / 255, ((tinted >> 8) & 0xFF) / 255, (tinted & 0xFF) / 255];
 }
 
 /**
@@ -237,6 +347,7 @@ function generateChunk({ chunkX, chunkZ, chunkSize }) {
 function generateLODChunk({ chunkX, chunkZ, chunkSize }) {
     const colorBlocks = [];
     const heightMap = new Int16Array(chunkSize * chunkSize);
+    const waterMap = new Uint8Array(chunkSize * chunkSize); // 1 = sea/river/lake (no trees, matches TreeWorker)
 
     // First pass: Generate terrain
     for (let x = 0; x < chunkSize; x++) {
@@ -244,23 +355,23 @@ function generateLODChunk({ chunkX, chunkZ, chunkSize }) {
             const worldX = Math.floor(chunkX * chunkSize + x);
             const worldZ = Math.floor(chunkZ * chunkSize + z);
 
-            // Get biome at this location
-            const biome = getBiomeAt(worldX, worldZ);
+            // Biome + surface height (same as full chunks)
+            const { biome, hydro, height, waterTop } = terrainColumns.getColumn(worldX, worldZ);
 
-            // Generate terrain height
-            const terrainData = generateMultiNoiseTerrain(worldX, worldZ);
-
-            // Scale noise to biome height range
-            const biomeHeightCenter = (biome.maxHeight + biome.minHeight) / 2;
-            const biomeHeightRange = (biome.maxHeight - biome.minHeight) / 2;
-            const generatorHeight = terrainData.height * biomeHeightRange;
-            const rawHeight = biomeHeightCenter + generatorHeight;
+            // 🧱 Superflat: top layer only
+            if (worldPreset.isSuperflat) {
+                const blockType = worldPreset.getLayerBlock(height);
+                colorBlocks.push({ x: worldX, y: height, z: worldZ, blockType, color: BLOCK_COLORS[blockType] });
+                continue;
+            }
 
-            const height = Math.floor(Math.max(0, Math.min(12, rawHeight + 2)));
+            // 🕳️ Cave entrances open the surface - show the first solid block below (matches full chunks)
+            const topSolidY = Math.max(0, caveGenerator.getTopSolidY(worldX, worldZ, height));
 
-            // Store height for tree placement
+            // Store height and water for tree placement
             const heightIndex = x * chunkSize + z;
-            heightMap[heightIndex] = height;
+            heightMap[heightIndex] = topSolidY;
+            waterMap[heightIndex] = (waterTop > height) ? 1 : 0;
 
             // 🎨 CRITICAL FIX: Use actual BLOCK colors instead of biome gradient!
             // This matches full chunk generation logic for seamless transition
@@ -272,20 +383,21 @@ function generateLODChunk({ chunkX, chunkZ, chunkSize }) {
                 noiseParams.microDetail,
                 worldSeed + 2000
             );
-            const hasSnow = (biome.name.includes('Mountain') || biome.name.includes('Tundra') || biome.name.includes('Forest')) &&
+            const hasSnow = biome.snowCaps &&
                            height >= biome.maxHeight - 1 &&
                            snowNoise > -0.2;
 
             // Determine actual surface block type
-            const surfaceBlockType = hasSnow ? 'snow' : biome.surfaceBlock;
+            const surfaceBlock = Hydrology.getSurfaceBlock(hydro, hasSnow ? 'snow' : biome.surfaceBlock);
+            const surfaceBlockType = getColumnBlockType(worldX, topSolidY, worldZ, height, surfaceBlock, biome);
 
-            // Get BLOCK color (not biome gradient!)
-            const blockColor = BLOCK_COLORS[surfaceBlockType] || BLOCK_COLORS.grass;
+            // Get BLOCK color (not biome gradient!) - lusher grass along river banks
+            const blockColor = Hydrology.tintBankColor(BLOCK_COLORS[surfaceBlockType] || BLOCK_COLORS.grass, hydro);
 
             // Add surface block with actual block color AND block type
             colorBlocks.push({
                 x: worldX,
-                y: height,
+                y: topSolidY,
                 z: worldZ,
                 blockType: surfaceBlockType, // 🎨 NEW: For mini texture mapping
                 color: blockColor
@@ -293,6 +405,12 @@ function generateLODChunk({ chunkX, chunkZ, chunkSize }) {
         }
     }
 
+    // 🧱 Superflat worlds have no trees (matches TreeWorker)
+    if (worldPreset.isSuperflat) {
+        postLODChunk(chunkX, chunkZ, colorBlocks);
+        return;
+    }
+
     // 🌲 Second pass: Add simple LOD trees (MUST MATCH TreeWorker logic!)
 
     // 🏛️ ANCIENT TREE SYSTEM: Very rare (1% = every 100 chunks) - MATCHES TREEWORKER
@@ -306,7 +424,7 @@ function generateLODChunk({ chunkX, chunkZ, chunkSize }) {
         const groundHeight = heightMap[heightIndex];
         const surfaceY = groundHeight + 1;
 
-        if (surfaceY > 1 && surfaceY <= 65) {
+        if (waterMap[heightIndex] !== 1 && surfaceY > 1 && surfaceY <= 65) {
             // Match TreeWorker: 33% ancient, 33% mega, 33% cone
             const typeRoll = seededRandom(chunkX + 1000, chunkZ + 1000, worldSeed + 60000);
             let ancientType = 'ancient';
@@ -376,26 +494,11 @@ function generateLODChunk({ chunkX, chunkZ, chunkSize }) {
                 const worldZ = Math.floor(chunkZ * chunkSize + z);
 
                 // Get biome for tree chance
-                const biome = getBiomeAt(worldX, worldZ);
+                const biome = terrainColumns.getBiomeAt(worldX, worldZ);
                 const baseTreeChance = biome.treeChance || 0.08;
 
                 // 🌲 MATCH TREEWORKER: Use OLD working formula from The Long Nights-X
-                const biomeDensityMultipliers = {
-                    'Forest': 8,
-                    'Plains': 10,
-                    'Mountain': 10,
-                    'Desert': 2,
-                    'Tundra': 3
-                };
-
-                let multiplier = 5;
-                const biomeName = biome.name || '';
-                for (const [name, mult] of Object.entries(biomeDensityMultipliers)) {
-                    if (biomeName.includes(name)) {
-                        multiplier = mult;
-                        break;
-                    }
-                }
+                const multiplier = biome.treeDensity || 5; // biomes.json treeDensity
 
                 // Use high-frequency noise for scatter
                 const treeNoise = multiOctaveNoise(worldX + 4000, worldZ + 4000, worldSeed + 4000, 3, 0.15, 0.6);
@@ -419,7 +522,7 @@ function generateLODChunk({ chunkX, chunkZ, chunkSize }) {
                     const groundHeight = heightMap[heightIndex];
                     const surfaceY = groundHeight + 1;
 
-                    if (surfaceY > 1 && surfaceY <= 65) {
+                    if (waterMap[heightIndex] !== 1 && surfaceY > 1 && surfaceY <= 65) {
                         // Simple tree: 2 brown trunk blocks + 3x3 green canopy
                         const trunkColor = 0x8B4513; // Brown
                         const leavesColor = 0x228B22; // Forest green
@@ -458,7 +561,11 @@ function generateLODChunk({ chunkX, chunkZ, chunkSize }) {
         }
     }
 
-    // Send LOD data back to main thread
+    postLODChunk(chunkX, chunkZ, colorBlocks);
+}
+
+// Send LOD data back to main thread
+function postLODChunk(chunkX, chunkZ, colorBlocks) {
     self.postMessage({
         type: 'LOD_CHUNK_READY',
         data: {
@@ -471,89 +578,26 @@ function generateLODChunk({ chunkX, chunkZ, chunkSize }) {
 
 function clearCache() {
     if (regionNoiseCache) {
-        regionNoiseCache.cache.clear();
+        regionNoiseCache.clear();
+    }
+    if (hydrology) {
+        hydrology.clear();
     }
     self.postMessage({ type: 'CACHE_CLEARED' });
 }
 
 // ===== HELPER FUNCTIONS =====
 
-function getBiomeAt(worldX, worldZ) {
-    // Voronoi-like biome selection
-    const cellSize = 90;
-    const cellX = Math.floor(worldX / cellSize);
-    const cellZ = Math.floor(worldZ / cellSize);
-
-    let minDistance = Infinity;
-    let selectedBiome = biomes.plains;
-
-    for (let oz = -1; oz <= 1; oz++) {
-        for (let ox = -1; ox <= 1; ox++) {
-            const centerX = (cellX + ox) * cellSize + seededRandom(cellX + ox, cellZ + oz, worldSeed + 100) * cellSize;
-            const centerZ = (cellZ + oz) * cellSize + seededRandom(cellX + ox, cellZ + oz, worldSeed + 200) * cellSize;
-
-            const dx = worldX - centerX;
-            const dz = worldZ - centerZ;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-
-            if (distance < minDistance) {
-                minDistance = distance;
-                const hash = Math.abs((cellX + ox) * 73856093 ^ (cellZ + oz) * 19349663);
-                const biomeIndex = hash % Object.keys(biomes).length;
-                selectedBiome = Object.values(biomes)[biomeIndex];
-            }
-        }
-    }
-
-    return selectedBiome;
-}
-
-function generateMultiNoiseTerrain(worldX, worldZ) {
-    const noise1 = multiOctaveNoise(worldX, worldZ, noiseParams.elevation, worldSeed);
-    const noise2 = simplexNoise(worldX * 0.02, worldZ * 0.02, worldSeed + 500);
-    const noise3 = waveNoise(worldX, worldZ, worldSeed + 1000);
-
-    const blendedHeight = noise1 * 0.6 + noise2 * 0.25 + noise3 * 0.15;
-
-    return {
-        height: Math.max(-1, Math.min(1, blendedHeight)),
-        generator: 'multi'
-    };
-}
-
-function shouldGenerateTree(worldX, worldZ, biome, treePositions) {
-    const MIN_TREE_DISTANCE = 3;
-
-    // Check nearby trees
-    for (let dx = -MIN_TREE_DISTANCE; dx <= MIN_TREE_DISTANCE; dx++) {
-        for (let dz = -MIN_TREE_DISTANCE; dz <= MIN_TREE_DISTANCE; dz++) {
-            if (treePositions.has(`${worldX + dx},${worldZ + dz}`)) {
-                return false;
-            }
-        }
-    }
-
-    const treeChance = biome.treeChance || 0.1;
-    const random = seededRandom(worldX, worldZ, worldSeed + 3000);
-    return random < treeChance;
-}
-
-function getTreeTypeForBiome(biome) {
-    if (biome.name === 'Forest') return 'oak_wood';
-    if (biome.name === 'Mountain') return 'pine_wood';
-    if (biome.name === 'Tundra') return 'birch_wood';
-    if (biome.name === 'Desert') return 'palm_wood';
-    return 'oak_wood';
-}
+/**
+ * Block type at fillY in a terrain column (before caves are carved)
+ */
+function getColumnBlockType(worldX, fillY, worldZ, height, surfaceBlock, biome) {
+    if (fillY === 0) return 'bedrock';
+    if (fillY === height) return surfaceBlock;           // Surface layer (grass/sand/snow)
+    if (fillY >= height - 2) return biome.subBlock;       // Sub-surface layers (dirt/sand)
 
-function getLeavesTypeForBiome(biome) {
-    // Map biome names to leaf types that exist in The Long Nights.js
-    if (biome.name === 'Forest') return 'forest_leaves';
-    if (biome.name === 'Mountain') return 'mountain_leaves';
-    if (biome.name === 'Plains') return 'plains_leaves';
-    if (biome.name === 'Desert') return 'desert_leaves';
-    if (biome.name === 'Tundra') return 'tundra_leaves';
-    return 'forest_leaves'; // Default
+    // Deep layer: stone with depth/biome dependent ore veins (coal, iron, gold, crystal)
+    return oreGenerator.getOreAt(worldX, fillY, worldZ, biome.id) || 'stone';
 }
 
 function getHeightBasedColor(biome, height) {
@@ -568,112 +612,3 @@ function getHeightBasedColor(biome, height) {
 
     return ((Math.floor(r) << 16) | (Math.floor(g) << 8) | Math.floor(b)) >>> 0;
 }
-
-// ===== NOISE FUNCTIONS =====
-
-function seededRandom(x, z, seed) {
-    let hash = seed;
-    hash = ((hash << 5) + hash) + x;
-    hash = ((hash << 5) + hash) + z;
-    hash = (hash * 16807) % 2147483647;
-    return Math.abs(Math.sin(hash));
-}
-
-function waveNoise(x, z, seed = 0) {
-    const freq1 = 0.1;
-    const freq2 = 0.15;
-    const seedOffset = seed * 0.0001;
-
-    const wave1 = Math.sin((x + seedOffset) * freq1) * Math.cos((z + seedOffset) * freq1);
-    const wave2 = Math.sin((x + seedOffset) * freq2) * Math.sin((z + seedOffset) * freq2);
-
-    return (wave1 + wave2 * 0.5) / 1.5;
-}
-
-function multiOctaveNoise(x, z, params, seed = 0) {
-    let value = 0;
-    let amplitude = 1;
-    let frequency = params.scale;
-    let maxValue = 0;
-
-    for (let octave = 0; octave < params.octaves; octave++) {
-        const octaveSeed = seed + octave * 1000;
-        const n1 = Math.sin((x * frequency + octaveSeed * 0.001)) * Math.cos((z * frequency + octaveSeed * 0.002));
-        const n2 = Math.sin((x * frequency * 1.3 + octaveSeed * 0.003) + (z * frequency * 0.7 + octaveSeed * 0.004));
-        const octaveValue = (n1 + n2) * 0.5;
-
-        value += octaveValue * amplitude;
-        maxValue += amplitude;
-
-        amplitude *= params.persistence;
-        frequency *= 2;
-    }
-
-    const normalizedValue = value / maxValue;
-    return Math.max(-1, Math.min(1, normalizedValue));
-}
-
-function simplexNoise(x, z, seed = 0) {
-    const F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
-    const G2 = (3.0 - Math.sqrt(3.0)) / 6.0;
-
-    const hash = (i, j) => {
-        let hash = seed;
-        hash = ((hash << 5) + hash) + i;
-        hash = ((hash << 5) + hash) + j;
-        return Math.abs(hash) % 256;
-    };
-
-    const grad2 = (hash, x, z) => {
-        const gradients = [
-            [1, 1], [-1, 1], [1, -1], [-1, -1],
-            [1, 0], [-1, 0], [0, 1], [0, -1]
-        ];
-        const g = gradients[hash & 7];
-        return g[0] * x + g[1] * z;
-    };
-
-    const s = (x + z) * F2;
-    const i = Math.floor(x + s);
-    const j = Math.floor(z + s);
-    const t = (i + j) * G2;
-    const X0 = i - t;
-    const Z0 = j - t;
-    const x0 = x - X0;
-    const z0 = z - Z0;
-
-    let i1, j1;
-    if (x0 > z0) {
-        i1 = 1; j1 = 0;
-    } else {
-        i1 = 0; j1 = 1;
-    }
-
-    const x1 = x0 - i1 + G2;
-    const z1 = z0 - j1 + G2;
-    const x2 = x0 - 1.0 + 2.0 * G2;
-    const z2 = z0 - 1.0 + 2.0 * G2;
-
-    let n0 = 0, n1 = 0, n2 = 0;
-
-    let t0 = 0.5 - x0 * x0 - z0 * z0;
-    if (t0 >= 0) {
-        t0 *= t0;
-        n0 = t0 * t0 * grad2(hash(i, j), x0, z0);
-    }
-
-    let t1 = 0.5 - x1 * x1 - z1 * z1;
-    if (t1 >= 0) {
-        t1 *= t1;
-        n1 = t1 * t1 * grad2(hash(i + i1, j + j1), x1, z1);
-    }
-
-    let t2 = 0.5 - x2 * x2 - z2 * z2;
-    if (t2 >= 0) {
-        t2 *= t2;
-        n2 = t2 * t2 * grad2(hash(i + 1, j + 1), x2, z2);
-    }
-
-    const rawValue = 70.0 * (n0 + n1 + n2);
-    return Math.max(-1, Math.min(1, rawValue));
-}
@@ -0,0 +1,28 @@
+/**
+ * 🖥️ NodeWorkerHost - Run a Web Worker script in a Node worker thread
+ *
+ * ChunkWorker and TreeWorker are written against the Web Worker globals
+ * (self.onmessage / self.postMessage). This bootstrap provides just those two on
+ * top of worker_threads, so headless tools run the exact same generation code
+ * as the game without a browser.
+ *
+ * Usage (main thread):
+ *   new Worker(new URL('./NodeWorkerHost.js', import.meta.url), {
+ *       workerData: { script: new URL('./ChunkWorker.js', import.meta.url).href, quiet: true }
+ *   });
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+
+globalThis.self = globalThis;
+globalThis.postMessage = (message, transfer) => parentPort.postMessage(message, transfer);
+
+// The workers log every chunk for the in-game console - keep only warnings and errors
+if (workerData.quiet) {
+    console.log = () => {};
+}
+
+await import(workerData.script);
+
+// Messages queue on the port until the worker script has installed self.onmessage
+parentPort.on('message', data => self.onmessage({ data }));
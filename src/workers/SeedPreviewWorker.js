@@ -0,0 +1,125 @@
+/**
+ * 🗺️ SeedPreviewWorker - Top-down map of a seed before the world is created
+ *
+ * Renders the area around spawn from the same TerrainColumns / RegionNoiseCache
+ * pipeline as ChunkWorker: biome map colors shaded by elevation, rivers/lakes/sea
+ * in blue and the outside of a finite world's border in black. Also lists the
+ * ruins StructureGenerator.checkForStructure places in that area.
+ *
+ * Every request is a fresh seed, so nothing is kept between requests.
+ */
+
+import { RegionNoiseCache } from '../worldgen/RegionNoiseCache.js';
+import { Hydrology } from '../worldgen/Hydrology.js';
+import { TerrainColumns } from '../worldgen/TerrainColumns.js';
+import { WorldBorder } from '../worldgen/WorldBorder.js';
+import { WorldPreset } from '../worldgen/WorldPreset.js';
+import { StructureGenerator } from '../StructureGenerator.js';
+
+const WATER_LEVEL = 3;          // Same sea level as ChunkWorker
+const WATER_COLOR = 0x1E90FF;
+const OUTSIDE_COLOR = 0x101018; // Past a finite world's border
+const STRUCTURE_CELL = 16;      // checkForStructure places at most one ruin per 16-block cell
+
+self.onmessage = function(e) {
+    const { type, data } = e.data;
+
+    switch (type) {
+        case 'RENDER_PREVIEW':
+            renderPreview(data);
+            break;
+    }
+};
+
+/**
+ * Render a size × size map covering [-radius, radius) blocks around spawn
+ * Replies PREVIEW_READY with RGBA pixels, the land height under each pixel
+ * (-1 = water or outside the world) and the ruins on the map.
+ */
+function renderPreview({ requestId, seed, biomeConfig, noiseConfig, worldSettings = {}, radius, size }) {
+    const startTime = performance.now();
+
+    const border = new WorldBorder(worldSettings.border);
+    const preset = new WorldPreset(worldSettings.preset);
+    const hydrology = new Hydrology(seed, { waterLevel: WATER_LEVEL }, new RegionNoiseCache(128));
+    const terrain = new TerrainColumns(seed, biomeConfig, noiseConfig, hydrology, WATER_LEVEL, border, preset);
+    const maxHeight = preset.config.maxHeight ?? TerrainColumns.MAX_HEIGHT;
+
+    const pixels = new Uint8ClampedArray(size * size * 4);
+    const heights = new Int16Array(size * size);
+    const blocksPerPixel = (radius * 2) / size;
+
+    for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+            const worldX = Math.floor(-radius + (px + 0.5) * blocksPerPixel);
+            const worldZ = Math.floor(-radius + (py + 0.5) * blocksPerPixel);
+            const index = py * size + px;
+
+            let color = OUTSIDE_COLOR;
+            let shade = 1;
+            heights[index] = -1;
+
+            if (border.contains(worldX, worldZ)) {
+                const { biome, height, waterTop } = terrain.getColumn(worldX, worldZ);
+                if (waterTop > height) {
+                    // Deeper water is darker
+                    color = WATER_COLOR;
+                    shade = Math.max(0.45, 1 - (waterTop - height) * 0.12);
+                } else {
+                    // Higher ground is lighter
+                    color = biome.mapColor ? parseInt(biome.mapColor.slice(1), 16) : biome.color;
+                    shade = 0.6 + Math.min(1, height / maxHeight) * 0.6;
+                    heights[index] = height;
+                }
+            }
+
+            pixels[index * 4] = ((color >> 16) & 0xFF) * shade;
+            pixels[index * 4 + 1] = ((color >> 8) & 0xFF) * shade;
+            pixels[index * 4 + 2] = (color & 0xFF) * shade;
+            pixels[index * 4 + 3] = 255;
+        }
+    }
+
+    // 🧱 Superflat worlds have no ruins
+    const structures = preset.isSuperflat ? [] : findStructures(seed, radius, border);
+
+    self.postMessage({
+        type: 'PREVIEW_READY',
+        data: {
+            requestId,
+            seed,
+            radius,
+            size,
+            pixels,
+            heights,
+            structures,
+            elapsed: performance.now() - startTime
+        }
+    }, [pixels.buffer, heights.buffer]);
+}
+
+/**
+ * 🏛️ Ruins inside the map (same seeded rolls as the game's StructureGenerator)
+ * @returns {Array} [{ x, z, size, shape }] - shape is the display name
+ */
+function findStructures(seed, radius, border) {
+    const generator = new StructureGenerator(seed);
+    const structures = [];
+
+    const minCell = Math.floor(-radius / STRUCTURE_CELL);
+    const maxCell = Math.floor((radius - 1) / STRUCTURE_CELL);
+    for (let cellX = minCell; cellX <= maxCell; cellX++) {
+        for (let cellZ = minCell; cellZ <= maxCell; cellZ++) {
+            const structure = generator.checkForStructure(cellX, cellZ);
+            if (!structure) continue;
+
+            const { worldX, worldZ, size, shape } = structure;
+            if (worldX < -radius || worldX >= radius || worldZ < -radius || worldZ >= radius) continue;
+            if (!border.contains(worldX, worldZ)) continue;
+
+            structures.push({ x: worldX, z: worldZ, size, shape: generator.SHAPES[shape]?.name || shape });
+        }
+    }
+
+    return structures;
+}
@@ -8,9 +8,13 @@
  * Output: treePositions[] with metadata for main thread to render
  */
 
+import { BiomeDefinitions } from '../worldgen/BiomeDefinitions.js';
+import { WorldPreset } from '../worldgen/WorldPreset.js';
+
 let worldSeed = 0;
 let biomes = null;
 let chunkSize = 8;
+let worldPreset = new WorldPreset();
 
 // Track tree positions across chunks for spacing
 const treePositions = new Map(); // chunkKey -> Set of positions
@@ -38,10 +42,11 @@ self.onmessage = function(e) {
     }
 };
 
-function initWorker({ seed, biomeConfig, size }) {
+function initWorker({ seed, biomeConfig, size, worldSettings = {} }) {
     worldSeed = seed;
     biomes = biomeConfig;
     chunkSize = size || 8;
+    worldPreset = new WorldPreset(worldSettings.preset);
 
     console.log('🌲 TreeWorker initialized:', {
         seed: worldSeed,
@@ -54,6 +59,12 @@ function initWorker({ seed, biomeConfig, size }) {
 }
 
 function generateTreesForChunk({ chunkX, chunkZ, heightMap, waterMap, biomeData }) {
+    // 🧱 Superflat worlds have no trees
+    if (worldPreset.isSuperflat) {
+        self.postMessage({ type: 'TREES_READY', data: { chunkX, chunkZ, trees: [], treesPlaced: 0, treesAttempted: 0 } });
+        return;
+    }
+
     console.log(`🌲 TreeWorker: Generating trees for chunk (${chunkX}, ${chunkZ})`);
     const trees = [];
     let treesAttempted = 0;
@@ -113,7 +124,7 @@ function generateTreesForChunk({ chunkX, chunkZ, heightMap, waterMap, biomeData
             if (typeRoll > 0.66) ancientType = 'mega';     // 20-32 blocks tall
             else if (typeRoll > 0.33) ancientType = 'cone'; // Hybrid LOD style
 
-            const treeType = getTreeTypeForBiome(biome);
+            const treeType = getTreeTypeForBiome(biome, centerX, centerZ);
 
             trees.push({
                 x: centerX,
@@ -162,7 +173,7 @@ function generateTreesForChunk({ chunkX, chunkZ, heightMap, waterMap, biomeData
                     // Only place tree if we found a valid surface
                     if (surfaceY > 1 && surfaceY <= 65) {
                         // 🌲 DETERMINE TREE TYPE FIRST (needed for spacing calculation)
-                        let treeType = getTreeTypeForBiome(biome);
+                        let treeType = getTreeTypeForBiome(biome, worldX, worldZ);
 
                         // 🎃 DEAD TREE SPAWN (5% chance in any biome)
                         const deadTreeChance = seededNoise(worldX + 35000, worldZ + 35000);
@@ -323,23 +334,8 @@ function shouldGenerateTree(worldX, worldZ, biome) {
     // 🌲 USE OLD WORKING FORMULA from The Long Nights-X BiomeWorldGen.js!
     const baseTreeChance = biome.treeChance || 0.08;
 
-    // Biome-specific density multipliers (from old working code)
-    const biomeDensityMultipliers = {
-        'Forest': 8,
-        'Plains': 10,
-        'Mountain': 10,
-        'Desert': 2,
-        'Tundra': 3
-    };
-
-    let multiplier = 5; // Default
-    const biomeName = biome.name || '';
-    for (const [name, mult] of Object.entries(biomeDensityMultipliers)) {
-        if (biomeName.includes(name)) {
-            multiplier = mult;
-            break;
-        }
-    }
+    // Biome-specific density multiplier (treeDensity in biomes.json)
+    const multiplier = biome.treeDensity || 5;
 
     // Use high-frequency noise for scatter
     const treeNoise = multiOctaveNoise(worldX + 4000, worldZ + 4000, worldSeed + 4000, 3, 0.15, 0.6);
@@ -404,14 +400,9 @@ function trackTreePosition(worldX, worldZ, chunkX, chunkZ) {
     treePositions.get(chunkKey).add(posKey);
 }
 
-function getTreeTypeForBiome(biome) {
-    // Map biome names to tree types
-    if (biome.name === 'Forest') return 'oak_wood';
-    if (biome.name === 'Mountain') return 'pine_wood';
-    if (biome.name === 'Tundra') return 'birch_wood';
-    if (biome.name === 'Desert') return 'palm_wood';
-    if (biome.name === 'Plains') return 'oak_wood';
-    return 'oak_wood'; // Default
+function getTreeTypeForBiome(biome, worldX, worldZ) {
+    // Weighted pick from the biome's treeMix (same position = same tree type)
+    return BiomeDefinitions.pickTreeType(biome, seededRandom(worldX + 7000, worldZ + 7000, worldSeed + 7000));
 }
 
 // ===== NOISE FUNCTIONS =====
@@ -457,6 +448,11 @@ function seededNoise(x, z) {
  * Returns simple colored blocks representing trees
  */
 function generateLODTreesForChunk({ chunkX, chunkZ, heightMap, waterMap }) {
+    if (worldPreset.isSuperflat) {
+        self.postMessage({ type: 'LOD_TREES_READY', data: { chunkX, chunkZ, lodTreeBlocks: [] } });
+        return;
+    }
+
     console.log(`🎨 TreeWorker: Generating LOD trees for chunk (${chunkX}, ${chunkZ})`);
     const lodTreeBlocks = [];
 
@@ -473,7 +469,7 @@ function generateLODTreesForChunk({ chunkX, chunkZ, heightMap, waterMap }) {
 
             if (passesNoiseCheck) {
                 // Determine tree type for spacing (LOD trees are simplified but need same spacing)
-                const treeType = getTreeTypeForBiome(biome);
+                const treeType = getTreeTypeForBiome(biome, worldX, worldZ);
 
                 // Check spacing based on tree type
                 const tooCloseToOtherTree = hasNearbyTree(worldX, worldZ, chunkX, chunkZ, treeType);
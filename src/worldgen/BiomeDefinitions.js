@@ -0,0 +1,337 @@
+/**
+ * 🌍 BiomeDefinitions - Biomes loaded from assets/data/biomes.json
+ *
+ * One definition file drives every generator: BiomeWorldGen (main thread),
+ * ChunkWorker and TreeWorker (they receive the same objects in their INIT
+ * message), StructureGenerator and AnimalSystem. Adding a biome means adding
+ * an entry to the JSON file - no generator code changes.
+ *
+ * Biome schema (JSON):
+ *   name             - Display name ("Forest")
+ *   color, mapColor  - "#RRGGBB" (terrain tint / minimap)
+ *   minHeight, maxHeight - Terrain height range
+ *   surfaceBlock, subBlock - Top block and the two blocks below it
+ *   snowCaps         - Snow on the highest blocks
+ *   heightColorRange - { min, max } brightness from lowest to highest block
+ *   climate          - [{ temperature: [min, max], moisture: [min, max] }] (-1..1, inclusive)
+ *                      used by BiomeWorldGen.selectBiomeFromClimate; first match in file order wins
+ *   shrubChance, treeChance - 0..1
+ *   treeDensity      - Tree noise multiplier (higher = more trees)
+ *   treeInterval     - Main-thread fallback guarantees a tree every N chunks
+ *   treeDistribution - { min, max, clusters }
+ *   treeMix          - [{ type: 'oak_wood', weight }] weighted tree types
+ *   variants         - [{ id, set?, add?, multiply? }] sub-biomes; keys may be "a.b" paths
+ *   structures       - { ruinBlocks: [primary, secondary, tertiary], weights: { pyramid, igloo, village, ... },
+ *                        village?: { wall, floor, road, tower, residents: ['🧑‍🌾', ...] } } (VillageGenerator theme)
+ *   spawns           - [{ animal: 'rabbit', weight }] animals that spawn here (weight scales the chance)
+ *
+ * Runtime biome objects keep the JSON fields, with `color` as a number and `id` added.
+ * Keys starting with "_" are comments.
+ */
+
+const SCHEMA_VERSION = 1;
+const DEFAULT_URL = './data/biomes.json';
+
+let loadedDefinitions = null;
+
+export class BiomeDefinitions {
+    static SCHEMA_VERSION = SCHEMA_VERSION;
+
+    /**
+     * 📥 Load and validate the definitions (once per page/process)
+     * Browser/Electron renderer: fetched from the data folder. Node (headless tools): read from assets/data.
+     *
+     * @returns {Promise<Object>} { version, fallbackBiome, biomes }
+     */
+    static async load(url = DEFAULT_URL) {
+        if (loadedDefinitions) return loadedDefinitions;
+
+        let json;
+        const isNode = typeof window === 'undefined' && typeof process !== 'undefined' && !!process.versions?.node;
+        if (isNode) {
+            const fs = await import('fs/promises');
+            json = JSON.parse(await fs.readFile(new URL('../../assets/data/biomes.json', import.meta.url), 'utf8'));
+        } else {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load biome definitions from ${url}: ${response.status} ${response.statusText}`);
+            }
+            json = await response.json();
+        }
+
+        loadedDefinitions = BiomeDefinitions.parse(json);
+        console.log(`🌍 Loaded ${Object.keys(loadedDefinitions.biomes).length} biome definitions`);
+        return loadedDefinitions;
+    }
+
+    /**
+     * @returns {Object} Definitions from load()
+     */
+    static get() {
+        if (!loadedDefinitions) {
+            throw new Error('Biome definitions not loaded - await BiomeDefinitions.load() first');
+        }
+        return loadedDefinitions;
+    }
+
+    /**
+     * Validate raw JSON and convert it to runtime biome objects
+     *
+     * @param {Object} json - Contents of biomes.json
+     * @returns {Object} { version, fallbackBiome, biomes }
+     */
+    static parse(json) {
+        const errors = BiomeDefinitions.validate(json);
+        if (errors.length > 0) {
+            throw new Error(`Invalid biome definitions:\n - ${errors.join('\n - ')}`);
+        }
+
+        const biomes = {};
+        for (const [id, definition] of Object.entries(json.biomes)) {
+            if (id.startsWith('_')) continue;
+            biomes[id] = {
+                ...structuredClone(definition),
+                id,
+                color: parseInt(definition.color.slice(1), 16)
+            };
+        }
+
+        return { version: json.version, fallbackBiome: json.fallbackBiome, biomes };
+    }
+
+    /**
+     * 🔍 Check biomes.json against the schema
+     *
+     * @returns {string[]} Problems found (empty = valid)
+     */
+    static validate(json) {
+        const errors = [];
+        if (!json || typeof json !== 'object') {
+            return ['File is not a JSON object'];
+        }
+        if (json.version !== SCHEMA_VERSION) {
+            errors.push(`version must be ${SCHEMA_VERSION} (got ${json.version})`);
+        }
+        if (!json.biomes || typeof json.biomes !== 'object') {
+            errors.push('biomes must be an object of { id: definition }');
+            return errors;
+        }
+
+        const ids = Object.keys(json.biomes).filter(id => !id.startsWith('_'));
+        if (ids.length === 0) {
+            errors.push('At least one biome is required');
+        }
+        if (!ids.includes(json.fallbackBiome)) {
+            errors.push(`fallbackBiome "${json.fallbackBiome}" is not a defined biome`);
+        }
+
+        for (const id of ids) {
+            BiomeDefinitions.validateBiome(id, json.biomes[id], errors);
+        }
+        return errors;
+    }
+
+    static validateBiome(id, biome, errors) {
+        const fail = message => errors.push(`${id}: ${message}`);
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isChance = value => isNumber(value) && value >= 0 && value <= 1;
+        const isColor = value => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value);
+        const isName = value => typeof value === 'string' && value.length > 0;
+
+        if (!biome || typeof biome !== 'object') {
+            fail('definition must be an object');
+            return;
+        }
+
+        if (!isName(biome.name)) fail('name must be a non-empty string');
+        if (!isColor(biome.color)) fail(`color must be "#RRGGBB" (got ${JSON.stringify(biome.color)})`);
+        if (!isColor(biome.mapColor)) fail(`mapColor must be "#RRGGBB" (got ${JSON.stringify(biome.mapColor)})`);
+        if (!isNumber(biome.minHeight) || !isNumber(biome.maxHeight) || biome.minHeight >= biome.maxHeight) {
+            fail('minHeight and maxHeight must be numbers with minHeight < maxHeight');
+        }
+        if (!isName(biome.surfaceBlock)) fail('surfaceBlock must be a block type');
+        if (!isName(biome.subBlock)) fail('subBlock must be a block type');
+        if (typeof biome.snowCaps !== 'boolean') fail('snowCaps must be true or false');
+
+        const range = biome.heightColorRange;
+        if (!range || !isNumber(range.min) || !isNumber(range.max) || range.min > range.max) {
+            fail('heightColorRange must be { min, max } with min <= max');
+        }
+
+        // 🌡️ Climate rectangles
+        if (!Array.isArray(biome.climate)) {
+            fail('climate must be an array (empty = only reachable as fallback)');
+        } else {
+            biome.climate.forEach((zone, i) => {
+                for (const axis of ['temperature', 'moisture']) {
+                    const bounds = zone && zone[axis];
+                    if (!Array.isArray(bounds) || bounds.length !== 2 || !bounds.every(isNumber) ||
+                        bounds[0] > bounds[1] || bounds[0] < -1 || bounds[1] > 1) {
+                        fail(`climate[${i}].${axis} must be [min, max] within -1..1`);
+                    }
+                }
+            });
+        }
+
+        // 🌳 Vegetation
+        if (!isChance(biome.shrubChance)) fail('shrubChance must be between 0 and 1');
+        if (!isChance(biome.treeChance)) fail('treeChance must be between 0 and 1');
+        if (!isNumber(biome.treeDensity) || biome.treeDensity <= 0) fail('treeDensity must be a positive number');
+        if (!Number.isInteger(biome.treeInterval) || biome.treeInterval < 1) fail('treeInterval must be a whole number >= 1');
+
+        const distribution = biome.treeDistribution;
+        if (!distribution || !isChance(distribution.min) || !isChance(distribution.max) || typeof distribution.clusters !== 'boolean') {
+            fail('treeDistribution must be { min, max, clusters } with chances between 0 and 1');
+        }
+
+        if (!Array.isArray(biome.treeMix) || biome.treeMix.length === 0) {
+            fail('treeMix must list at least one { type, weight }');
+        } else {
+            biome.treeMix.forEach((entry, i) => {
+                if (!entry || !isName(entry.type) || !isNumber(entry.weight) || entry.weight <= 0) {
+                    fail(`treeMix[${i}] must be { type, weight > 0 }`);
+                }
+            });
+        }
+
+        // 🎨 Variants
+        if (!Array.isArray(biome.variants)) {
+            fail('variants must be an array (may be empty)');
+        } else {
+            biome.variants.forEach((variant, i) => {
+                if (!variant || !isName(variant.id)) {
+                    fail(`variants[${i}] needs an id`);
+                    return;
+                }
+                for (const op of ['add', 'multiply']) {
+                    for (const [path, value] of Object.entries(variant[op] || {})) {
+                        if (!isNumber(value)) fail(`variant ${variant.id}: ${op}.${path} must be a number`);
+                        if (!isNumber(BiomeDefinitions.getPath(biome, path))) {
+                            fail(`variant ${variant.id}: ${op}.${path} does not name a numeric biome field`);
+                        }
+                    }
+                }
+                for (const path of Object.keys(variant.set || {})) {
+                    if (BiomeDefinitions.getPath(biome, path) === undefined) {
+                        fail(`variant ${variant.id}: set.${path} does not name a biome field`);
+                    }
+                }
+            });
+        }
+
+        // 🏛️ Structures
+        const structures = biome.structures;
+        if (!structures || !Array.isArray(structures.ruinBlocks) || structures.ruinBlocks.length === 0 ||
+            structures.ruinBlocks.length > 3 || !structures.ruinBlocks.every(isName)) {
+            fail('structures.ruinBlocks must list 1-3 block types');
+        }
+        if (!structures || !structures.weights || typeof structures.weights !== 'object') {
+            fail('structures.weights must be an object of { structure: weight }');
+        } else {
+            for (const [structure, weight] of Object.entries(structures.weights)) {
+                if (!isNumber(weight) || weight < 0) fail(`structures.weights.${structure} must be a number >= 0`);
+            }
+        }
+        const village = structures?.village;
+        if (village !== undefined) {
+            for (const key of ['wall', 'floor', 'road', 'tower']) {
+                if (!isName(village?.[key])) fail(`structures.village.${key} must be a block type`);
+            }
+            if (!Array.isArray(village?.residents) || village.residents.length === 0 ||
+                !village.residents.every(emoji => typeof emoji === 'string' && emoji.length > 0)) {
+                fail('structures.village.residents must list at least one emoji');
+            }
+        }
+
+        // 🐇 Spawn table
+        if (!Array.isArray(biome.spawns)) {
+            fail('spawns must be an array (may be empty)');
+        } else {
+            biome.spawns.forEach((entry, i) => {
+                if (!entry || !isName(entry.animal) || !isNumber(entry.weight) || entry.weight <= 0) {
+                    fail(`spawns[${i}] must be { animal, weight > 0 }`);
+                }
+            });
+        }
+    }
+
+    // --- Helpers shared by BiomeWorldGen and the workers ---
+
+    /**
+     * 🌡️ First biome whose climate zone contains (temperature, moisture), else the fallback
+     */
+    static selectBiome(definitions, temperature, moisture) {
+        for (const biome of Object.values(definitions.biomes)) {
+            for (const { temperature: [tMin, tMax], moisture: [mMin, mMax] } of biome.climate) {
+                if (temperature >= tMin && temperature <= tMax && moisture >= mMin && moisture <= mMax) {
+                    return biome;
+                }
+            }
+        }
+        return definitions.biomes[definitions.fallbackBiome];
+    }
+
+    /**
+     * 🎨 Copy of a biome with a variant's set/add/multiply applied (the base biome is never modified)
+     */
+    static applyVariant(biome, variant) {
+        const result = { ...biome, treeDistribution: { ...biome.treeDistribution }, variant: variant ? variant.id : 'default' };
+        if (!variant) return result;
+
+        for (const [path, value] of Object.entries(variant.set || {})) {
+            BiomeDefinitions.setPath(result, path, value);
+        }
+        for (const [path, value] of Object.entries(variant.add || {})) {
+            BiomeDefinitions.setPath(result, path, BiomeDefinitions.getPath(result, path) + value);
+        }
+        for (const [path, value] of Object.entries(variant.multiply || {})) {
+            BiomeDefinitions.setPath(result, path, BiomeDefinitions.getPath(result, path) * value);
+        }
+        return result;
+    }
+
+    /**
+     * 🌲 Pick a tree type from the biome's weighted tree mix
+     *
+     * @param {number} roll - Deterministic random number in [0, 1)
+     */
+    static pickTreeType(biome, roll) {
+        const mix = biome.treeMix;
+        if (!mix || mix.length === 0) return 'oak_wood';
+        if (mix.length === 1) return mix[0].type;
+
+        const total = mix.reduce((sum, entry) => sum + entry.weight, 0);
+        let target = roll * total;
+        for (const entry of mix) {
+            target -= entry.weight;
+            if (target < 0) return entry.type;
+        }
+        return mix[mix.length - 1].type;
+    }
+
+    /**
+     * 🏛️ Weight of a biome-specific structure (0 = never generated here)
+     */
+    static getStructureWeight(biome, structure) {
+        return biome?.structures?.weights?.[structure] || 0;
+    }
+
+    /**
+     * 🐇 Spawn weight of an animal in a biome (0 = doesn't spawn here)
+     */
+    static getSpawnWeight(biome, animalId) {
+        const entry = biome?.spawns?.find(spawn => spawn.animal === animalId);
+        return entry ? entry.weight : 0;
+    }
+
+    static getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+    }
+
+    static setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((value, key) => value[key], object);
+        target[last] = value;
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * 🕳️ CaveGenerator - Seeded 3D noise caves
+ *
+ * Purpose:
+ * - Carve caves out of the solid terrain columns (ChunkWorker, BiomeWorldGen fallback,
+ *   and VoxelWorld's on-demand underground blocks all ask the same question)
+ * - Depends only on world coordinates + seed, so a cave continues across chunk
+ *   borders and comes out identical in every thread and on every load
+ *
+ * Cave types:
+ * - Spaghetti tunnels: where two independent 3D noise fields are both near zero
+ * - Caverns: rare, larger open pockets deeper down
+ * - Surface entrances: a few columns where tunnels may break through the surface;
+ *   everywhere else caves keep a solid roof so the ground doesn't collapse into holes
+ *
+ * Pure module (no THREE / DOM) so the workers can import it.
+ */
+
+export class CaveGenerator {
+    static DEFAULTS = {
+        minY: 2,                 // Bedrock (y=0) and the floor above it stay solid
+        roofThickness: 2,        // Solid blocks kept under the surface (surface + subBlock)
+        tunnelScale: 0.06,       // Horizontal frequency of tunnels
+        tunnelVerticalScale: 0.12, // Vertical frequency (higher = flatter tunnels in a shallow world)
+        tunnelWidth: 0.08,       // |noise| below this on both fields = tunnel
+        cavernScale: 0.035,
+        cavernThreshold: 0.65,   // Noise above this = cavern (rare)
+        cavernMinDepth: 4,       // Caverns stay at least this far below the surface
+        entranceScale: 0.05,
+        entranceThreshold: 0.82, // 2D noise above this = column where tunnels may reach the surface
+        entranceMinHeight: 5     // No entrances in low ground (would drain into water)
+    };
+
+    /**
+     * @param {number} seed - World seed
+     * @param {Object} options - Overrides for CaveGenerator.DEFAULTS
+     */
+    constructor(seed, options = {}) {
+        this.seed = seed | 0;
+        this.params = { ...CaveGenerator.DEFAULTS, ...options };
+    }
+
+    /**
+     * Is this block carved out (air) in a column whose surface is at surfaceHeight?
+     */
+    isCave(worldX, y, worldZ, surfaceHeight) {
+        const p = this.params;
+        if (y < p.minY || y > surfaceHeight) return false;
+
+        const depth = surfaceHeight - y; // 0 = surface block
+        if (depth < p.roofThickness && !this.isEntrance(worldX, worldZ, surfaceHeight)) {
+            return false;
+        }
+
+        return this.isTunnel(worldX, y, worldZ) ||
+            (depth >= p.cavernMinDepth && this.isCavern(worldX, y, worldZ));
+    }
+
+    /**
+     * Highest solid block of a column after carving (-1 if the whole column is open)
+     * Used for heightmaps (tree placement) and LOD surfaces
+     */
+    getTopSolidY(worldX, worldZ, surfaceHeight) {
+        for (let y = surfaceHeight; y >= 0; y--) {
+            if (!this.isCave(worldX, y, worldZ, surfaceHeight)) return y;
+        }
+        return -1;
+    }
+
+    isTunnel(worldX, y, worldZ) {
+        const p = this.params;
+        const x = worldX * p.tunnelScale;
+        const yy = y * p.tunnelVerticalScale;
+        const z = worldZ * p.tunnelScale;
+
+        const a = CaveGenerator.valueNoise3D(x, yy, z, this.seed + 7001);
+        if (Math.abs(a) >= p.tunnelWidth) return false;
+        const b = CaveGenerator.valueNoise3D(x, yy, z, this.seed + 7919);
+        return Math.abs(b) < p.tunnelWidth;
+    }
+
+    isCavern(worldX, y, worldZ) {
+        const p = this.params;
+        const noise = CaveGenerator.valueNoise3D(worldX * p.cavernScale, y * p.cavernScale * 2, worldZ * p.cavernScale, this.seed + 8111);
+        return noise > p.cavernThreshold;
+    }
+
+    isEntrance(worldX, worldZ, surfaceHeight) {
+        const p = this.params;
+        if (surfaceHeight < p.entranceMinHeight) return false;
+        return CaveGenerator.valueNoise3D(worldX * p.entranceScale, 0, worldZ * p.entranceScale, this.seed + 9173) > p.entranceThreshold;
+    }
+
+    // ===== NOISE =====
+
+    /**
+     * Smooth 3D value noise in [-1, 1] (integer hashing, so every thread gets the same bits)
+     * Static so other generators (ore veins) can share it
+     */
+    static valueNoise3D(x, y, z, seed) {
+        const x0 = Math.floor(x), y0 = Math.floor(y), z0 = Math.floor(z);
+        const fx = x - x0, fy = y - y0, fz = z - z0;
+        const u = fx * fx * (3 - 2 * fx);
+        const v = fy * fy * (3 - 2 * fy);
+        const w = fz * fz * (3 - 2 * fz);
+
+        const lerp = (a, b, t) => a + (b - a) * t;
+        const corner = (dx, dy, dz) => CaveGenerator.hash3(x0 + dx, y0 + dy, z0 + dz, seed);
+
+        const x00 = lerp(corner(0, 0, 0), corner(1, 0, 0), u);
+        const x10 = lerp(corner(0, 1, 0), corner(1, 1, 0), u);
+        const x01 = lerp(corner(0, 0, 1), corner(1, 0, 1), u);
+        const x11 = lerp(corner(0, 1, 1), corner(1, 1, 1), u);
+
+        return lerp(lerp(x00, x10, v), lerp(x01, x11, v), w);
+    }
+
+    /**
+     * Lattice hash → [-1, 1]
+     */
+    static hash3(x, y, z, seed) {
+        let h = seed ^ Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(z, 2147483647);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        h ^= h >>> 16;
+        return (h >>> 0) / 2147483647.5 - 1;
+    }
+}
@@ -0,0 +1,523 @@
+import { CaveGenerator } from './CaveGenerator.js';
+
+/**
+ * 🗝️ DungeonLayout - Seeded room graphs for multi-floor dungeons
+ *
+ * Purpose:
+ * - DungeonGenerator builds blocks; this plans what it builds: rooms on a grid per
+ *   floor, the corridors between them (graph edges), stairs down to the next floor,
+ *   locked doors with their keys, secret rooms and the boss room
+ * - Same seed + tier = same layout, and every layout is checked by validate() before
+ *   it is returned (an unsolvable attempt, or one short of the tier's loops/locks,
+ *   retries with the next attempt number)
+ *
+ * Graph:
+ * - Each floor grows as a tree from its entry room (dead ends come from that),
+ *   then TIERS[tier].loops extra corridors join neighbouring rooms (loops)
+ * - The room farthest from a floor's entry holds the stairs down (the next floor's entry
+ *   is right below it); on the last floor it is the boss room
+ * - Locks go on corridors of the entrance → boss path that have no way around
+ *   (bridges), the last one on the boss door. The key of lock N lies in a room reachable
+ *   with keys 1..N-1 only - side rooms (off the main path, dead ends first) preferred
+ * - Secret rooms hang off ordinary rooms behind a wall; they never hold keys and the
+ *   dungeon is solvable without them
+ *
+ * Edge types: 'door' | 'locked' (edge.key) | 'secret' | 'stairs'
+ * Room types: 'entrance' | 'chamber' | 'monster_room' | 'treasure_room' | 'key_room' | 'secret_room' | 'boss_room'
+ *
+ * Pure module (no THREE / DOM).
+ */
+
+export class DungeonLayout {
+    static MIN_TIER = 1;
+    static MAX_TIER = 5;
+    static MAX_ATTEMPTS = 20;
+
+    // Geometry (blocks)
+    static GRID_SIZE = 7;          // Cells per floor side
+    static CELL_SIZE = 16;         // Blocks per cell side (room + corridor)
+    static ROOM_MIN = 9;
+    static ROOM_MAX = 13;
+    static STAIRS_ROOM_SIZE = 13;  // Room above/below stairs (the flight needs the space)
+    static ROOM_HEIGHT = 6;        // Air blocks inside a room
+    static FLOOR_SPACING = 8;      // Blocks between the floors of two dungeon levels
+    static BASE_Y = 10;            // Floor level of the deepest dungeon level
+
+    // Difficulty per tier (MapManager.createDungeon tier)
+    static TIERS = {
+        1: { floors: 1, roomsPerFloor: 6, locks: 1, loops: 1, secretChance: 0.3, monsterChance: 0.3, enemies: [1, 2] },
+        2: { floors: 2, roomsPerFloor: 6, locks: 2, loops: 1, secretChance: 0.4, monsterChance: 0.35, enemies: [1, 3] },
+        3: { floors: 2, roomsPerFloor: 8, locks: 3, loops: 2, secretChance: 0.5, monsterChance: 0.4, enemies: [2, 3] },
+        4: { floors: 3, roomsPerFloor: 8, locks: 4, loops: 2, secretChance: 0.6, monsterChance: 0.45, enemies: [2, 4] },
+        5: { floors: 3, roomsPerFloor: 10, locks: 5, loops: 3, secretChance: 0.7, monsterChance: 0.5, enemies: [3, 5] }
+    };
+
+    static DIRECTIONS = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+    /**
+     * 🎲 Plan a solvable dungeon
+     *
+     * @param {Object} options
+     * @param {number} options.seed - Layout seed
+     * @param {number} options.tier - Difficulty 1-5 (clamped)
+     * @returns {Object} { seed, tier, attempt, floors, rooms, edges, keys, entrance, boss, stats }
+     */
+    static generate({ seed, tier }) {
+        tier = DungeonLayout.clampTier(tier);
+
+        // First attempt that is solvable and has the tier's loops and locks; otherwise
+        // the solvable attempt that came closest
+        let errors = [];
+        let best = null;
+        for (let attempt = 0; attempt < DungeonLayout.MAX_ATTEMPTS; attempt++) {
+            const layout = DungeonLayout.plan(seed, tier, attempt);
+            errors = DungeonLayout.validate(layout);
+            if (errors.length > 0) continue;
+
+            const shortfall = DungeonLayout.getShortfall(layout);
+            if (shortfall === 0) return layout;
+            if (!best || shortfall < best.shortfall) best = { layout, shortfall };
+        }
+        if (best) return best.layout;
+        throw new Error(`No solvable dungeon layout for seed ${seed}, tier ${tier}:\n - ${errors.join('\n - ')}`);
+    }
+
+    static clampTier(tier) {
+        const value = Math.round(Number(tier));
+        if (!Number.isFinite(value)) return DungeonLayout.MIN_TIER;
+        return Math.max(DungeonLayout.MIN_TIER, Math.min(DungeonLayout.MAX_TIER, value));
+    }
+
+    // ===== PLANNING =====
+
+    static plan(seed, tier, attempt) {
+        const settings = DungeonLayout.TIERS[tier];
+        const random = DungeonLayout.createRandom(seed, attempt);
+        const layout = {
+            seed, tier, attempt,
+            floors: settings.floors,
+            rooms: [],
+            edges: [],
+            keys: [],
+            entrance: null,
+            boss: null,
+            stats: null
+        };
+        const cells = new Map(); // Map<"floor:x,z", room>
+
+        const addRoom = (floor, cellX, cellZ, type) => {
+            const room = {
+                id: type === 'entrance' ? 'entrance' : `room_${layout.rooms.length}`,
+                type,
+                floor,
+                cell: { x: cellX, z: cellZ },
+                position: null,
+                size: null,
+                connections: [],
+                key: null,
+                secret: type === 'secret_room',
+                stairsUp: false,
+                stairsDown: false,
+                enemyCount: 0
+            };
+            layout.rooms.push(room);
+            cells.set(`${floor}:${cellX},${cellZ}`, room);
+            return room;
+        };
+        const addEdge = (a, b, type) => {
+            const edge = { id: `edge_${layout.edges.length}`, from: a.id, to: b.id, type, key: null };
+            layout.edges.push(edge);
+            a.connections.push(b.id);
+            b.connections.push(a.id);
+            return edge;
+        };
+        const freeNeighbours = (room) => DungeonLayout.DIRECTIONS
+            .map(([dx, dz]) => ({ x: room.cell.x + dx, z: room.cell.z + dz }))
+            .filter(({ x, z }) => x >= 0 && z >= 0 && x < DungeonLayout.GRID_SIZE && z < DungeonLayout.GRID_SIZE &&
+                !cells.has(`${room.floor}:${x},${z}`));
+
+        const center = Math.floor(DungeonLayout.GRID_SIZE / 2);
+        let entry = null;
+
+        for (let floor = 0; floor < settings.floors; floor++) {
+            // Entry: the entrance, or the room below the previous floor's stairs
+            if (floor === 0) {
+                entry = addRoom(0, center, center, 'entrance');
+                layout.entrance = entry.id;
+            } else {
+                const above = entry;
+                entry = addRoom(floor, above.cell.x, above.cell.z, 'chamber');
+                entry.stairsUp = true;
+                addEdge(above, entry, 'stairs');
+            }
+
+            // 🌳 Grow a tree of rooms
+            const floorRooms = [entry];
+            while (floorRooms.length < settings.roomsPerFloor) {
+                const growable = floorRooms.filter(room => freeNeighbours(room).length > 0);
+                if (growable.length === 0) break;
+
+                const parent = growable[Math.floor(random() * growable.length)];
+                const options = freeNeighbours(parent);
+                const cell = options[Math.floor(random() * options.length)];
+                const room = addRoom(floor, cell.x, cell.z, 'chamber');
+                addEdge(parent, room, 'door');
+                floorRooms.push(room);
+            }
+
+            // Farthest room: stairs down, or the boss on the last floor
+            const distances = DungeonLayout.getDistances(layout, entry.id, edge => edge.type !== 'stairs');
+            let farthest = entry;
+            for (const room of floorRooms) {
+                if (distances.get(room.id) > distances.get(farthest.id)) farthest = room;
+            }
+            if (floor === settings.floors - 1) {
+                farthest.type = 'boss_room';
+                layout.boss = farthest.id;
+            } else {
+                farthest.stairsDown = true;
+                entry = farthest;
+            }
+
+            // 🔁 Loops between neighbouring rooms (the boss room keeps its single door)
+            const candidates = [];
+            for (const room of floorRooms) {
+                for (const [dx, dz] of DungeonLayout.DIRECTIONS.slice(0, 2)) { // East/south only - each pair once
+                    const other = cells.get(`${floor}:${room.cell.x + dx},${room.cell.z + dz}`);
+                    if (other && !room.connections.includes(other.id) &&
+                        room.type !== 'boss_room' && other.type !== 'boss_room') {
+                        candidates.push([room, other]);
+                    }
+                }
+            }
+            for (let i = 0; i < settings.loops && candidates.length > 0; i++) {
+                const [a, b] = candidates.splice(Math.floor(random() * candidates.length), 1)[0];
+                addEdge(a, b, 'door');
+            }
+        }
+
+        DungeonLayout.placeLocks(layout, settings.locks, random);
+
+        // 🕵️ Secret rooms (after the keys, so none ends up behind a secret wall)
+        for (let floor = 0; floor < settings.floors; floor++) {
+            if (random() >= settings.secretChance) continue;
+
+            const hosts = layout.rooms.filter(room => room.floor === floor && !room.secret &&
+                room.type !== 'boss_room' && freeNeighbours(room).length > 0);
+            if (hosts.length === 0) continue;
+
+            const host = hosts[Math.floor(random() * hosts.length)];
+            const options = freeNeighbours(host);
+            const cell = options[Math.floor(random() * options.length)];
+            addEdge(host, addRoom(floor, cell.x, cell.z, 'secret_room'), 'secret');
+        }
+
+        DungeonLayout.assignRoomTypes(layout, settings, random);
+        DungeonLayout.assignGeometry(layout, random);
+        layout.stats = DungeonLayout.getStats(layout);
+        return layout;
+    }
+
+    /**
+     * 🔒 Locks on the main path's bridges (boss door last) and their keys
+     */
+    static placeLocks(layout, lockCount, random) {
+        const path = DungeonLayout.findPath(layout, layout.entrance, layout.boss);
+        if (!path) return;
+
+        const bridges = DungeonLayout.findBridges(layout);
+        const pathEdges = [];
+        for (let i = 1; i < path.length; i++) {
+            const edge = DungeonLayout.getEdge(layout, path[i - 1], path[i]);
+            if (edge.type === 'door' && bridges.has(edge.id)) pathEdges.push(edge);
+        }
+        if (pathEdges.length === 0) return;
+
+        // Boss door plus random others, in path order
+        const bossDoor = pathEdges.pop();
+        const chosen = [];
+        while (chosen.length < lockCount - 1 && pathEdges.length > 0) {
+            chosen.push(pathEdges.splice(Math.floor(random() * pathEdges.length), 1)[0]);
+        }
+        chosen.sort((a, b) => DungeonLayout.pathIndex(path, a) - DungeonLayout.pathIndex(path, b));
+        chosen.push(bossDoor);
+
+        const mainPath = new Set(path);
+        let previousRegion = new Set();
+        chosen.forEach((edge, index) => {
+            const keyId = `key_${index + 1}`;
+            edge.type = 'locked';
+            edge.key = keyId;
+
+            // Reachable while this lock and the later ones are still closed
+            const later = new Set(chosen.slice(index).map(lock => lock.id));
+            const region = DungeonLayout.getReachable(layout, layout.entrance, candidate => !later.has(candidate.id));
+            const rooms = layout.rooms.filter(room => region.has(room.id) && !room.key && room.id !== layout.entrance);
+            const fresh = rooms.filter(room => !previousRegion.has(room.id));
+            const sideRooms = fresh.filter(room => !mainPath.has(room.id));
+            const deadEnds = sideRooms.filter(room => room.connections.length === 1);
+
+            const pool = [deadEnds, sideRooms, fresh, rooms].find(list => list.length > 0);
+            const room = pool
+                ? pool[Math.floor(random() * pool.length)]
+                : layout.rooms.find(candidate => candidate.id === layout.entrance);
+            room.key = keyId;
+            layout.keys.push({ id: keyId, room: room.id, lock: edge.id });
+            previousRegion = region;
+        });
+    }
+
+    static assignRoomTypes(layout, settings, random) {
+        const [minEnemies, maxEnemies] = settings.enemies;
+        for (const room of layout.rooms) {
+            if (room.type === 'chamber') {
+                if (room.key) {
+                    room.type = 'key_room';
+                } else if (room.connections.length === 1 && !room.stairsUp && !room.stairsDown) {
+                    room.type = 'treasure_room';
+                } else if (random() < settings.monsterChance) {
+                    room.type = 'monster_room';
+                }
+            }
+
+            if (room.type === 'monster_room' || room.type === 'key_room') {
+                room.enemyCount = minEnemies + Math.floor(random() * (maxEnemies - minEnemies + 1));
+            } else if (room.type === 'chamber' || room.type === 'treasure_room') {
+                room.enemyCount = random() < 0.5 ? minEnemies : 0;
+            }
+        }
+    }
+
+    /**
+     * Block position (lowest corner, floor level) and size of every room
+     */
+    static assignGeometry(layout, random) {
+        const { CELL_SIZE, ROOM_MIN, ROOM_MAX, STAIRS_ROOM_SIZE, ROOM_HEIGHT, FLOOR_SPACING, BASE_Y } = DungeonLayout;
+        const half = Math.floor(CELL_SIZE / 2);
+
+        for (const room of layout.rooms) {
+            const isStairs = room.stairsUp || room.stairsDown;
+            const sizeOf = () => isStairs ? STAIRS_ROOM_SIZE : ROOM_MIN + 2 * Math.floor(random() * ((ROOM_MAX - ROOM_MIN) / 2 + 1));
+            const w = sizeOf();
+            const d = sizeOf();
+            const centerX = room.cell.x * CELL_SIZE + half;
+            const centerZ = room.cell.z * CELL_SIZE + half;
+
+            room.size = { w, h: ROOM_HEIGHT, d };
+            room.position = {
+                x: centerX - Math.floor(w / 2),
+                y: BASE_Y + (layout.floors - 1 - room.floor) * FLOOR_SPACING,
+                z: centerZ - Math.floor(d / 2)
+            };
+        }
+    }
+
+    /**
+     * Loops + locks missing compared to TIERS[layout.tier] (0 = as planned)
+     */
+    static getShortfall(layout) {
+        const { loops, locks } = DungeonLayout.TIERS[layout.tier];
+        return Math.max(0, Math.min(loops, 1) - layout.stats.loops) + Math.max(0, locks - layout.stats.locks);
+    }
+
+    static getStats(layout) {
+        const open = layout.edges.filter(edge => edge.type !== 'secret');
+        const rooms = layout.rooms.filter(room => !room.secret);
+        return {
+            rooms: layout.rooms.length,
+            locks: layout.keys.length,
+            secrets: layout.rooms.length - rooms.length,
+            loops: open.length - rooms.length + 1, // Independent cycles of the connected, non-secret graph
+            deadEnds: rooms.filter(room => room.connections.filter(id => !DungeonLayout.getRoom(layout, id).secret).length === 1).length
+        };
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * 🔍 Check a layout: structure, keys, and that it can be finished
+     * Solvable = starting at the entrance without keys and without secret passages, the
+     * player can pick up every key, open every lock and reach every non-secret room.
+     *
+     * @returns {string[]} Problems found (empty = valid)
+     */
+    static validate(layout) {
+        const errors = [];
+        const ids = new Set();
+        const cells = new Set();
+        for (const room of layout.rooms) {
+            if (ids.has(room.id)) errors.push(`Room id ${room.id} is used twice`);
+            ids.add(room.id);
+
+            const cellKey = `${room.floor}:${room.cell.x},${room.cell.z}`;
+            if (cells.has(cellKey)) errors.push(`Two rooms on floor ${room.floor} cell ${room.cell.x},${room.cell.z}`);
+            cells.add(cellKey);
+        }
+
+        const entrances = layout.rooms.filter(room => room.type === 'entrance');
+        const bosses = layout.rooms.filter(room => room.type === 'boss_room');
+        if (entrances.length !== 1) errors.push(`Expected 1 entrance, found ${entrances.length}`);
+        if (bosses.length !== 1) errors.push(`Expected 1 boss room, found ${bosses.length}`);
+        if (errors.length > 0) return errors;
+
+        for (const edge of layout.edges) {
+            const from = DungeonLayout.getRoom(layout, edge.from);
+            const to = DungeonLayout.getRoom(layout, edge.to);
+            if (!from || !to) {
+                errors.push(`${edge.id} joins unknown rooms ${edge.from} / ${edge.to}`);
+                continue;
+            }
+            if (edge.type === 'stairs') {
+                if (Math.abs(from.floor - to.floor) !== 1 || from.cell.x !== to.cell.x || from.cell.z !== to.cell.z) {
+                    errors.push(`Stairs ${edge.id} must join the same cell on neighbouring floors`);
+                }
+            } else if (from.floor !== to.floor ||
+                Math.abs(from.cell.x - to.cell.x) + Math.abs(from.cell.z - to.cell.z) !== 1) {
+                errors.push(`Corridor ${edge.id} must join neighbouring cells on one floor`);
+            }
+        }
+
+        // 🗝️ Every lock has exactly one key, outside secret rooms
+        const locks = layout.edges.filter(edge => edge.type === 'locked');
+        for (const lock of locks) {
+            const keys = layout.rooms.filter(room => room.key === lock.key);
+            if (keys.length !== 1) {
+                errors.push(`Lock ${lock.id} needs exactly one ${lock.key} (found ${keys.length})`);
+            } else if (keys[0].secret) {
+                errors.push(`${lock.key} is hidden in secret room ${keys[0].id}`);
+            }
+        }
+        if (errors.length > 0) return errors;
+
+        // 🚶 Walk it: collect keys, open locks, repeat until nothing changes
+        const held = new Set();
+        let reachable;
+        for (;;) {
+            reachable = DungeonLayout.getReachable(layout, layout.entrance, edge =>
+                edge.type !== 'secret' && (edge.type !== 'locked' || held.has(edge.key)));
+            const before = held.size;
+            for (const id of reachable) {
+                const key = DungeonLayout.getRoom(layout, id).key;
+                if (key) held.add(key);
+            }
+            if (held.size === before) break;
+        }
+
+        if (!reachable.has(layout.boss)) {
+            errors.push('The boss room cannot be reached');
+        }
+        for (const lock of locks) {
+            if (!held.has(lock.key)) errors.push(`${lock.key} for ${lock.id} cannot be reached`);
+        }
+        for (const room of layout.rooms) {
+            if (!room.secret && !reachable.has(room.id)) errors.push(`Room ${room.id} cannot be reached`);
+        }
+
+        const everything = DungeonLayout.getReachable(layout, layout.entrance, () => true);
+        for (const room of layout.rooms) {
+            if (room.secret && !everything.has(room.id)) errors.push(`Secret room ${room.id} is not connected`);
+        }
+        return errors;
+    }
+
+    // ===== GRAPH HELPERS =====
+
+    static getRoom(layout, id) {
+        return layout.rooms.find(room => room.id === id) || null;
+    }
+
+    static getEdge(layout, a, b) {
+        return layout.edges.find(edge => (edge.from === a && edge.to === b) || (edge.from === b && edge.to === a)) || null;
+    }
+
+    /**
+     * Room ids reachable from `startId` through edges that pass `canPass(edge)`
+     */
+    static getReachable(layout, startId, canPass) {
+        return new Set(DungeonLayout.getDistances(layout, startId, canPass).keys());
+    }
+
+    /**
+     * BFS steps from `startId` (Map<roomId, steps>)
+     */
+    static getDistances(layout, startId, canPass) {
+        const distances = new Map([[startId, 0]]);
+        const queue = [startId];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            for (const edge of layout.edges) {
+                if (edge.from !== id && edge.to !== id) continue;
+                const next = edge.from === id ? edge.to : edge.from;
+                if (distances.has(next) || !canPass(edge)) continue;
+                distances.set(next, distances.get(id) + 1);
+                queue.push(next);
+            }
+        }
+        return distances;
+    }
+
+    /**
+     * Shortest room path (ids) without secret passages, null if there is none
+     */
+    static findPath(layout, fromId, toId) {
+        const previous = new Map([[fromId, null]]);
+        const queue = [fromId];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (id === toId) break;
+            for (const edge of layout.edges) {
+                if (edge.type === 'secret' || (edge.from !== id && edge.to !== id)) continue;
+                const next = edge.from === id ? edge.to : edge.from;
+                if (previous.has(next)) continue;
+                previous.set(next, id);
+                queue.push(next);
+            }
+        }
+        if (!previous.has(toId)) return null;
+
+        const path = [];
+        for (let id = toId; id !== null; id = previous.get(id)) path.unshift(id);
+        return path;
+    }
+
+    static pathIndex(path, edge) {
+        return Math.max(path.indexOf(edge.from), path.indexOf(edge.to));
+    }
+
+    /**
+     * Edge ids whose removal splits the (non-secret) graph - Tarjan's bridge search
+     */
+    static findBridges(layout) {
+        const bridges = new Set();
+        const order = new Map();
+        const low = new Map();
+        let counter = 0;
+
+        const visit = (id, viaEdge) => {
+            order.set(id, counter);
+            low.set(id, counter);
+            counter++;
+            for (const edge of layout.edges) {
+                if (edge.type === 'secret' || edge.id === viaEdge || (edge.from !== id && edge.to !== id)) continue;
+                const next = edge.from === id ? edge.to : edge.from;
+                if (!order.has(next)) {
+                    visit(next, edge.id);
+                    low.set(id, Math.min(low.get(id), low.get(next)));
+                    if (low.get(next) > order.get(id)) bridges.add(edge.id);
+                } else {
+                    low.set(id, Math.min(low.get(id), order.get(next)));
+                }
+            }
+        };
+        visit(layout.entrance, null);
+        return bridges;
+    }
+
+    /**
+     * Seeded random sequence in [0, 1) - `stream` separates independent sequences of one seed
+     */
+    static createRandom(seed, stream = 0) {
+        let step = 0;
+        return () => (CaveGenerator.hash3(step++, stream, 0, seed) + 1) / 2;
+    }
+}
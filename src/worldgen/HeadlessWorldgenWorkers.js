@@ -0,0 +1,169 @@
+/**
+ * 🖥️ HeadlessWorldgenWorkers - The game's ChunkWorker + TreeWorker outside the browser
+ *
+ * Starts both worker scripts in Node worker threads (through NodeWorkerHost) and
+ * sends them the same INIT messages WorkerManager does, so headless tools
+ * (WorldPregenerator, WorldgenVerifier) get exactly the blocks and trees the
+ * game would generate.
+ *
+ * Requests are matched to replies by type + chunk coordinates, so several can be
+ * in flight at once; the workers answer them in the order they were sent.
+ */
+
+import { Worker } from 'node:worker_threads';
+
+export class HeadlessWorldgenWorkers {
+    static INIT_TIMEOUT = 5000; // Same as WorkerManager.initialize
+
+    /**
+     * @param {Object} options
+     * @param {number} options.seed - World seed
+     * @param {Object} options.biomeConfig - BiomeWorldGen.biomes
+     * @param {Object} options.noiseConfig - BiomeWorldGen.noiseParams
+     * @param {Object} options.worldSettings - { border, preset } (same as WorkerManager.initialize)
+     * @param {number} options.chunkSize - Blocks per chunk side (default 8)
+     * @param {boolean} options.verbose - Keep the workers' per-chunk logging
+     */
+    constructor({ seed, biomeConfig, noiseConfig, worldSettings = {}, chunkSize = 8, verbose = false }) {
+        this.seed = seed;
+        this.worldSettings = worldSettings;
+        this.biomeConfig = biomeConfig;
+        this.noiseConfig = noiseConfig;
+        this.chunkSize = chunkSize;
+        this.verbose = verbose;
+
+        this.chunkWorker = null;
+        this.treeWorker = null;
+        this.pending = new Map(); // Map<"WorkerName:REPLY_TYPE:x,z", { resolve, reject }>
+        this.workerError = null;
+    }
+
+    async start() {
+        this.chunkWorker = this.createWorker('../workers/ChunkWorker.js');
+        this.treeWorker = this.createWorker('../workers/TreeWorker.js');
+
+        await Promise.all([
+            this.request(this.chunkWorker, 'INIT', 'INIT_COMPLETE', {
+                seed: this.seed,
+                biomeConfig: this.biomeConfig,
+                noiseConfig: this.noiseConfig,
+                worldSettings: this.worldSettings
+            }, HeadlessWorldgenWorkers.INIT_TIMEOUT),
+            this.request(this.treeWorker, 'INIT', 'INIT_COMPLETE', {
+                seed: this.seed,
+                biomeConfig: this.biomeConfig,
+                size: this.chunkSize,
+                worldSettings: this.worldSettings
+            }, HeadlessWorldgenWorkers.INIT_TIMEOUT)
+        ]);
+    }
+
+    async stop() {
+        await Promise.all([this.chunkWorker, this.treeWorker]
+            .filter(worker => worker)
+            .map(worker => worker.terminate()));
+        this.chunkWorker = null;
+        this.treeWorker = null;
+    }
+
+    // --- Generation ---
+
+    /**
+     * 🏔️ Terrain for one chunk (ChunkWorker's CHUNK_READY data: transferable arrays + heightMap/waterMap)
+     */
+    generateChunk(chunkX, chunkZ) {
+        return this.request(this.chunkWorker, 'GENERATE_CHUNK', 'CHUNK_READY', {
+            chunkX, chunkZ, chunkSize: this.chunkSize
+        });
+    }
+
+    /**
+     * 🌲 Tree pass for a chunk generated by generateChunk (TreeWorker's TREES_READY data)
+     * TreeWorker spaces trees against the chunks it has already seen, so call this in a fixed order
+     */
+    generateTrees(chunkX, chunkZ, chunkData) {
+        return this.request(this.treeWorker, 'GENERATE_TREES', 'TREES_READY', {
+            chunkX,
+            chunkZ,
+            heightMap: chunkData.heightMap,
+            waterMap: chunkData.waterMap,
+            biomeData: null
+        });
+    }
+
+    /**
+     * 🎨 LOD chunk (ChunkWorker's LOD_CHUNK_READY data: { chunkX, chunkZ, colorBlocks })
+     */
+    generateLODChunk(chunkX, chunkZ) {
+        return this.request(this.chunkWorker, 'GENERATE_LOD_CHUNK', 'LOD_CHUNK_READY', {
+            chunkX, chunkZ, chunkSize: this.chunkSize
+        });
+    }
+
+    // --- Messaging ---
+
+    createWorker(script) {
+        const worker = new Worker(new URL('../workers/NodeWorkerHost.js', import.meta.url), {
+            workerData: { script: new URL(script, import.meta.url).href, quiet: !this.verbose }
+        });
+        worker.name = script.includes('Tree') ? 'TreeWorker' : 'ChunkWorker';
+
+        worker.on('message', message => this.handleWorkerMessage(worker, message));
+        worker.on('error', error => this.failAll(new Error(`${worker.name} crashed: ${error.message}`)));
+        worker.on('exit', code => {
+            if (code !== 0) this.failAll(new Error(`${worker.name} exited with code ${code}`));
+        });
+
+        return worker;
+    }
+
+    /**
+     * Post a message and wait for the matching reply (replies carry the chunk coordinates)
+     */
+    request(worker, type, replyType, data, timeout = 0) {
+        if (this.workerError) {
+            return Promise.reject(this.workerError);
+        }
+
+        const key = HeadlessWorldgenWorkers.getReplyKey(worker, replyType, data);
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            if (timeout > 0) {
+                timer = setTimeout(() => {
+                    this.pending.delete(key);
+                    reject(new Error(`${worker.name} did not answer ${type} within ${timeout}ms`));
+                }, timeout);
+            }
+
+            this.pending.set(key, {
+                resolve: value => { clearTimeout(timer); resolve(value); },
+                reject: error => { clearTimeout(timer); reject(error); }
+            });
+            worker.postMessage({ type, data });
+        });
+    }
+
+    handleWorkerMessage(worker, { type, data }) {
+        const key = HeadlessWorldgenWorkers.getReplyKey(worker, type, data);
+        const pending = this.pending.get(key);
+        if (!pending) return; // CACHE_CLEARED etc.
+
+        this.pending.delete(key);
+        pending.resolve(data);
+    }
+
+    failAll(error) {
+        if (this.workerError) return;
+        this.workerError = error;
+
+        for (const { reject } of this.pending.values()) {
+            reject(error);
+        }
+        this.pending.clear();
+    }
+
+    static getReplyKey(worker, type, data) {
+        if (type === 'INIT_COMPLETE') return `${worker.name}:${type}`;
+        return `${worker.name}:${type}:${data.chunkX},${data.chunkZ}`;
+    }
+}
@@ -0,0 +1,375 @@
+import { RegionNoiseCache } from './RegionNoiseCache.js';
+
+/**
+ * 🌊 Hydrology - Rivers and lakes on top of the RegionNoiseCache elevation field
+ *
+ * Purpose:
+ * - Carve rivers that run from high ground down to the sea, and fill basins with lakes
+ * - Same answer for ChunkWorker (full + LOD chunks) and BiomeWorldGen.generateTerrainAt:
+ *   only world coordinates + seed go in, never the chunk being generated
+ *
+ * How it works:
+ * - The elevation field is sampled on a lattice of nodes NODE_SPACING blocks apart
+ *   (exactly the RegionNoiseCache sample points, so no interpolation is involved)
+ * - A few high nodes (hash-picked) are river sources. Each source walks downhill by
+ *   steepest descent until it reaches sea elevation (river mouth) or a node with no
+ *   lower neighbour (a basin - it becomes a lake)
+ * - The river's water surface follows the elevation it passes through but never
+ *   climbs on the way down, so rivers only step downwards
+ * - Rivers and lakes are rasterized per region (regionSize blocks). Sources are
+ *   searched far enough outside the region that every river which can reach it is
+ *   traced, so a river is continuous across chunk and region borders
+ *
+ * Pure module (no THREE / DOM) so the workers can import it.
+ */
+
+export class Hydrology {
+    static NODE_SPACING = 8; // RegionNoiseCache: regionSize / 16 samples
+
+    static DEFAULTS = {
+        waterLevel: 3,            // Sea level (ChunkWorker WATER_LEVEL)
+        seaElevation: -0.35,      // Rivers end (reach the sea) below this elevation
+        sourceElevation: 0.4,     // Rivers start above this elevation
+        sourceChance: 0.02,       // Share of high nodes that spring a river
+        maxRiverLength: 64,       // Nodes a river may walk before it just ends
+        waterYPerElevation: 6,    // Blocks of water surface per 1.0 of elevation above the sea
+        maxWaterY: 9,
+        riverWidthStep: 12,       // Nodes downstream before a river gets 1 block wider (each side)
+        maxRiverHalfWidth: 3,
+        meander: 2,               // Max blocks a river bend is pushed off the lattice
+        lakeRadius: 3,            // Nodes around a basin that may flood
+        lakeTolerance: 0.05,      // Flood nodes up to this much above the basin floor
+        lakeNodeRadius: 6,        // Blocks of lake around each flooded node
+        bankWidth: 3,             // Blocks of bank beside water (sand, then lusher grass)
+        cacheSize: 16             // Rasterized regions kept in memory
+    };
+
+    // Lusher riverbank grass the surface colour is blended towards
+    static BANK_COLOR = 0x3CB371;
+    static BED_BLOCK = 'sand';
+
+    // Column kinds in the rasterized region maps
+    static NONE = 0;
+    static BANK = 1;
+    static RIVER = 2;
+    static LAKE = 3;
+
+    /**
+     * @param {number} seed - World seed
+     * @param {Object} options - Overrides for Hydrology.DEFAULTS
+     * @param {RegionNoiseCache} noiseCache - Shared elevation cache (a private one is made if omitted)
+     */
+    constructor(seed, options = {}, noiseCache = null) {
+        this.seed = seed | 0;
+        this.params = { ...Hydrology.DEFAULTS, ...options };
+        this.noise = noiseCache || new RegionNoiseCache();
+        this.regionSize = this.noise.regionSize;
+        this.regions = new Map(); // Map<"rx,rz", RegionHydrology> (insertion order = LRU)
+    }
+
+    /**
+     * Water at a column, or null if the column is untouched
+     *
+     * @returns {{ kind: 'river'|'lake'|'bank', waterY: number, depth: number, bank: number } | null}
+     *          bank = blocks from the water's edge (0 for water columns)
+     */
+    getColumn(worldX, worldZ) {
+        const regionX = Math.floor(worldX / this.regionSize);
+        const regionZ = Math.floor(worldZ / this.regionSize);
+        const region = this.getRegion(regionX, regionZ);
+
+        const localX = worldX - regionX * this.regionSize;
+        const localZ = worldZ - regionZ * this.regionSize;
+        const index = localZ * this.regionSize + localX;
+
+        const kind = region.kind[index];
+        if (kind === Hydrology.NONE) return null;
+
+        return {
+            kind: kind === Hydrology.RIVER ? 'river' : kind === Hydrology.LAKE ? 'lake' : 'bank',
+            waterY: region.waterY[index],
+            depth: region.depth[index],
+            bank: region.bank[index]
+        };
+    }
+
+    /**
+     * Terrain height after the water has carved it: beds sit under the water surface,
+     * banks slope down to it, and the first bank block is raised so water stays in
+     */
+    static applyToHeight(height, column) {
+        if (!column) return height;
+        if (column.kind !== 'bank') return column.waterY - column.depth;
+
+        let carved = Math.min(height, column.waterY + column.bank);
+        if (column.bank === 1) carved = Math.max(carved, column.waterY);
+        return carved;
+    }
+
+    /**
+     * Top of the water in a column (-1 = no river/lake water)
+     */
+    static getWaterTop(column) {
+        return column && column.kind !== 'bank' ? column.waterY : -1;
+    }
+
+    /**
+     * Surface block: sand on beds and the first bank block, otherwise unchanged
+     */
+    static getSurfaceBlock(column, surfaceBlock) {
+        if (!column) return surfaceBlock;
+        return column.kind !== 'bank' || column.bank === 1 ? Hydrology.BED_BLOCK : surfaceBlock;
+    }
+
+    /**
+     * Blend a surface colour towards lush bank grass (stronger nearer the water)
+     */
+    static tintBankColor(color, column, bankWidth = Hydrology.DEFAULTS.bankWidth) {
+        if (!column || column.kind !== 'bank' || column.bank < 2) return color;
+
+        const amount = 0.5 * (bankWidth - column.bank + 1) / bankWidth;
+        const mix = (shift) => {
+            const a = (color >> shift) & 0xFF;
+            const b = (Hydrology.BANK_COLOR >> shift) & 0xFF;
+            return Math.round(a + (b - a) * amount);
+        };
+        return ((mix(16) << 16) | (mix(8) << 8) | mix(0)) >>> 0;
+    }
+
+    // ===== REGIONS =====
+
+    getRegion(regionX, regionZ) {
+        const key = `${regionX},${regionZ}`;
+        let region = this.regions.get(key);
+        if (region) {
+            // Move to the back (most recently used)
+            this.regions.delete(key);
+            this.regions.set(key, region);
+            return region;
+        }
+
+        region = this.buildRegion(regionX, regionZ);
+        this.regions.set(key, region);
+        if (this.regions.size > this.params.cacheSize) {
+            this.regions.delete(this.regions.keys().next().value);
+        }
+        return region;
+    }
+
+    /**
+     * Trace every river that can reach this region and rasterize rivers, lakes and banks
+     */
+    buildRegion(regionX, regionZ) {
+        const p = this.params;
+        const size = this.regionSize;
+        const area = size * size;
+        const region = {
+            originX: regionX * size,
+            originZ: regionZ * size,
+            kind: new Uint8Array(area),
+            waterY: new Int8Array(area).fill(127),
+            depth: new Uint8Array(area),
+            bank: new Uint8Array(area).fill(255)
+        };
+
+        // Any source within maxRiverLength nodes could walk into this region
+        const spacing = Hydrology.NODE_SPACING;
+        const nodesPerRegion = size / spacing;
+        const margin = p.maxRiverLength + 1;
+        const minNodeX = regionX * nodesPerRegion - margin;
+        const minNodeZ = regionZ * nodesPerRegion - margin;
+        const maxNodeX = (regionX + 1) * nodesPerRegion + margin;
+        const maxNodeZ = (regionZ + 1) * nodesPerRegion + margin;
+
+        for (let nz = minNodeZ; nz < maxNodeZ; nz++) {
+            for (let nx = minNodeX; nx < maxNodeX; nx++) {
+                if (!this.isSource(nx, nz)) continue;
+
+                const river = this.traceRiver(nx, nz);
+                this.rasterizeRiver(region, river.nodes);
+                if (river.lake) this.rasterizeLake(region, river.lake);
+            }
+        }
+
+        return region;
+    }
+
+    isSource(nodeX, nodeZ) {
+        const p = this.params;
+        if (Hydrology.hash2(nodeX, nodeZ, this.seed + 31337) >= p.sourceChance) return false;
+        return this.getNodeElevation(nodeX, nodeZ) > p.sourceElevation;
+    }
+
+    /**
+     * Walk downhill from a source
+     *
+     * @returns {{ nodes: Array<{nx, nz, waterY, step}>, lake: Object|null }}
+     */
+    traceRiver(nodeX, nodeZ) {
+        const p = this.params;
+        const nodes = [];
+        let nx = nodeX, nz = nodeZ;
+        let elevation = this.getNodeElevation(nx, nz);
+        let waterY = this.getWaterY(elevation);
+
+        for (let step = 0; step < p.maxRiverLength; step++) {
+            nodes.push({ nx, nz, waterY, step });
+            if (elevation < p.seaElevation) return { nodes, lake: null }; // River mouth
+
+            // Steepest descent (per block travelled, so diagonals aren't favoured)
+            let bestX = 0, bestZ = 0, bestDrop = 0;
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dz === 0) continue;
+                    const drop = (elevation - this.getNodeElevation(nx + dx, nz + dz)) / (dx && dz ? Math.SQRT2 : 1);
+                    if (drop > bestDrop) {
+                        bestDrop = drop;
+                        bestX = dx;
+                        bestZ = dz;
+                    }
+                }
+            }
+
+            // No lower neighbour: a basin
+            if (bestDrop === 0) {
+                return { nodes, lake: { nx, nz, elevation, waterY } };
+            }
+
+            nx += bestX;
+            nz += bestZ;
+            elevation = this.getNodeElevation(nx, nz);
+            waterY = Math.min(waterY, this.getWaterY(elevation)); // Never flows uphill
+        }
+
+        return { nodes, lake: null };
+    }
+
+    rasterizeRiver(region, nodes) {
+        const p = this.params;
+        for (let i = 0; i < nodes.length - 1; i++) {
+            const a = nodes[i];
+            const b = nodes[i + 1];
+            const halfWidth = Math.min(p.maxRiverHalfWidth, 1 + Math.floor(a.step / p.riverWidthStep));
+            const depth = halfWidth >= 2 ? 2 : 1;
+
+            const [ax, az] = this.getNodePosition(a.nx, a.nz);
+            const [bx, bz] = this.getNodePosition(b.nx, b.nz);
+            const reach = halfWidth + p.bankWidth;
+
+            this.forEachBlockNear(region, Math.min(ax, bx) - reach, Math.min(az, bz) - reach,
+                Math.max(ax, bx) + reach, Math.max(az, bz) + reach, (index, x, z) => {
+                    const { distance, t } = Hydrology.distanceToSegment(x, z, ax, az, bx, bz);
+                    const waterY = t < 0.5 ? a.waterY : b.waterY;
+                    this.markColumn(region, index, distance - halfWidth, Hydrology.RIVER, waterY, depth);
+                });
+        }
+    }
+
+    rasterizeLake(region, lake) {
+        const p = this.params;
+
+        // Flood the basin: nearby nodes not much higher than its floor
+        for (let dz = -p.lakeRadius; dz <= p.lakeRadius; dz++) {
+            for (let dx = -p.lakeRadius; dx <= p.lakeRadius; dx++) {
+                const nx = lake.nx + dx;
+                const nz = lake.nz + dz;
+                if (this.getNodeElevation(nx, nz) > lake.elevation + p.lakeTolerance) continue;
+
+                const [cx, cz] = this.getNodePosition(nx, nz);
+                const radius = p.lakeNodeRadius;
+                const depth = dx === 0 && dz === 0 ? 3 : 2;
+                const reach = radius + p.bankWidth;
+
+                this.forEachBlockNear(region, cx - reach, cz - reach, cx + reach, cz + reach, (index, x, z) => {
+                    const distance = Math.hypot(x - cx, z - cz);
+                    this.markColumn(region, index, distance - radius, Hydrology.LAKE, lake.waterY, depth);
+                });
+            }
+        }
+    }
+
+    /**
+     * Merge one feature into a column. Every rule is order-independent (min/max),
+     * so the result doesn't depend on which river happened to be traced first.
+     *
+     * @param {number} edgeDistance - Blocks outside the water (<= 0 = in the water)
+     */
+    markColumn(region, index, edgeDistance, kind, waterY, depth) {
+        const p = this.params;
+        if (edgeDistance > p.bankWidth) return;
+
+        region.waterY[index] = Math.min(region.waterY[index], waterY);
+
+        if (edgeDistance <= 0) {
+            region.kind[index] = Math.max(region.kind[index], kind);
+            region.depth[index] = Math.max(region.depth[index], depth);
+            region.bank[index] = 0;
+        } else {
+            region.kind[index] = Math.max(region.kind[index], Hydrology.BANK);
+            region.bank[index] = Math.min(region.bank[index], Math.ceil(edgeDistance));
+        }
+    }
+
+    forEachBlockNear(region, minX, minZ, maxX, maxZ, callback) {
+        const size = this.regionSize;
+        const x0 = Math.max(Math.floor(minX), region.originX);
+        const z0 = Math.max(Math.floor(minZ), region.originZ);
+        const x1 = Math.min(Math.ceil(maxX), region.originX + size - 1);
+        const z1 = Math.min(Math.ceil(maxZ), region.originZ + size - 1);
+
+        for (let z = z0; z <= z1; z++) {
+            for (let x = x0; x <= x1; x++) {
+                callback((z - region.originZ) * size + (x - region.originX), x, z);
+            }
+        }
+    }
+
+    // ===== LATTICE =====
+
+    getNodeElevation(nodeX, nodeZ) {
+        const spacing = Hydrology.NODE_SPACING;
+        return this.noise.getElevation(nodeX * spacing, nodeZ * spacing, this.seed);
+    }
+
+    /**
+     * Block position of a node, nudged a little off the lattice so rivers meander
+     */
+    getNodePosition(nodeX, nodeZ) {
+        const spacing = Hydrology.NODE_SPACING;
+        const meander = this.params.meander;
+        return [
+            nodeX * spacing + Math.round(Hydrology.hash2(nodeX, nodeZ, this.seed + 4111) * 2 * meander - meander),
+            nodeZ * spacing + Math.round(Hydrology.hash2(nodeX, nodeZ, this.seed + 4337) * 2 * meander - meander)
+        ];
+    }
+
+    getWaterY(elevation) {
+        const p = this.params;
+        const rise = Math.floor((elevation - p.seaElevation) * p.waterYPerElevation);
+        return p.waterLevel + Math.max(0, Math.min(p.maxWaterY - p.waterLevel, rise));
+    }
+
+    clear() {
+        this.regions.clear();
+    }
+
+    // ===== HELPERS =====
+
+    static distanceToSegment(px, pz, ax, az, bx, bz) {
+        const dx = bx - ax;
+        const dz = bz - az;
+        const lengthSq = dx * dx + dz * dz;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (pz - az) * dz) / lengthSq)) : 0;
+        return { distance: Math.hypot(px - (ax + t * dx), pz - (az + t * dz)), t };
+    }
+
+    /**
+     * Lattice hash → [0, 1)
+     */
+    static hash2(x, z, seed) {
+        let h = seed ^ Math.imul(x, 374761393) ^ Math.imul(z, 668265263);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        h ^= h >>> 16;
+        return (h >>> 0) / 4294967296;
+    }
+}
@@ -0,0 +1,93 @@
+import { CaveGenerator } from './CaveGenerator.js';
+
+/**
+ * ⛏️ OreGenerator - Seeded ore veins in the deep stone layer
+ *
+ * Purpose:
+ * - Replace the old fixed iron/gold bands (every 7th / 13th layer) with veins that
+ *   depend on depth and biome
+ * - Same answer for ChunkWorker, BiomeWorldGen and VoxelWorld's on-demand underground
+ *   blocks: only world coordinates + seed go in, so veins cross chunk borders
+ *
+ * How a vein is placed:
+ * - Each ore has its own 3D noise field; a block is ore where the field is above
+ *   the ore's threshold (blobs a few blocks across)
+ * - Outside the ore's y range there is none; inside it the vein is richest at
+ *   `peakY` and thins out towards the ends of the range
+ * - `biomeWeights` scale how much of the field counts as ore (0 = never in that biome,
+ *   missing = 1). Rarer ores are checked first, so they win where veins overlap
+ *
+ * Pure module (no THREE / DOM) so the workers can import it.
+ */
+
+export const ORE_TYPES = {
+    crystal_ore: {
+        minY: 1, maxY: 3, peakY: 1,
+        scale: 0.22, threshold: 0.45, seedOffset: 11003,
+        biomeWeights: { mountain: 1, tundra: 0.8, forest: 0, desert: 0, plains: 0 },
+        drop: { item: 'crystal', min: 1, max: 2 },
+        minToolTier: 2,
+        color: 0x7FDBFF
+    },
+    gold: {
+        minY: 1, maxY: 4, peakY: 2,
+        scale: 0.2, threshold: 0.55, seedOffset: 11311,
+        biomeWeights: { desert: 1.4, mountain: 1.2, tundra: 0.6 },
+        drop: { item: 'gold', min: 1, max: 1 },
+        minToolTier: 1,
+        color: 0xFFD700
+    },
+    iron: {
+        minY: 1, maxY: 7, peakY: 3,
+        scale: 0.3, threshold: 0.65, seedOffset: 11617, // Small, sparse veins: no more iron than the old 10% scatter
+        biomeWeights: { mountain: 1.3, tundra: 1.2, desert: 0.7 },
+        drop: { item: 'iron', min: 1, max: 1 },
+        minToolTier: 1,
+        color: 0x808080
+    },
+    coal_ore: {
+        minY: 2, maxY: 9, peakY: 6,
+        scale: 0.16, threshold: 0.48, seedOffset: 11923,
+        biomeWeights: { forest: 1.2, plains: 1.1, desert: 0.5 },
+        drop: { item: 'coal', min: 1, max: 2 },
+        minToolTier: 1,
+        color: 0x3A3A3A
+    }
+};
+
+export class OreGenerator {
+    /**
+     * @param {number} seed - World seed
+     * @param {Object} oreTypes - Ore table (default ORE_TYPES), checked in order
+     */
+    constructor(seed, oreTypes = ORE_TYPES) {
+        this.seed = seed | 0;
+        this.oreTypes = Object.entries(oreTypes);
+    }
+
+    /**
+     * Ore block at (x, y, z) in the deep stone layer, or null for plain stone
+     *
+     * @param {string} biomeId - Biome of the column (BiomeDefinitions id)
+     */
+    getOreAt(worldX, y, worldZ, biomeId) {
+        for (const [oreType, ore] of this.oreTypes) {
+            if (y < ore.minY || y > ore.maxY) continue;
+
+            const weight = ore.biomeWeights?.[biomeId] ?? 1;
+            if (weight <= 0) continue;
+
+            // Full strength at peakY, half strength at the far end of the range
+            const span = Math.max(ore.peakY - ore.minY, ore.maxY - ore.peakY, 1);
+            const depthFactor = 1 - 0.5 * Math.abs(y - ore.peakY) / span;
+
+            // Weight/depth shrink or grow the part of the field above the threshold
+            const threshold = 1 - (1 - ore.threshold) * weight * depthFactor;
+            const noise = CaveGenerator.valueNoise3D(
+                worldX * ore.scale, y * ore.scale * 2, worldZ * ore.scale, this.seed + ore.seedOffset
+            );
+            if (noise > threshold) return oreType;
+        }
+        return null;
+    }
+}
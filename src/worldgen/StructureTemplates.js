@@ -0,0 +1,330 @@
+/**
+ * 🏗️ StructureTemplates - Structure Designer creations used by worldgen
+ *
+ * Purpose:
+ * - RandyMStructureDesigner saves designs to localStorage ("randym_structure_<name>").
+ *   A design saved with worldgen tags becomes a template that
+ *   StructureGenerator.generateStructuresForChunk places in the world next to the ruins
+ *
+ * Worldgen tags (structureData.worldgen):
+ *   enabled   - true = use this design in worldgen
+ *   biomes    - Biome ids it may appear in (['forest', 'plains']); [] = any biome
+ *   rarity    - 'common' | 'uncommon' | 'rare' | 'legendary' (chance per chunk, RARITY_CHANCE)
+ *   anchor    - How it meets the ground:
+ *               'surface'  bottom layer stands on the ground
+ *               'sunken'   bottom layer replaces the surface blocks
+ *               'buried'   top layer is level with the surface
+ *               'floating' hovers FLOAT_HEIGHT blocks above the ground
+ *   loot      - [{ item: 'skull', weight: 2 }] weighted billboard items ([] = no loot)
+ *   lootRolls - Items placed per structure (on free floor spots, indoors first)
+ *
+ * Templates are read when the game starts and again whenever the designer saves, so a
+ * new design only appears in chunks that haven't been checked yet. Every template rolls
+ * for every chunk with its own seeded number (from the world seed, the chunk and its
+ * name), so adding a template doesn't move the ones already in a world. Wooden blocks
+ * are saved as trees when their chunk unloads, like any other wood.
+ *
+ * Pure module (no THREE / DOM) - the storage is passed in (localStorage by default).
+ */
+
+export class StructureTemplates {
+    static STORAGE_PREFIX = 'randym_structure_';
+    static RARITY_CHANCE = { common: 0.004, uncommon: 0.002, rare: 0.0008, legendary: 0.0002 };
+    static ANCHORS = ['surface', 'sunken', 'buried', 'floating'];
+    static FLOAT_HEIGHT = { min: 6, max: 14 };
+    static MAX_SIZE = 50;       // Blocks per side (the designer grid)
+    static MAX_LOOT_ROLLS = 8;
+
+    static DEFAULT_TAGS = { enabled: false, biomes: [], rarity: 'uncommon', anchor: 'surface', loot: [], lootRolls: 1 };
+
+    /**
+     * @param {Storage|null} storage - Where the designer saves (localStorage; null = no templates)
+     */
+    constructor(storage = StructureTemplates.getDefaultStorage()) {
+        this.storage = storage;
+        this.templates = new Map(); // Map<name, template>
+    }
+
+    static getDefaultStorage() {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+
+    /**
+     * 📥 Re-read every saved design that is tagged for worldgen
+     *
+     * @returns {number} Templates registered
+     */
+    reload() {
+        this.templates.clear();
+        if (!this.storage) return 0;
+
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (!key || !key.startsWith(StructureTemplates.STORAGE_PREFIX)) continue;
+
+            let structureData;
+            try {
+                structureData = JSON.parse(this.storage.getItem(key));
+            } catch (error) {
+                console.warn(`⚠️ Saved structure ${key} is not valid JSON - skipped`);
+                continue;
+            }
+            if (!structureData?.worldgen?.enabled) continue;
+
+            try {
+                this.register(structureData);
+            } catch (error) {
+                console.warn(`⚠️ Structure "${structureData.name}" not used by worldgen: ${error.message}`);
+            }
+        }
+
+        console.log(`🏗️ ${this.templates.size} structure templates for worldgen`);
+        return this.templates.size;
+    }
+
+    /**
+     * ➕ Add (or replace) a template from designer structure data
+     *
+     * @param {Object} structureData - What RandyMStructureDesigner.saveStructure writes
+     * @returns {Object} The template
+     */
+    register(structureData) {
+        const template = StructureTemplates.parse(structureData);
+        this.templates.set(template.name, template);
+        return template;
+    }
+
+    unregister(name) {
+        return this.templates.delete(name);
+    }
+
+    get(name) {
+        return this.templates.get(name) || null;
+    }
+
+    /**
+     * All templates, sorted by name (placement depends on this order)
+     */
+    list() {
+        return Array.from(this.templates.values()).sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+
+    /**
+     * Templates allowed in a biome (biome object or id; null = only "any biome" templates)
+     */
+    getCandidates(biome) {
+        const ids = typeof biome === 'string' ? [biome] : [biome?.id, biome?.name].filter(Boolean);
+        return this.list().filter(template =>
+            template.biomes.length === 0 || template.biomes.some(id => ids.includes(id))
+        );
+    }
+
+    /**
+     * Largest half footprint of any template (how far placement has to look for neighbours)
+     */
+    getMaxHalfSize() {
+        let half = 0;
+        for (const template of this.templates.values()) {
+            half = Math.max(half, Math.ceil(Math.max(template.size.x, template.size.z) / 2));
+        }
+        return half;
+    }
+
+    // ===== PARSING =====
+
+    /**
+     * Validate designer structure data and build the template
+     * Blocks are moved so the lowest corner is (0, 0, 0); loot spots are worked out once here.
+     */
+    static parse(structureData) {
+        const errors = StructureTemplates.validate(structureData);
+        if (errors.length > 0) {
+            throw new Error(`Invalid structure template:\n - ${errors.join('\n - ')}`);
+        }
+
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        for (const block of structureData.blocks) {
+            for (const axis of ['x', 'y', 'z']) {
+                min[axis] = Math.min(min[axis], block[axis]);
+                max[axis] = Math.max(max[axis], block[axis]);
+            }
+        }
+
+        const blocks = structureData.blocks.map(block => ({
+            x: block.x - min.x,
+            y: block.y - min.y,
+            z: block.z - min.z,
+            type: block.blockType
+        }));
+        const size = { x: max.x - min.x + 1, y: max.y - min.y + 1, z: max.z - min.z + 1 };
+        const tags = { ...StructureTemplates.DEFAULT_TAGS, ...structureData.worldgen };
+
+        return {
+            name: structureData.name,
+            blocks,
+            size,
+            biomes: [...tags.biomes],
+            rarity: tags.rarity,
+            chance: StructureTemplates.RARITY_CHANCE[tags.rarity],
+            anchor: tags.anchor,
+            loot: tags.loot.map(({ item, weight }) => ({ item, weight })),
+            lootRolls: tags.lootRolls,
+            lootSpots: StructureTemplates.findLootSpots(blocks, size)
+        };
+    }
+
+    /**
+     * 🔍 Check designer structure data (blocks + worldgen tags)
+     *
+     * @returns {string[]} Problems found (empty = valid)
+     */
+    static validate(structureData) {
+        if (!structureData || typeof structureData !== 'object') {
+            return ['Structure is not an object'];
+        }
+
+        const errors = [];
+        if (typeof structureData.name !== 'string' || structureData.name.length === 0) {
+            errors.push('name is required');
+        }
+
+        const blocks = structureData.blocks;
+        if (!Array.isArray(blocks) || blocks.length === 0) {
+            errors.push('blocks must list at least one block');
+        } else {
+            const badBlock = blocks.findIndex(block =>
+                !block || ![block.x, block.y, block.z].every(Number.isInteger) ||
+                typeof block.blockType !== 'string' || block.blockType.length === 0
+            );
+            if (badBlock >= 0) {
+                errors.push(`blocks[${badBlock}] must be { x, y, z, blockType } with whole-number coordinates`);
+            } else {
+                for (const axis of ['x', 'y', 'z']) {
+                    const values = blocks.map(block => block[axis]);
+                    const extent = Math.max(...values) - Math.min(...values) + 1;
+                    if (extent > StructureTemplates.MAX_SIZE) {
+                        errors.push(`Structure is ${extent} blocks along ${axis} (max ${StructureTemplates.MAX_SIZE})`);
+                    }
+                }
+            }
+        }
+
+        errors.push(...StructureTemplates.validateTags(structureData.worldgen));
+        return errors;
+    }
+
+    /**
+     * 🔍 Check worldgen tags (missing fields fall back to DEFAULT_TAGS)
+     *
+     * @returns {string[]} Problems found (empty = valid)
+     */
+    static validateTags(worldgen) {
+        if (worldgen === undefined) return [];
+        if (!worldgen || typeof worldgen !== 'object') return ['worldgen must be an object'];
+
+        const errors = [];
+        const tags = { ...StructureTemplates.DEFAULT_TAGS, ...worldgen };
+        const rarities = Object.keys(StructureTemplates.RARITY_CHANCE);
+
+        if (typeof tags.enabled !== 'boolean') {
+            errors.push('worldgen.enabled must be true or false');
+        }
+        if (!Array.isArray(tags.biomes) || !tags.biomes.every(id => typeof id === 'string' && id.length > 0)) {
+            errors.push('worldgen.biomes must be a list of biome ids ([] = any biome)');
+        }
+        if (!rarities.includes(tags.rarity)) {
+            errors.push(`worldgen.rarity must be one of ${rarities.join(', ')} (got ${tags.rarity})`);
+        }
+        if (!StructureTemplates.ANCHORS.includes(tags.anchor)) {
+            errors.push(`worldgen.anchor must be one of ${StructureTemplates.ANCHORS.join(', ')} (got ${tags.anchor})`);
+        }
+        if (!Array.isArray(tags.loot)) {
+            errors.push('worldgen.loot must be a list of { item, weight }');
+        } else {
+            tags.loot.forEach((entry, i) => {
+                if (!entry || typeof entry.item !== 'string' || entry.item.length === 0 ||
+                    typeof entry.weight !== 'number' || !(entry.weight > 0)) {
+                    errors.push(`worldgen.loot[${i}] must be { item, weight > 0 }`);
+                }
+            });
+        }
+        if (!Number.isInteger(tags.lootRolls) || tags.lootRolls < 0 || tags.lootRolls > StructureTemplates.MAX_LOOT_ROLLS) {
+            errors.push(`worldgen.lootRolls must be a whole number from 0 to ${StructureTemplates.MAX_LOOT_ROLLS}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Free cells standing on a template block - covered ones (indoors) if there are any
+     */
+    static findLootSpots(blocks, size) {
+        const occupied = new Set(blocks.map(({ x, y, z }) => `${x},${y},${z}`));
+        const covered = [];
+        const open = [];
+
+        for (const { x, y, z } of blocks) {
+            const spotY = y + 1;
+            if (occupied.has(`${x},${spotY},${z}`)) continue;
+
+            let isCovered = false;
+            for (let aboveY = spotY + 1; aboveY < size.y; aboveY++) {
+                if (occupied.has(`${x},${aboveY},${z}`)) {
+                    isCovered = true;
+                    break;
+                }
+            }
+            (isCovered ? covered : open).push({ x, y: spotY, z });
+        }
+
+        const spots = covered.length > 0 ? covered : open;
+        return spots.sort((a, b) => a.y - b.y || a.x - b.x || a.z - b.z);
+    }
+
+    // ===== ROTATION =====
+
+    /**
+     * Footprint after `rotation` quarter turns
+     */
+    static getFootprint(template, rotation) {
+        return rotation % 2 === 0
+            ? { x: template.size.x, z: template.size.z }
+            : { x: template.size.z, z: template.size.x };
+    }
+
+    /**
+     * Template (x, z) → rotated (x, z), both measured from the footprint's lowest corner
+     * Rotation is in clockwise quarter turns seen from above (0-3).
+     */
+    static rotate(template, x, z, rotation) {
+        const maxX = template.size.x - 1;
+        const maxZ = template.size.z - 1;
+        switch (rotation) {
+            case 1: return { x: maxZ - z, z: x };
+            case 2: return { x: maxX - x, z: maxZ - z };
+            case 3: return { x: z, z: maxX - x };
+            default: return { x, z };
+        }
+    }
+
+    // ===== LOOT TEXT (designer input) =====
+
+    /**
+     * "skull:2, mushroom" → [{ item: 'skull', weight: 2 }, { item: 'mushroom', weight: 1 }]
+     * Malformed weights are kept as NaN so validateTags reports them.
+     */
+    static parseLoot(text) {
+        return String(text || '')
+            .split(',')
+            .map(part => part.trim())
+            .filter(part => part.length > 0)
+            .map(part => {
+                const [item, weight] = part.split(':').map(value => value.trim());
+                return { item, weight: weight === undefined ? 1 : Number(weight) };
+            });
+    }
+
+    static formatLoot(loot) {
+        return (loot || []).map(({ item, weight }) => (weight === 1 ? item : `${item}:${weight}`)).join(', ');
+    }
+}
@@ -0,0 +1,234 @@
+import { Hydrology } from './Hydrology.js';
+
+/**
+ * 🏔️ TerrainColumns - ChunkWorker's biome + surface height for a single column
+ *
+ * Purpose:
+ * - The worker terrain (full and LOD chunks) picks biomes by Voronoi cells and
+ *   shapes the surface with its own noise mix - BiomeWorldGen.generateTerrainAt
+ *   uses climate biomes and comes out several blocks different
+ * - Main-thread planners that must match the blocks the player will see (villages)
+ *   ask this instead, without generating or loading the chunks
+ *
+ * Only world coordinates + seed go in, so every caller gets the pristine terrain
+ * (before caves and player edits).
+ *
+ * Pure module (no THREE / DOM) so the workers can import it.
+ */
+
+export class TerrainColumns {
+    static BIOME_CELL_SIZE = 90;
+    static MAX_HEIGHT = 12; // Surface height cap (before rivers/lakes carve in)
+
+    /**
+     * @param {number} seed - World seed
+     * @param {Object} biomes - Biome configs keyed by id (BiomeWorldGen.biomes)
+     * @param {Object} noiseParams - BiomeWorldGen.noiseParams
+     * @param {Hydrology} hydrology - Rivers and lakes for the same seed
+     * @param {number} waterLevel - Sea level (ChunkWorker WATER_LEVEL)
+     * @param {WorldBorder} border - Finite world border (ocean falloff near the edge), null = infinite
+     * @param {WorldPreset} preset - Superflat / archipelago / amplified terrain, null = default
+     */
+    constructor(seed, biomes, noiseParams, hydrology, waterLevel = 3, border = null, preset = null) {
+        this.seed = seed;
+        this.biomes = biomes;
+        this.biomeList = Object.values(biomes);
+        this.noiseParams = noiseParams;
+        this.hydrology = hydrology;
+        this.waterLevel = waterLevel;
+        this.border = border;
+        this.preset = preset;
+    }
+
+    /**
+     * 🗺️ Voronoi-like biome selection
+     */
+    getBiomeAt(worldX, worldZ) {
+        const cellSize = TerrainColumns.BIOME_CELL_SIZE;
+        const cellX = Math.floor(worldX / cellSize);
+        const cellZ = Math.floor(worldZ / cellSize);
+
+        let minDistance = Infinity;
+        let selectedBiome = this.biomes.plains;
+
+        for (let oz = -1; oz <= 1; oz++) {
+            for (let ox = -1; ox <= 1; ox++) {
+                const centerX = (cellX + ox) * cellSize + seededRandom(cellX + ox, cellZ + oz, this.seed + 100) * cellSize;
+                const centerZ = (cellZ + oz) * cellSize + seededRandom(cellX + ox, cellZ + oz, this.seed + 200) * cellSize;
+
+                const dx = worldX - centerX;
+                const dz = worldZ - centerZ;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    const hash = Math.abs((cellX + ox) * 73856093 ^ (cellZ + oz) * 19349663);
+                    selectedBiome = this.biomeList[hash % this.biomeList.length];
+                }
+            }
+        }
+
+        return selectedBiome;
+    }
+
+    /**
+     * Blended elevation noise in [-1, 1]
+     */
+    getElevationNoise(worldX, worldZ) {
+        const noise1 = multiOctaveNoise(worldX, worldZ, this.noiseParams.elevation, this.seed);
+        const noise2 = simplexNoise(worldX * 0.02, worldZ * 0.02, this.seed + 500);
+        const noise3 = waveNoise(worldX, worldZ, this.seed + 1000);
+
+        const blendedHeight = noise1 * 0.6 + noise2 * 0.25 + noise3 * 0.15;
+        return Math.max(-1, Math.min(1, blendedHeight));
+    }
+
+    /**
+     * 🏔️ Surface of one column
+     *
+     * @returns {{ biome: Object, hydro: Object|null, height: number, waterTop: number }}
+     *   height = surface block y, waterTop = highest water block y (or below height if dry)
+     */
+    getColumn(worldX, worldZ) {
+        // 🧱 Superflat: the same layer stack everywhere (no rivers or border falloff)
+        if (this.preset?.isSuperflat) {
+            return { biome: this.biomes.plains, hydro: null, height: this.preset.getFlatHeight(), waterTop: -1 };
+        }
+
+        const biome = this.getBiomeAt(worldX, worldZ);
+
+        // Scale noise to biome height range
+        const biomeHeightCenter = (biome.maxHeight + biome.minHeight) / 2;
+        const biomeHeightRange = (biome.maxHeight - biome.minHeight) / 2;
+        let rawHeight = biomeHeightCenter + this.getElevationNoise(worldX, worldZ) * biomeHeightRange;
+
+        // 🌐 Archipelago / amplified presets reshape the surface
+        // (default worker terrain has no super mountains - amplified worlds raise them in every biome)
+        let maxHeight = TerrainColumns.MAX_HEIGHT;
+        if (this.preset) {
+            rawHeight = this.preset.shapeHeight(rawHeight, biome, worldX, worldZ, this.seed);
+            if (this.preset.config.peaksEverywhere) {
+                rawHeight = this.preset.raisePeak(rawHeight, biome, this.preset.getSuperMountainModifier(worldX, worldZ, biome, this.seed));
+            }
+            maxHeight = this.preset.config.maxHeight ?? maxHeight;
+        }
+        const safeHeight = Math.floor(Math.max(0, Math.min(maxHeight, rawHeight + 2)));
+
+        // 🌊 Rivers and lakes carve their beds and banks (🧱 then the border falloff)
+        const hydro = this.hydrology.getColumn(worldX, worldZ);
+        const carvedHeight = Hydrology.applyToHeight(safeHeight, hydro);
+        const height = this.border ? this.border.applyToHeight(carvedHeight, worldX, worldZ) : carvedHeight;
+        const waterTop = Math.max(height < this.waterLevel ? this.waterLevel : -1, Hydrology.getWaterTop(hydro));
+
+        return { biome, hydro, height, waterTop };
+    }
+}
+
+// ===== NOISE FUNCTIONS =====
+
+export function seededRandom(x, z, seed) {
+    let hash = seed;
+    hash = ((hash << 5) + hash) + x;
+    hash = ((hash << 5) + hash) + z;
+    hash = (hash * 16807) % 2147483647;
+    return Math.abs(Math.sin(hash));
+}
+
+export function waveNoise(x, z, seed = 0) {
+    const freq1 = 0.1;
+    const freq2 = 0.15;
+    const seedOffset = seed * 0.0001;
+
+    const wave1 = Math.sin((x + seedOffset) * freq1) * Math.cos((z + seedOffset) * freq1);
+    const wave2 = Math.sin((x + seedOffset) * freq2) * Math.sin((z + seedOffset) * freq2);
+
+    return (wave1 + wave2 * 0.5) / 1.5;
+}
+
+export function multiOctaveNoise(x, z, params, seed = 0) {
+    let value = 0;
+    let amplitude = 1;
+    let frequency = params.scale;
+    let maxValue = 0;
+
+    for (let octave = 0; octave < params.octaves; octave++) {
+        const octaveSeed = seed + octave * 1000;
+        const n1 = Math.sin((x * frequency + octaveSeed * 0.001)) * Math.cos((z * frequency + octaveSeed * 0.002));
+        const n2 = Math.sin((x * frequency * 1.3 + octaveSeed * 0.003) + (z * frequency * 0.7 + octaveSeed * 0.004));
+        const octaveValue = (n1 + n2) * 0.5;
+
+        value += octaveValue * amplitude;
+        maxValue += amplitude;
+
+        amplitude *= params.persistence;
+        frequency *= 2;
+    }
+
+    const normalizedValue = value / maxValue;
+    return Math.max(-1, Math.min(1, normalizedValue));
+}
+
+export function simplexNoise(x, z, seed = 0) {
+    const F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
+    const G2 = (3.0 - Math.sqrt(3.0)) / 6.0;
+
+    const hash = (i, j) => {
+        let hash = seed;
+        hash = ((hash << 5) + hash) + i;
+        hash = ((hash << 5) + hash) + j;
+        return Math.abs(hash) % 256;
+    };
+
+    const grad2 = (hash, x, z) => {
+        const gradients = [
+            [1, 1], [-1, 1], [1, -1], [-1, -1],
+            [1, 0], [-1, 0], [0, 1], [0, -1]
+        ];
+        const g = gradients[hash & 7];
+        return g[0] * x + g[1] * z;
+    };
+
+    const s = (x + z) * F2;
+    const i = Math.floor(x + s);
+    const j = Math.floor(z + s);
+    const t = (i + j) * G2;
+    const X0 = i - t;
+    const Z0 = j - t;
+    const x0 = x - X0;
+    const z0 = z - Z0;
+
+    let i1, j1;
+    if (x0 > z0) {
+        i1 = 1; j1 = 0;
+    } else {
+        i1 = 0; j1 = 1;
+    }
+
+    const x1 = x0 - i1 + G2;
+    const z1 = z0 - j1 + G2;
+    const x2 = x0 - 1.0 + 2.0 * G2;
+    const z2 = z0 - 1.0 + 2.0 * G2;
+
+    let n0 = 0, n1 = 0, n2 = 0;
+
+    let t0 = 0.5 - x0 * x0 - z0 * z0;
+    if (t0 >= 0) {
+        t0 *= t0;
+        n0 = t0 * t0 * grad2(hash(i, j), x0, z0);
+    }
+
+    let t1 = 0.5 - x1 * x1 - z1 * z1;
+    if (t1 >= 0) {
+        t1 *= t1;
+        n1 = t1 * t1 * grad2(hash(i + i1, j + j1), x1, z1);
+    }
+
+    let t2 = 0.5 - x2 * x2 - z2 * z2;
+    if (t2 >= 0) {
+        t2 *= t2;
+        n2 = t2 * t2 * grad2(hash(i + 1, j + 1), x2, z2);
+    }
+
+    const rawValue = 70.0 * (n0 + n1 + n2);
+    return Math.max(-1, Math.min(1, rawValue));
+}
@@ -11,12 +11,14 @@
  * Architecture:
  * - Main thread requests chunks via requestChunk()
  * - WorkerManager checks: RAM cache → Disk → Generate
- * - Worker generates chunk and sends back data
- * - WorkerManager saves to disk and triggers callback
+ * - Worker generates chunk and sends back data (plus its mesh buffers)
+ * - WorkerManager saves to disk and triggers callback(chunkData, chunkMesh)
+ *   (chunkMesh only for freshly generated chunks - cached and disk chunks are meshed on the main thread)
  */
 
 import { ChunkCache } from '../cache/ChunkCache.js';
 import { ChunkPersistence } from '../serialization/ChunkPersistence.js';
+import { ChunkMeshManager } from '../rendering/ChunkMeshManager.js';
 
 export class WorkerManager {
     constructor(voxelWorld) {
@@ -26,7 +28,7 @@ export class WorkerManager {
         this.cache = new ChunkCache(256);
         this.persistence = null; // Will be initialized in initialize()
         this.pendingRequests = new Map(); // Map<chunkKey, callback>
-        this.pendingTreeRequests = new Map(); // Map<chunkKey, {chunkData, callback}>
+        this.pendingTreeRequests = new Map(); // Map<chunkKey, {chunkData, callback, chunkMesh}>
         this.deferredTreeRequests = []; // Queue for tree requests when TreeWorker not ready yet
         this.requestQueue = []; // Queue of pending requests
         this.isWorkerReady = false;
@@ -41,14 +43,16 @@ export class WorkerManager {
             loadedFromDisk: 0,
             savedToDisk: 0,
             errors: 0,
-            treesGenerated: 0
+            treesGenerated: 0,
+            meshedInWorker: 0
         };
     }
 
     /**
      * Initialize worker with world configuration
+     * @param {Object} worldSettings - { border, preset } (WorldBorder / WorldPreset settings, see VoxelWorld.worldSettings)
      */
-    async initialize(worldSeed, biomeConfig, noiseConfig) {
+    async initialize(worldSeed, biomeConfig, noiseConfig, worldSettings = {}) {
         // Initialize persistence layer
         const isElectron = typeof window !== 'undefined' && window.process && window.process.type === 'renderer';
         this.persistence = new ChunkPersistence(worldSeed, isElectron);
@@ -82,7 +86,8 @@ export class WorkerManager {
                     data: {
                         seed: worldSeed,
                         biomeConfig: biomeConfig,
-                        noiseConfig: noiseConfig
+                        noiseConfig: noiseConfig,
+                        worldSettings: worldSettings
                     }
                 });
 
@@ -92,7 +97,8 @@ export class WorkerManager {
                     data: {
                         seed: worldSeed,
                         biomeConfig: biomeConfig,
-                        size: 8 // chunkSize
+                        size: 8, // chunkSize
+                        worldSettings: worldSettings // 🌐 Superflat worlds have no trees
                     }
                 });
 
@@ -239,14 +245,14 @@ export class WorkerManager {
         // Get the pending tree request data
         const pendingData = this.pendingTreeRequests.get(key);
         if (pendingData) {
-            const { chunkData, callback } = pendingData;
+            const { chunkData, callback, chunkMesh } = pendingData;
 
             // Attach tree data to chunk data
             chunkData.trees = trees;
 
             // Trigger callback with complete chunk + tree data
             if (callback) {
-                callback(chunkData);
+                callback(chunkData, chunkMesh);
             }
 
             this.pendingTreeRequests.delete(key);
@@ -259,24 +265,34 @@ export class WorkerManager {
      * Handle chunk generation complete
      * 🔄 Now forwards to TreeWorker for decoration
      */
-    async handleChunkReady(chunkData) {
-        const { chunkX, chunkZ, heightMap, waterMap } = chunkData;
+    async handleChunkReady(data) {
+        // 🧱 Mesh buffers only match the generated blocks - never saved or cached
+        const { mesh, ...generated } = data;
+        const { chunkX, chunkZ, heightMap, waterMap } = generated;
         const key = `${chunkX},${chunkZ}`;
 
         this.activeRequests--;
         this.stats.generated++;
 
+        // Save pristine terrain to disk asynchronously (non-blocking)
+        this.saveChunkToDisk(chunkX, chunkZ, generated);
+
+        // 💾 A chunk can be generated while its .mod record exists (terrain record lost,
+        // corrupt or quarantined) - re-apply the player's edits so they don't vanish
+        const chunkData = await this.applyTrackedModifications(chunkX, chunkZ, generated);
+
+        // The worker already built the mesh - only the BufferGeometry is made here
+        // (player edits change the blocks, so those chunks are meshed on the main thread)
+        const chunkMesh = mesh && chunkData === generated ? this.createChunkMesh(mesh) : null;
+
         // Store in RAM cache
         this.cache.set(chunkX, chunkZ, chunkData);
 
-        // Save to disk asynchronously (non-blocking)
-        this.saveChunkToDisk(chunkX, chunkZ, chunkData);
-
         // 🌲 Forward to TreeWorker for tree generation
         const callback = this.pendingRequests.get(key);
         if (callback && this.isTreeWorkerReady) {
             // Store chunk data and callback for when trees are ready
-            this.pendingTreeRequests.set(key, { chunkData, callback });
+            this.pendingTreeRequests.set(key, { chunkData, callback, chunkMesh });
             this.pendingRequests.delete(key);
 
             // Request tree generation from TreeWorker
@@ -294,7 +310,7 @@ export class WorkerManager {
             // Fallback: TreeWorker not ready, return chunk without trees
             console.warn('⚠️ TreeWorker not ready, generating chunk without trees');
             chunkData.trees = [];
-            callback(chunkData);
+            callback(chunkData, chunkMesh);
             this.pendingRequests.delete(key);
         }
 
@@ -302,6 +318,52 @@ export class WorkerManager {
         this.processQueue();
     }
 
+    /**
+     * 🧱 Wrap ChunkWorker mesh buffers in geometries (for ChunkMeshManager.adoptWorkerChunk)
+     * @returns {Object} { geometries: { blockType: THREE.BufferGeometry }, season }
+     */
+    createChunkMesh(mesh) {
+        const geometries = {};
+        for (const [type, buffers] of Object.entries(mesh.buffers)) {
+            geometries[type] = ChunkMeshManager.createGeometry(buffers);
+        }
+        this.stats.meshedInWorker++;
+        return { geometries, season: mesh.season };
+    }
+
+    /**
+     * Layer ModificationTracker edits over freshly generated chunk data
+     *
+     * @returns {Promise<Object>} Transferable chunk data (unchanged if there are no edits)
+     */
+    async applyTrackedModifications(chunkX, chunkZ, chunkData) {
+        const tracker = this.voxelWorld.modificationTracker;
+        if (!tracker) return chunkData;
+
+        const { modifications, states } = await tracker.loadChunkModifications(chunkX, chunkZ);
+        if (modifications.size === 0 && states.size === 0) return chunkData;
+
+        const blocks = tracker.applyModifications(this.convertTransferableToBlocks(chunkData), modifications, states);
+        const modified = this.convertBlocksToTransferable({ blocks }, chunkX, chunkZ);
+
+        // Keep the generated height/water maps - trees grow on terrain, not on player builds
+        return { ...chunkData, ...modified, heightMap: chunkData.heightMap, waterMap: chunkData.waterMap };
+    }
+
+    /**
+     * 🩺 Regenerate a chunk from the seed (integrity repair, after its record was quarantined)
+     * Player edits are re-applied like for any generated chunk, and the result is saved.
+     *
+     * @returns {Promise<Object|null>} Regenerated chunk data, or null if already being generated
+     */
+    regenerateChunk(chunkX, chunkZ) {
+        this.cache.remove(chunkX, chunkZ);
+        if (this.pendingRequests.has(`${chunkX},${chunkZ}`)) {
+            return Promise.resolve(null);
+        }
+        return new Promise(resolve => this.requestChunk(chunkX, chunkZ, this.voxelWorld.chunkSize, resolve));
+    }
+
     /**
      * 🎨 Handle LOD chunk generation complete
      */
@@ -352,6 +414,14 @@ export class WorkerManager {
      * Convert transferable format to block array
      */
     convertTransferableToBlocks(chunkData) {
+        return WorkerManager.transferableToBlocks(chunkData);
+    }
+
+    /**
+     * Convert ChunkWorker's transferable format to the block array ChunkPersistence saves
+     * (static so headless tools can save worker output without a VoxelWorld)
+     */
+    static transferableToBlocks(chunkData) {
         const { blockCount, positions, blockTypes, colors, flags } = chunkData;
         const blocks = [];
 
@@ -359,6 +429,7 @@ export class WorkerManager {
         const idToBlockType = {
             0: 'bedrock', 1: 'grass', 2: 'sand', 3: 'stone', 4: 'iron', 5: 'snow', 6: 'water', 7: 'dirt', 8: 'pumpkin', 9: 'gold',
             10: 'oak_wood', 11: 'pine_wood', 12: 'birch_wood', 13: 'palm_wood', 14: 'dead_wood',
+            15: 'coal_ore', 16: 'crystal_ore',
             20: 'oak_wood-leaves', 21: 'pine_wood-leaves', 22: 'birch_wood-leaves',
             23: 'palm_wood-leaves', 24: 'dead_wood-leaves'
         };
@@ -419,41 +490,12 @@ export class WorkerManager {
             if (diskData) {
                 this.stats.loadedFromDisk++;
 
-                // Load modifications (.mod file) if they exist
-                const modData = await this.persistence.loadChunk(chunkX, chunkZ, true);
-
-                // Apply modifications to base chunk
+                // Apply modifications (.mod file) and block states if they exist
                 let finalBlocks = diskData.blocks;
-                if (modData && modData.blocks) {
-                    // Create modification map
-                    const modifications = new Map();
-                    for (const block of modData.blocks) {
-                        const posKey = `${block.x},${block.y},${block.z}`;
-                        if (block.flags === 255) {
-                            // Special "removed" flag
-                            modifications.set(posKey, null);
-                        } else {
-                            modifications.set(posKey, block);
-                        }
-                    }
-
-                    // Apply modifications to base blocks
-                    const blockMap = new Map();
-                    for (const block of diskData.blocks) {
-                        const posKey = `${block.x},${block.y},${block.z}`;
-                        blockMap.set(posKey, block);
-                    }
-
-                    // Merge modifications
-                    for (const [posKey, modBlock] of modifications.entries()) {
-                        if (modBlock === null) {
-                            blockMap.delete(posKey);
-                        } else {
-                            blockMap.set(posKey, modBlock);
-                        }
-                    }
-
-                    finalBlocks = Array.from(blockMap.values());
+                const tracker = this.voxelWorld.modificationTracker;
+                if (tracker) {
+                    const { modifications, states } = await tracker.loadChunkModifications(chunkX, chunkZ);
+                    finalBlocks = tracker.applyModifications(diskData.blocks, modifications, states);
                     // console.log(`💾 Applied ${modifications.size} modifications to chunk (${chunkX}, ${chunkZ})`);
                 }
 
@@ -515,14 +557,8 @@ export class WorkerManager {
      * Convert block array to transferable format
      */
     convertBlocksToTransferable(chunkObject, chunkX, chunkZ) {
-        const { blocks, trees } = chunkObject;
-        const blockCount = blocks.length;
+        const { trees } = chunkObject;
 
-        const positions = new Int16Array(blockCount * 3);
-        const blockTypes = new Uint8Array(blockCount);
-        const colors = new Uint32Array(blockCount);
-        const flags = new Uint8Array(blockCount);
-        
         // 🗺️ Regenerate heightMap and waterMap from blocks
         const chunkSize = 8;
         const heightMap = new Uint8Array(chunkSize * chunkSize);
@@ -532,12 +568,25 @@ export class WorkerManager {
 
         // Block type string to ID mapping (must match ChunkSerializer & ChunkWorker!)
         const blockTypeToId = {
-            'bedrock': 0, 'grass': 1, 'sand': 2, 'stone': 3, 'iron': 4, 'snow': 5, 'water': 6, 'dirt': 7, 'pumpkin': 8,
+            'bedrock': 0, 'grass': 1, 'sand': 2, 'stone': 3, 'iron': 4, 'snow': 5, 'water': 6, 'dirt': 7, 'pumpkin': 8, 'gold': 9,
             'oak_wood': 10, 'pine_wood': 11, 'birch_wood': 12, 'palm_wood': 13, 'dead_wood': 14,
+            'coal_ore': 15, 'crystal_ore': 16,
             'oak_wood-leaves': 20, 'pine_wood-leaves': 21, 'birch_wood-leaves': 22,
             'palm_wood-leaves': 23, 'dead_wood-leaves': 24
         };
 
+        // Types without a numeric ID (tilled soil, crops, player blocks...) are passed by name
+        const blocks = chunkObject.blocks.filter(block => block.type in blockTypeToId);
+        const namedBlocks = chunkObject.blocks
+            .filter(block => !(block.type in blockTypeToId))
+            .map(block => ({ ...block, x: chunkX * 8 + block.x, z: chunkZ * 8 + block.z }));
+        const blockCount = blocks.length;
+
+        const positions = new Int16Array(blockCount * 3);
+        const blockTypes = new Uint8Array(blockCount);
+        const colors = new Uint32Array(blockCount);
+        const flags = new Uint8Array(blockCount);
+
         for (let i = 0; i < blockCount; i++) {
             const block = blocks[i];
 
@@ -572,7 +621,8 @@ export class WorkerManager {
             colors,
             flags,
             heightMap,  // 🗺️ Regenerated from blocks
-            waterMap    // 🗺️ Regenerated from blocks
+            waterMap,   // 🗺️ Regenerated from blocks
+            namedBlocks // [{ x, y, z, type, color, flags }] in world coordinates
         };
     }
 
@@ -588,9 +638,12 @@ export class WorkerManager {
 
             if (request) {
                 this.activeRequests++;
+
+                // 🧱 Meshing settings and neighbour edge slices are taken now, as the request goes out
+                const meshing = this.voxelWorld.chunkMeshManager?.getWorkerMeshOptions(request.chunkX, request.chunkZ) ?? null;
                 this.worker.postMessage({
                     type: 'GENERATE_CHUNK',
-                    data: request
+                    data: { ...request, meshing }
                 });
             }
         }
@@ -657,6 +710,7 @@ export class WorkerManager {
         return {
             ...this.stats,
             cache: this.cache.getStats(),
+            compression: this.persistence ? this.persistence.getCompressionStats() : null,
             queueLength: this.requestQueue.length,
             activeRequests: this.activeRequests,
             pendingCallbacks: this.pendingRequests.size
@@ -671,6 +725,23 @@ export class WorkerManager {
         this.cache.debug();
     }
 
+    /**
+     * 🔄 Restart the workers for a different world (new game: new seed and/or world settings)
+     * Drops every cached and pending chunk of the old world.
+     */
+    async restart(worldSeed, biomeConfig, noiseConfig, worldSettings = {}) {
+        this.terminate();
+
+        this.cache.clear();
+        this.pendingRequests.clear();
+        this.pendingTreeRequests.clear();
+        this.deferredTreeRequests = [];
+        this.requestQueue = [];
+        this.activeRequests = 0;
+
+        await this.initialize(worldSeed, biomeConfig, noiseConfig, worldSettings);
+    }
+
     /**
      * Terminate worker
      */
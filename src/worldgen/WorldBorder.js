@@ -0,0 +1,187 @@
+/**
+ * 🧱 WorldBorder - Finite world size and the edge of the map
+ *
+ * Purpose:
+ * - A world is either infinite or a square of 2 × radius blocks centered on spawn
+ *   (x and z in [-radius, radius)); radius is a whole number of chunks, so the
+ *   border runs along chunk edges and a chunk is either in the world or not
+ * - Chunk requests, LOD and the world map skip chunks outside the border
+ * - Players, projectiles and AI are clamped to it
+ * - Near the border the terrain sinks into ocean ('ocean' edge) or simply ends
+ *   in a sheer drop ('cliff' edge)
+ *
+ * Only plain settings go in ({ size, radius, edge }), so the same border can be
+ * saved with the world and rebuilt inside the chunk worker.
+ *
+ * Pure module (no THREE / DOM) so the workers can import it.
+ */
+
+export class WorldBorder {
+    static CHUNK_SIZE = 8;
+    static MIN_RADIUS = 64;
+    static FALLOFF_WIDTH = 48; // Blocks inside the border where an ocean edge slopes down
+    static OCEAN_FLOOR = 1;    // Surface height at the border for ocean edges (below sea level)
+
+    static SIZES = {
+        infinite: { name: 'Infinite', emoji: '♾️', radius: null, edge: null, description: 'Endless terrain in every direction' },
+        continent: { name: 'Continent', emoji: '🗺️', radius: 1024, edge: 'ocean', description: '2048 × 2048 blocks, ringed by ocean' },
+        small_island: { name: 'Small Island', emoji: '🏝️', radius: 256, edge: 'ocean', description: '512 × 512 blocks, ringed by ocean' }
+    };
+
+    static EDGES = ['ocean', 'cliff'];
+
+    /**
+     * @param {Object} settings
+     * @param {string} settings.size - Key of WorldBorder.SIZES (default 'infinite')
+     * @param {number} settings.radius - Override the size's radius (blocks, whole chunks)
+     * @param {string} settings.edge - Override the size's edge ('ocean' or 'cliff')
+     */
+    constructor({ size = 'infinite', radius, edge } = {}) {
+        const preset = WorldBorder.SIZES[size];
+        if (!preset) {
+            throw new Error(`Unknown world size: ${size} (expected ${Object.keys(WorldBorder.SIZES).join(', ')})`);
+        }
+
+        this.size = size;
+        this.radius = radius ?? preset.radius;
+        this.edge = this.radius === null ? null : (edge ?? preset.edge ?? 'ocean');
+
+        if (this.radius !== null && (!Number.isInteger(this.radius) || this.radius < WorldBorder.MIN_RADIUS || this.radius % WorldBorder.CHUNK_SIZE !== 0)) {
+            throw new Error(`Invalid world border radius: ${this.radius} (expected a multiple of ${WorldBorder.CHUNK_SIZE} >= ${WorldBorder.MIN_RADIUS})`);
+        }
+        if (this.edge !== null && !WorldBorder.EDGES.includes(this.edge)) {
+            throw new Error(`Invalid world border edge: ${this.edge} (expected ${WorldBorder.EDGES.join(' or ')})`);
+        }
+    }
+
+    get isFinite() {
+        return this.radius !== null;
+    }
+
+    // ===== BOUNDS =====
+
+    /**
+     * Is the block column (x, z) inside the world?
+     */
+    contains(x, z) {
+        if (!this.isFinite) return true;
+        return x >= -this.radius && x < this.radius && z >= -this.radius && z < this.radius;
+    }
+
+    /**
+     * Is the chunk inside the world? (the border runs along chunk edges)
+     */
+    containsChunk(chunkX, chunkZ, chunkSize = WorldBorder.CHUNK_SIZE) {
+        return this.contains(chunkX * chunkSize, chunkZ * chunkSize);
+    }
+
+    /**
+     * Chunk coordinate range inside the world, or null if infinite
+     * @returns {{ min: number, max: number }|null} Inclusive on both ends (same for x and z)
+     */
+    getChunkRange(chunkSize = WorldBorder.CHUNK_SIZE) {
+        if (!this.isFinite) return null;
+        return { min: -this.radius / chunkSize, max: this.radius / chunkSize - 1 };
+    }
+
+    /**
+     * Blocks from (x, z) to the nearest border (Infinity if infinite, negative outside)
+     */
+    getDistanceToEdge(x, z) {
+        if (!this.isFinite) return Infinity;
+        return Math.min(x + this.radius, this.radius - x, z + this.radius, this.radius - z);
+    }
+
+    /**
+     * Border lines in world units, or null if infinite. Blocks are centered on
+     * integer coordinates, so the outermost columns (-radius and radius - 1)
+     * reach half a block past them.
+     * @returns {{ min: number, max: number }|null} Same for x and z
+     */
+    getEdges() {
+        if (!this.isFinite) return null;
+        return { min: -this.radius - 0.5, max: this.radius - 0.5 };
+    }
+
+    /**
+     * Keep an entity inside the border (mutates position.x / position.z)
+     * @param {{ x: number, z: number }} position
+     * @param {number} margin - Half the entity's width
+     * @returns {boolean} True if the position was moved
+     */
+    clampPosition(position, margin = 0) {
+        const edges = this.getEdges();
+        if (!edges) return false;
+
+        const min = edges.min + margin;
+        const max = edges.max - margin;
+        const x = Math.max(min, Math.min(max, position.x));
+        const z = Math.max(min, Math.min(max, position.z));
+        if (x === position.x && z === position.z) return false;
+
+        position.x = x;
+        position.z = z;
+        return true;
+    }
+
+    /**
+     * Cut a straight flight path where it leaves the world
+     * @param {{ x, y, z }} start - Inside the border
+     * @param {{ x, y, z }} end
+     * @returns {{ x, y, z }} end, or the point where the path meets the border
+     */
+    clipSegment(start, end) {
+        const edges = this.getEdges();
+        if (!edges) return end;
+
+        let t = 1;
+        for (const axis of ['x', 'z']) {
+            const delta = end[axis] - start[axis];
+            if (delta > 0 && end[axis] > edges.max) {
+                t = Math.min(t, (edges.max - start[axis]) / delta);
+            } else if (delta < 0 && end[axis] < edges.min) {
+                t = Math.min(t, (edges.min - start[axis]) / delta);
+            }
+        }
+        if (t >= 1) return end;
+
+        t = Math.max(0, t);
+        return {
+            x: start.x + (end.x - start.x) * t,
+            y: start.y + (end.y - start.y) * t,
+            z: start.z + (end.z - start.z) * t
+        };
+    }
+
+    // ===== TERRAIN =====
+
+    /**
+     * Surface height after the edge falloff (ocean edges sink to OCEAN_FLOOR at the border)
+     * @param {number} height - Surface height of the column
+     * @returns {number} Adjusted surface height (the caller fills sea water up to its water level)
+     */
+    applyToHeight(height, x, z) {
+        if (this.edge !== 'ocean') return height;
+
+        const distance = this.getDistanceToEdge(x + 0.5, z + 0.5);
+        if (distance >= WorldBorder.FALLOFF_WIDTH) return height;
+
+        const floor = WorldBorder.OCEAN_FLOOR;
+        if (height <= floor) return height;
+
+        // Smoothstep: gentle at the start of the falloff, flat sea floor at the border
+        const t = Math.max(0, distance / WorldBorder.FALLOFF_WIDTH);
+        const blend = t * t * (3 - 2 * t);
+        return Math.floor(floor + (height - floor) * blend);
+    }
+
+    // ===== SAVE / LOAD =====
+
+    toJSON() {
+        return { size: this.size, radius: this.radius, edge: this.edge };
+    }
+
+    static fromJSON(data) {
+        return new WorldBorder(data || {});
+    }
+}
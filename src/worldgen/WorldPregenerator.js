@@ -0,0 +1,220 @@
+/**
+ * 🗺️ WorldPregenerator - Headless world pre-generation (Node / Electron main process)
+ *
+ * Purpose:
+ * - Bake the chunks around a point to disk before anyone plays the world
+ * - Runs the game's own ChunkWorker and TreeWorker scripts (HeadlessWorldgenWorkers)
+ *   so the result is identical to in-game generation
+ * - Writes through ChunkPersistence, so the game loads the chunks from disk
+ *   instead of generating them one at a time while the player walks around
+ *
+ * What gets written:
+ * - Terrain chunks (.dat) within `radius` chunks of the center
+ * - LOD chunks within `radius + lodMargin` chunks (the horizon past the baked area)
+ * - Nothing outside a finite world's border (worldSettings.border)
+ * - Trees are not stored: like WorkerManager.saveChunkToDisk, terrain is saved without
+ *   trees and TreeWorker regrows them from the seed on load. The tree pass still runs
+ *   for every chunk so the summary reports what the world will grow.
+ *
+ * Chunks are generated center-out (ring by ring), so an interrupted run still
+ * leaves a usable area around spawn, and a re-run skips what is already on disk.
+ */
+
+import { HeadlessWorldgenWorkers } from './HeadlessWorldgenWorkers.js';
+import { WorkerManager } from './WorkerManager.js';
+import { WorldBorder } from './WorldBorder.js';
+
+export class WorldPregenerator {
+    static IN_FLIGHT = 4; // Chunks queued per worker - keeps the workers busy while chunks are saved
+
+    /**
+     * @param {Object} options
+     * @param {number} options.seed - World seed
+     * @param {number} options.radius - Terrain radius in chunks (square, center-out)
+     * @param {ChunkPersistence} options.persistence - Storage for the world (must match the seed)
+     * @param {Object} options.biomeConfig - BiomeWorldGen.biomes
+     * @param {Object} options.noiseConfig - BiomeWorldGen.noiseParams
+     * @param {Object} options.worldSettings - { border, preset } (the world's WorkerManager settings)
+     * @param {number} options.lodMargin - LOD chunks past the terrain radius (default 2 = ChunkLODManager.visualDistance)
+     * @param {number} options.centerChunkX - Center chunk (default spawn)
+     * @param {number} options.centerChunkZ
+     * @param {boolean} options.force - Regenerate chunks that are already on disk
+     * @param {boolean} options.verbose - Keep the workers' per-chunk logging
+     */
+    constructor({
+        seed,
+        radius,
+        persistence,
+        biomeConfig,
+        noiseConfig,
+        worldSettings = {},
+        lodMargin = 2,
+        centerChunkX = 0,
+        centerChunkZ = 0,
+        force = false,
+        verbose = false
+    }) {
+        if (!Number.isInteger(radius) || radius < 0) {
+            throw new Error(`Invalid radius: ${radius} (expected a whole number of chunks >= 0)`);
+        }
+
+        this.seed = seed;
+        this.radius = radius;
+        this.persistence = persistence;
+        this.biomeConfig = biomeConfig;
+        this.noiseConfig = noiseConfig;
+        this.worldSettings = worldSettings;
+        this.border = new WorldBorder(worldSettings.border);
+        this.lodMargin = lodMargin;
+        this.centerChunkX = centerChunkX;
+        this.centerChunkZ = centerChunkZ;
+        this.force = force;
+        this.verbose = verbose;
+        this.chunkSize = 8;
+
+        this.workers = null;
+    }
+
+    /**
+     * 🚀 Generate and save everything in range
+     *
+     * @param {Function} onProgress - Optional (progress) callback, see getProgress()
+     * @returns {Promise<Object>} Final progress/summary
+     */
+    async run(onProgress = null) {
+        await this.persistence.initPromise;
+
+        const inWorld = ([chunkX, chunkZ]) => this.border.containsChunk(chunkX, chunkZ, this.chunkSize);
+        const chunks = WorldPregenerator.getChunksByDistance(this.centerChunkX, this.centerChunkZ, this.radius).filter(inWorld);
+        const lodChunks = WorldPregenerator.getChunksByDistance(this.centerChunkX, this.centerChunkZ, this.radius + this.lodMargin).filter(inWorld);
+
+        this.stats = {
+            total: chunks.length + lodChunks.length,
+            done: 0,
+            chunks: { generated: 0, skipped: 0 },
+            lod: { generated: 0, skipped: 0 },
+            trees: 0,
+            startedAt: Date.now()
+        };
+        this.onProgress = onProgress;
+
+        this.workers = new HeadlessWorldgenWorkers({
+            seed: this.seed,
+            biomeConfig: this.biomeConfig,
+            noiseConfig: this.noiseConfig,
+            worldSettings: this.worldSettings,
+            chunkSize: this.chunkSize,
+            verbose: this.verbose
+        });
+
+        await this.workers.start();
+        try {
+            await this.runJobs(chunks, ([chunkX, chunkZ]) => this.pregenerateChunk(chunkX, chunkZ));
+            await this.runJobs(lodChunks, ([chunkX, chunkZ]) => this.pregenerateLODChunk(chunkX, chunkZ));
+        } finally {
+            await this.workers.stop();
+            await this.persistence.closeRegions();
+        }
+
+        return this.getProgress();
+    }
+
+    /**
+     * Run jobs with a few requests in flight at once (the workers handle them in order)
+     */
+    async runJobs(items, job) {
+        let next = 0;
+        const lane = async () => {
+            while (next < items.length) {
+                await job(items[next++]);
+                this.stats.done++;
+                if (this.onProgress) this.onProgress(this.getProgress());
+            }
+        };
+
+        const lanes = [];
+        for (let i = 0; i < WorldPregenerator.IN_FLIGHT; i++) {
+            lanes.push(lane());
+        }
+        await Promise.all(lanes);
+    }
+
+    /**
+     * 🏔️ Generate terrain (and its tree pass) for one chunk and save it
+     */
+    async pregenerateChunk(chunkX, chunkZ) {
+        if (!this.force && await this.persistence.chunkExists(chunkX, chunkZ, false)) {
+            this.stats.chunks.skipped++;
+            return;
+        }
+
+        const chunkData = await this.workers.generateChunk(chunkX, chunkZ);
+        const treeData = await this.workers.generateTrees(chunkX, chunkZ, chunkData);
+        this.stats.trees += treeData.treesPlaced;
+
+        const blocks = WorkerManager.transferableToBlocks(chunkData);
+        await this.persistence.saveChunk(chunkX, chunkZ, { blocks, trees: [] }, false);
+        this.stats.chunks.generated++;
+    }
+
+    /**
+     * 🎨 Generate one LOD chunk and save it
+     */
+    async pregenerateLODChunk(chunkX, chunkZ) {
+        if (!this.force && await this.persistence.loadLODChunk(chunkX, chunkZ)) {
+            this.stats.lod.skipped++;
+            return;
+        }
+
+        const { colorBlocks } = await this.workers.generateLODChunk(chunkX, chunkZ);
+
+        await this.persistence.saveLODChunk(chunkX, chunkZ, colorBlocks);
+        this.stats.lod.generated++;
+    }
+
+    /**
+     * 📊 Snapshot of the run so far
+     *
+     * @returns {Object} { total, done, percent, chunks, lod, trees, elapsed (ms), eta (ms|null) }
+     */
+    getProgress() {
+        const { total, done, chunks, lod, trees, startedAt } = this.stats;
+        const elapsed = Date.now() - startedAt;
+        const eta = done > 0 ? Math.round(elapsed / done * (total - done)) : null;
+
+        return {
+            total,
+            done,
+            percent: total > 0 ? Math.floor(done / total * 100) : 100,
+            chunks: { ...chunks },
+            lod: { ...lod },
+            trees,
+            elapsed,
+            eta
+        };
+    }
+
+    // --- Helpers ---
+
+    /**
+     * Chunks within a square radius, nearest ring first
+     *
+     * @returns {Array<[number, number]>} [chunkX, chunkZ] pairs
+     */
+    static getChunksByDistance(centerChunkX, centerChunkZ, radius) {
+        const chunks = [[centerChunkX, centerChunkZ]];
+
+        for (let ring = 1; ring <= radius; ring++) {
+            for (let dx = -ring; dx <= ring; dx++) {
+                chunks.push([centerChunkX + dx, centerChunkZ - ring]);
+                chunks.push([centerChunkX + dx, centerChunkZ + ring]);
+            }
+            for (let dz = -ring + 1; dz <= ring - 1; dz++) {
+                chunks.push([centerChunkX - ring, centerChunkZ + dz]);
+                chunks.push([centerChunkX + ring, centerChunkZ + dz]);
+            }
+        }
+
+        return chunks;
+    }
+}
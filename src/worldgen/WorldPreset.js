@@ -0,0 +1,230 @@
+import { multiOctaveNoise } from './TerrainColumns.js';
+
+/**
+ * 🌐 WorldPreset - Named terrain styles picked at new-game time
+ *
+ * Purpose:
+ * - default: the standard pipeline (generateMultiNoiseTerrain / TerrainColumns)
+ * - superflat: flat layer stack everywhere (no noise, rivers, caves or trees) for building tests
+ * - archipelago: mostly ocean; land survives only inside an island mask (always an island at spawn)
+ * - amplified: stretched relief and super mountains in every biome
+ *
+ * Both terrain pipelines ask the preset to reshape their raw surface height, so
+ * main-thread fallback chunks, worker chunks, LOD and the village/template planners
+ * agree. Only plain settings go in ({ id, layers }), so the same preset can be saved
+ * with the world and rebuilt inside the workers (worldSettings.preset).
+ *
+ * Pure module (no THREE / DOM) so the workers can import it.
+ */
+
+export class WorldPreset {
+    // heightScale: relief multiplier around each biome's mid height
+    // peakThreshold / peakHeight / peaksEverywhere: super mountains (rarer as the threshold rises)
+    // peakScale: super mountain noise frequency (higher = smaller, more frequent ranges)
+    // maxHeight: worker surface cap (null = TerrainColumns.MAX_HEIGHT)
+    // islands: archipelago land mask; flat: superflat layer stack instead of terrain
+    static PRESETS = {
+        default: {
+            name: 'Default', emoji: '🌍', description: 'Rolling biomes, rivers and the odd mountain range',
+            heightScale: 1, peakThreshold: 0.7, peakHeight: 60, peakScale: 0.001, peaksEverywhere: false, maxHeight: null, islands: null
+        },
+        superflat: {
+            name: 'Superflat', emoji: '🧱', description: 'Flat layers to the horizon - for building tests',
+            flat: true
+        },
+        archipelago: {
+            name: 'Archipelago', emoji: '🏝️', description: 'Open ocean dotted with islands',
+            heightScale: 1, peakThreshold: 0.7, peakHeight: 60, peakScale: 0.001, peaksEverywhere: false, maxHeight: null,
+            islands: { scale: 0.006, threshold: 0.3, coast: 0.25, spawnRadius: 48 }
+        },
+        amplified: {
+            name: 'Amplified', emoji: '🏔️', description: 'Towering peaks in every biome',
+            heightScale: 2.5, peakThreshold: 0.15, peakHeight: 128, peakScale: 0.03, peaksEverywhere: true, maxHeight: 160, islands: null
+        }
+    };
+
+    // Superflat layers, bottom (y = 0) to top
+    static DEFAULT_LAYERS = [
+        { block: 'bedrock', count: 1 },
+        { block: 'stone', count: 2 },
+        { block: 'dirt', count: 2 },
+        { block: 'grass', count: 1 }
+    ];
+
+    // Terrain blocks every chunk format can store (ChunkWorker blockTypeMap)
+    static LAYER_BLOCKS = ['bedrock', 'stone', 'dirt', 'grass', 'sand', 'snow'];
+    static MAX_LAYER_HEIGHT = 32;
+    static OCEAN_FLOOR = 1; // Surface height between islands (below sea level)
+
+    /**
+     * @param {Object} settings
+     * @param {string} settings.id - Key of WorldPreset.PRESETS (default 'default')
+     * @param {Array} settings.layers - Superflat layers [{ block, count }] bottom to top
+     */
+    constructor({ id = 'default', layers } = {}) {
+        const config = WorldPreset.PRESETS[id];
+        if (!config) {
+            throw new Error(`Unknown world preset: ${id} (expected ${Object.keys(WorldPreset.PRESETS).join(', ')})`);
+        }
+
+        this.id = id;
+        this.config = config;
+        this.layers = null;
+
+        if (config.flat) {
+            this.layers = WorldPreset.validateLayers(layers ?? WorldPreset.DEFAULT_LAYERS);
+            // y of each layer block, bottom to top
+            this.layerBlocks = this.layers.flatMap(({ block, count }) => Array(count).fill(block));
+        }
+    }
+
+    get isSuperflat() {
+        return this.config.flat === true;
+    }
+
+    // ===== SUPERFLAT =====
+
+    /**
+     * Check a superflat layer list
+     * @returns {Array} Copy of the layers
+     * @throws {Error} On unknown blocks, bad counts or a stack taller than MAX_LAYER_HEIGHT
+     */
+    static validateLayers(layers) {
+        if (!Array.isArray(layers) || layers.length === 0) {
+            throw new Error('Superflat layers must be a non-empty list');
+        }
+
+        let total = 0;
+        const copy = layers.map(({ block, count = 1 }) => {
+            if (!WorldPreset.LAYER_BLOCKS.includes(block)) {
+                throw new Error(`Invalid superflat layer block: ${block} (expected ${WorldPreset.LAYER_BLOCKS.join(', ')})`);
+            }
+            if (!Number.isInteger(count) || count < 1) {
+                throw new Error(`Invalid superflat layer count for ${block}: ${count}`);
+            }
+            total += count;
+            return { block, count };
+        });
+
+        if (total > WorldPreset.MAX_LAYER_HEIGHT) {
+            throw new Error(`Superflat layers are ${total} blocks tall (max ${WorldPreset.MAX_LAYER_HEIGHT})`);
+        }
+        return copy;
+    }
+
+    /**
+     * Parse "bedrock,stone*2,dirt*2,grass" (bottom to top) into layers
+     */
+    static parseLayers(text) {
+        const layers = String(text).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const [block, count] = part.split('*').map(value => value.trim());
+            return { block, count: count === undefined ? 1 : Number(count) };
+        });
+        return WorldPreset.validateLayers(layers);
+    }
+
+    static formatLayers(layers) {
+        return layers.map(({ block, count }) => count === 1 ? block : `${block}*${count}`).join(',');
+    }
+
+    /**
+     * Surface y of a superflat world (top layer)
+     */
+    getFlatHeight() {
+        return this.layerBlocks.length - 1;
+    }
+
+    /**
+     * Superflat block at y (null above the top layer)
+     */
+    getLayerBlock(y) {
+        return this.layerBlocks[y] ?? null;
+    }
+
+    // ===== TERRAIN =====
+
+    /**
+     * Reshape a column's raw surface height (before it is floored, capped and carved)
+     * - amplified: relief around the biome's mid height is stretched by heightScale
+     * - archipelago: land outside the island mask sinks to OCEAN_FLOOR
+     * Default worlds get rawHeight back unchanged.
+     */
+    shapeHeight(rawHeight, biome, x, z, seed) {
+        let height = rawHeight;
+
+        if (this.config.heightScale !== 1) {
+            const center = (biome.maxHeight + biome.minHeight) / 2;
+            height = center + (height - center) * this.config.heightScale;
+        }
+
+        if (this.config.islands) {
+            const land = this.getIslandFactor(x, z, seed);
+            height = WorldPreset.OCEAN_FLOOR + (height - WorldPreset.OCEAN_FLOOR) * land;
+        }
+
+        return height;
+    }
+
+    /**
+     * 🏝️ Archipelago land mask: 0 = open ocean, 1 = full island height
+     */
+    getIslandFactor(x, z, seed) {
+        const { scale, threshold, coast, spawnRadius } = this.config.islands;
+
+        let mask = multiOctaveNoise(x, z, { scale, octaves: 3, persistence: 0.5 }, seed + 7000);
+
+        // Keep the player's spawn on dry land (full height inside half the spawn radius)
+        const spawnDistance = Math.sqrt(x * x + z * z);
+        const spawnLand = Math.max(0, 1 - spawnDistance / spawnRadius);
+        mask = Math.max(mask, threshold + coast * Math.min(1, spawnLand * 2));
+
+        // Smoothstep across the coastline
+        const t = Math.max(0, Math.min(1, (mask - threshold) / coast));
+        return t * t * (3 - 2 * t);
+    }
+
+    /**
+     * 🏔️ Super mountain strength (0 = none, 1 = full peak)
+     * Default: rare peaks in Mountain biomes only. Amplified: more often, in every biome.
+     */
+    getSuperMountainModifier(x, z, biome, seed) {
+        if (!this.config.peaksEverywhere && biome.name !== 'Mountain') return 0;
+
+        // Very large-scale noise creates sparse super mountains
+        const superMountainNoise = multiOctaveNoise(
+            x * 0.1,
+            z * 0.1,
+            { scale: this.config.peakScale, octaves: 2, persistence: 0.4 },
+            seed + 9000
+        );
+
+        // Smooth gradient from the edge (threshold) to the center (threshold + 0.3)
+        const { peakThreshold } = this.config;
+        if (superMountainNoise > peakThreshold) {
+            return Math.min(1.0, (superMountainNoise - peakThreshold) / 0.3);
+        }
+        return 0;
+    }
+
+    /**
+     * Raise a column toward the preset's peak height
+     * @param {number} modifier - From getSuperMountainModifier
+     */
+    raisePeak(rawHeight, biome, modifier) {
+        if (modifier <= 0) return rawHeight;
+
+        // Interpolate between the biome's normal max height and the peak height
+        const extraHeight = (this.config.peakHeight - biome.maxHeight) * modifier;
+        return Math.max(rawHeight, biome.maxHeight + extraHeight);
+    }
+
+    // ===== SAVE / LOAD =====
+
+    toJSON() {
+        return this.layers ? { id: this.id, layers: this.layers } : { id: this.id };
+    }
+
+    static fromJSON(data) {
+        return new WorldPreset(data || {});
+    }
+}
@@ -0,0 +1,285 @@
+import { HeadlessWorldgenWorkers } from './HeadlessWorldgenWorkers.js';
+import { WorkerManager } from './WorkerManager.js';
+
+/**
+ * 🔏 WorldgenVerifier - Golden hashes for world generation
+ *
+ * Purpose:
+ * - World generation lives in two places: the workers (ChunkWorker + TreeWorker) and
+ *   BiomeWorldGen on the main thread (generateTerrainAt for on-demand underground
+ *   blocks, heights, biomes). A change to either silently changes every existing world.
+ * - This generates a fixed set of chunks for known seeds, hashes what came out and
+ *   compares it with the golden values committed in worldgen-golden.json
+ *
+ * What gets hashed per chunk (each is a sorted list of one-line records):
+ * - blocks:  ChunkWorker terrain blocks       "x,y,z type color"
+ * - trees:   TreeWorker tree placements       "x,y,z treeType [ancient/mega/...]"
+ * - lod:     ChunkWorker LOD blocks           "x,y,z type color"
+ * - terrain: BiomeWorldGen.generateTerrainAt  "x,z h=height water=waterTop biome color"
+ *
+ * The golden file keeps the records next to the hashes, so a mismatch can print
+ * which blocks changed instead of just "hash differs".
+ *
+ * Chunks are generated in the listed order with fresh workers per seed: TreeWorker
+ * spaces trees against the chunks it has already seen, so the order is part of the input.
+ */
+
+export class WorldgenVerifier {
+    static GOLDEN_VERSION = 1;
+    static KINDS = ['blocks', 'trees', 'lod', 'terrain'];
+
+    /**
+     * Seeds and chunks checked by default - spawn, its neighbours across the
+     * chunk/region borders, and far-away chunks (other biome cells, a river)
+     */
+    static DEFAULT_CASES = [
+        { seed: 12345, chunks: [[0, 0], [-1, 0], [0, -1], [-13, -10], [-40, 23]] },
+        { seed: 987654321, chunks: [[0, 0], [-16, -17], [64, -3]] }
+    ];
+
+    /**
+     * @param {Object} options
+     * @param {BiomeWorldGen} options.biomeWorldGen - Main-thread generator (its seed gets changed per case)
+     * @param {Array} options.cases - [{ seed, chunks: [[chunkX, chunkZ], ...] }] (default DEFAULT_CASES)
+     * @param {number} options.chunkSize - Blocks per chunk side (default 8)
+     * @param {boolean} options.verbose - Keep the workers' per-chunk logging
+     */
+    constructor({ biomeWorldGen, cases = WorldgenVerifier.DEFAULT_CASES, chunkSize = 8, verbose = false }) {
+        this.biomeWorldGen = biomeWorldGen;
+        this.cases = cases;
+        this.chunkSize = chunkSize;
+        this.verbose = verbose;
+    }
+
+    /**
+     * 🏗️ Generate every case and record the output
+     *
+     * @param {Function} onChunk - Optional (seed, chunkX, chunkZ) callback after each chunk
+     * @returns {Promise<Object>} Snapshot in the golden file format
+     */
+    async generate(onChunk = null) {
+        const snapshot = {
+            version: WorldgenVerifier.GOLDEN_VERSION,
+            chunkSize: this.chunkSize,
+            cases: this.cases,
+            chunks: {}
+        };
+
+        for (const { seed, chunks } of this.cases) {
+            this.biomeWorldGen.setWorldSeed(seed);
+
+            const workers = new HeadlessWorldgenWorkers({
+                seed,
+                biomeConfig: this.biomeWorldGen.biomes,
+                noiseConfig: this.biomeWorldGen.noiseParams,
+                chunkSize: this.chunkSize,
+                verbose: this.verbose
+            });
+
+            await workers.start();
+            try {
+                for (const [chunkX, chunkZ] of chunks) {
+                    snapshot.chunks[WorldgenVerifier.getChunkKey(seed, chunkX, chunkZ)] =
+                        await this.recordChunk(workers, chunkX, chunkZ);
+                    if (onChunk) onChunk(seed, chunkX, chunkZ);
+                }
+            } finally {
+                await workers.stop();
+            }
+        }
+
+        return snapshot;
+    }
+
+    async recordChunk(workers, chunkX, chunkZ) {
+        const chunkData = await workers.generateChunk(chunkX, chunkZ);
+        const { trees } = await workers.generateTrees(chunkX, chunkZ, chunkData);
+        const { colorBlocks } = await workers.generateLODChunk(chunkX, chunkZ);
+
+        const records = {
+            blocks: this.recordWorkerBlocks(chunkX, chunkZ, chunkData),
+            trees: trees.map(tree => {
+                const tags = [
+                    tree.isMegaFir && 'megafir',
+                    tree.isAncient && (tree.ancientType || 'ancient')
+                ].filter(Boolean).join(' ');
+                return `${tree.x},${tree.y},${tree.z} ${tree.treeType}${tags ? ' ' + tags : ''}`;
+            }),
+            lod: colorBlocks.map(block =>
+                `${block.x},${block.y},${block.z} ${block.blockType || '-'} ${WorldgenVerifier.formatColor(block.color)}`
+            ),
+            terrain: this.recordTerrain(chunkX, chunkZ)
+        };
+
+        const chunk = {};
+        for (const kind of WorldgenVerifier.KINDS) {
+            const sorted = WorldgenVerifier.sortRecords(records[kind]);
+            chunk[kind] = { hash: WorldgenVerifier.hashRecords(sorted), records: sorted };
+        }
+        return chunk;
+    }
+
+    /**
+     * Main-thread columns (what VoxelWorld asks BiomeWorldGen for on demand)
+     */
+    recordTerrain(chunkX, chunkZ) {
+        const records = [];
+        for (let x = 0; x < this.chunkSize; x++) {
+            for (let z = 0; z < this.chunkSize; z++) {
+                const worldX = chunkX * this.chunkSize + x;
+                const worldZ = chunkZ * this.chunkSize + z;
+                const column = this.biomeWorldGen.generateTerrainAt(worldX, worldZ);
+                records.push(`${worldX},${worldZ} h=${column.height} water=${column.waterTop} ${column.biome.name} ${WorldgenVerifier.formatColor(column.surfaceColor.getHex())}`);
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Worker terrain as ChunkPersistence would save it (block names, world coordinates)
+     */
+    recordWorkerBlocks(chunkX, chunkZ, chunkData) {
+        return WorkerManager.transferableToBlocks(chunkData).map(block => {
+            const worldX = chunkX * this.chunkSize + block.x;
+            const worldZ = chunkZ * this.chunkSize + block.z;
+            return `${worldX},${block.y},${worldZ} ${block.type} ${WorldgenVerifier.formatColor(block.color)}`;
+        });
+    }
+
+    // ===== COMPARISON =====
+
+    /**
+     * 🔍 Compare a fresh snapshot with the golden one
+     *
+     * @param {number} maxDiffs - Differing records kept per mismatch (the first ones, in record order)
+     * @returns {{ checked: number, mismatches: Array<{ key, kind, goldenHash, currentHash, diffs, totalDiffs }>, problems: string[] }}
+     */
+    static compare(golden, current, maxDiffs = 10) {
+        const problems = [];
+        if (golden.version !== current.version) {
+            problems.push(`Golden file is version ${golden.version}, verifier writes version ${current.version} - regenerate it with --update`);
+        }
+        if (golden.chunkSize !== current.chunkSize) {
+            problems.push(`Golden chunk size ${golden.chunkSize} != ${current.chunkSize}`);
+        }
+
+        const mismatches = [];
+        let checked = 0;
+        for (const [key, chunk] of Object.entries(current.chunks)) {
+            const goldenChunk = golden.chunks?.[key];
+            if (!goldenChunk) {
+                problems.push(`Chunk ${key} has no golden values - regenerate with --update`);
+                continue;
+            }
+
+            for (const kind of WorldgenVerifier.KINDS) {
+                checked++;
+                const expected = goldenChunk[kind];
+                const actual = chunk[kind];
+                if (expected?.hash === actual.hash) continue;
+
+                const diffs = WorldgenVerifier.diffRecords(expected?.records || [], actual.records);
+                mismatches.push({
+                    key,
+                    kind,
+                    goldenHash: expected?.hash ?? null,
+                    currentHash: actual.hash,
+                    diffs: diffs.slice(0, maxDiffs),
+                    totalDiffs: diffs.length
+                });
+            }
+        }
+
+        return { checked, mismatches, problems };
+    }
+
+    /**
+     * Records that differ between two sorted lists, matched by position (the text before the first space)
+     *
+     * @returns {Array<{ at: string, golden: string|null, current: string|null }>}
+     */
+    static diffRecords(goldenRecords, currentRecords) {
+        const goldenByKey = WorldgenVerifier.indexRecords(goldenRecords);
+        const currentByKey = WorldgenVerifier.indexRecords(currentRecords);
+        const keys = WorldgenVerifier.sortRecords([...new Set([...goldenByKey.keys(), ...currentByKey.keys()])]);
+
+        const diffs = [];
+        for (const at of keys) {
+            const before = goldenByKey.get(at) ?? null;
+            const after = currentByKey.get(at) ?? null;
+            if (before !== after) diffs.push({ at, golden: before, current: after });
+        }
+        return diffs;
+    }
+
+    /**
+     * Map<position, rest of record> (repeated positions, e.g. overlapping LOD canopies, get #2, #3...)
+     */
+    static indexRecords(records) {
+        const byKey = new Map();
+        for (const record of records) {
+            const space = record.indexOf(' ');
+            const position = record.slice(0, space);
+            let key = position;
+            for (let n = 2; byKey.has(key); n++) key = `${position}#${n}`;
+            byKey.set(key, record.slice(space + 1));
+        }
+        return byKey;
+    }
+
+    /**
+     * Human-readable lines for one mismatch
+     */
+    static formatMismatch({ key, kind, goldenHash, currentHash, diffs, totalDiffs }) {
+        const lines = [`❌ ${key} ${kind}: golden ${goldenHash ?? '(none)'} → now ${currentHash} (${totalDiffs} ${totalDiffs === 1 ? 'record differs' : 'records differ'})`];
+        for (const { at, golden, current } of diffs) {
+            if (golden === null) lines.push(`   + ${at} ${current}`);
+            else if (current === null) lines.push(`   - ${at} ${golden}`);
+            else lines.push(`   ~ ${at} ${golden} → ${current}`);
+        }
+        if (totalDiffs > diffs.length) {
+            lines.push(`   ... ${totalDiffs - diffs.length} more`);
+        }
+        return lines;
+    }
+
+    // ===== HELPERS =====
+
+    static getChunkKey(seed, chunkX, chunkZ) {
+        return `${seed}:${chunkX},${chunkZ}`;
+    }
+
+    static formatColor(color) {
+        return (color >>> 0).toString(16).padStart(6, '0');
+    }
+
+    /**
+     * Sort records by their leading numbers (x, y, z / x, z), then text - independent of generation order
+     */
+    static sortRecords(records) {
+        const parse = record => record.split(/[ #]/)[0].split(',').map(Number);
+        return records
+            .map(record => ({ record, coords: parse(record) }))
+            .sort((a, b) => {
+                for (let i = 0; i < Math.max(a.coords.length, b.coords.length); i++) {
+                    const diff = (a.coords[i] ?? 0) - (b.coords[i] ?? 0);
+                    if (diff !== 0) return diff;
+                }
+                return a.record < b.record ? -1 : a.record > b.record ? 1 : 0;
+            })
+            .map(({ record }) => record);
+    }
+
+    /**
+     * FNV-1a (32 bit) of the records, one per line
+     */
+    static hashRecords(records) {
+        let hash = 0x811c9dc5;
+        const text = records.join('\n');
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * 🩹 REGION FILE SALVAGE TEST
+ *
+ * A chunk entry cut off by a truncated region file must keep what is left of its
+ * data reserved: chunks written afterwards may not reuse those sectors, so
+ * salvage() still returns the damaged chunk's own bytes for quarantine.
+ *
+ * Usage: node test-region-salvage.js (exit code 0 = pass)
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { RegionFile } from './src/serialization/RegionFile.js';
+
+const SECTOR = RegionFile.SECTOR_SIZE;
+
+function pattern(length, seed) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) bytes[i] = (i * 31 + seed) & 0xFF;
+    return bytes;
+}
+
+async function openRegion(filepath) {
+    const region = new RegionFile(fs, filepath, 0, 0);
+    await region.open();
+    return region;
+}
+
+async function testSalvageAfterWrite() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'region-salvage-'));
+    const filepath = path.join(dir, RegionFile.getRegionFilename(0, 0));
+
+    try {
+        // A 3-sector chunk, then cut the file off halfway through its second sector
+        const original = pattern(3 * SECTOR - 100, 7);
+        let region = await openRegion(filepath);
+        await region.write(0, 0, original);
+        await region.close();
+
+        const truncatedSize = (RegionFile.HEADER_SECTORS + 1) * SECTOR + SECTOR / 2;
+        await fs.truncate(filepath, truncatedSize);
+
+        region = await openRegion(filepath);
+        assert.equal(region.has(0, 0), false, 'truncated chunk reads as missing');
+        assert.equal(region.listDamaged().length, 1, 'truncated chunk is listed as damaged');
+
+        // New chunks must not land on the damaged chunk's remaining sectors
+        const other = pattern(SECTOR, 99);
+        await region.write(1, 0, other);
+        await region.write(2, 0, pattern(2 * SECTOR, 42));
+
+        const salvaged = new Uint8Array(await region.salvage(0, 0));
+        const available = truncatedSize - RegionFile.HEADER_SECTORS * SECTOR;
+        assert.equal(salvaged.length, available, 'salvage returns only the bytes left in the file');
+        assert.deepEqual(salvaged, original.subarray(0, available), 'salvage returns the damaged chunk\'s own bytes');
+        assert.deepEqual(new Uint8Array(await region.read(1, 0)), other, 'new chunk is intact');
+
+        // Clearing the entry hands its sectors back
+        await region.clearDamaged(0, 0);
+        assert.equal(region.listDamaged().length, 0, 'damaged entry cleared');
+        await region.write(3, 0, pattern(SECTOR, 5));
+        assert.equal(region.offsets[RegionFile.getIndex(3, 0)], RegionFile.HEADER_SECTORS, 'freed sectors are reused');
+
+        await region.close();
+
+        // The header survives a reopen
+        region = await openRegion(filepath);
+        assert.equal(region.listDamaged().length, 0, 'no damaged entries after reopen');
+        assert.deepEqual(new Uint8Array(await region.read(1, 0)), other, 'new chunk is intact after reopen');
+        await region.close();
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+try {
+    await testSalvageAfterWrite();
+    console.log('✅ Region salvage test passed');
+} catch (error) {
+    console.error('❌ Region salvage test failed:', error);
+    process.exitCode = 1;
+}
@@ -0,0 +1,117 @@
+/**
+ * 🔏 Worldgen determinism check
+ *
+ * Generates a fixed set of chunks for known seeds (worker terrain, trees, LOD and
+ * BiomeWorldGen's main-thread columns), hashes them and compares the hashes with
+ * the golden values in src/worldgen/worldgen-golden.json. Any difference means
+ * existing worlds would generate differently - the first changed blocks are printed.
+ *
+ * Usage:
+ *   npm run verify-worldgen
+ *   node verify-worldgen.js [options]
+ *
+ * Options:
+ *   --update          Rewrite the golden file from the current generators (after an
+ *                     intentional worldgen change - commit it with the change)
+ *   --max-diff=N      Changed records printed per mismatching chunk (default 10)
+ *   --golden=FILE     Golden file to check/write (default src/worldgen/worldgen-golden.json)
+ *   --verbose         Keep the per-chunk logging of the game's generation code
+ *
+ * Exit code 0 = everything matches, 1 = mismatch or error.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from './pregen-world.js';
+import { BiomeWorldGen } from './src/BiomeWorldGen.js';
+import { BiomeDefinitions } from './src/worldgen/BiomeDefinitions.js';
+import { WorldgenVerifier } from './src/worldgen/WorldgenVerifier.js';
+
+const DEFAULT_GOLDEN = path.join(path.dirname(fileURLToPath(import.meta.url)), 'src', 'worldgen', 'worldgen-golden.json');
+
+/**
+ * 🚀 Run the verification command
+ *
+ * @param {string[]} argv - Command-line arguments (without the executable/script)
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runVerifyCommand(argv) {
+    const args = parseArgs(argv);
+
+    // BiomeWorldGen and the workers log every chunk - the report is all we want to see
+    const print = console.log.bind(console);
+    const consoleLog = console.log;
+    if (!args.verbose) console.log = () => {};
+
+    try {
+        return await verify(args, print);
+    } catch (error) {
+        console.error('❌ Worldgen verification failed:', error);
+        return 1;
+    } finally {
+        console.log = consoleLog;
+    }
+}
+
+async function verify(args, print) {
+    const goldenPath = path.resolve(typeof args.golden === 'string' ? args.golden : DEFAULT_GOLDEN);
+    const maxDiffs = args['max-diff'] !== undefined ? Number(args['max-diff']) : 10;
+    if (!Number.isInteger(maxDiffs) || maxDiffs < 0) {
+        console.error(`❌ --max-diff must be a whole number >= 0 (got ${args['max-diff']})`);
+        return 1;
+    }
+
+    // Keep the seeds/chunks the golden file was made with, so adding cases is an explicit --update
+    let golden = null;
+    try {
+        golden = JSON.parse(await fs.readFile(goldenPath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        if (!args.update) {
+            console.error(`❌ No golden file at ${goldenPath} - create it with --update`);
+            return 1;
+        }
+    }
+
+    await BiomeDefinitions.load();
+    const verifier = new WorldgenVerifier({
+        biomeWorldGen: new BiomeWorldGen({}),
+        cases: golden && !args.update ? golden.cases : WorldgenVerifier.DEFAULT_CASES,
+        verbose: args.verbose === true
+    });
+
+    const total = verifier.cases.reduce((sum, { chunks }) => sum + chunks.length, 0);
+    print(`🔏 Generating ${total} chunks for ${verifier.cases.length} seeds...`);
+    const startedAt = Date.now();
+    const snapshot = await verifier.generate();
+    const elapsed = ((Date.now() - startedAt) / 1000).toFixed(1);
+
+    if (args.update) {
+        await fs.writeFile(goldenPath, JSON.stringify(snapshot, null, 1) + '\n'); // One record per line - git diffs stay readable
+        print(`💾 Golden values written to ${goldenPath} (${elapsed}s)`);
+        return 0;
+    }
+
+    const { checked, mismatches, problems } = WorldgenVerifier.compare(golden, snapshot, maxDiffs);
+    for (const problem of problems) {
+        print(`⚠️ ${problem}`);
+    }
+
+    if (mismatches.length === 0 && problems.length === 0) {
+        print(`✅ Worldgen matches the golden values (${checked} hashes, ${elapsed}s)`);
+        return 0;
+    }
+
+    for (const mismatch of mismatches) {
+        print(WorldgenVerifier.formatMismatch(mismatch).join('\n'));
+    }
+    print(`❌ ${mismatches.length} of ${checked} hashes differ from ${path.relative(process.cwd(), goldenPath)}`);
+    print('   If the change is intentional, regenerate the golden file with --update and commit it.');
+    return 1;
+}
+
+// Run directly: node verify-worldgen.js ...
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+    runVerifyCommand(process.argv.slice(2)).then(code => process.exit(code));
+}